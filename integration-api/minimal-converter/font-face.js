@@ -0,0 +1,136 @@
+/**
+ * Web fonts from a project's font library as @font-face rules, shared by the generators.
+ * Fonts are embedded as data URLs so the renderer draws them without network access.
+ */
+
+// Font library formats, as named in @font-face format() hints, with their MIME types
+const FONT_FORMATS = {
+  woff2: 'font/woff2',
+  woff: 'font/woff',
+  truetype: 'font/ttf',
+  opentype: 'font/otf'
+};
+
+const FONT_STYLES = ['normal', 'italic'];
+const FONT_WEIGHT = /^(?:normal|bold|[1-9]00)$/;
+
+// Fonts are only downloaded from the font library's bucket, where the editor uploads them
+const FONT_HOSTS = (process.env.FONT_HOSTS || 'templatebuilder365-user-data.s3.us-east-1.amazonaws.com')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+const FONT_FETCH_TIMEOUT_MS = 10000;
+// The editor's upload limit
+const MAX_FONT_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Whether a font source may be embedded: a data URL, or an https URL on a font library host
+ * @param {string} src - Font URL
+ * @returns {boolean} Is an allowed source
+ */
+function isAllowedFontSource(src) {
+  if (typeof src !== 'string') return false;
+  if (src.startsWith('data:')) return true;
+  try {
+    const url = new URL(src);
+    return url.protocol === 'https:' && !url.port && !url.username && FONT_HOSTS.includes(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a font download, giving up once it grows past the size limit
+ * @param {Response} response - fetch response
+ * @param {string} family - Font family, for errors
+ * @returns {Promise<Buffer>} Font file
+ */
+async function readFontFile(response, family) {
+  const tooLarge = () => new Error(`Failed to embed font ${family}: larger than ${MAX_FONT_BYTES / (1024 * 1024)}MB`);
+  if (Number(response.headers?.get('content-length')) > MAX_FONT_BYTES) throw tooLarge();
+
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > MAX_FONT_BYTES) throw tooLarge();
+    return data;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > MAX_FONT_BYTES) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Quote a font family name or URL as a CSS string. Line breaks and `<` are escaped too, so
+ * the value cannot end the string or the <style> element around it.
+ * @param {string} value - Text to quote
+ * @returns {string} Quoted text
+ */
+function quoteCSSString(value) {
+  return `"${String(value).replace(/[\\"<\n\r\f]/g, char => `\\${char.charCodeAt(0).toString(16)} `)}"`;
+}
+
+/**
+ * @font-face rules for library fonts. Values outside the known formats, weights and styles
+ * fall back to none or normal.
+ * @param {Array<Object>} fonts - Parsed fonts with family, src, format, weight and style
+ * @returns {string} CSS rules, empty when there are no fonts
+ */
+function getFontFaceCSS(fonts) {
+  return fonts.map(font => `@font-face {
+    font-family: ${quoteCSSString(font.family)};
+    src: url(${quoteCSSString(font.src)})${FONT_FORMATS[font.format] ? ` format('${font.format}')` : ''};
+    font-weight: ${FONT_WEIGHT.test(String(font.weight)) ? font.weight : 'normal'};
+    font-style: ${FONT_STYLES.includes(font.style) ? font.style : 'normal'};
+    font-display: block;
+}`).join('\n\n');
+}
+
+/**
+ * Replace the URLs of library fonts with data URLs of their files. Fonts that are
+ * already data URLs are kept as they are; others are only downloaded from the font library's
+ * hosts, within a time and size limit.
+ * @param {Array<Object>} fonts - Parsed fonts
+ * @param {Function} fetchFont - fetch-compatible function used to download font files
+ * @returns {Promise<Array<Object>>} Fonts with embedded sources
+ */
+async function embedFonts(fonts, fetchFont = fetch) {
+  return Promise.all(fonts.map(async font => {
+    if (font.src.startsWith('data:')) return font;
+    if (!isAllowedFontSource(font.src)) {
+      throw new Error(`Failed to embed font ${font.family}: ${font.src} is not in the font library`);
+    }
+    if (!FONT_FORMATS[font.format]) {
+      throw new Error(`Failed to embed font ${font.family}: unknown format ${font.format}`);
+    }
+
+    const response = await fetchFont(font.src, {
+      signal: AbortSignal.timeout(FONT_FETCH_TIMEOUT_MS),
+      redirect: 'error'
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to embed font ${font.family}: HTTP ${response.status}`);
+    }
+    const data = (await readFontFile(response, font.family)).toString('base64');
+    return { ...font, src: `data:${FONT_FORMATS[font.format]};base64,${data}` };
+  }));
+}
+
+module.exports = {
+  FONT_FORMATS,
+  FONT_STYLES,
+  isAllowedFontSource,
+  getFontFaceCSS,
+  embedFonts
+};
@@ -1,12 +1,27 @@
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const { convertTB365ToHTML } = require('./tb365-converter.cjs');
+const { convertTB365ToHTML, embedFonts } = require('./tb365-converter.cjs');
+const { FONT_FORMATS, FONT_STYLES, isAllowedFontSource } = require('./font-face');
 
 /**
  * Ultra-minimal TB365 to HTML converter
  * Focus: Fast, lightweight, HTML-only conversion
  */
 
+// Library fonts: sources must be data URLs or https URLs on the font library's host
+const fontSchema = Joi.object({
+  family: Joi.string().trim().min(1).required(),
+  src: Joi.string().required().custom((value, helpers) => (
+    isAllowedFontSource(value) ? value : helpers.message('{{#label}} must be a data URL or an https URL in the font library')
+  )),
+  format: Joi.string().valid(...Object.keys(FONT_FORMATS)).required(),
+  weight: Joi.alternatives().try(
+    Joi.string().valid('normal', 'bold'),
+    Joi.number().valid(100, 200, 300, 400, 500, 600, 700, 800, 900)
+  ).optional(),
+  style: Joi.string().valid(...FONT_STYLES).optional()
+}).unknown();
+
 // Validation schema
 const conversionSchema = Joi.object({
   tb365Data: Joi.object({
@@ -14,6 +29,8 @@ const conversionSchema = Joi.object({
     version: Joi.string().required(),
     canvasState: Joi.object({
       elements: Joi.array().required(),
+      fonts: Joi.array().items(fontSchema).optional(),
+      pages: Joi.array().items(Joi.object().unknown()).optional(),
       canvasSize: Joi.object({
         width: Joi.number().required(),
         height: Joi.number().required()
@@ -43,8 +60,9 @@ exports.convertToHtml = async (event) => {
 
     const { tb365Data, data = {}, options = {} } = value;
 
-    // Use shared conversion library (single source of truth)
-    const response = convertTB365ToHTML(tb365Data, data, options);
+    // Use shared conversion library (single source of truth); library fonts are embedded
+    // so the HTML renders the same offline
+    const response = convertTB365ToHTML(await embedFonts(tb365Data), data, options);
 
     console.log(`Conversion ${conversionId} completed successfully`);
     console.log(`Generated HTML: ${response.htmlResult.sizeKB}KB with ${response.originalProject.elements} elements`);
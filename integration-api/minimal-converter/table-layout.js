@@ -0,0 +1,139 @@
+/**
+ * Column widths, row heights, merged cells and per-cell styles of tables, shared by the HTML,
+ * CSS and project generators. Mirrors the editor's table layout (src/utils/tableLayout.ts).
+ */
+
+const CELL_TEXT_ALIGNS = ['left', 'center', 'right'];
+const CELL_VERTICAL_ALIGNS = ['top', 'middle', 'bottom'];
+
+/**
+ * Sizes of the columns or rows filling a total: stored sizes scaled to it, or equal sizes when
+ * none are stored
+ * @param {Array<number>|undefined} sizes - Stored sizes in px
+ * @param {number} count - Number of columns or rows
+ * @param {number} total - Size to fill
+ * @returns {Array<number>} Sizes
+ */
+function getTrackSizes(sizes, count, total) {
+  const sum = Array.isArray(sizes) && sizes.length === count ? sizes.reduce((a, b) => a + b, 0) : 0;
+  if (sum <= 0) return Array(count).fill(total / count);
+  return sizes.map(size => (size / sum) * total);
+}
+
+/**
+ * CSS selector for an element id. Editor ids are UUIDs, which often start with a digit and so
+ * need escaping to be valid after #
+ * @param {string} id - Element id
+ * @returns {string} Selector
+ */
+function getIdSelector(id) {
+  const escaped = String(id)
+    .replace(/[^\w-]/g, char => `\\${char}`)
+    .replace(/^(-?)(\d)/, (match, dash, digit) => `${dash}\\3${digit} `);
+  return `#${escaped}`;
+}
+
+const isCovered = (owners, row, col) => owners[row][col].row !== row || owners[row][col].col !== col;
+
+/**
+ * The cell whose area covers each position of the grid. A merged cell covers the cells to its
+ * right and below it, which stay in the cells but are not rendered; spans are cut at the
+ * table's edges and where they would run into another merged cell.
+ * @param {Array<Array<Object>>} cells - Table cells
+ * @param {number} rows - Row count
+ * @param {number} columns - Column count
+ * @returns {Array<Array<{row: number, col: number}>>} Owning cell of each position
+ */
+function getCellOwners(cells, rows, columns) {
+  const owners = Array.from({ length: rows }, (_, row) =>
+    Array.from({ length: columns }, (_, col) => ({ row, col }))
+  );
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const cell = cells[row] && cells[row][col];
+      if (!cell || isCovered(owners, row, col)) continue;
+      const rowEnd = Math.min(rows, row + (cell.rowSpan || 1));
+      const colEnd = Math.min(columns, col + (cell.colSpan || 1));
+      for (let r = row; r < rowEnd; r++) {
+        for (let c = col; c < colEnd; c++) {
+          if (!isCovered(owners, r, c)) owners[r][c] = { row, col };
+        }
+      }
+    }
+  }
+  return owners;
+}
+
+/**
+ * Whether a position is hidden under a merged cell
+ */
+function isCoveredCell(owners, row, col) {
+  return row >= owners.length || col >= owners[row].length || isCovered(owners, row, col);
+}
+
+/**
+ * Rows and columns a cell spans, as it is rendered
+ * @returns {{rowSpan: number, colSpan: number}} Spans
+ */
+function getCellSpan(owners, row, col) {
+  const owns = (r, c) => owners[r][c].row === row && owners[r][c].col === col;
+  let rowSpan = 1;
+  let colSpan = 1;
+  while (row + rowSpan < owners.length && owns(row + rowSpan, col)) rowSpan++;
+  while (col + colSpan < owners[row].length && owns(row, col + colSpan)) colSpan++;
+  return { rowSpan, colSpan };
+}
+
+/**
+ * colspan and rowspan attributes of a rendered cell
+ * @returns {string} Attributes with a leading space, or an empty string
+ */
+function getCellSpanAttributes(owners, row, col) {
+  const { rowSpan, colSpan } = getCellSpan(owners, row, col);
+  return `${colSpan > 1 ? ` colspan="${colSpan}"` : ''}${rowSpan > 1 ? ` rowspan="${rowSpan}"` : ''}`;
+}
+
+/**
+ * CSS declarations for a cell's overrides of the table's look
+ * @param {Object} [style] - Cell style
+ * @returns {Array<string>} Declarations without trailing semicolons
+ */
+function getCellStyleCSS(style) {
+  if (!style) return [];
+  const declarations = [];
+  if (style.textAlign) declarations.push(`text-align: ${style.textAlign}`);
+  if (style.verticalAlign) declarations.push(`vertical-align: ${style.verticalAlign}`);
+  if (style.background) declarations.push(`background-color: ${style.background}`);
+  if (style.textColor) declarations.push(`color: ${style.textColor}`);
+  if (style.fontFamily) declarations.push(`font-family: '${style.fontFamily}'`);
+  if (style.fontSize !== undefined) declarations.push(`font-size: ${style.fontSize}px`);
+  if (style.fontWeight) declarations.push(`font-weight: ${style.fontWeight}`);
+  if (style.fontStyle) declarations.push(`font-style: ${style.fontStyle}`);
+  // The table's border style stays; only its width and color are overridden
+  if (style.borderWidth !== undefined) declarations.push(`border-width: ${style.borderWidth}px`);
+  if (style.borderColor) declarations.push(`border-color: ${style.borderColor}`);
+  return declarations;
+}
+
+/**
+ * style attribute of a cell with overrides
+ * @returns {string} Attribute with a leading space, or an empty string
+ */
+function getCellStyleAttribute(style) {
+  const declarations = getCellStyleCSS(style);
+  return declarations.length > 0 ? ` style="${declarations.join('; ')}"` : '';
+}
+
+module.exports = {
+  CELL_TEXT_ALIGNS,
+  CELL_VERTICAL_ALIGNS,
+  getIdSelector,
+  getTrackSizes,
+  getCellOwners,
+  isCoveredCell,
+  getCellSpan,
+  getCellSpanAttributes,
+  getCellStyleCSS,
+  getCellStyleAttribute
+};
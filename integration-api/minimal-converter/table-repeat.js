@@ -0,0 +1,111 @@
+/**
+ * Tables whose template row repeats once per item of an array variable. The HTML generator
+ * marks the template row and the empty-state row; the variable replacer expands them when the
+ * data is bound. Mirrors the editor's repeating rows (src/utils/tableRepeat.ts).
+ */
+
+const { renderBlocks } = require('./template-logic');
+const { getIdSelector } = require('./table-layout');
+
+// Array variables are named like other variables; dot paths reach nested arrays
+const REPEAT_SOURCE = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+const STRIPE_CLASS = 'stripe';
+
+const TEMPLATE_ROW = /<tr data-repeat="([^"]+)"([^>]*)>([\s\S]*?)<\/tr>/g;
+const EMPTY_ROW = /<tr data-repeat-empty="([^"]+)">([\s\S]*?)<\/tr>/g;
+const CLASS_ATTRIBUTE = /(\sclass=")([^"]*)"/;
+
+/**
+ * Opening tag of a table row. The template row and the empty-state row of a repeating table
+ * carry the array variable they depend on.
+ * @param {Object|null} repeat - Table repeat settings, if any
+ * @param {number} rowIndex - Row in the table's cells
+ * @param {boolean} [empty] - Open the empty-state row instead
+ * @param {string} [attributes] - Further attributes, with a leading space
+ * @returns {string} Opening <tr> tag
+ */
+function getRowTag(repeat, rowIndex, empty = false, attributes = '') {
+  if (repeat && empty) return `<tr data-repeat-empty="${repeat.source}">`;
+  if (repeat && rowIndex === repeat.templateRow) return `<tr data-repeat="${repeat.source}"${attributes}>`;
+  return `<tr${attributes}>`;
+}
+
+/**
+ * CSS for the rows of a repeating table: striped item rows, and an empty-state row that only
+ * shows once the data turns out to be empty
+ * @param {string} elementId - Table element id
+ * @param {Object} repeat - Table repeat settings
+ * @returns {string} CSS rules
+ */
+function getRepeatingRowsCSS(elementId, repeat) {
+  const table = getIdSelector(elementId);
+  let css = `${table} tr[data-repeat-empty] {
+    display: none;
+}
+`;
+  if (repeat.stripeBackground) {
+    css += `
+${table} tr.${STRIPE_CLASS} > td {
+    background-color: ${repeat.stripeBackground};
+}
+`;
+  }
+  return css;
+}
+
+/**
+ * Add a class to a tag's attributes, joining the class attribute they already have
+ * @param {string} attributes - Tag attributes, with a leading space
+ * @param {string} className - Class to add
+ * @returns {string} Attributes with the class
+ */
+function addClass(attributes, className) {
+  if (!CLASS_ATTRIBUTE.test(attributes)) return `${attributes} class="${className}"`;
+  return attributes.replace(CLASS_ATTRIBUTE, (match, prefix, classes) =>
+    `${prefix}${classes.trim() ? `${classes.trim()} ${className}` : className}"`);
+}
+
+/**
+ * Expand the template rows in generated HTML into one row per array item. Each row is rendered
+ * like the body of an {{#each}} loop: placeholders and blocks read the item first, along with
+ * {{@index}}, {{@first}} and {{@last}}, and the placeholders it does not have are left for the
+ * document-wide replacement. Empty-state rows stay only for empty or missing arrays.
+ * @param {string} html - Generated HTML
+ * @param {Function} getItems - Returns the array bound to a variable, or undefined
+ * @param {Function} renderValue - Renders an item value for a placeholder name
+ * @param {Function} [lookup] - Returns the value of a document-wide variable, for conditions
+ * @returns {{html: string, expanded: Array<{source: string, items: number}>, errors: Array<string>}}
+ *   Expanded HTML, how many items each template row received and problems with blocks in rows
+ */
+function expandRepeatingRows(html, getItems, renderValue, lookup = () => undefined) {
+  const expanded = [];
+  const errors = [];
+
+  const result = html.replace(TEMPLATE_ROW, (match, source, attributes, cellsHTML) => {
+    const items = getItems(source) || [];
+    expanded.push({ source, items: items.length });
+    return items.map((item, index) => {
+      const rendered = renderBlocks(cellsHTML, lookup, renderValue, { item, index, length: items.length });
+      rendered.errors.filter(error => !errors.includes(error)).forEach(error => errors.push(error));
+      const rowAttributes = index % 2 === 1 ? addClass(attributes, STRIPE_CLASS) : attributes;
+      return `<tr data-repeat-index="${index}"${rowAttributes}>${rendered.html}</tr>`;
+    }).join('\n            ');
+  });
+
+  return {
+    html: result.replace(EMPTY_ROW, (match, source, cellsHTML) => {
+      const items = getItems(source);
+      return items && items.length > 0 ? '' : `<tr class="repeat-empty">${cellsHTML}</tr>`;
+    }),
+    expanded,
+    errors
+  };
+}
+
+module.exports = {
+  REPEAT_SOURCE,
+  STRIPE_CLASS,
+  getRowTag,
+  getRepeatingRowsCSS,
+  expandRepeatingRows
+};
@@ -3,6 +3,9 @@
  * Handles template variables and raw content in TB365 elements
  */
 
+const { getCellOwners, isCoveredCell } = require('../utils/table-layout');
+const { getPlaceholderVariables, getTemplateVariables, getRowBlock } = require('../utils/template-logic');
+
 class ContentProcessor {
   /**
    * Process content from TB365 elements
@@ -98,9 +101,21 @@ class ContentProcessor {
    * @param {Object} processed - Processed content object
    */
   processTableElement(element, processed) {
-    element.table.cells.forEach((row, rowIndex) => {
+    const { rows, columns, cells, repeat } = element.table;
+    const owners = getCellOwners(cells, rows, columns);
+
+    cells.forEach((row, rowIndex) => {
+      const isTemplateRow = Boolean(repeat) && rowIndex === repeat.templateRow;
+      // A row wrapped in {{#each}} from its first cell to its last loops like a template row
+      const rowBlock = isTemplateRow ? null : getRowBlock(row.map((cell, colIndex) => (isCoveredCell(owners, rowIndex, colIndex) ? null : cell.content || '')));
+      const rowLoop = rowBlock && rowBlock.open.match(/^\{\{\s*#each\s+(.+?)\s*\}\}$/);
+      // Cells of a repeating table's template row refer to fields of the array items
+      const repeatSource = isTemplateRow ? repeat.source : (rowLoop ? rowLoop[1] : undefined);
+
       row.forEach((cell, colIndex) => {
-        const analysis = this.analyzeContent(cell.content);
+        // Cells under a merged cell are not rendered, so their content is not data
+        if (isCoveredCell(owners, rowIndex, colIndex)) return;
+        const analysis = this.analyzeContent(rowLoop ? rowBlock.contents[colIndex] : cell.content);
         
         const tableCell = {
           elementId: element.id,
@@ -108,6 +123,7 @@ class ContentProcessor {
           row: rowIndex,
           column: colIndex,
           isHeader: cell.isHeader,
+          repeatSource,
           originalContent: cell.content,
           contentType: analysis.type,
           hasVariables: analysis.hasVariables,
@@ -131,7 +147,8 @@ class ContentProcessor {
           processed.mixedContent.set(cellId, analysis);
         }
 
-        // Collect variables
+        // Collect variables; item fields are not document-wide variables
+        if (repeatSource) return;
         analysis.variables.forEach(variable => {
           this.addVariable(variable, { ...element, cellPosition: { row: rowIndex, column: colIndex } }, processed.variables);
           processed.statistics.totalVariables++;
@@ -162,12 +179,15 @@ class ContentProcessor {
     const variableRegex = /\{\{([^}]+)\}\}/g;
     const variables = [];
     const variableMatches = [];
+    // Item fields inside loops are not variables of the data
+    const dataVariables = getTemplateVariables(content);
     let match;
 
     while ((match = variableRegex.exec(content)) !== null) {
       const variableName = match[1].trim();
       if (variableName) {
-        variables.push(variableName);
+        // Block tags are template syntax too, but only their conditions' variables count
+        variables.push(...getPlaceholderVariables(variableName).filter(name => dataVariables.includes(name)));
         variableMatches.push({
           fullMatch: match[0], // {{variable.name}}
           variableName,
@@ -3,6 +3,14 @@
  * Generates CSS styles for APITemplate.io templates
  */
 
+const { getTransformCSS } = require('../utils/css-transform');
+const { getTypographyCSS } = require('../utils/text-style');
+const { getTextOverflowCSS } = require('../utils/text-overflow');
+const { getFontFaceCSS, embedFonts } = require('../utils/font-face');
+const { getBoxEffectsCSS } = require('../utils/box-style');
+const { getPictureCSS, getImageMaskCSS } = require('../utils/image-style');
+const { getRepeatingRowsCSS } = require('../utils/table-repeat');
+
 class CSSGenerator {
   /**
    * Generate CSS from parsed TB365 data
@@ -21,6 +29,9 @@ class CSSGenerator {
         responsive = false
       } = customSettings;
       
+      // Library fonts are embedded so the template renders without fetching them
+      const fontCss = getFontFaceCSS(await embedFonts(parsedData.fonts || []));
+      
       // Generate base CSS
       const baseCss = this.generateBaseCSS(parsedData.canvas);
       
@@ -34,7 +45,7 @@ class CSSGenerator {
       const responsiveCss = responsive ? this.generateResponsiveCSS(parsedData) : '';
       
       // Combine all CSS
-      let css = [baseCss, elementCss, utilityCss, responsiveCss]
+      let css = [fontCss, baseCss, elementCss, utilityCss, responsiveCss]
         .filter(Boolean)
         .join('\n\n');
       
@@ -121,6 +132,11 @@ body {
       css += `\n    height: ${element.size.height}px;`;
       css += `\n    z-index: ${element.zIndex};`;
       
+      const transform = getTransformCSS(element);
+      if (transform) {
+        css += `\n    transform: ${transform};`;
+      }
+      
       if (!element.visible) {
         css += `\n    display: none;`;
       }
@@ -142,6 +158,16 @@ body {
       }
       
       css += `\n}`;
+
+      // A cropped picture is positioned inside its element box, which clips it
+      if (element.type === 'image' && element.styling.crop) {
+        css += `\n\n#${element.id} > img {`;
+        css += `\n    display: block;`;
+        getPictureCSS(element.styling, fit => this.mapImageFit(fit)).forEach(declaration => {
+          css += `\n    ${declaration};`;
+        });
+        css += `\n}`;
+      }
       
       // Add hover effects for interactive elements
       if (element.type === 'text' || element.type === 'rectangle') {
@@ -170,7 +196,6 @@ body {
     css += `\n    color: ${styling.color};`;
     css += `\n    padding: ${styling.padding}px;`;
     css += `\n    display: flex;`;
-    css += `\n    align-items: center;`;
     css += `\n    word-wrap: break-word;`;
     css += `\n    overflow-wrap: break-word;`;
     
@@ -178,6 +203,12 @@ body {
       css += `\n    background-color: ${styling.backgroundColor};`;
     }
     
+    // Typography, then keep replaced values inside the box (or grow it) as the overflow policy
+    // says, then the box effects
+    [...getTypographyCSS(styling), ...getTextOverflowCSS(element), ...getBoxEffectsCSS(styling)].forEach(declaration => {
+      css += `\n    ${declaration};`;
+    });
+    
     return css;
   }
 
@@ -195,6 +226,10 @@ body {
       css += `\n    border-radius: ${styling.cornerRadius}px;`;
     }
     
+    getBoxEffectsCSS(styling).forEach(declaration => {
+      css += `\n    ${declaration};`;
+    });
+    
     return css;
   }
 
@@ -205,11 +240,23 @@ body {
     const { styling } = element;
     let css = '';
     
-    css += `\n    opacity: ${styling.opacity};`;
-    css += `\n    object-fit: ${this.mapImageFit(styling.fit)};`;
-    css += `\n    object-position: center;`;
+    if (styling.crop) {
+      // The picture itself is styled by its own rule
+      css += `\n    overflow: hidden;`;
+    } else {
+      getPictureCSS(styling, fit => this.mapImageFit(fit)).forEach(declaration => {
+        css += `\n    ${declaration};`;
+      });
+      if (!styling.focalPoint) {
+        css += `\n    object-position: center;`;
+      }
+    }
     css += `\n    display: block;`;
     
+    [...getBoxEffectsCSS(styling), ...getImageMaskCSS(styling)].forEach(declaration => {
+      css += `\n    ${declaration};`;
+    });
+    
     return css;
   }
 
@@ -221,6 +268,7 @@ body {
     let css = '';
     
     css += `\n    border-collapse: collapse;`;
+    if (element.table && element.table.columnWidths) css += `\n    table-layout: fixed;`;
     css += `\n    font-family: '${styling.fontFamily}';`;
     css += `\n    font-size: ${styling.fontSize}px;`;
     css += `\n    color: ${styling.textColor};`;
@@ -241,6 +289,11 @@ body {
     
     css += `\n\n#${element.id} td {`;
     css += `\n    background-color: ${styling.cellBackground};`;
+
+    if (element.table && element.table.repeat) {
+      // The caller closes the last rule, as with the cell rules above
+      css += `\n}\n\n${getRepeatingRowsCSS(element.id, element.table.repeat).trim().replace(/\s*\}$/, '')}`;
+    }
     
     return css;
   }
@@ -3,6 +3,8 @@
  * Extracts data variables and schema from TB365 projects
  */
 
+const { getConditionVariables, getTemplateVariables, getTemplateLoops } = require('../utils/template-logic');
+
 class DataExtractor {
   /**
    * Extract variables and data schema from parsed TB365 data
@@ -30,6 +32,9 @@ class DataExtractor {
       // Extract variables from image elements
       this.extractImageVariables(parsedData.elements, variables, defaultValues, schema);
       
+      // Extract variables that elements' "visible when" conditions read
+      this.extractConditionVariables(parsedData.elements, variables, defaultValues, schema);
+      
       // Generate additional metadata variables
       this.generateMetadataVariables(parsedData, variables, defaultValues, schema);
       
@@ -42,7 +47,8 @@ class DataExtractor {
           textVariables: this.countVariablesByType(variables, 'text'),
           imageVariables: this.countVariablesByType(variables, 'image'),
           tableVariables: this.countVariablesByType(variables, 'table'),
-          metadataVariables: this.countVariablesByType(variables, 'metadata')
+          metadataVariables: this.countVariablesByType(variables, 'metadata'),
+          conditionVariables: this.countVariablesByType(variables, 'condition')
         }
       };
       
@@ -62,8 +68,10 @@ class DataExtractor {
     textElements.forEach(element => {
       // Look for variables in text content ({{variable}} format)
       const foundVariables = this.findVariablesInText(element.content);
+      // The lists of {{#each}} loops are array variables
+      const loops = getTemplateLoops(element.content);
       
-      foundVariables.forEach(variable => {
+      foundVariables.filter(variable => !loops.some(loop => loop.source === variable)).forEach(variable => {
         const variableInfo = {
           name: variable,
           type: 'text',
@@ -88,6 +96,10 @@ class DataExtractor {
         schema.required.push(variable);
       });
       
+      loops.forEach(loop => {
+        this.addRepeatVariable(loop.source, loop.fields, element.id, element.name, variables, defaultValues, schema, 'text', `Items listed in ${element.name}`);
+      });
+      
       // If no variables found, create one for the entire text content
       if (foundVariables.length === 0 && element.content) {
         const variableName = this.generateVariableName(element.name, 'content');
@@ -131,12 +143,26 @@ class DataExtractor {
     
     tableElements.forEach((cells, elementId) => {
       const element = cells[0]; // Get element info from first cell
+      // Item fields used by the template rows of repeating tables, by array variable
+      const repeatFields = new Map();
       
       cells.forEach(cell => {
+        if (cell.repeatSource) {
+          const fields = repeatFields.get(cell.repeatSource) || new Set();
+          // The cell's analysed variables leave out the tags of rows looping with {{#each}}
+          (cell.variables || this.findVariablesInText(cell.content)).forEach(field => fields.add(field));
+          repeatFields.set(cell.repeatSource, fields);
+          return;
+        }
+
         // Look for variables in cell content
         const foundVariables = this.findVariablesInText(cell.content);
+        const loops = getTemplateLoops(cell.content);
+        loops.forEach(loop => {
+          this.addRepeatVariable(loop.source, loop.fields, elementId, element.elementName || `table-${elementId}`, variables, defaultValues, schema, 'table', `Items listed in row ${cell.row}, column ${cell.column} of ${element.elementName || `table-${elementId}`}`);
+        });
         
-        foundVariables.forEach(variable => {
+        foundVariables.filter(variable => !loops.some(loop => loop.source === variable)).forEach(variable => {
           const variableInfo = {
             name: variable,
             type: 'table',
@@ -200,9 +226,50 @@ class DataExtractor {
           };
         }
       });
+
+      repeatFields.forEach((fields, source) => {
+        this.addRepeatVariable(source, Array.from(fields), elementId, element.elementName || `table-${elementId}`, variables, defaultValues, schema);
+      });
     });
   }
 
+  /**
+   * Add the array variable a repeating table or an {{#each}} loop draws its items from. Its
+   * default is a few sample items with every field the template uses, or plain sample values
+   * for loops that only read {{this}}.
+   */
+  addRepeatVariable(source, fields, elementId, elementName, variables, defaultValues, schema, type = 'table', description = `Rows of ${elementName}, one per item`) {
+    const variableInfo = {
+      name: source,
+      type,
+      elementId,
+      elementName,
+      dataType: 'array',
+      itemFields: fields,
+      required: false,
+      description
+    };
+
+    variables.set(source, variableInfo);
+    defaultValues[source] = [1, 2, 3].map(number => (fields.length === 0 ? `${source} ${number}` : Object.fromEntries(fields.map(field => {
+      const value = this.generateDefaultValue(field, 'table');
+      // Fields without a typical default get a numbered sample instead of their placeholder
+      return [field, typeof value === 'string' && value.startsWith('{{') ? `${field} ${number}` : value];
+    }))));
+
+    schema.properties[source] = {
+      type: 'array',
+      description: variableInfo.description,
+      items: fields.length === 0 ? { type: 'string' } : {
+        type: 'object',
+        properties: Object.fromEntries(fields.map(field => [field, {
+          type: this.inferDataType(field) === 'number' ? 'number' : 'string'
+        }]))
+      },
+      default: defaultValues[source]
+    };
+  }
+
   /**
    * Extract variables from image elements
    */
@@ -259,6 +326,38 @@ class DataExtractor {
     });
   }
 
+  /**
+   * Extract the variables of "visible when" conditions that no content uses. They are
+   * optional: a missing value hides the element.
+   */
+  extractConditionVariables(elements, variables, defaultValues, schema) {
+    elements.filter(element => element.visibleWhen).forEach(element => {
+      getConditionVariables(element.visibleWhen).forEach(variable => {
+        if (variables.has(variable)) return;
+
+        const variableInfo = {
+          name: variable,
+          type: 'condition',
+          elementId: element.id,
+          elementName: element.name,
+          condition: element.visibleWhen,
+          dataType: this.inferDataType(variable),
+          required: false,
+          description: `Shows ${element.name} when ${element.visibleWhen}`
+        };
+
+        variables.set(variable, variableInfo);
+        defaultValues[variable] = this.generateDefaultValue(variable, 'text');
+
+        schema.properties[variable] = {
+          type: variableInfo.dataType === 'number' ? 'number' : 'string',
+          description: variableInfo.description,
+          default: defaultValues[variable]
+        };
+      });
+    });
+  }
+
   /**
    * Generate metadata variables
    */
@@ -321,18 +420,7 @@ class DataExtractor {
    * Find variables in text using {{variable}} syntax
    */
   findVariablesInText(text) {
-    const variableRegex = /\{\{([^}]+)\}\}/g;
-    const variables = [];
-    let match;
-    
-    while ((match = variableRegex.exec(text)) !== null) {
-      const variableName = match[1].trim();
-      if (variableName && !variables.includes(variableName)) {
-        variables.push(variableName);
-      }
-    }
-    
-    return variables;
+    return getTemplateVariables(text);
   }
 
   /**
@@ -444,7 +532,7 @@ class DataExtractor {
         sampleData[variable.name] = this.generateSampleText(variable.name);
       } else if (variable.type === 'image') {
         sampleData[variable.name] = this.generateSampleImageUrl(variable.name);
-      } else if (variable.type === 'table') {
+      } else if (variable.type === 'table' && variable.dataType !== 'array') {
         sampleData[variable.name] = this.generateSampleTableData(variable.name);
       }
     });
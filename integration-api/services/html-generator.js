@@ -3,6 +3,24 @@
  * Converts parsed TB365 data to complete self-contained HTML documents
  */
 
+const { getTransformCSS } = require('../utils/css-transform');
+const { getShapeSVG } = require('../utils/shape-svg');
+const { renderTextRunsHTML } = require('../utils/text-runs');
+const { getTypographyCSS } = require('../utils/text-style');
+const { getTextOverflowCSS, getTextOverflowAttributes, wrapTextOverflowContent, getTextFitScript } = require('../utils/text-overflow');
+const { getFontFaceCSS, embedFonts } = require('../utils/font-face');
+const { getBoxEffectsCSS } = require('../utils/box-style');
+const { getPictureCSS, getImageMaskCSS } = require('../utils/image-style');
+const { getRowTag, getRepeatingRowsCSS, expandRepeatingRows } = require('../utils/table-repeat');
+const { renderBlocks, wrapVisibleWhen, getRowBlock } = require('../utils/template-logic');
+const {
+  getTrackSizes,
+  getCellOwners,
+  isCoveredCell,
+  getCellSpanAttributes,
+  getCellStyleAttribute
+} = require('../utils/table-layout');
+
 class HtmlGenerator {
   /**
    * Generate complete HTML document with embedded CSS
@@ -16,8 +34,9 @@ class HtmlGenerator {
       
       const startTime = Date.now();
       
-      // Generate CSS styles
-      const cssStyles = this.generateCSS(parsedData);
+      // Generate CSS styles, with library fonts embedded so the document renders offline
+      const fonts = await embedFonts(parsedData.fonts || []);
+      const cssStyles = this.generateCSS({ ...parsedData, fonts });
       
       // Generate HTML structure
       const htmlContent = this.generateHTML(parsedData, cssStyles);
@@ -35,6 +54,7 @@ class HtmlGenerator {
           originalElements: parsedData.elements.length,
           variables: Object.keys(dataStructure.variables).length,
           canvasSize: parsedData.canvas.size,
+          pages: this.getPages(parsedData).map(({ id, name, size, orientation, preset }) => ({ id, name, size, orientation, preset })),
           complexity: this.calculateComplexity(parsedData),
           generatedAt: new Date().toISOString(),
           generationTime: Date.now() - startTime + 'ms'
@@ -57,8 +77,6 @@ class HtmlGenerator {
    * @returns {string} Complete HTML document
    */
   generateHTML(parsedData, cssStyles) {
-    const { elements, canvas } = parsedData;
-    
     // Start building HTML document
     let html = `<!DOCTYPE html>
 <html lang="en">
@@ -71,19 +89,29 @@ ${cssStyles}
     </style>
 </head>
 <body>
-    <div class="canvas-container">
 `;
 
-    // Sort elements by z-index for proper rendering order
-    const sortedElements = [...elements].sort((a, b) => a.zIndex - b.zIndex);
-    
-    // Generate HTML for each element
-    sortedElements.forEach(element => {
-      html += this.generateElementHTML(element);
+    // One container per page; each prints as its own PDF page
+    this.getPages(parsedData).forEach(page => {
+      html += `    <div class="canvas-container page-${page.index + 1}" data-page-id="${this.escapeHtml(page.id)}">
+`;
+
+      // Top-level elements in z-index order; grouped elements render inside their group
+      const sortedElements = this.getChildElements(page.elements);
+      
+      // Generate HTML for each element
+      sortedElements.forEach(element => {
+        html += this.generateElementHTML(element, page.elements);
+      });
+
+      html += `    </div>
+`;
     });
 
-    html += `    </div>
-</body>
+    // Shrink-to-fit text is sized in the browser, after variables are replaced
+    html += getTextFitScript(parsedData.elements);
+
+    html += `</body>
 </html>`;
 
     return html;
@@ -95,14 +123,19 @@ ${cssStyles}
    * @returns {string} Complete CSS styles
    */
   generateCSS(parsedData) {
-    const { elements, canvas } = parsedData;
+    const { elements } = parsedData;
+    const pages = this.getPages(parsedData);
+    const fontFaces = getFontFaceCSS(parsedData.fonts || []);
     
-    let css = `/* Base Canvas Styles */
+    let css = `${fontFaces ? `/* Font Library */\n${fontFaces}\n\n` : ''}/* Base Canvas Styles */
+@page {
+    margin: 0;
+}
+
 body {
     margin: 0;
     padding: 0;
-    width: ${canvas.size.width}px;
-    height: ${canvas.size.height}px;
+    width: ${Math.max(...pages.map(page => page.size.width))}px;
     position: relative;
     font-family: Arial, sans-serif;
     box-sizing: border-box;
@@ -115,9 +148,14 @@ body {
 
 .canvas-container {
     position: relative;
-    width: 100%;
-    height: 100%;
     overflow: hidden;
+    break-after: page;
+    page-break-after: always;
+}
+
+.canvas-container:last-child {
+    break-after: auto;
+    page-break-after: auto;
 }
 
 /* Element Base Classes */
@@ -137,9 +175,16 @@ body {
 
 `;
 
-    // Generate element-specific CSS
+    // Page sizes (named pages let each PDF page keep its own size and orientation)
+    pages.forEach(page => {
+      css += this.generatePageCSS(page);
+    });
+
+    // Generate element-specific CSS (grouped elements are positioned relative to their group)
+    const elementsById = new Map(elements.map(element => [element.id, element]));
     elements.forEach(element => {
-      css += this.generateElementCSS(element);
+      const parent = element.parentId ? elementsById.get(element.parentId) : null;
+      css += this.generateElementCSS(element, parent ? parent.position : undefined);
     });
 
     // Add utility classes
@@ -148,30 +193,102 @@ body {
     return css;
   }
 
+  /**
+   * Get the pages of a parsed project, treating data without pages as a single page
+   * @param {Object} parsedData - Parsed TB365 data
+   * @returns {Array} Pages with size, orientation and elements
+   */
+  getPages(parsedData) {
+    if (parsedData.pages && parsedData.pages.length > 0) {
+      return parsedData.pages;
+    }
+    
+    const { size } = parsedData.canvas;
+    return [{
+      id: 'page-1',
+      name: 'Page 1',
+      index: 0,
+      size,
+      orientation: size.width > size.height ? 'landscape' : 'portrait',
+      preset: null,
+      elements: parsedData.elements
+    }];
+  }
+
+  /**
+   * Generate the container and print size CSS for a page
+   * @param {Object} page - Parsed page
+   * @returns {string} Page CSS
+   */
+  generatePageCSS(page) {
+    const pageName = `page-${page.index + 1}`;
+    return `
+/* ${pageName}: ${page.name.replace(/\*\//g, '')} */
+.${pageName} {
+    page: ${pageName};
+    width: ${page.size.width}px;
+    height: ${page.size.height}px;
+}
+
+@page ${pageName} {
+    size: ${page.size.width}px ${page.size.height}px;
+}
+`;
+  }
+
+  /**
+   * Get the direct children of a group, or the top-level elements, sorted by z-index
+   * @param {Array} elements - All parsed elements
+   * @param {string} [parentId] - Group id, omitted for top-level elements
+   * @returns {Array} Child elements in rendering order
+   */
+  getChildElements(elements, parentId) {
+    return elements
+      .filter(element => element.parentId === parentId)
+      .sort((a, b) => a.zIndex - b.zIndex);
+  }
+
   /**
    * Generate HTML for individual element
    * @param {Object} element - Element to convert
+   * @param {Array} elements - All parsed elements, used to render group children
    * @returns {string} Element HTML
    */
-  generateElementHTML(element) {
+  generateElementHTML(element, elements = []) {
     const baseClasses = `element ${element.type}-element ${element.name}`;
     const visibilityClass = !element.visible ? ' hidden' : '';
     const lockedClass = element.locked ? ' locked' : '';
     
     const classes = `${baseClasses}${visibilityClass}${lockedClass}`;
 
+    let html;
     switch (element.type) {
       case 'text':
-        return this.generateTextHTML(element, classes);
+        html = this.generateTextHTML(element, classes);
+        break;
       case 'rectangle':
-        return this.generateRectangleHTML(element, classes);
+        html = this.generateRectangleHTML(element, classes);
+        break;
+      case 'line':
+      case 'arrow':
+      case 'ellipse':
+        html = this.generateShapeHTML(element, classes);
+        break;
       case 'image':
-        return this.generateImageHTML(element, classes);
+        html = this.generateImageHTML(element, classes);
+        break;
       case 'table':
-        return this.generateTableHTML(element, classes);
+        html = this.generateTableHTML(element, classes);
+        break;
+      case 'group':
+        html = this.generateGroupHTML(element, classes, elements);
+        break;
       default:
-        return this.generateGenericHTML(element, classes);
+        html = this.generateGenericHTML(element, classes);
     }
+
+    // Decided when data is bound, together with the content's own conditional blocks
+    return wrapVisibleWhen(html, element.visibleWhen);
   }
 
   /**
@@ -183,13 +300,16 @@ body {
     
     // Process content - keep variables as-is for replacement
     let content = element.content;
-    if (analysis.type === 'raw') {
+    if (element.runs) {
+      // Inline formatting; variables inside runs are kept for replacement
+      content = renderTextRunsHTML(element.runs);
+    } else if (analysis.type === 'raw') {
       content = this.escapeHtml(content);
     }
     // For template and mixed content, preserve variable syntax
     
-    return `        <div id="${element.id}" class="${classes}">
-            ${content}
+    return `        <div id="${element.id}" class="${classes}"${getTextOverflowAttributes(element)}>
+            ${wrapTextOverflowContent(content, element)}
         </div>
 `;
   }
@@ -203,6 +323,16 @@ body {
 `;
   }
 
+  /**
+   * Generate line, arrow or ellipse element HTML, drawn as SVG inside the element box
+   */
+  generateShapeHTML(element, classes) {
+    return `        <div id="${element.id}" class="${classes}">
+            ${getShapeSVG(element)}
+        </div>
+`;
+  }
+
   /**
    * Generate image element HTML
    */
@@ -210,6 +340,14 @@ body {
     // Use variable syntax for image src that can be replaced later
     const imageSrc = element.src || `{{${element.name}_url}}`;
     
+    // A cropped picture is positioned inside a clipping wrapper that carries the element box
+    if (element.styling.crop) {
+      return `        <div id="${element.id}" class="${classes}">
+            <img src="${imageSrc}" alt="${this.escapeHtml(element.name)}" loading="lazy">
+        </div>
+`;
+    }
+
     return `        <img id="${element.id}" class="${classes}" 
              src="${imageSrc}" 
              alt="${this.escapeHtml(element.name)}"
@@ -225,25 +363,67 @@ body {
       return `        <div id="${element.id}" class="${classes}">Table data missing</div>\n`;
     }
 
+    const { rows, columns, cells, columnWidths, rowHeights } = element.table;
     let tableHTML = `        <table id="${element.id}" class="${classes}">
 `;
-
-    element.table.cells.forEach((row, rowIndex) => {
-      tableHTML += '            <tr>\n';
+    // A repeating table's template row is expanded per array item when data is bound
+    const repeat = element.table.repeat || null;
+    const owners = getCellOwners(cells, rows, columns);
+
+    if (columnWidths) {
+      tableHTML += '            <colgroup>\n';
+      getTrackSizes(columnWidths, columns, 100).forEach(width => {
+        tableHTML += `                <col style="width: ${Math.round(width * 100) / 100}%">\n`;
+      });
+      tableHTML += '            </colgroup>\n';
+    }
+    const heights = rowHeights ? getTrackSizes(rowHeights, rows, element.size.height) : null;
+
+    cells.forEach((row, rowIndex) => {
+      const rowStyle = heights ? ` style="height: ${Math.round(heights[rowIndex] * 100) / 100}px"` : '';
+      // Cells under a merged cell are not rendered
+      const contents = row.map((cell, colIndex) => (isCoveredCell(owners, rowIndex, colIndex) ? null : cell.content || ''));
+      // A row opening a block in its first cell and closing it in its last repeats or drops whole
+      const rowBlock = repeat && rowIndex === repeat.templateRow ? null : getRowBlock(contents);
+      if (rowBlock) tableHTML += `            ${rowBlock.open}\n`;
+      tableHTML += `            ${getRowTag(repeat, rowIndex, false, rowStyle)}\n`;
       row.forEach((cell, colIndex) => {
+        const content = rowBlock ? rowBlock.contents[colIndex] : contents[colIndex];
+        if (content === null) return;
         const tagName = cell.isHeader ? 'th' : 'td';
+        const attributes = getCellSpanAttributes(owners, rowIndex, colIndex) + getCellStyleAttribute(cell.style);
         // Preserve template variables in table cells
-        const content = cell.content || '';
-        
-        tableHTML += `                <${tagName}>${content}</${tagName}>\n`;
+        tableHTML += `                <${tagName}${attributes}>${content}</${tagName}>\n`;
       });
       tableHTML += '            </tr>\n';
+      if (rowBlock) tableHTML += `            ${rowBlock.close}\n`;
+
+      if (repeat && rowIndex === repeat.templateRow && repeat.emptyText) {
+        tableHTML += `            ${getRowTag(repeat, rowIndex, true)}\n`;
+        tableHTML += `                <td colspan="${element.table.columns}">${this.escapeHtml(repeat.emptyText)}</td>\n`;
+        tableHTML += '            </tr>\n';
+      }
     });
 
     tableHTML += '        </table>\n';
     return tableHTML;
   }
 
+  /**
+   * Generate group element HTML wrapping its children
+   */
+  generateGroupHTML(element, classes, elements) {
+    let groupHTML = `        <div id="${element.id}" class="${classes}">
+`;
+
+    this.getChildElements(elements, element.id).forEach(child => {
+      groupHTML += this.generateElementHTML(child, elements);
+    });
+
+    groupHTML += '        </div>\n';
+    return groupHTML;
+  }
+
   /**
    * Generate generic element HTML
    */
@@ -256,17 +436,20 @@ body {
   /**
    * Generate CSS for individual element
    * @param {Object} element - Element to style
+   * @param {Object} origin - Position of the containing group (canvas origin by default)
    * @returns {string} Element CSS
    */
-  generateElementCSS(element) {
+  generateElementCSS(element, origin = { x: 0, y: 0 }) {
+    const transform = getTransformCSS(element);
     const baseStyle = `
 #${element.id} {
     position: absolute;
-    left: ${element.position.x}px;
-    top: ${element.position.y}px;
+    left: ${element.position.x - origin.x}px;
+    top: ${element.position.y - origin.y}px;
     width: ${element.size.width}px;
     height: ${element.size.height}px;
-    z-index: ${element.zIndex};`;
+    z-index: ${element.zIndex};${transform ? `
+    transform: ${transform};` : ''}`;
 
     switch (element.type) {
       case 'text':
@@ -300,11 +483,10 @@ body {
     ${styling.backgroundColor !== 'transparent' ? `background-color: ${styling.backgroundColor};` : ''}
     padding: ${styling.padding}px;
     display: flex;
-    align-items: center;
     justify-content: ${this.mapTextAlign(styling.textAlign)};
     word-wrap: break-word;
     overflow-wrap: break-word;
-    line-height: 1.2;
+${[...getTypographyCSS(styling), ...getTextOverflowCSS(element), ...getBoxEffectsCSS(styling)].map(declaration => `    ${declaration};`).join('\n')}
 }
 
 #${element.id}:hover {
@@ -323,7 +505,8 @@ body {
     return `${baseStyle}
     background-color: ${styling.fill};
     border: ${styling.strokeWidth}px solid ${styling.stroke};
-    border-radius: ${styling.cornerRadius}px;
+    border-radius: ${styling.cornerRadius}px;${getBoxEffectsCSS(styling).map(declaration => `
+    ${declaration};`).join('')}
 }
 
 #${element.id}:hover {
@@ -339,12 +522,22 @@ body {
    */
   generateImageCSS(element, baseStyle) {
     const styling = element.styling;
-    return `${baseStyle}
-    object-fit: ${this.mapImageFit(styling.fit)};
-    opacity: ${styling.opacity || 1};
-    border-radius: 4px;
+    const pictureCSS = getPictureCSS(styling, fit => this.mapImageFit(fit));
+    const boxCSS = [
+      ...(styling.crop ? ['overflow: hidden'] : pictureCSS),
+      'border-radius: 4px',
+      ...getBoxEffectsCSS(styling),
+      ...getImageMaskCSS(styling)
+    ];
+    return `${baseStyle}${boxCSS.map(declaration => `
+    ${declaration};`).join('')}
 }
-
+${styling.crop ? `
+#${element.id} > img {
+    display: block;${pictureCSS.map(declaration => `
+    ${declaration};`).join('')}
+}
+` : ''}
 #${element.id}:hover {
     transform: scale(1.02);
     transition: transform 0.2s ease;
@@ -359,7 +552,8 @@ body {
   generateTableCSS(element, baseStyle) {
     const styling = element.styling;
     return `${baseStyle}
-    border-collapse: collapse;
+    border-collapse: collapse;${element.table && element.table.columnWidths ? `
+    table-layout: fixed;` : ''}
     font-family: '${styling.fontFamily}';
     font-size: ${styling.fontSize}px;
     color: ${styling.textColor};
@@ -382,7 +576,8 @@ body {
     background-color: ${styling.cellBackground};
 }
 
-`;
+${element.table && element.table.repeat ? `${getRepeatingRowsCSS(element.id, element.table.repeat)}
+` : ''}`;
   }
 
   /**
@@ -468,13 +663,26 @@ body {
    * @returns {string} HTML with variables replaced
    */
   replaceVariables(html, data = {}, defaultValues = {}) {
-    let result = html;
+    // One row per item for repeating tables, before the remaining variables are replaced
+    const getItems = (source) => {
+      const items = this.getNestedValue(data, source) || defaultValues[source];
+      return Array.isArray(items) ? items : undefined;
+    };
+    const lookup = (name) => {
+      const value = this.getNestedValue(data, name);
+      return value === undefined || value === null ? defaultValues[name] : value;
+    };
+    const renderValue = value => this.escapeHtml(String(value));
+    const repeatedHtml = expandRepeatingRows(html, getItems, renderValue, lookup).html;
+    // Then the branches of conditional blocks whose conditions hold, and loops
+    const expandedHtml = renderBlocks(repeatedHtml, lookup, renderValue).html;
+    let result = expandedHtml;
     
     // Find all variables in {{variable}} format
     const variableRegex = /\{\{([^}]+)\}\}/g;
     let match;
     
-    while ((match = variableRegex.exec(html)) !== null) {
+    while ((match = variableRegex.exec(expandedHtml)) !== null) {
       const variableName = match[1].trim();
       const fullMatch = match[0];
       
@@ -1,5 +1,14 @@
 const { cssGenerator } = require('./css-generator');
 const { dataExtractor } = require('./data-extractor');
+const { getTransformCSS } = require('../utils/css-transform');
+const { getShapeSVG } = require('../utils/shape-svg');
+const { renderTextRunsHTML } = require('../utils/text-runs');
+const { getTypographyCSS } = require('../utils/text-style');
+const { getBoxEffectsCSS, getBoxEffects } = require('../utils/box-style');
+const { getPictureCSS, getImageMaskCSS, getImageStyles } = require('../utils/image-style');
+const { getTextOverflowCSS, getTextOverflowAttributes, wrapTextOverflowContent, getTextFitScript } = require('../utils/text-overflow');
+const { getTrackSizes, getCellOwners, isCoveredCell, getCellSpan, getCellSpanAttributes, getCellStyleCSS } = require('../utils/table-layout');
+const { wrapVisibleWhen, getVisibleWhenConditions } = require('../utils/template-logic');
 
 /**
  * Project Generator Service
@@ -126,10 +135,13 @@ class ProjectGenerator {
     
     // Sort elements by z-index for proper rendering order
     const sortedElements = [...elements].sort((a, b) => a.zIndex - b.zIndex);
+    const elementsById = new Map(elements.map(element => [element.id, element]));
     
     sortedElements.forEach(element => {
       const elementHtml = this.generateElementHtml(element);
-      html += elementHtml.html;
+      // Elements render flat, so each one carries its groups' "visible when" conditions too
+      html += getVisibleWhenConditions(element, elementsById)
+        .reduce((wrapped, condition) => wrapVisibleWhen(wrapped, condition), elementHtml.html);
       
       // Add to objects for APITemplate.io
       objects[element.id] = {
@@ -146,12 +158,13 @@ class ProjectGenerator {
         properties: elementHtml.properties,
         zIndex: element.zIndex,
         visible: element.visible,
+        visibleWhen: element.visibleWhen,
         locked: element.locked
       };
     });
 
     html += `    </div>
-</body>
+${getTextFitScript(elements)}</body>
 </html>`;
 
     return {
@@ -166,6 +179,7 @@ class ProjectGenerator {
    * @returns {Object} Element HTML and properties
    */
   generateElementHtml(element) {
+    const transform = getTransformCSS(element);
     const baseStyle = `
       position: absolute;
       left: ${element.position.x}px;
@@ -173,6 +187,7 @@ class ProjectGenerator {
       width: ${element.size.width}px;
       height: ${element.size.height}px;
       z-index: ${element.zIndex};
+      ${transform ? `transform: ${transform};` : ''}
       ${!element.visible ? 'display: none;' : ''}
     `;
 
@@ -181,6 +196,10 @@ class ProjectGenerator {
         return this.generateTextElement(element, baseStyle);
       case 'rectangle':
         return this.generateRectangleElement(element, baseStyle);
+      case 'line':
+      case 'arrow':
+      case 'ellipse':
+        return this.generateShapeElement(element, baseStyle);
       case 'image':
         return this.generateImageElement(element, baseStyle);
       case 'table':
@@ -206,21 +225,22 @@ class ProjectGenerator {
       padding: ${styling.padding}px;
       box-sizing: border-box;
       display: flex;
-      align-items: center;
+      ${[...getTypographyCSS(styling), ...getTextOverflowCSS(element), ...getBoxEffectsCSS(styling)].map(declaration => `${declaration};`).join(' ')}
     `;
 
     // Process content based on type (template variables vs raw content)
     const processedContent = this.processElementContent(element);
 
     const html = `
-        <div id="${element.id}" class="text-element ${element.name}" style="${baseStyle}${additionalStyle}">
-            ${processedContent.html}
+        <div id="${element.id}" class="text-element ${element.name}" style="${baseStyle}${additionalStyle}"${getTextOverflowAttributes(element)}>
+            ${wrapTextOverflowContent(processedContent.html, element)}
         </div>`;
 
     return {
       html,
       properties: {
         originalContent: element.content,
+        runs: element.runs,
         contentType: processedContent.type,
         processedContent: processedContent.html,
         hasVariables: processedContent.hasVariables,
@@ -230,9 +250,20 @@ class ProjectGenerator {
         fontWeight: styling.fontWeight,
         fontStyle: styling.fontStyle,
         textAlign: styling.textAlign,
+        verticalAlign: styling.verticalAlign,
+        lineHeight: styling.lineHeight,
+        letterSpacing: styling.letterSpacing,
+        underline: styling.underline,
+        strikethrough: styling.strikethrough,
+        textTransform: styling.textTransform,
+        textShadow: styling.textShadow,
         color: styling.color,
         backgroundColor: styling.backgroundColor,
-        padding: styling.padding
+        padding: styling.padding,
+        overflow: styling.overflow,
+        minFontSize: styling.minFontSize,
+        maxFontSize: styling.maxFontSize,
+        ...getBoxEffects(styling)
       }
     };
   }
@@ -247,6 +278,7 @@ class ProjectGenerator {
       border: ${styling.strokeWidth}px solid ${styling.stroke};
       border-radius: ${styling.cornerRadius}px;
       box-sizing: border-box;
+      ${getBoxEffectsCSS(styling).map(declaration => `${declaration};`).join(' ')}
     `;
 
     const html = `
@@ -259,22 +291,43 @@ class ProjectGenerator {
         fill: styling.fill,
         stroke: styling.stroke,
         strokeWidth: styling.strokeWidth,
-        cornerRadius: styling.cornerRadius
+        cornerRadius: styling.cornerRadius,
+        ...getBoxEffects(styling)
       }
     };
   }
 
+  /**
+   * Generate line, arrow or ellipse element HTML, drawn as SVG inside the element box
+   */
+  generateShapeElement(element, baseStyle) {
+    const html = `
+        <div id="${element.id}" class="${element.type}-element ${element.name}" style="${baseStyle}">
+            ${getShapeSVG(element)}
+        </div>`;
+
+    return {
+      html,
+      properties: { ...element.styling }
+    };
+  }
+
   /**
    * Generate image element HTML
    */
   generateImageElement(element, baseStyle) {
     const { styling } = element;
+    const pictureCSS = getPictureCSS(styling, fit => this.mapImageFit(fit));
     const additionalStyle = `
-      opacity: ${styling.opacity};
-      object-fit: ${this.mapImageFit(styling.fit)};
+      ${[...(styling.crop ? ['overflow: hidden'] : pictureCSS), ...getBoxEffectsCSS(styling), ...getImageMaskCSS(styling)]
+        .map(declaration => `${declaration};`).join(' ')}
     `;
 
-    const html = `
+    // A cropped picture is positioned inside a clipping wrapper that carries the element box
+    const html = styling.crop ? `
+        <div id="${element.id}" class="image-element ${element.name}" style="${baseStyle}${additionalStyle}">
+            <img src="{{${element.name}_url}}" alt="${element.name}" style="display: block; ${pictureCSS.map(declaration => `${declaration};`).join(' ')}">
+        </div>` : `
         <img id="${element.id}" class="image-element ${element.name}" 
              src="{{${element.name}_url}}" 
              alt="${element.name}"
@@ -284,8 +337,9 @@ class ProjectGenerator {
       html,
       properties: {
         src: element.src,
-        opacity: styling.opacity,
         fit: styling.fit,
+        ...getImageStyles(styling),
+        ...getBoxEffects(styling),
         variable: `${element.name}_url`
       }
     };
@@ -296,8 +350,9 @@ class ProjectGenerator {
    */
   generateTableElement(element, baseStyle) {
     const { table, styling } = element;
-    const cellWidth = element.size.width / table.columns;
-    const cellHeight = element.size.height / table.rows;
+    const columnWidths = getTrackSizes(table.columnWidths, table.columns, element.size.width);
+    const rowHeights = getTrackSizes(table.rowHeights, table.rows, element.size.height);
+    const owners = getCellOwners(table.cells, table.rows, table.columns);
     
     const additionalStyle = `
       border: ${styling.borderWidth}px solid ${styling.borderColor};
@@ -313,18 +368,24 @@ class ProjectGenerator {
     table.cells.forEach((row, rowIndex) => {
       tableHtml += '\n            <tr>';
       row.forEach((cell, colIndex) => {
+        // Cells under a merged cell are not rendered
+        if (isCoveredCell(owners, rowIndex, colIndex)) return;
+        const { rowSpan, colSpan } = getCellSpan(owners, rowIndex, colIndex);
+        const width = columnWidths.slice(colIndex, colIndex + colSpan).reduce((a, b) => a + b, 0);
+        const height = rowHeights.slice(rowIndex, rowIndex + rowSpan).reduce((a, b) => a + b, 0);
         const cellStyle = `
-          width: ${cellWidth}px;
-          height: ${cellHeight}px;
+          width: ${width}px;
+          height: ${height}px;
           padding: ${styling.cellPadding}px;
           border: ${styling.borderWidth}px solid ${styling.borderColor};
           background-color: ${cell.isHeader ? styling.headerBackground : styling.cellBackground};
           vertical-align: top;
+          ${getCellStyleCSS(cell.style).map(declaration => `${declaration};`).join(' ')}
         `;
         
         const tagName = cell.isHeader ? 'th' : 'td';
         tableHtml += `
-                <${tagName} style="${cellStyle}">{{${element.name}_${rowIndex}_${colIndex}}}</${tagName}>`;
+                <${tagName}${getCellSpanAttributes(owners, rowIndex, colIndex)} style="${cellStyle}">{{${element.name}_${rowIndex}_${colIndex}}}</${tagName}>`;
       });
       tableHtml += '\n            </tr>';
     });
@@ -336,6 +397,8 @@ class ProjectGenerator {
       rows: table.rows,
       columns: table.columns,
       cells: table.cells,
+      ...(table.columnWidths && { columnWidths: table.columnWidths }),
+      ...(table.rowHeights && { rowHeights: table.rowHeights }),
       cellPadding: styling.cellPadding,
       borderWidth: styling.borderWidth,
       borderColor: styling.borderColor,
@@ -350,6 +413,7 @@ class ProjectGenerator {
     // Add cell variables
     table.cells.forEach((row, rowIndex) => {
       row.forEach((cell, colIndex) => {
+        if (isCoveredCell(owners, rowIndex, colIndex)) return;
         const variableName = `${element.name}_${rowIndex}_${colIndex}`;
         properties.variables[variableName] = cell.content;
       });
@@ -382,6 +446,9 @@ class ProjectGenerator {
     const typeMap = {
       'text': 'text',
       'rectangle': 'shape',
+      'line': 'shape',
+      'arrow': 'shape',
+      'ellipse': 'shape',
       'image': 'image',
       'table': 'table'
     };
@@ -415,6 +482,9 @@ class ProjectGenerator {
       const typeMultipliers = {
         'text': 1,
         'rectangle': 0.5,
+        'line': 0.5,
+        'arrow': 0.5,
+        'ellipse': 0.5,
         'image': 2,
         'table': 3
       };
@@ -488,6 +558,11 @@ class ProjectGenerator {
         html = this.escapeHtml(element.content);
     }
     
+    // Inline formatting runs replace the plain HTML; variables inside them stay bindable
+    if (element.runs) {
+      html = renderTextRunsHTML(element.runs);
+    }
+    
     return {
       type: analysis.type,
       html,
@@ -17,6 +17,15 @@ try {
 const fs = require('fs').promises;
 const path = require('path');
 
+// Editor page presets that match a Puppeteer paper format
+const PDF_PAPER_FORMATS = {
+  a3: 'A3',
+  a4: 'A4',
+  a5: 'A5',
+  letter: 'Letter',
+  legal: 'Legal'
+};
+
 class LocalRenderer {
   constructor() {
     this.browser = null;
@@ -62,10 +71,45 @@ class LocalRenderer {
     }
   }
 
+  /**
+   * Paper size for page.pdf(): an explicit `format` option wins, then the first template
+   * page's preset (or its exact size when it has none), then A4 for plain HTML
+   * @param {Array|null} templatePages - Page list from the HTML generator's metadata
+   * @param {Object} options - PDF generation options
+   * @returns {Object} Puppeteer `format` and `landscape`, or `width` and `height`
+   */
+  getPaperSize(templatePages, options) {
+    if (options.format) {
+      return { format: options.format, landscape: Boolean(options.landscape) };
+    }
+
+    const firstPage = templatePages ? templatePages[0] : null;
+    if (!firstPage) {
+      return { format: 'A4', landscape: Boolean(options.landscape) };
+    }
+
+    const format = PDF_PAPER_FORMATS[firstPage.preset];
+    if (format) {
+      return { format, landscape: firstPage.orientation === 'landscape' };
+    }
+    return { width: `${firstPage.size.width}px`, height: `${firstPage.size.height}px` };
+  }
+
+  /**
+   * Wait until the page's web fonts have loaded. Fonts from the template's font library are
+   * embedded in the HTML, so this needs no network access.
+   * @param {Object} page - Puppeteer page with content set
+   */
+  async waitForFonts(page) {
+    await page.evaluate(() => document.fonts.ready.then(() => document.fonts.size));
+  }
+
   /**
    * Generate PDF from HTML content
    * @param {string} htmlContent - HTML string to render
-   * @param {Object} options - PDF generation options
+   * @param {Object} options - PDF generation options. Pass `pages` (the page list from the
+   *   HTML generator's metadata) to print each template page as its own PDF page at its own size;
+   *   the paper then follows the template's page preset instead of defaulting to A4.
    * @returns {Object} Result with buffer and metadata
    */
   async generatePDF(htmlContent, options = {}) {
@@ -74,6 +118,7 @@ class LocalRenderer {
     }
 
     const startTime = Date.now();
+    const templatePages = Array.isArray(options.pages) && options.pages.length > 0 ? options.pages : null;
     let page = null;
 
     try {
@@ -82,7 +127,7 @@ class LocalRenderer {
 
       // Set viewport for consistent rendering
       await page.setViewport({
-        width: options.width || 1200,
+        width: options.width || (templatePages ? Math.max(...templatePages.map(p => p.size.width)) : 1200),
         height: options.height || 800,
         deviceScaleFactor: options.deviceScaleFactor || 2
       });
@@ -93,20 +138,24 @@ class LocalRenderer {
         timeout: options.timeout || 30000
       });
 
-      // Wait a bit more for fonts and assets
+      // Embedded library fonts must be decoded before printing, or text falls back to system fonts
+      await this.waitForFonts(page);
+
+      // Wait a bit more for assets
       await new Promise(resolve => setTimeout(resolve, options.waitTime || 1000));
 
       console.log('Generating PDF...');
+      // Template pages carry their own @page sizes and already include their margins
+      const defaultMargin = templatePages
+        ? { top: 0, right: 0, bottom: 0, left: 0 }
+        : { top: '0.5in', right: '0.5in', bottom: '0.5in', left: '0.5in' };
+      // With template pages the @page rules still size each page; the paper size is the fallback
+      const paperSize = this.getPaperSize(templatePages, options);
       const pdfBuffer = await page.pdf({
-        format: options.format || 'A4',
+        ...paperSize,
         printBackground: options.printBackground !== false,
-        margin: options.margin || {
-          top: '0.5in',
-          right: '0.5in',
-          bottom: '0.5in',
-          left: '0.5in'
-        },
-        preferCSSPageSize: options.preferCSSPageSize || false,
+        margin: options.margin || defaultMargin,
+        preferCSSPageSize: options.preferCSSPageSize ?? Boolean(templatePages),
         displayHeaderFooter: options.displayHeaderFooter || false,
         headerTemplate: options.headerTemplate || '',
         footerTemplate: options.footerTemplate || '',
@@ -121,7 +170,9 @@ class LocalRenderer {
         success: true,
         buffer: pdfBuffer,
         metadata: {
-          format: options.format || 'A4',
+          format: paperSize.format || `${paperSize.width} × ${paperSize.height}`,
+          landscape: paperSize.landscape || false,
+          pageCount: templatePages ? templatePages.length : undefined,
           size: pdfBuffer.length,
           sizeKB: Math.round(pdfBuffer.length / 1024),
           processingTime: processingTime + 'ms',
@@ -180,7 +231,9 @@ class LocalRenderer {
         timeout: options.timeout || 30000
       });
 
-      // Wait for fonts and assets
+      await this.waitForFonts(page);
+
+      // Wait for assets
       await new Promise(resolve => setTimeout(resolve, options.waitTime || 1000));
 
       console.log('Taking screenshot...');
@@ -3,6 +3,16 @@
  * Parses and validates TB365 format from TemplateBuilder365
  */
 
+const { STROKE_STYLES, ARROWHEADS } = require('../utils/shape-svg');
+const { TEXT_OVERFLOWS } = require('../utils/text-overflow');
+const { FONT_WEIGHTS, TEXT_ALIGNS, VERTICAL_ALIGNS, TEXT_TRANSFORMS, DEFAULT_LINE_HEIGHT } = require('../utils/text-style');
+const { FONT_FORMATS, FONT_STYLES, isAllowedFontSource } = require('../utils/font-face');
+const { HEX_COLOR, GRADIENT_TYPES, CORNERS, BORDER_SIDES } = require('../utils/box-style');
+const { IMAGE_MASKS, DEFAULT_MASK_RADIUS, DEFAULT_IMAGE_FILTERS } = require('../utils/image-style');
+const { REPEAT_SOURCE } = require('../utils/table-repeat');
+const { CELL_TEXT_ALIGNS, CELL_VERTICAL_ALIGNS, getCellOwners, isCoveredCell, getCellSpan } = require('../utils/table-layout');
+const { parseCondition, getTemplateVariables } = require('../utils/template-logic');
+
 class TB365Parser {
   /**
    * Parse and validate TB365 project data
@@ -19,14 +29,16 @@ class TB365Parser {
       // Step 2: Validate and parse canvas state
       const canvasState = this.validateCanvasState(tb365Data.canvasState);
       
-      // Step 3: Validate and categorize elements
-      const validatedElements = this.validateAndParseElements(canvasState.elements);
+      // Step 3: Validate and parse pages; element-level data below covers every page
+      const pages = this.parsePages(canvasState);
+      const fonts = this.parseFonts(canvasState);
+      const validatedElements = pages.flatMap(page => page.elements);
       
       // Step 4: Group elements by type
       const elementGroups = this.groupElementsByType(validatedElements);
       
       // Step 5: Extract canvas properties
-      const canvas = this.parseCanvas(canvasState);
+      const canvas = this.parseCanvas(canvasState, pages);
       
       // Step 6: Extract text content and variables
       const textContent = this.extractTextContent(validatedElements);
@@ -42,6 +54,8 @@ class TB365Parser {
         version: tb365Data.version,
         savedAt: tb365Data.savedAt,
         canvas,
+        pages,
+        fonts,
         elements: validatedElements,
         elementGroups,
         textContent,
@@ -57,11 +71,15 @@ class TB365Parser {
       };
       
       console.log(`Successfully parsed TB365 project:`, {
+        pages: pages.length,
+        fonts: fonts.length,
         elements: validatedElements.length,
         rectangles: elementGroups.rectangles.length,
+        shapes: elementGroups.shapes.length,
         text: elementGroups.text.length,
         images: elementGroups.images.length,
         tables: elementGroups.tables.length,
+        groups: elementGroups.groups.length,
         variables: textContent.variables.length
       });
       
@@ -74,8 +92,10 @@ class TB365Parser {
         version: tb365Data?.version || 'Unknown',
         savedAt: tb365Data?.savedAt || null,
         canvas: null,
+        pages: [],
+        fonts: [],
         elements: [],
-        elementGroups: { rectangles: [], text: [], images: [], tables: [] },
+        elementGroups: { rectangles: [], shapes: [], text: [], images: [], tables: [], groups: [] },
         textContent: { textElements: [], tableCells: [], variables: [] },
         styles: { fonts: [], colors: [], fontSizes: [], uniqueStyles: [] },
         layout: null,
@@ -134,7 +154,10 @@ class TB365Parser {
   validateCanvasState(canvasState) {
     const errors = [];
     
-    if (!Array.isArray(canvasState.elements)) {
+    // Multi-page projects keep their elements in pages; elements then mirrors the active page
+    if (canvasState.pages !== undefined) {
+      errors.push(...this.validatePages(canvasState.pages));
+    } else if (!Array.isArray(canvasState.elements)) {
       errors.push('canvasState.elements must be an array');
     }
     
@@ -161,7 +184,11 @@ class TB365Parser {
       errors.push('canvasState.gridSize must be a positive number');
     }
     
-    const validTools = ['select', 'text', 'rectangle', 'image', 'table'];
+    if (canvasState.fonts !== undefined) {
+      errors.push(...this.validateFonts(canvasState.fonts));
+    }
+    
+    const validTools = ['select', 'text', 'rectangle', 'line', 'arrow', 'ellipse', 'image', 'table'];
     if (!validTools.includes(canvasState.activeTool)) {
       errors.push(`canvasState.activeTool must be one of: ${validTools.join(', ')}`);
     }
@@ -176,6 +203,162 @@ class TB365Parser {
     return canvasState;
   }
 
+  /**
+   * Validate the page list of a multi-page project
+   * @param {Array} pages - Raw pages from canvasState
+   * @returns {Array<string>} Page structure errors
+   */
+  validatePages(pages) {
+    const errors = [];
+    
+    if (!Array.isArray(pages) || pages.length === 0) {
+      errors.push('canvasState.pages must be a non-empty array');
+      return errors;
+    }
+    
+    pages.forEach((page, index) => {
+      if (!page || typeof page !== 'object') {
+        errors.push(`Page ${index}: must be an object`);
+        return;
+      }
+      if (!page.id || typeof page.id !== 'string') {
+        errors.push(`Page ${index}: missing or invalid id`);
+      }
+      if (!page.size || typeof page.size.width !== 'number' || page.size.width <= 0 ||
+          typeof page.size.height !== 'number' || page.size.height <= 0) {
+        errors.push(`Page ${index}: size must have positive width and height`);
+      }
+      if (page.orientation !== undefined && !['portrait', 'landscape'].includes(page.orientation)) {
+        errors.push(`Page ${index}: orientation must be portrait or landscape`);
+      }
+      if (page.preset !== undefined && typeof page.preset !== 'string') {
+        errors.push(`Page ${index}: preset must be a string`);
+      }
+      if (!Array.isArray(page.elements)) {
+        errors.push(`Page ${index}: elements must be an array`);
+      }
+      if (page.margins !== undefined && (typeof page.margins !== 'object' ||
+          ['top', 'right', 'bottom', 'left'].some(side => typeof page.margins[side] !== 'number' || page.margins[side] < 0))) {
+        errors.push(`Page ${index}: margins must have non-negative top, right, bottom and left`);
+      }
+      if (page.bleed !== undefined && (typeof page.bleed !== 'number' || page.bleed < 0)) {
+        errors.push(`Page ${index}: bleed must be a non-negative number`);
+      }
+    });
+    
+    return errors;
+  }
+
+  /**
+   * Validate the project's font library
+   * @param {Array} fonts - Raw fonts from canvasState
+   * @returns {Array<string>} Font errors
+   */
+  validateFonts(fonts) {
+    const errors = [];
+    
+    if (!Array.isArray(fonts)) {
+      errors.push('canvasState.fonts must be an array');
+      return errors;
+    }
+    
+    fonts.forEach((font, index) => {
+      if (!font || typeof font !== 'object') {
+        errors.push(`Font ${index}: must be an object`);
+        return;
+      }
+      if (!font.id || typeof font.id !== 'string') {
+        errors.push(`Font ${index}: missing or invalid id`);
+      }
+      if (!font.family || typeof font.family !== 'string') {
+        errors.push(`Font ${index}: missing or invalid family`);
+      }
+      if (!font.src || typeof font.src !== 'string') {
+        errors.push(`Font ${index}: missing or invalid src`);
+      } else if (!isAllowedFontSource(font.src)) {
+        errors.push(`Font ${index}: src must be a data URL or an https URL in the font library`);
+      }
+      if (!Object.keys(FONT_FORMATS).includes(font.format)) {
+        errors.push(`Font ${index}: format must be ${Object.keys(FONT_FORMATS).join('/')}`);
+      }
+      if (font.weight !== undefined && !FONT_WEIGHTS.includes(font.weight)) {
+        errors.push(`Font ${index}: weight must be normal/bold or 100-900`);
+      }
+      if (font.style !== undefined && !FONT_STYLES.includes(font.style)) {
+        errors.push(`Font ${index}: style must be ${FONT_STYLES.join('/')}`);
+      }
+    });
+    
+    return errors;
+  }
+
+  /**
+   * Parse the project's font library. Text elements refer to these fonts by family name.
+   * @param {Object} canvasState - Validated canvas state
+   * @returns {Array} Fonts with their weight and style filled in
+   */
+  parseFonts(canvasState) {
+    return (canvasState.fonts || []).map(font => ({
+      id: font.id,
+      family: font.family,
+      src: font.src,
+      format: font.format,
+      weight: font.weight || 'normal',
+      style: font.style || 'normal'
+    }));
+  }
+
+  /**
+   * Parse pages, treating a project without pages as a single page
+   * @param {Object} canvasState - Validated canvas state
+   * @returns {Array} Pages in document order with their parsed elements
+   */
+  parsePages(canvasState) {
+    const rawPages = canvasState.pages || [{
+      id: 'page-1',
+      name: 'Page 1',
+      size: canvasState.canvasSize,
+      elements: canvasState.elements
+    }];
+    
+    const pages = rawPages.map((page, index) => {
+      let elements;
+      try {
+        elements = this.validateAndParseElements(page.elements);
+      } catch (error) {
+        const pageError = new Error(`Page ${index + 1} (${page.id}): ${error.message}`);
+        pageError.stage = error.stage;
+        throw pageError;
+      }
+      
+      return {
+        id: page.id,
+        name: page.name || `Page ${index + 1}`,
+        index,
+        size: { width: page.size.width, height: page.size.height },
+        orientation: page.orientation || (page.size.width > page.size.height ? 'landscape' : 'portrait'),
+        preset: page.preset || null, // Page size preset id from the editor, e.g. 'a4'
+        elements: elements.map(element => ({ ...element, pageId: page.id }))
+      };
+    });
+    
+    // Element ids are used as CSS selectors, so they must be unique across the document
+    const seenIds = new Set();
+    const duplicateIds = new Set();
+    pages.forEach(page => page.elements.forEach(element => {
+      if (seenIds.has(element.id)) duplicateIds.add(element.id);
+      seenIds.add(element.id);
+    }));
+    if (duplicateIds.size > 0) {
+      const error = new Error(`Element ids repeated across pages: ${[...duplicateIds].join(', ')}`);
+      error.stage = 'element_validation';
+      throw error;
+    }
+    
+    console.log(`✅ Parsed ${pages.length} page(s)`);
+    return pages;
+  }
+
   /**
    * Validate and parse all elements
    */
@@ -199,6 +382,8 @@ class TB365Parser {
       }
     });
     
+    errors.push(...this.validateGroupReferences(validatedElements));
+    
     if (errors.length > 0) {
       const error = new Error(`Element validation failed: ${errors.join('; ')}`);
       error.stage = 'element_validation';
@@ -209,6 +394,38 @@ class TB365Parser {
     return validatedElements;
   }
 
+  /**
+   * Check that group children and parent links point at each other
+   * @param {Array} elements - Parsed elements
+   * @returns {Array<string>} Reference errors
+   */
+  validateGroupReferences(elements) {
+    const errors = [];
+    const elementsById = new Map(elements.map(element => [element.id, element]));
+    
+    elements.forEach(element => {
+      if (element.type === 'group') {
+        element.childIds.forEach(childId => {
+          const child = elementsById.get(childId);
+          if (!child) {
+            errors.push(`Group ${element.id}: child '${childId}' does not exist`);
+          } else if (child.parentId !== element.id) {
+            errors.push(`Group ${element.id}: child '${childId}' has parentId '${child.parentId || 'none'}'`);
+          }
+        });
+      }
+      
+      if (element.parentId) {
+        const parent = elementsById.get(element.parentId);
+        if (!parent || parent.type !== 'group' || !parent.childIds.includes(element.id)) {
+          errors.push(`Element ${element.id}: parent group '${element.parentId}' does not list it as a child`);
+        }
+      }
+    });
+    
+    return errors;
+  }
+
   /**
    * Validate a single element
    */
@@ -223,7 +440,7 @@ class TB365Parser {
     if (!element.name || typeof element.name !== 'string') errors.push('Must have valid name');
     
     // Validate element type
-    const validTypes = ['text', 'rectangle', 'image', 'table'];
+    const validTypes = ['text', 'rectangle', 'line', 'arrow', 'ellipse', 'image', 'table', 'group'];
     if (element.type && !validTypes.includes(element.type)) {
       errors.push(`Invalid type '${element.type}'. Must be: ${validTypes.join(', ')}`);
     }
@@ -252,6 +469,11 @@ class TB365Parser {
     if (typeof element.visible !== 'boolean') errors.push('visible must be boolean');
     if (typeof element.locked !== 'boolean') errors.push('locked must be boolean');
     if (typeof element.zIndex !== 'number') errors.push('zIndex must be number');
+    if (element.parentId !== undefined && typeof element.parentId !== 'string') errors.push('parentId must be string');
+    if (element.rotation !== undefined && typeof element.rotation !== 'number') errors.push('rotation must be number');
+    if (element.flipX !== undefined && typeof element.flipX !== 'boolean') errors.push('flipX must be boolean');
+    if (element.flipY !== undefined && typeof element.flipY !== 'boolean') errors.push('flipY must be boolean');
+    if (element.visibleWhen !== undefined) this.validateVisibleWhen(element.visibleWhen, errors);
     
     // Type-specific validation
     if (element.type) {
@@ -265,6 +487,27 @@ class TB365Parser {
     return element;
   }
 
+  /**
+   * Validate an element's "visible when" condition; braces would end the {{#if}} tag it is
+   * rendered into
+   */
+  validateVisibleWhen(visibleWhen, errors) {
+    if (typeof visibleWhen !== 'string') {
+      errors.push('visibleWhen must be string');
+      return;
+    }
+    if (!visibleWhen.trim()) return;
+    if (/[{}]/.test(visibleWhen)) {
+      errors.push('visibleWhen must not contain braces');
+      return;
+    }
+    try {
+      parseCondition(visibleWhen);
+    } catch (error) {
+      errors.push(`visibleWhen is not a valid condition: ${error.message}`);
+    }
+  }
+
   /**
    * Validate type-specific properties
    */
@@ -274,24 +517,57 @@ class TB365Parser {
         if (typeof element.content !== 'string') errors.push('content must be string');
         if (typeof element.fontSize !== 'number' || element.fontSize <= 0) errors.push('fontSize must be positive');
         if (typeof element.fontFamily !== 'string') errors.push('fontFamily must be string');
-        if (!['normal', 'bold'].includes(element.fontWeight)) errors.push('fontWeight must be normal/bold');
+        if (!FONT_WEIGHTS.includes(element.fontWeight)) errors.push('fontWeight must be normal/bold or 100-900');
         if (!['normal', 'italic'].includes(element.fontStyle)) errors.push('fontStyle must be normal/italic');
-        if (!['left', 'center', 'right'].includes(element.textAlign)) errors.push('textAlign must be left/center/right');
-        if (!element.color?.match(/^#[0-9A-Fa-f]{6}$/)) errors.push('color must be valid hex');
+        if (!TEXT_ALIGNS.includes(element.textAlign)) errors.push(`textAlign must be ${TEXT_ALIGNS.join('/')}`);
+        if (element.verticalAlign !== undefined && !VERTICAL_ALIGNS.includes(element.verticalAlign)) errors.push(`verticalAlign must be ${VERTICAL_ALIGNS.join('/')}`);
+        if (element.lineHeight !== undefined && (typeof element.lineHeight !== 'number' || element.lineHeight <= 0)) errors.push('lineHeight must be positive');
+        if (element.letterSpacing !== undefined && typeof element.letterSpacing !== 'number') errors.push('letterSpacing must be number');
+        ['underline', 'strikethrough'].forEach(key => {
+          if (element[key] !== undefined && typeof element[key] !== 'boolean') errors.push(`${key} must be boolean`);
+        });
+        if (element.textTransform !== undefined && !TEXT_TRANSFORMS.includes(element.textTransform)) errors.push(`textTransform must be ${TEXT_TRANSFORMS.join('/')}`);
+        if (element.textShadow !== undefined) this.validateShadow(element.textShadow, 'textShadow', errors);
+        if (!HEX_COLOR.test(element.color)) errors.push('color must be valid hex');
         if (typeof element.padding !== 'number' || element.padding < 0) errors.push('padding must be non-negative');
+        if (element.runs !== undefined) this.validateTextRuns(element, errors);
+        if (element.overflow !== undefined && !TEXT_OVERFLOWS.includes(element.overflow)) errors.push(`overflow must be ${TEXT_OVERFLOWS.join('/')}`);
+        ['minFontSize', 'maxFontSize'].forEach(key => {
+          if (element[key] !== undefined && (typeof element[key] !== 'number' || element[key] <= 0)) errors.push(`${key} must be positive`);
+        });
+        if (element.minFontSize > element.maxFontSize) errors.push('minFontSize must not exceed maxFontSize');
+        if (element.opacity !== undefined && (typeof element.opacity !== 'number' || element.opacity < 0 || element.opacity > 1)) errors.push('opacity must be 0-1');
+        this.validateBoxEffects(element, errors);
         break;
         
       case 'rectangle':
-        if (!element.fill?.match(/^(#[0-9A-Fa-f]{6}|transparent)$/)) errors.push('fill must be hex or transparent');
-        if (!element.stroke?.match(/^#[0-9A-Fa-f]{6}$/)) errors.push('stroke must be valid hex');
+        if (!(element.fill === 'transparent' || HEX_COLOR.test(element.fill))) errors.push('fill must be hex or transparent');
+        if (!HEX_COLOR.test(element.stroke)) errors.push('stroke must be valid hex');
         if (typeof element.strokeWidth !== 'number' || element.strokeWidth < 0) errors.push('strokeWidth must be non-negative');
         if (typeof element.cornerRadius !== 'number' || element.cornerRadius < 0) errors.push('cornerRadius must be non-negative');
+        if (element.opacity !== undefined && (typeof element.opacity !== 'number' || element.opacity < 0 || element.opacity > 1)) errors.push('opacity must be 0-1');
+        this.validateBoxEffects(element, errors);
+        break;
+        
+      case 'line':
+      case 'arrow':
+      case 'ellipse':
+        if (element.type === 'ellipse' && !(element.fill === 'transparent' || HEX_COLOR.test(element.fill))) errors.push('fill must be hex or transparent');
+        if (!HEX_COLOR.test(element.stroke)) errors.push('stroke must be valid hex');
+        if (typeof element.strokeWidth !== 'number' || element.strokeWidth < 0) errors.push('strokeWidth must be non-negative');
+        if (!STROKE_STYLES.includes(element.strokeStyle)) errors.push(`strokeStyle must be ${STROKE_STYLES.join('/')}`);
+        if (element.type === 'arrow') {
+          if (!ARROWHEADS.includes(element.startArrowhead)) errors.push(`startArrowhead must be ${ARROWHEADS.join('/')}`);
+          if (!ARROWHEADS.includes(element.endArrowhead)) errors.push(`endArrowhead must be ${ARROWHEADS.join('/')}`);
+        }
         break;
         
       case 'image':
         if (typeof element.src !== 'string') errors.push('src must be string');
         if (typeof element.opacity !== 'number' || element.opacity < 0 || element.opacity > 1) errors.push('opacity must be 0-1');
         if (!['fill', 'contain', 'cover', 'stretch'].includes(element.fit)) errors.push('fit must be fill/contain/cover/stretch');
+        this.validateImageStyle(element, errors);
+        this.validateBoxEffects(element, errors);
         break;
         
       case 'table':
@@ -299,11 +575,214 @@ class TB365Parser {
         if (typeof element.columns !== 'number' || element.columns <= 0) errors.push('columns must be positive');
         if (!Array.isArray(element.cells)) errors.push('cells must be array');
         if (typeof element.cellPadding !== 'number' || element.cellPadding < 0) errors.push('cellPadding must be non-negative');
-        if (!element.borderColor?.match(/^#[0-9A-Fa-f]{6}$/)) errors.push('borderColor must be valid hex');
+        if (!HEX_COLOR.test(element.borderColor)) errors.push('borderColor must be valid hex');
+        if (Array.isArray(element.cells)) this.validateTableLayout(element, errors);
+        if (element.repeat !== undefined) this.validateTableRepeat(element, errors);
+        break;
+        
+      case 'group':
+        if (!Array.isArray(element.childIds) || element.childIds.some(childId => typeof childId !== 'string')) {
+          errors.push('childIds must be array of strings');
+        }
         break;
     }
   }
 
+  /**
+   * Validate a text or drop shadow: color plus blur and offsets in px, and for drop shadows
+   * an optional spread
+   */
+  validateShadow(shadow, name, errors) {
+    if (!shadow || typeof shadow !== 'object') {
+      errors.push(`${name} must be object`);
+      return;
+    }
+    if (!HEX_COLOR.test(shadow.color)) errors.push(`${name}.color must be valid hex`);
+    if (typeof shadow.blur !== 'number' || shadow.blur < 0) errors.push(`${name}.blur must be non-negative`);
+    ['offsetX', 'offsetY'].forEach(key => {
+      if (typeof shadow[key] !== 'number') errors.push(`${name}.${key} must be number`);
+    });
+    if (shadow.spread !== undefined && typeof shadow.spread !== 'number') errors.push(`${name}.spread must be number`);
+  }
+
+  /**
+   * Validate the box effects of rectangles, images and text boxes: gradient fill, drop shadow,
+   * per-corner radii and per-side borders. All of them are optional.
+   */
+  validateBoxEffects(element, errors) {
+    const { gradient, cornerRadii, borders } = element;
+
+    if (gradient !== undefined) {
+      if (!gradient || typeof gradient !== 'object') {
+        errors.push('gradient must be object');
+      } else {
+        if (!GRADIENT_TYPES.includes(gradient.type)) errors.push(`gradient.type must be ${GRADIENT_TYPES.join('/')}`);
+        if (typeof gradient.angle !== 'number') errors.push('gradient.angle must be number');
+        if (!Array.isArray(gradient.stops) || gradient.stops.length < 2) {
+          errors.push('gradient.stops must have at least 2 stops');
+        } else {
+          gradient.stops.forEach((stop, index) => {
+            if (typeof stop?.offset !== 'number' || stop.offset < 0 || stop.offset > 1) errors.push(`gradient.stops[${index}].offset must be 0-1`);
+            if (!HEX_COLOR.test(stop?.color)) errors.push(`gradient.stops[${index}].color must be valid hex`);
+          });
+        }
+      }
+    }
+
+    if (element.shadow !== undefined) this.validateShadow(element.shadow, 'shadow', errors);
+
+    if (cornerRadii !== undefined) {
+      CORNERS.forEach(corner => {
+        if (typeof cornerRadii?.[corner] !== 'number' || cornerRadii[corner] < 0) errors.push(`cornerRadii.${corner} must be non-negative`);
+      });
+    }
+
+    if (borders !== undefined) {
+      BORDER_SIDES.forEach(side => {
+        const border = borders?.[side];
+        if (!border || typeof border !== 'object') {
+          errors.push(`borders.${side} must be object`);
+          return;
+        }
+        if (typeof border.width !== 'number' || border.width < 0) errors.push(`borders.${side}.width must be non-negative`);
+        if (!HEX_COLOR.test(border.color)) errors.push(`borders.${side}.color must be valid hex`);
+        if (!STROKE_STYLES.includes(border.style)) errors.push(`borders.${side}.style must be ${STROKE_STYLES.join('/')}`);
+      });
+    }
+  }
+
+  /**
+   * Validate the optional crop, focal point, mask and filters of an image element. Crops are
+   * fractions of the element box and may reach past it; focal points lie within the picture.
+   */
+  validateImageStyle(element, errors) {
+    const { crop, focalPoint, filters } = element;
+
+    if (crop !== undefined) {
+      ['x', 'y'].forEach(key => {
+        if (typeof crop?.[key] !== 'number') errors.push(`crop.${key} must be number`);
+      });
+      ['width', 'height'].forEach(key => {
+        if (typeof crop?.[key] !== 'number' || crop[key] <= 0) errors.push(`crop.${key} must be positive`);
+      });
+    }
+
+    if (focalPoint !== undefined) {
+      ['x', 'y'].forEach(key => {
+        if (typeof focalPoint?.[key] !== 'number' || focalPoint[key] < 0 || focalPoint[key] > 1) errors.push(`focalPoint.${key} must be 0-1`);
+      });
+    }
+
+    if (element.mask !== undefined && !IMAGE_MASKS.includes(element.mask)) errors.push(`mask must be ${IMAGE_MASKS.join('/')}`);
+    if (element.maskRadius !== undefined && (typeof element.maskRadius !== 'number' || element.maskRadius < 0)) {
+      errors.push('maskRadius must be non-negative');
+    }
+
+    if (filters !== undefined) {
+      Object.keys(DEFAULT_IMAGE_FILTERS).forEach(key => {
+        if (typeof filters?.[key] !== 'number' || filters[key] < 0) errors.push(`filters.${key} must be non-negative`);
+      });
+      if (typeof filters?.grayscale === 'number' && filters.grayscale > 1) errors.push('filters.grayscale must be 0-1');
+    }
+  }
+
+  /**
+   * Validate the optional column widths and row heights of a table, and the merges and style
+   * overrides of its cells
+   */
+  validateTableLayout(element, errors) {
+    const sizesValid = (sizes, count) =>
+      Array.isArray(sizes) && sizes.length === count && sizes.every(size => typeof size === 'number' && size >= 0);
+    if (element.columnWidths !== undefined && !sizesValid(element.columnWidths, element.columns)) {
+      errors.push('columnWidths must be one non-negative number per column');
+    }
+    if (element.rowHeights !== undefined && !sizesValid(element.rowHeights, element.rows)) {
+      errors.push('rowHeights must be one non-negative number per row');
+    }
+
+    element.cells.forEach((row, rowIndex) => {
+      if (!Array.isArray(row)) return;
+      row.forEach((cell, colIndex) => {
+        const name = `cells[${rowIndex}][${colIndex}]`;
+        ['colSpan', 'rowSpan'].forEach(key => {
+          if (cell[key] !== undefined && (!Number.isInteger(cell[key]) || cell[key] < 1)) errors.push(`${name}.${key} must be a positive integer`);
+        });
+        if (cell.style === undefined) return;
+        const { style } = cell;
+        if (!style || typeof style !== 'object') {
+          errors.push(`${name}.style must be object`);
+          return;
+        }
+        if (style.textAlign !== undefined && !CELL_TEXT_ALIGNS.includes(style.textAlign)) errors.push(`${name}.style.textAlign must be ${CELL_TEXT_ALIGNS.join('/')}`);
+        if (style.verticalAlign !== undefined && !CELL_VERTICAL_ALIGNS.includes(style.verticalAlign)) errors.push(`${name}.style.verticalAlign must be ${CELL_VERTICAL_ALIGNS.join('/')}`);
+        ['background', 'textColor', 'borderColor'].forEach(key => {
+          if (style[key] !== undefined && !HEX_COLOR.test(style[key])) errors.push(`${name}.style.${key} must be valid hex`);
+        });
+        if (style.fontFamily !== undefined && typeof style.fontFamily !== 'string') errors.push(`${name}.style.fontFamily must be string`);
+        if (style.fontSize !== undefined && (typeof style.fontSize !== 'number' || style.fontSize <= 0)) errors.push(`${name}.style.fontSize must be positive`);
+        if (style.fontWeight !== undefined && !['normal', 'bold'].includes(style.fontWeight)) errors.push(`${name}.style.fontWeight must be normal/bold`);
+        if (style.fontStyle !== undefined && !['normal', 'italic'].includes(style.fontStyle)) errors.push(`${name}.style.fontStyle must be normal/italic`);
+        if (style.borderWidth !== undefined && (typeof style.borderWidth !== 'number' || style.borderWidth < 0)) errors.push(`${name}.style.borderWidth must be non-negative`);
+      });
+    });
+  }
+
+  /**
+   * Validate the repeating rows of a table: an array variable and a template row within the
+   * table, plus an optional stripe color and empty-state text
+   */
+  validateTableRepeat(element, errors) {
+    const { repeat } = element;
+    if (!repeat || typeof repeat !== 'object') {
+      errors.push('repeat must be object');
+      return;
+    }
+    if (typeof repeat.source !== 'string' || !REPEAT_SOURCE.test(repeat.source)) errors.push('repeat.source must be a variable name');
+    if (!Number.isInteger(repeat.templateRow) || repeat.templateRow < 0 || repeat.templateRow >= element.rows) {
+      errors.push('repeat.templateRow must be a row of the table');
+    }
+    if (repeat.stripeBackground !== undefined && !HEX_COLOR.test(repeat.stripeBackground)) errors.push('repeat.stripeBackground must be valid hex');
+    if (repeat.emptyText !== undefined && typeof repeat.emptyText !== 'string') errors.push('repeat.emptyText must be string');
+
+    // The template row is copied per item, so no merged cell may reach into or out of it
+    if (Array.isArray(element.cells) && Number.isInteger(repeat.templateRow) && repeat.templateRow < element.rows) {
+      const owners = getCellOwners(element.cells, element.rows, element.columns);
+      const crossing = owners.some((row, rowIndex) => row.some((_, colIndex) => {
+        if (isCoveredCell(owners, rowIndex, colIndex)) return false;
+        const { rowSpan } = getCellSpan(owners, rowIndex, colIndex);
+        return rowSpan > 1 && rowIndex <= repeat.templateRow && rowIndex + rowSpan > repeat.templateRow;
+      }));
+      if (crossing) errors.push('merged cells must not span the repeat template row');
+    }
+  }
+
+  /**
+   * Validate the inline formatting runs of a text element; their texts must add up to its content
+   */
+  validateTextRuns(element, errors) {
+    if (!Array.isArray(element.runs)) {
+      errors.push('runs must be array');
+      return;
+    }
+    
+    element.runs.forEach((run, index) => {
+      if (!run || typeof run.text !== 'string') {
+        errors.push(`runs[${index}].text must be string`);
+        return;
+      }
+      ['bold', 'italic', 'underline'].forEach(key => {
+        if (run[key] !== undefined && typeof run[key] !== 'boolean') errors.push(`runs[${index}].${key} must be boolean`);
+      });
+      if (run.color !== undefined && !HEX_COLOR.test(run.color)) errors.push(`runs[${index}].color must be valid hex`);
+      if (run.fontSize !== undefined && (typeof run.fontSize !== 'number' || run.fontSize <= 0)) errors.push(`runs[${index}].fontSize must be positive`);
+      if (run.link !== undefined && typeof run.link !== 'string') errors.push(`runs[${index}].link must be string`);
+    });
+    
+    if (element.runs.every(run => typeof run?.text === 'string') && element.runs.map(run => run.text).join('') !== element.content) {
+      errors.push('runs text must match content');
+    }
+  }
+
   /**
    * Parse and enhance a validated element
    */
@@ -317,23 +796,48 @@ class TB365Parser {
       zIndex: element.zIndex,
       visible: element.visible,
       locked: element.locked,
+      rotation: element.rotation || 0,
+      flipX: Boolean(element.flipX),
+      flipY: Boolean(element.flipY),
       renderOrder: index
     };
+    
+    // Grouped elements keep absolute positions; parentId records the owning group
+    if (element.parentId) {
+      baseElement.parentId = element.parentId;
+    }
+
+    if (element.visibleWhen && element.visibleWhen.trim()) {
+      baseElement.visibleWhen = element.visibleWhen.trim();
+    }
 
     switch (element.type) {
       case 'text':
         return {
           ...baseElement,
           content: element.content,
+          // Inline formatting; absent for uniformly styled text
+          ...(element.runs && { runs: element.runs.map(run => ({ ...run })) }),
           styling: {
             fontSize: element.fontSize,
             fontFamily: element.fontFamily,
             fontWeight: element.fontWeight,
             fontStyle: element.fontStyle,
             textAlign: element.textAlign,
+            verticalAlign: element.verticalAlign || 'top',
             color: element.color,
             backgroundColor: element.backgroundColor,
-            padding: element.padding
+            padding: element.padding,
+            lineHeight: element.lineHeight || DEFAULT_LINE_HEIGHT,
+            letterSpacing: element.letterSpacing || 0,
+            underline: Boolean(element.underline),
+            strikethrough: Boolean(element.strikethrough),
+            textTransform: element.textTransform || 'none',
+            textShadow: element.textShadow ? { ...element.textShadow } : null,
+            overflow: element.overflow || 'wrap',
+            minFontSize: element.minFontSize,
+            maxFontSize: element.maxFontSize,
+            ...this.parseBoxEffects(element)
           }
         };
 
@@ -344,7 +848,26 @@ class TB365Parser {
             fill: element.fill,
             stroke: element.stroke,
             strokeWidth: element.strokeWidth,
-            cornerRadius: element.cornerRadius
+            cornerRadius: element.cornerRadius,
+            ...this.parseBoxEffects(element)
+          }
+        };
+
+      case 'line':
+      case 'arrow':
+      case 'ellipse':
+        // Lines have no fill and only arrows have heads; the missing ones are left out
+        return {
+          ...baseElement,
+          styling: {
+            ...(element.type === 'ellipse' && { fill: element.fill }),
+            stroke: element.stroke,
+            strokeWidth: element.strokeWidth,
+            strokeStyle: element.strokeStyle,
+            ...(element.type === 'arrow' && {
+              startArrowhead: element.startArrowhead,
+              endArrowhead: element.endArrowhead
+            })
           }
         };
 
@@ -353,8 +876,9 @@ class TB365Parser {
           ...baseElement,
           src: element.src,
           styling: {
-            opacity: element.opacity,
-            fit: element.fit
+            fit: element.fit,
+            ...this.parseImageStyle(element),
+            ...this.parseBoxEffects(element)
           }
         };
 
@@ -364,7 +888,10 @@ class TB365Parser {
           table: {
             rows: element.rows,
             columns: element.columns,
-            cells: element.cells
+            cells: element.cells,
+            ...(element.columnWidths && { columnWidths: [...element.columnWidths] }),
+            ...(element.rowHeights && { rowHeights: [...element.rowHeights] }),
+            ...(element.repeat && { repeat: { ...element.repeat } })
           },
           styling: {
             cellPadding: element.cellPadding,
@@ -378,20 +905,66 @@ class TB365Parser {
           }
         };
 
+      case 'group':
+        return {
+          ...baseElement,
+          childIds: [...element.childIds]
+        };
+
       default:
         return baseElement;
     }
   }
 
+  /**
+   * Copy the box effects an element sets; unset ones are left out of its styling
+   */
+  parseBoxEffects(element) {
+    const effects = {};
+    if (element.opacity !== undefined) effects.opacity = element.opacity;
+    if (element.gradient) {
+      // Stops in order, so generators can list them as they are
+      effects.gradient = {
+        type: element.gradient.type,
+        angle: element.gradient.angle,
+        stops: [...element.gradient.stops].sort((a, b) => a.offset - b.offset).map(stop => ({ ...stop }))
+      };
+    }
+    if (element.shadow) effects.shadow = { spread: 0, ...element.shadow };
+    if (element.cornerRadii) effects.cornerRadii = { ...element.cornerRadii };
+    if (element.borders) {
+      effects.borders = Object.fromEntries(BORDER_SIDES.map(side => [side, { ...element.borders[side] }]));
+    }
+    return effects;
+  }
+
+  /**
+   * Collect the crop, focal point, mask and filters set on an image element. A rounded mask
+   * always gets its radius.
+   */
+  parseImageStyle(element) {
+    const styles = {};
+    if (element.crop) styles.crop = { ...element.crop };
+    if (element.focalPoint) styles.focalPoint = { ...element.focalPoint };
+    if (element.mask && element.mask !== 'none') {
+      styles.mask = element.mask;
+      if (element.mask === 'rounded') styles.maskRadius = element.maskRadius !== undefined ? element.maskRadius : DEFAULT_MASK_RADIUS;
+    }
+    if (element.filters) styles.filters = { ...element.filters };
+    return styles;
+  }
+
   /**
    * Group validated elements by type
    */
   groupElementsByType(elements) {
     const groups = {
       rectangles: [],
+      shapes: [],
       text: [],
       images: [],
-      tables: []
+      tables: [],
+      groups: []
     };
 
     elements.forEach(element => {
@@ -399,6 +972,11 @@ class TB365Parser {
         case 'rectangle':
           groups.rectangles.push(element);
           break;
+        case 'line':
+        case 'arrow':
+        case 'ellipse':
+          groups.shapes.push(element);
+          break;
         case 'text':
           groups.text.push(element);
           break;
@@ -408,22 +986,26 @@ class TB365Parser {
         case 'table':
           groups.tables.push(element);
           break;
+        case 'group':
+          groups.groups.push(element);
+          break;
         default:
           console.warn(`Unknown element type: ${element.type} for element ${element.id}`);
       }
     });
 
-    console.log(`✅ Grouped elements: ${groups.rectangles.length} rectangles, ${groups.text.length} text, ${groups.images.length} images, ${groups.tables.length} tables`);
+    console.log(`✅ Grouped elements: ${groups.rectangles.length} rectangles, ${groups.shapes.length} shapes, ${groups.text.length} text, ${groups.images.length} images, ${groups.tables.length} tables, ${groups.groups.length} groups`);
     
     return groups;
   }
 
   /**
-   * Parse canvas properties
+   * Parse canvas properties. The canvas size is the first page's size.
    */
-  parseCanvas(canvasState) {
+  parseCanvas(canvasState, pages) {
     return {
-      size: canvasState.canvasSize,
+      size: pages[0].size,
+      pageCount: pages.length,
       zoom: canvasState.zoom,
       snapToGrid: canvasState.snapToGrid,
       gridSize: canvasState.gridSize,
@@ -461,6 +1043,7 @@ class TB365Parser {
         column: cell.column,
         content: cell.originalContent,
         isHeader: cell.isHeader,
+        repeatSource: cell.repeatSource,
         // Enhanced content analysis
         contentType: cell.contentType,
         hasVariables: cell.hasVariables,
@@ -484,21 +1067,11 @@ class TB365Parser {
   }
 
   /**
-   * Extract variables from text using {{variable}} syntax
+   * Extract variables from text using {{variable}} syntax; loops count as their list, not the
+   * item fields inside them
    */
   extractVariables(text) {
-    const variableRegex = /\{\{([^}]+)\}\}/g;
-    const variables = [];
-    let match;
-    
-    while ((match = variableRegex.exec(text)) !== null) {
-      const variableName = match[1].trim();
-      if (variableName && !variables.includes(variableName)) {
-        variables.push(variableName);
-      }
-    }
-    
-    return variables;
+    return getTemplateVariables(text);
   }
 
   /**
@@ -522,7 +1095,7 @@ class TB365Parser {
         
         // Collect colors
         Object.values(elementStyles).forEach(value => {
-          if (typeof value === 'string' && value.match(/^#[0-9A-Fa-f]{6}$/)) {
+          if (typeof value === 'string' && HEX_COLOR.test(value)) {
             styles.colors.add(value);
           }
         });
@@ -4,6 +4,9 @@
  * with comprehensive error handling, validation, and security features
  */
 
+const { expandRepeatingRows } = require('../utils/table-repeat');
+const { renderBlocks, fillLinkVariables } = require('../utils/template-logic');
+
 class VariableReplacer {
   /**
    * Replace variables in HTML template with actual data
@@ -40,13 +43,31 @@ class VariableReplacer {
       // Normalize data for easier access
       const normalizedData = this.normalizeData(sanitizedData);
       
+      // Repeating table rows and blocks read the data as given rather than its sanitized text,
+      // so conditions see numbers and booleans; item values are sanitized as they are filled in
+      const rawData = this.normalizeData(data);
+      
+      // Repeating table rows first, so the rows they add get their variables replaced too
+      const repeated = this.expandRepeatingRows(htmlTemplate, rawData, defaultValues, options);
+      warnings.push(...repeated.warnings);
+      
+      // Then conditional blocks and loops
+      const conditional = this.renderConditionalBlocks(repeated.html, rawData, defaultValues, options);
+      warnings.push(...conditional.warnings);
+      
+      // Then the URLs of links, checked once their variables are filled in
+      const linkedHtml = fillLinkVariables(
+        conditional.html,
+        (name) => this.lookupValue(name, rawData, defaultValues)
+      );
+      
       // Find all variables in template
-      const variableMatches = this.findVariables(htmlTemplate);
+      const variableMatches = this.findVariables(linkedHtml);
       
       console.log(`Found ${variableMatches.length} variable instances to replace`);
       
       // Replace variables
-      let replacedHtml = htmlTemplate;
+      let replacedHtml = linkedHtml;
       const replacementLog = [];
       const missingVariables = [];
       
@@ -114,6 +135,8 @@ class VariableReplacer {
           warningsCount: warnings.length
         },
         replacements: replacementLog,
+        repeatedRows: repeated.expanded,
+        conditionalBlocks: conditional.blocks,
         missing: missingVariables,
         warnings,
         processingTime
@@ -272,15 +295,18 @@ class VariableReplacer {
       Object.keys(obj).forEach(key => {
         const value = obj[key];
         
-        if (value && typeof value === 'object' && !Array.isArray(value)) {
-          result[key] = sanitizeObject(value);
-        } else {
-          result[key] = sanitizeValue(value, key);
-        }
+        result[key] = sanitizeEntry(value, key);
       });
       return result;
     };
     
+    // Arrays feed loops and repeating table rows; their items are checked under the array's key
+    const sanitizeEntry = (value, key) => {
+      if (Array.isArray(value)) return value.map(item => sanitizeEntry(item, key));
+      if (value && typeof value === 'object') return sanitizeObject(value);
+      return sanitizeValue(value, key);
+    };
+    
     const sanitized = sanitizeObject(data);
     // Attach warnings to the result (temporary storage)
     sanitized._warnings = warnings;
@@ -324,6 +350,95 @@ class VariableReplacer {
     }
   }
 
+  /**
+   * Expand the template rows of repeating tables into one row per item of their array
+   * variable, taken from the data or else the default values
+   * @param {string} htmlTemplate - HTML template
+   * @param {Object} data - Normalized data object, unsanitized
+   * @param {Object} defaultValues - Default values
+   * @param {Object} options - Replacement options
+   * @returns {Object} Expanded HTML, item counts per template row and warnings
+   */
+  expandRepeatingRows(htmlTemplate, data, defaultValues, options) {
+    const warnings = [];
+
+    const getItems = (source) => {
+      let items = this.getNestedValue(data, source);
+      if (items === undefined || items === null) items = defaultValues[source];
+      if (items === undefined || items === null) return undefined;
+      if (!Array.isArray(items)) {
+        // Asked once for the template row and once for the empty-state row
+        if (warnings.some(warning => warning.key === source)) return undefined;
+        warnings.push({
+          type: 'VALIDATION_WARNING',
+          key: source,
+          message: `Repeating rows need an array for ${source}`
+        });
+        return undefined;
+      }
+      return items;
+    };
+
+    const { html, expanded, errors } = expandRepeatingRows(
+      htmlTemplate,
+      getItems,
+      (value, field) => this.renderItemValue(value, field, options),
+      (name) => this.lookupValue(name, data, defaultValues)
+    );
+    warnings.push(...errors.map(message => ({
+      type: 'TEMPLATE_WARNING',
+      message
+    })));
+    return { html, expanded, warnings };
+  }
+
+  /**
+   * Keep the branches of {{#if}} and {{#unless}} blocks whose conditions hold for the data, and
+   * repeat the body of {{#each}} loops once per item of their array
+   * @param {string} htmlTemplate - HTML template
+   * @param {Object} data - Normalized data object, unsanitized
+   * @param {Object} defaultValues - Default values
+   * @param {Object} options - Replacement options
+   * @returns {Object} Rendered HTML, number of blocks and warnings
+   */
+  renderConditionalBlocks(htmlTemplate, data, defaultValues, options = {}) {
+    const { html, blocks, errors } = renderBlocks(
+      htmlTemplate,
+      (name) => this.lookupValue(name, data, defaultValues),
+      (value, field) => this.renderItemValue(value, field, options)
+    );
+    const warnings = errors.map(message => ({
+      type: 'TEMPLATE_WARNING',
+      message
+    }));
+    return { html, blocks, warnings };
+  }
+
+  /**
+   * Render a loop item's value like a replaced variable, sanitizing it first. The whole data
+   * was already checked, so the sanitizer's warnings are not repeated here.
+   * @param {*} value - Item value
+   * @param {string} field - Placeholder name, e.g. `price` or `this.price`
+   * @param {Object} options - Replacement options
+   * @returns {string} Rendered value
+   */
+  renderItemValue(value, field, options) {
+    const sanitized = this.sanitizeData({ [field]: value }, options);
+    return this.processValue(sanitized[field], field, options);
+  }
+
+  /**
+   * Raw value of a variable, looked up like getReplacementValue does
+   * @param {string} variableName - Name of the variable
+   * @param {Object} data - Normalized data object
+   * @param {Object} defaultValues - Default values
+   * @returns {*} Value or undefined
+   */
+  lookupValue(variableName, data, defaultValues) {
+    const candidates = [this.getNestedValue(data, variableName), defaultValues[variableName], data[variableName]];
+    return candidates.find(value => value !== undefined && value !== null);
+  }
+
   /**
    * Find all variable instances in HTML template
    * @param {string} html - HTML template
@@ -336,7 +451,9 @@ class VariableReplacer {
     
     while ((match = variableRegex.exec(html)) !== null) {
       const variableName = match[1].trim();
-      if (variableName) {
+      // Block tags left over from unbalanced blocks and names that only mean something inside
+      // loops are not variables
+      if (variableName && !/^[#/@]/.test(variableName) && variableName !== 'else' && !/^this(\.|$)/.test(variableName)) {
         matches.push({
           fullMatch: match[0],
           variableName,
@@ -408,7 +525,8 @@ class VariableReplacer {
   }
 
   /**
-   * Flatten nested object to support dot notation
+   * Flatten nested object to support dot notation. Arrays stay whole for loops and repeating
+   * rows; getNestedValue reaches their items with index paths such as `agents.0.name`.
    * @param {Object} obj - Object to flatten
    * @param {Object} result - Result object
    * @param {string} prefix - Key prefix
@@ -452,8 +570,8 @@ class VariableReplacer {
    * @returns {string} Processed value
    */
   processValue(value, variableName, options) {
-    // Convert to string
-    let processed = String(value);
+    // Convert to string; lists placed outside a loop read as comma-separated values
+    let processed = Array.isArray(value) ? value.join(', ') : String(value);
     
     // Apply HTML escaping if requested
     if (options.escapeHtml !== false) {
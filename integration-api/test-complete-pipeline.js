@@ -209,15 +209,10 @@ async function runCompletePipelineTest() {
     const pdfStart = Date.now();
     
     try {
+      // Paper size and margins follow the template's page setup
       const pdfResult = await localRenderer.generatePDF(finalHtml, {
-        format: 'A4',
+        pages: htmlResult.metadata.pages,
         printBackground: true,
-        margin: {
-          top: '0.5in',
-          right: '0.5in',
-          bottom: '0.5in',
-          left: '0.5in'
-        },
         waitTime: 1500,
         timeout: 15000
       });
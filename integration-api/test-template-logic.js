@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const templateLogic = require('./utils/template-logic');
+
+/**
+ * Consistency check for the template language: the API's blocks and conditions, the converters
+ * that use them (shared/tb365-converter.cjs and the minimal converter Lambda with its packaged
+ * copies of the modules) and the editor's conditions (src/utils/templateLogic.ts) must decide
+ * sample templates alike. Exits with a failure when any of them disagree.
+ */
+
+const ROOT = path.join(__dirname, '..');
+
+const data = {
+  agent: { name: 'Dana', phone: '' },
+  price: '525000',
+  bedrooms: 3,
+  status: 'active',
+  featured: true,
+  openHouse: false,
+  tags: [],
+  listings: [
+    { address: '12 Oak St', price: 450000, rooms: [{ name: 'Kitchen' }, { name: 'Den' }] },
+    { address: '9 Elm Ave', price: 610000, rooms: [] }
+  ],
+  features: ['Pool', 'Garage']
+};
+
+// Conditions with comparisons, missing variables, nested paths and combinations
+const conditions = [
+  'featured',
+  '!openHouse',
+  'missing',
+  '!missing',
+  'missing == null',
+  'missing != null',
+  'missing > 3',
+  'agent.name',
+  'agent.phone',
+  'agent.name == "Dana"',
+  "status != 'sold'",
+  'price >= 500000',
+  'price < 500000',
+  'bedrooms == "3"',
+  'bedrooms > 2 && status == "active"',
+  'openHouse || bedrooms <= 2',
+  '!(featured && price > 600000)',
+  'tags',
+  'features',
+  'status > "abc"',
+  'price >=',
+  '(featured'
+];
+
+// Blocks: nested, with else branches, loops over lists and missing data. Each maps to the
+// HTML every implementation must render.
+const templates = [
+  ['{{#if featured}}A{{else}}B{{/if}}', 'A'],
+  ['{{#unless featured}}A{{else}}B{{/unless}}', 'B'],
+  ['{{#if missing}}A{{else}}B{{/if}}', 'B'],
+  ['{{#if featured}}{{#if openHouse}}A{{else}}B{{/if}}{{else}}C{{/if}}', 'B'],
+  ['{{#if price > 500000}}{{#unless missing}}high{{/unless}}{{/if}}', 'high'],
+  ['{{#each features}}[{{this}}{{#if @last}}.{{/if}}]{{/each}}', '[Pool][Garage.]'],
+  ['{{#each listings}}{{@index}}:{{address}} {{#each rooms}}{{name}},{{else}}none{{/each}};{{/each}}',
+    '0:12 Oak St Kitchen,Den,;1:9 Elm Ave none;'],
+  ['{{#each listings}}{{#if price > 500000}}{{address}}{{/if}}{{/each}}', '9 Elm Ave'],
+  ['{{#each tags}}x{{else}}no tags{{/each}}', 'no tags'],
+  ['{{#each missing}}x{{else}}nothing{{/each}}', 'nothing'],
+  ['{{#each listings}}{{missingField}}{{/each}}', '{{missingField}}{{missingField}}'],
+  ['{{#if featured}}unclosed', '{{#if featured}}unclosed'],
+  ['{{#if price >=}}A{{else}}B{{/if}}', 'B']
+];
+
+// Plain variables the converters fill in after the blocks, read through the same dot paths
+const replacements = [
+  ['{{#if agent.name}}{{agent.name}}{{/if}}', 'Dana'],
+  ['{{ agent.name }} {{status}}', 'Dana active'],
+  ['{{features}}', 'Pool, Garage'],
+  ['{{agent.missing}} {{missing}}', '{{agent.missing}} {{missing}}']
+];
+
+const lookupValue = name => {
+  const value = name.split('.').reduce((current, key) => (current !== null && typeof current === 'object' ? current[key] : undefined), data);
+  return value === undefined ? data[name] : value;
+};
+
+/**
+ * Bundle the editor's conditions for Node with esbuild, which the frontend build already uses
+ */
+function loadEditorLogic() {
+  const esbuild = require('esbuild');
+  const { outputFiles } = esbuild.buildSync({
+    entryPoints: [path.join(ROOT, 'src', 'utils', 'templateLogic.ts')],
+    bundle: true,
+    platform: 'node',
+    format: 'cjs',
+    write: false,
+    logLevel: 'error'
+  });
+  const editorModule = { exports: {} };
+  new Function('module', 'exports', 'require', outputFiles[0].text)(editorModule, editorModule.exports, require);
+  return editorModule.exports;
+}
+
+function testTemplateLogic() {
+  console.log('🚀 TB365 Template Logic Consistency Check');
+  console.log('=========================================\n');
+
+  const failures = [];
+  const check = (label, actual, expected) => {
+    if (actual !== expected) failures.push(`${label}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+  };
+
+  // Quiet the converters' warnings about the malformed samples
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    console.log('1️⃣ Checking the minimal converter\'s packaged copies...');
+    ['template-logic.js', 'table-layout.js', 'table-repeat.js', 'font-face.js'].forEach(file => {
+      const copy = fs.readFileSync(path.join(__dirname, 'minimal-converter', file), 'utf8');
+      check(`minimal-converter/${file}`, copy === fs.readFileSync(path.join(__dirname, 'utils', file), 'utf8'), true);
+    });
+
+    const converters = {
+      shared: require(path.join(ROOT, 'shared', 'tb365-converter.cjs')),
+      lambda: require(path.join(__dirname, 'minimal-converter', 'tb365-converter.cjs'))
+    };
+    const editor = loadEditorLogic();
+
+    console.log(`2️⃣ Evaluating ${conditions.length} conditions...`);
+    conditions.forEach(condition => {
+      let api = false;
+      try {
+        api = templateLogic.evaluateCondition(condition, lookupValue);
+      } catch {
+        // Malformed conditions count as false everywhere
+      }
+      check(`editor "${condition}"`, editor.evaluateCondition(condition, data), api);
+      Object.entries(converters).forEach(([name, converter]) => {
+        const html = converter.replaceVariables(`{{#if ${condition}}}yes{{else}}no{{/if}}`, data);
+        check(`${name} converter "${condition}"`, html, api ? 'yes' : 'no');
+      });
+    });
+
+    console.log(`3️⃣ Rendering ${templates.length} block templates...`);
+    templates.forEach(([template, expected]) => {
+      check(`API "${template}"`, templateLogic.renderBlocks(template, lookupValue).html, expected);
+      Object.entries(converters).forEach(([name, converter]) => {
+        check(`${name} converter "${template}"`, converter.replaceVariables(template, data), expected);
+      });
+    });
+
+    console.log(`4️⃣ Filling in ${replacements.length} variable templates...`);
+    replacements.forEach(([template, expected]) => {
+      Object.entries(converters).forEach(([name, converter]) => {
+        check(`${name} converter "${template}"`, converter.replaceVariables(template, data), expected);
+      });
+    });
+  } finally {
+    console.warn = warn;
+  }
+
+  if (failures.length > 0) {
+    console.error(`\n❌ ${failures.length} mismatches:`);
+    failures.forEach(failure => console.error(`   • ${failure}`));
+    process.exitCode = 1;
+    return;
+  }
+  console.log('\n🎉 API, converters and editor agree on every sample!');
+}
+
+// Run the test
+testTemplateLogic();
@@ -0,0 +1,82 @@
+/**
+ * Box effects of rectangles, images and text boxes as CSS, shared by the HTML, CSS and
+ * project generators: gradients, opacity, drop shadows, per-corner radii and per-side borders.
+ * Mirrors the editor's box effects (src/utils/boxEffects.ts).
+ */
+
+// Colors are hex, optionally with an alpha byte (#rrggbbaa)
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$/;
+const GRADIENT_TYPES = ['linear', 'radial'];
+const CORNERS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+const BORDER_SIDES = ['top', 'right', 'bottom', 'left'];
+const BOX_EFFECT_KEYS = ['opacity', 'gradient', 'shadow', 'cornerRadii', 'borders'];
+
+/**
+ * CSS gradient for a gradient fill. Radial gradients are circles reaching the farthest corner,
+ * like the editor draws them.
+ * @param {Object} gradient - Gradient with type, angle and stops
+ * @returns {string} CSS image value
+ */
+function getGradientCSS(gradient) {
+  const stops = gradient.stops
+    .map(stop => `${stop.color} ${Math.round(stop.offset * 1000) / 10}%`)
+    .join(', ');
+  return gradient.type === 'radial'
+    ? `radial-gradient(circle farthest-corner at center, ${stops})`
+    : `linear-gradient(${gradient.angle}deg, ${stops})`;
+}
+
+/**
+ * CSS declarations for the box effects set on an element. They come after the element's flat
+ * fill, border and radius declarations and override them.
+ * @param {Object} styling - Parsed element styling
+ * @returns {Array<string>} Declarations without trailing semicolons
+ */
+function getBoxEffectsCSS(styling) {
+  const declarations = [];
+
+  if (styling.opacity !== undefined && styling.opacity < 1) {
+    declarations.push(`opacity: ${styling.opacity}`);
+  }
+  if (styling.gradient) {
+    declarations.push(`background: ${getGradientCSS(styling.gradient)}`);
+  }
+
+  const shadow = styling.shadow;
+  if (shadow) {
+    declarations.push(`box-shadow: ${shadow.offsetX}px ${shadow.offsetY}px ${shadow.blur}px ${shadow.spread || 0}px ${shadow.color}`);
+  }
+
+  if (styling.cornerRadii) {
+    declarations.push(`border-radius: ${CORNERS.map(corner => `${styling.cornerRadii[corner]}px`).join(' ')}`);
+  }
+  if (styling.borders) {
+    BORDER_SIDES.forEach(side => {
+      const border = styling.borders[side];
+      declarations.push(`border-${side}: ${border.width > 0 ? `${border.width}px ${border.style} ${border.color}` : 'none'}`);
+    });
+  }
+
+  return declarations;
+}
+
+/**
+ * The box effects set on parsed styling, for generators that list element properties
+ * @param {Object} styling - Parsed element styling
+ * @returns {Object} Effects by key; unset ones are left out
+ */
+function getBoxEffects(styling) {
+  return Object.fromEntries(
+    BOX_EFFECT_KEYS.filter(key => styling[key] !== undefined).map(key => [key, styling[key]])
+  );
+}
+
+module.exports = {
+  HEX_COLOR,
+  GRADIENT_TYPES,
+  CORNERS,
+  BORDER_SIDES,
+  getGradientCSS,
+  getBoxEffectsCSS,
+  getBoxEffects
+};
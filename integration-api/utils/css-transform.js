@@ -0,0 +1,26 @@
+/**
+ * CSS transform helpers shared by the HTML and CSS generators
+ */
+
+/**
+ * Build the CSS transform for an element's rotation and flips. The editor rotates and
+ * flips elements around their center, which matches the default transform-origin.
+ * @param {Object} element - Parsed element with rotation (degrees), flipX and flipY
+ * @returns {string} Transform value, or an empty string when the element is untransformed
+ */
+function getTransformCSS(element) {
+  const transforms = [];
+  
+  if (element.rotation) {
+    transforms.push(`rotate(${element.rotation}deg)`);
+  }
+  if (element.flipX || element.flipY) {
+    transforms.push(`scale(${element.flipX ? -1 : 1}, ${element.flipY ? -1 : 1})`);
+  }
+  
+  return transforms.join(' ');
+}
+
+module.exports = {
+  getTransformCSS
+};
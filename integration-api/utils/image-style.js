@@ -0,0 +1,97 @@
+/**
+ * Crops, focal points, masks and filters of image elements as CSS, shared by the HTML, CSS
+ * and project generators. Mirrors the editor's image styles (src/utils/imageStyle.ts).
+ */
+
+const IMAGE_MASKS = ['none', 'rounded', 'circle'];
+const DEFAULT_MASK_RADIUS = 16;
+const DEFAULT_IMAGE_FILTERS = { grayscale: 0, brightness: 1, contrast: 1, blur: 0 };
+const IMAGE_STYLE_KEYS = ['crop', 'focalPoint', 'mask', 'maskRadius', 'filters'];
+
+const toPercent = fraction => `${Math.round(fraction * 10000) / 100}%`;
+
+/**
+ * CSS filter value for image filters, unchanged values left out
+ * @param {Object} [filters] - Grayscale 0-1, brightness and contrast multiples, blur in px
+ * @returns {string|null} Filter functions, or null when the picture is unchanged
+ */
+function getFilterCSS(filters) {
+  if (!filters) return null;
+  const functions = [];
+  if (filters.grayscale !== DEFAULT_IMAGE_FILTERS.grayscale) functions.push(`grayscale(${filters.grayscale})`);
+  if (filters.brightness !== DEFAULT_IMAGE_FILTERS.brightness) functions.push(`brightness(${filters.brightness})`);
+  if (filters.contrast !== DEFAULT_IMAGE_FILTERS.contrast) functions.push(`contrast(${filters.contrast})`);
+  if (filters.blur !== DEFAULT_IMAGE_FILTERS.blur) functions.push(`blur(${filters.blur}px)`);
+  return functions.length > 0 ? functions.join(' ') : null;
+}
+
+/**
+ * CSS declarations masking the element box to rounded corners or a circle
+ * @param {Object} styling - Parsed image styling
+ * @returns {Array<string>} Declarations without trailing semicolons
+ */
+function getImageMaskCSS(styling) {
+  switch (styling.mask) {
+    case 'rounded':
+      return [`clip-path: inset(0 round ${styling.maskRadius !== undefined ? styling.maskRadius : DEFAULT_MASK_RADIUS}px)`];
+    case 'circle':
+      return ['clip-path: ellipse(50% 50% at 50% 50%)'];
+    default:
+      return [];
+  }
+}
+
+/**
+ * CSS declarations for the <img> showing the picture. A cropped picture is positioned inside
+ * its element box, which then has to be a clipping wrapper; otherwise the fit and focal point
+ * place it.
+ * @param {Object} styling - Parsed image styling
+ * @param {Function} mapFit - Maps the element's fit to a CSS object-fit value
+ * @returns {Array<string>} Declarations without trailing semicolons
+ */
+function getPictureCSS(styling, mapFit) {
+  const declarations = [];
+
+  if (styling.crop) {
+    const { crop } = styling;
+    declarations.push(
+      'position: absolute',
+      `left: ${toPercent(crop.x)}`,
+      `top: ${toPercent(crop.y)}`,
+      `width: ${toPercent(crop.width)}`,
+      `height: ${toPercent(crop.height)}`,
+      'max-width: none'
+    );
+  } else {
+    declarations.push(`object-fit: ${mapFit(styling.fit)}`);
+    if (styling.focalPoint) {
+      declarations.push(`object-position: ${toPercent(styling.focalPoint.x)} ${toPercent(styling.focalPoint.y)}`);
+    }
+  }
+
+  const filter = getFilterCSS(styling.filters);
+  if (filter) declarations.push(`filter: ${filter}`);
+
+  return declarations;
+}
+
+/**
+ * The image styles set on parsed styling, for generators that list element properties
+ * @param {Object} styling - Parsed image styling
+ * @returns {Object} Styles by key; unset ones are left out
+ */
+function getImageStyles(styling) {
+  return Object.fromEntries(
+    IMAGE_STYLE_KEYS.filter(key => styling[key] !== undefined).map(key => [key, styling[key]])
+  );
+}
+
+module.exports = {
+  IMAGE_MASKS,
+  DEFAULT_MASK_RADIUS,
+  DEFAULT_IMAGE_FILTERS,
+  getFilterCSS,
+  getImageMaskCSS,
+  getPictureCSS,
+  getImageStyles
+};
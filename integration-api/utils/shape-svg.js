@@ -0,0 +1,103 @@
+/**
+ * SVG drawing of line, arrow and ellipse elements, shared by the HTML generators.
+ * Mirrors the editor's shape geometry (src/utils/shapes.ts) so exports match the canvas.
+ */
+
+const STROKE_STYLES = ['solid', 'dashed', 'dotted'];
+const ARROWHEADS = ['none', 'triangle', 'open'];
+
+/**
+ * Dash pattern for a stroke style, scaled with the stroke width
+ * @param {string} style - solid, dashed or dotted
+ * @param {number} strokeWidth - Stroke width in px
+ * @returns {Array<number>} Dash lengths, empty for solid strokes
+ */
+function getDashArray(style, strokeWidth) {
+  const width = Math.max(1, strokeWidth);
+  switch (style) {
+    case 'dashed':
+      return [width * 4, width * 3];
+    case 'dotted':
+      // Zero-length dashes with round caps draw dots
+      return [0, width * 2];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Shaft and arrowheads of a line running across the middle of its box. The shaft stops at
+ * the base of a triangle head so wide strokes do not poke through its tip.
+ * @param {Object} size - Element box size
+ * @param {number} strokeWidth - Stroke width in px
+ * @param {string} [startArrowhead] - none, triangle or open
+ * @param {string} [endArrowhead] - none, triangle or open
+ * @returns {Object} { shaft: [x1, y1, x2, y2], heads: [{ points, closed }] }
+ */
+function getLineGeometry(size, strokeWidth, startArrowhead = 'none', endArrowhead = 'none') {
+  const y = size.height / 2;
+  const length = Math.min(strokeWidth * 3 + 6, size.width / 3);
+  const halfWidth = strokeWidth * 1.5 + 4;
+  const heads = [];
+  let x1 = 0;
+  let x2 = size.width;
+
+  const addHead = (head, tipX, direction) => {
+    if (!head || head === 'none') return;
+    const baseX = tipX - direction * length;
+    heads.push({
+      points: [baseX, y - halfWidth, tipX, y, baseX, y + halfWidth],
+      closed: head === 'triangle'
+    });
+    if (head === 'triangle') {
+      if (direction > 0) x2 = baseX;
+      else x1 = baseX;
+    }
+  };
+  addHead(startArrowhead, 0, -1);
+  addHead(endArrowhead, size.width, 1);
+
+  return { shaft: [x1, y, x2, y], heads };
+}
+
+/**
+ * Build the SVG markup for a shape element. The SVG fills the element box; strokes may
+ * extend past it like they do on the canvas.
+ * @param {Object} element - Parsed line, arrow or ellipse element
+ * @returns {string} SVG markup
+ */
+function getShapeSVG(element) {
+  const { width, height } = element.size;
+  const styling = element.styling;
+  const dash = getDashArray(styling.strokeStyle, styling.strokeWidth);
+  const strokeAttributes = [
+    `stroke="${styling.stroke}"`,
+    `stroke-width="${styling.strokeWidth}"`,
+    `stroke-linecap="${styling.strokeStyle === 'dotted' ? 'round' : 'butt'}"`,
+    ...(dash.length > 0 ? [`stroke-dasharray="${dash.join(' ')}"`] : [])
+  ].join(' ');
+
+  let shapes;
+  if (element.type === 'ellipse') {
+    shapes = `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${width / 2}" ry="${height / 2}" fill="${styling.fill}" ${strokeAttributes} />`;
+  } else {
+    const { shaft, heads } = getLineGeometry(element.size, styling.strokeWidth, styling.startArrowhead, styling.endArrowhead);
+    const [x1, y1, x2, y2] = shaft;
+    shapes = `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${strokeAttributes} />`;
+    heads.forEach(head => {
+      shapes += head.closed
+        ? `<polygon points="${head.points.join(' ')}" fill="${styling.stroke}" stroke="${styling.stroke}" stroke-width="${styling.strokeWidth}" />`
+        : `<polyline points="${head.points.join(' ')}" fill="none" stroke="${styling.stroke}" stroke-width="${styling.strokeWidth}" />`;
+    });
+  }
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block; overflow: visible;">${shapes}</svg>`;
+}
+
+module.exports = {
+  STROKE_STYLES,
+  ARROWHEADS,
+  getDashArray,
+  getLineGeometry,
+  getShapeSVG
+};
@@ -0,0 +1,536 @@
+/**
+ * Blocks of the template language: {{#if condition}} and {{#unless condition}}, and loops over
+ * array data with {{#each list}}, each with an optional {{else}} and closed by {{/if}},
+ * {{/unless}} or {{/each}}. Conditions test variables, alone or compared with ==, !=, <, <=, >
+ * and >=, and combine with &&, || and !. Inside a loop, {{field}} and {{this.field}} read the
+ * current item, {{this}} is the item itself and {{@index}}, {{@first}} and {{@last}} tell where
+ * it stands. Elements' "visible when" settings are rendered as {{#if}} blocks around them, so
+ * the variable replacer decides both when data is bound. The converters use this module too
+ * (the minimal converter Lambda packages a copy of it); the editor's conditions mirror it
+ * (src/utils/templateLogic.ts), and test-template-logic.js checks that they all agree.
+ */
+
+// {{#name expression}}, {{else}} or {{/name}}
+const BLOCK_TAG = /\{\{\s*(?:#(\w+)\s*([^}]*?)|(else)|\/(\w+))\s*\}\}/g;
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+const PLACEHOLDER = /\{\{([^}]+)\}\}/g;
+// Loops take a variable, a dot path into one or a path from the current item
+const LIST_PATH = /^(?:this|[A-Za-z_][\w-]*)(?:\.[\w-]+)*$/;
+// Leading and trailing block tags of a table row, moved around the row itself
+const ROW_BLOCK_OPEN = /^\s*(\{\{\s*#(each|if|unless)\b[^}]*\}\})/;
+const ROW_BLOCK_CLOSE = /(\{\{\s*\/(each|if|unless)\s*\}\})\s*$/;
+
+const TOKEN = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)(?![\w.])|(==|!=|>=|<=|&&|\|\||[<>!()])|([A-Za-z_@][\w.@-]*))/y;
+const KEYWORDS = { true: true, false: false, null: null };
+
+// Generated HTML escapes text, including the quotes and comparisons inside conditions
+const ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#x27;': "'", '&amp;': '&' };
+const decodeEntities = text => text.replace(/&(?:lt|gt|quot|#39|#x27|amp);/g, entity => ENTITIES[entity]);
+const escapeAttribute = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Link URLs made, at least in part, of {{variables}}, and the schemes a filled-in URL may have
+const LINK_HREF = /(<a\b[^>]*?)\shref="([^"]*\{\{[^"]*)"/g;
+const SAFE_LINK_URL = /^(?:https?:|mailto:|tel:)/i;
+
+/**
+ * Split a condition into literals, operators and variable names
+ * @param {string} expression - Condition text
+ * @returns {Array<{type: string, value: *}>} Tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const source = decodeEntities(expression).trim();
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) throw new Error(`Unexpected "${source.slice(start).trim()}"`);
+    const [, string, number, operator, name] = match;
+    if (string) tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (number) tokens.push({ type: 'literal', value: Number(number) });
+    else if (operator) tokens.push({ type: 'operator', value: operator });
+    else if (name in KEYWORDS) tokens.push({ type: 'literal', value: KEYWORDS[name] });
+    else tokens.push({ type: 'variable', value: name });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a condition into a tree of literal, variable, not, logical and compare nodes
+ * @param {string} expression - Condition text, e.g. `price >= 500000 && status != "sold"`
+ * @returns {Object} Root node
+ * @throws {Error} When the condition is empty or malformed
+ */
+function parseCondition(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOperator = (...operators) => peek() && peek().type === 'operator' && operators.includes(peek().value);
+
+  const parseOperand = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('Condition ends too early');
+    if (token.type === 'literal') return { type: 'literal', value: token.value };
+    if (token.type === 'variable') return { type: 'variable', name: token.value };
+    if (token.value === '(') {
+      const node = parseOr();
+      if (!isOperator(')')) throw new Error('Missing ")"');
+      position++;
+      return node;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+  const parseComparison = () => {
+    const left = parseOperand();
+    if (!isOperator('==', '!=', '<', '<=', '>', '>=')) return left;
+    const operator = tokens[position++].value;
+    return { type: 'compare', operator, left, right: parseOperand() };
+  };
+  const parseNot = () => {
+    if (!isOperator('!')) return parseComparison();
+    position++;
+    return { type: 'not', operand: parseNot() };
+  };
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOperator('&&')) {
+      position++;
+      node = { type: 'logical', operator: '&&', left: node, right: parseNot() };
+    }
+    return node;
+  };
+  function parseOr() {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      position++;
+      node = { type: 'logical', operator: '||', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  if (tokens.length === 0) throw new Error('Condition is empty');
+  const root = parseOr();
+  if (position < tokens.length) throw new Error(`Unexpected "${peek().value}"`);
+  return root;
+}
+
+/**
+ * Whether a value counts as set: not missing, false, zero, an empty string or an empty array
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '' && value !== 0 && !Number.isNaN(value);
+}
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+};
+
+/**
+ * Compare two values: as numbers when both read as numbers (data often carries them as
+ * strings), otherwise as text. Missing values only equal each other or null.
+ */
+function compareValues(left, right, operator) {
+  const a = left === undefined ? null : left;
+  const b = right === undefined ? null : right;
+  if (a === null || b === null) {
+    if (operator === '==') return a === b;
+    if (operator === '!=') return a !== b;
+    return false;
+  }
+
+  const [numberA, numberB] = [toNumber(a), toNumber(b)];
+  const order = numberA !== null && numberB !== null
+    ? numberA - numberB
+    : String(a).localeCompare(String(b));
+  switch (operator) {
+    case '==': return order === 0;
+    case '!=': return order !== 0;
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    default: return order >= 0;
+  }
+}
+
+const evaluateNode = (node, lookup) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'variable':
+      return lookup(node.name);
+    case 'not':
+      return !isTruthy(evaluateNode(node.operand, lookup));
+    case 'logical': {
+      const left = isTruthy(evaluateNode(node.left, lookup));
+      if (node.operator === '&&') return left && isTruthy(evaluateNode(node.right, lookup));
+      return left || isTruthy(evaluateNode(node.right, lookup));
+    }
+    default:
+      return compareValues(evaluateNode(node.left, lookup), evaluateNode(node.right, lookup), node.operator);
+  }
+};
+
+/**
+ * Evaluate a condition against bound data
+ * @param {string} expression - Condition text
+ * @param {Function} lookup - Returns the value of a variable name, or undefined
+ * @returns {boolean} Whether the condition holds
+ * @throws {Error} When the condition is malformed
+ */
+function evaluateCondition(expression, lookup) {
+  return isTruthy(evaluateNode(parseCondition(expression), lookup));
+}
+
+/**
+ * Variable names a condition reads; none for a malformed condition
+ * @param {string} expression - Condition text
+ * @returns {Array<string>} Variable names
+ */
+function getConditionVariables(expression) {
+  const names = [];
+  const collect = (node) => {
+    if (node.type === 'variable' && !names.includes(node.name)) names.push(node.name);
+    if (node.operand) collect(node.operand);
+    if (node.left) collect(node.left);
+    if (node.right) collect(node.right);
+  };
+  try {
+    collect(parseCondition(expression));
+  } catch {
+    return [];
+  }
+  return names;
+}
+
+// Names that only mean something inside a loop: the loop variables and the current item
+const isLoopName = name => name.startsWith('@') || name === 'this' || name.startsWith('this.');
+
+/**
+ * Variables a {{...}} placeholder refers to: itself for a plain variable, the names its
+ * condition reads for a block's opening tag, the list for a loop, and none for {{else}},
+ * closing tags and loop variables
+ * @param {string} placeholder - Text between the braces
+ * @returns {Array<string>} Variable names
+ */
+function getPlaceholderVariables(placeholder) {
+  const text = placeholder.trim();
+  const block = text.match(/^#(\w+)\s*([\s\S]*)$/);
+  if (block && block[1] === 'each') {
+    const list = block[2].trim();
+    return LIST_PATH.test(list) && !isLoopName(list) ? [list] : [];
+  }
+  if (block) return BLOCK_HELPERS.includes(block[1]) ? getConditionVariables(block[2]).filter(name => !isLoopName(name)) : [];
+  if (text === 'else' || text.startsWith('/') || isLoopName(text)) return [];
+  return text ? [text] : [];
+}
+
+/**
+ * Split a template into text and the blocks nested in it. Tags that do not pair up are kept
+ * as text and reported.
+ * @param {string} template - Template text or HTML
+ * @returns {{nodes: Array<string|Object>, errors: Array<string>}} Text and block nodes
+ */
+function parseBlocks(template) {
+  const root = { body: [] };
+  const stack = [root];
+  const errors = [];
+  const current = () => stack[stack.length - 1];
+  const branch = () => current().inverse || current().body;
+
+  let lastIndex = 0;
+  let match;
+  BLOCK_TAG.lastIndex = 0;
+  while ((match = BLOCK_TAG.exec(template)) !== null) {
+    const [tag, openName, expression, isElse, closeName] = match;
+    const name = openName || closeName;
+    // Only known block helpers and the tags belonging to them are blocks
+    if (name && !BLOCK_HELPERS.includes(name)) continue;
+
+    branch().push(template.slice(lastIndex, match.index));
+    lastIndex = match.index + tag.length;
+
+    if (openName) {
+      const block = { helper: openName, expression: expression.trim(), openTag: tag, body: [], inverse: null };
+      branch().push(block);
+      stack.push(block);
+    } else if (isElse && stack.length > 1 && !current().inverse) {
+      current().elseTag = tag;
+      current().inverse = [];
+    } else if (closeName && stack.length > 1 && current().helper === closeName) {
+      current().closeTag = tag;
+      stack.pop();
+    } else {
+      errors.push(`Unmatched ${tag}`);
+      branch().push(tag);
+    }
+  }
+  branch().push(template.slice(lastIndex));
+
+  // Unclosed blocks go back to being text
+  while (stack.length > 1) {
+    const block = stack.pop();
+    errors.push(`Unclosed ${block.openTag}`);
+    const parent = current().inverse || current().body;
+    parent.splice(parent.indexOf(block), 1, block.openTag, ...block.body, ...(block.inverse ? [block.elseTag, ...block.inverse] : []));
+  }
+  return { nodes: root.body, errors };
+}
+
+/**
+ * Value of an item field; dotted names are looked up as keys first, then as nested paths
+ * @param {*} item - Loop item
+ * @param {string} field - Field name or dot path
+ * @returns {*} Value or undefined
+ */
+function getItemValue(item, field) {
+  if (item === null || typeof item !== 'object') return undefined;
+  if (field in item) return item[field];
+  return field.split('.').reduce(
+    (current, key) => (current !== null && typeof current === 'object' ? current[key] : undefined),
+    item
+  );
+}
+
+/**
+ * Value of a name in the loops around it: loop variables and `this` from the innermost loop,
+ * other names from the innermost item that has them
+ * @param {string} name - Variable name
+ * @param {Object|null} scope - Innermost loop: {item, index, length, parent}
+ * @returns {{value: *}|null} The value, or null when no loop item has it
+ */
+function resolveInScope(name, scope) {
+  if (!scope) return null;
+  if (name === '@index') return { value: scope.index };
+  if (name === '@first') return { value: scope.index === 0 };
+  if (name === '@last') return { value: scope.index === scope.length - 1 };
+  if (name.startsWith('@')) return null;
+  if (name === 'this') return { value: scope.item };
+  const value = name.startsWith('this.') ? getItemValue(scope.item, name.slice(5)) : getItemValue(scope.item, name);
+  if (value !== undefined) return { value };
+  return name.startsWith('this.') ? null : resolveInScope(name, scope.parent);
+}
+
+/**
+ * Render the blocks of a template against bound data. Conditional blocks keep the branch whose
+ * condition holds and loops repeat their body once per item, with the {{variables}} the items
+ * have filled in; the rest are left for the variable replacement. A condition that fails to
+ * parse counts as false and is reported.
+ * @param {string} template - Template text or HTML
+ * @param {Function} lookup - Returns the value of a variable name, or undefined
+ * @param {Function} [renderValue] - Renders a loop item's value for a placeholder name
+ * @param {Object} [scope] - Loop item the whole template belongs to: {item, index, length}
+ * @returns {{html: string, blocks: number, errors: Array<string>}} Rendered template, the
+ *   number of blocks decided and problems found
+ */
+function renderBlocks(template, lookup, renderValue = value => String(value), scope = null) {
+  const { nodes, errors } = parseBlocks(template);
+  let blocks = 0;
+
+  const fillItemValues = (text, scope) => fillLinkVariables(text, (name) => {
+    const found = resolveInScope(name, scope);
+    return found ? found.value : undefined;
+  }, true).replace(PLACEHOLDER, (placeholder, name) => {
+    const found = resolveInScope(name.trim(), scope);
+    return found && found.value !== null && found.value !== undefined ? renderValue(found.value, name.trim()) : placeholder;
+  });
+
+  const renderLoop = (node, scope, scopedLookup) => {
+    if (!LIST_PATH.test(node.expression)) {
+      errors.push(`Invalid list in ${node.openTag}`);
+      return render(node.inverse || [], scope);
+    }
+    const items = scopedLookup(node.expression);
+    if (!Array.isArray(items) || items.length === 0) {
+      if (items !== undefined && items !== null && !Array.isArray(items)) {
+        errors.push(`${node.openTag} needs a list for ${node.expression}`);
+      }
+      return render(node.inverse || [], scope);
+    }
+    return items.map((item, index) => render(node.body, { item, index, length: items.length, parent: scope })).join('');
+  };
+
+  const render = (nodes, scope) => nodes.map((node) => {
+    if (typeof node === 'string') return scope ? fillItemValues(node, scope) : node;
+    blocks++;
+    const scopedLookup = (name) => {
+      const found = resolveInScope(name, scope);
+      return found ? found.value : lookup(name);
+    };
+    if (node.helper === 'each') return renderLoop(node, scope, scopedLookup);
+
+    let holds = false;
+    try {
+      holds = evaluateCondition(node.expression, scopedLookup);
+    } catch (error) {
+      errors.push(`Invalid condition in ${node.openTag}: ${error.message}`);
+    }
+    if (node.helper === 'unless') holds = !holds;
+    return render(holds ? node.body : (node.inverse || []), scope);
+  }).join('');
+
+  const html = render(nodes, scope);
+  // Blocks inside loops report once, not once per item
+  return { html, blocks, errors: Array.from(new Set(errors)) };
+}
+
+/**
+ * Fill in the {{variables}} of link URLs. The filled-in URL is checked and escaped as a
+ * whole, as typed links are when the HTML is generated: links whose URL does not go to a web
+ * page, an email address or a phone number lose their href, as do links with variables the
+ * data does not have.
+ * @param {string} html - HTML with links
+ * @param {Function} lookup - Returns the value of a variable name, or undefined
+ * @param {boolean} [partial] - Leave links with variables the lookup does not have, for a later
+ *   pass with more data
+ * @returns {string} HTML with the links filled in
+ */
+function fillLinkVariables(html, lookup, partial = false) {
+  return html.replace(LINK_HREF, (match, tagStart, href) => {
+    let missing = false;
+    const url = decodeEntities(href).replace(PLACEHOLDER, (placeholder, name) => {
+      const value = lookup(name.trim());
+      if (value === undefined || value === null || typeof value === 'object') {
+        missing = true;
+        return placeholder;
+      }
+      return String(value);
+    }).trim();
+    if (missing && partial) return match;
+    return !missing && SAFE_LINK_URL.test(url) ? `${tagStart} href="${escapeAttribute(url)}"` : tagStart;
+  });
+}
+
+/**
+ * Move a block that spans a whole table row around the row, so a row can repeat with
+ * {{#each}} or be left out with {{#if}}: the first cell opens the block and the last closes it
+ * @param {Array<string|null>} contents - Cell contents of the row, null for covered cells
+ * @returns {{open: string, close: string, contents: Array<string|null>}|null} The block's tags
+ *   and the contents without them, or null when the row is not wrapped in a block
+ */
+function getRowBlock(contents) {
+  const shown = contents.map((content, index) => (content === null ? -1 : index)).filter(index => index >= 0);
+  if (shown.length === 0) return null;
+  const [first, last] = [shown[0], shown[shown.length - 1]];
+  const open = contents[first].match(ROW_BLOCK_OPEN);
+  const rest = contents[first].slice(open ? open[0].length : 0);
+  const close = (first === last ? rest : contents[last]).match(ROW_BLOCK_CLOSE);
+  if (!open || !close || open[2] !== close[2]) return null;
+
+  const result = [...contents];
+  result[first] = rest;
+  result[last] = result[last].slice(0, result[last].length - close[0].length);
+  return { open: open[1], close: close[1], contents: result };
+}
+
+/**
+ * Variables a template reads from the data: plain variables, the variables of its conditions
+ * and the lists it loops over. Names inside loop bodies belong to the items and are left out.
+ * @param {string} template - Template text or HTML
+ * @returns {Array<string>} Variable names
+ */
+function getTemplateVariables(template) {
+  const names = [];
+  const add = (name) => {
+    if (!names.includes(name)) names.push(name);
+  };
+  const collect = (nodes) => nodes.forEach((node) => {
+    if (typeof node === 'string') {
+      let match;
+      PLACEHOLDER.lastIndex = 0;
+      while ((match = PLACEHOLDER.exec(node)) !== null) getPlaceholderVariables(match[1]).forEach(add);
+      return;
+    }
+    getPlaceholderVariables(node.openTag.slice(2, -2)).forEach(add);
+    if (node.helper !== 'each') collect(node.body);
+    collect(node.inverse || []);
+  });
+  collect(parseBlocks(template || '').nodes);
+  return names;
+}
+
+/**
+ * Lists a template loops over, with the item fields each loop body reads. Lists of plain
+ * values (read as {{this}}) have no fields.
+ * @param {string} template - Template text or HTML
+ * @returns {Array<{source: string, fields: Array<string>}>} Loops, one per list
+ */
+function getTemplateLoops(template) {
+  const loops = new Map();
+  const collect = (nodes, fields) => nodes.forEach((node) => {
+    if (typeof node === 'string') {
+      if (!fields) return;
+      let match;
+      PLACEHOLDER.lastIndex = 0;
+      while ((match = PLACEHOLDER.exec(node)) !== null) {
+        const name = match[1].trim();
+        if (!/^[#/@]/.test(name) && name !== 'this' && name !== 'else') fields.add(name.replace(/^this\./, ''));
+      }
+      return;
+    }
+    if (node.helper === 'each') {
+      // A loop inside a loop reads its list from the outer item
+      if (fields) fields.add(node.expression.replace(/^this\./, ''));
+      else if (LIST_PATH.test(node.expression)) loops.set(node.expression, loops.get(node.expression) || new Set());
+      // Fields of loops inside loops belong to the inner items
+      collect(node.body, fields ? new Set() : loops.get(node.expression));
+    } else {
+      if (fields) {
+        getConditionVariables(node.expression)
+          .filter(name => !name.startsWith('@') && name !== 'this')
+          .forEach(name => fields.add(name.replace(/^this\./, '')));
+      }
+      collect(node.body, fields);
+    }
+    collect(node.inverse || [], fields);
+  });
+  collect(parseBlocks(template || '').nodes, null);
+  return Array.from(loops, ([source, fields]) => ({ source, fields: Array.from(fields) }));
+}
+
+/**
+ * Wrap an element's HTML so it only stays when its "visible when" condition holds
+ * @param {string} html - Element HTML
+ * @param {string} [visibleWhen] - Condition, if any
+ * @returns {string} Wrapped HTML
+ */
+function wrapVisibleWhen(html, visibleWhen) {
+  if (!visibleWhen || !visibleWhen.trim()) return html;
+  return `{{#if ${visibleWhen.trim()}}}\n${html}{{/if}}\n`;
+}
+
+/**
+ * "Visible when" conditions an element depends on, for generators that render grouped
+ * elements outside their groups: its own, then those of the groups around it
+ * @param {Object} element - Element
+ * @param {Map<string, Object>} elementsById - Elements of the page by id
+ * @returns {Array<string>} Conditions
+ */
+function getVisibleWhenConditions(element, elementsById) {
+  const conditions = [];
+  for (let current = element; current; current = current.parentId ? elementsById.get(current.parentId) : null) {
+    if (typeof current.visibleWhen === 'string' && current.visibleWhen.trim()) conditions.push(current.visibleWhen.trim());
+  }
+  return conditions;
+}
+
+module.exports = {
+  parseCondition,
+  evaluateCondition,
+  getConditionVariables,
+  getPlaceholderVariables,
+  parseBlocks,
+  renderBlocks,
+  fillLinkVariables,
+  getRowBlock,
+  getTemplateVariables,
+  getTemplateLoops,
+  wrapVisibleWhen,
+  getVisibleWhenConditions
+};
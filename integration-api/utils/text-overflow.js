@@ -0,0 +1,113 @@
+/**
+ * Overflow policies of text elements, shared by the HTML and CSS generators.
+ * Mirrors the editor's text fitting (src/utils/textFit.ts); the policies only take full effect
+ * in the browser, once variables are replaced and the text can be measured.
+ */
+
+const { DEFAULT_LINE_HEIGHT } = require('./text-style');
+
+const TEXT_OVERFLOWS = ['wrap', 'shrink', 'grow', 'ellipsis'];
+const DEFAULT_MIN_FONT_SIZE = 6;
+
+/**
+ * Font sizes shrink-to-fit may choose from, defaulting to 6px up to the element's font size
+ * @param {Object} styling - Parsed text styling
+ * @returns {Object} { min, max }
+ */
+function getFontSizeRange(styling) {
+  const max = styling.maxFontSize != null ? styling.maxFontSize : styling.fontSize;
+  const min = styling.minFontSize != null ? styling.minFontSize : DEFAULT_MIN_FONT_SIZE;
+  return { min: Math.min(min, max), max };
+}
+
+/**
+ * CSS declarations for a text element's overflow policy: everything but grow clips at the box
+ * @param {Object} element - Parsed text element
+ * @returns {Array<string>} Declarations without trailing semicolons
+ */
+function getTextOverflowCSS(element) {
+  if (element.styling.overflow === 'grow') {
+    return ['height: auto', `min-height: ${element.size.height}px`];
+  }
+  return ['overflow: hidden'];
+}
+
+/**
+ * Data attributes marking an element for the shrink-to-fit script
+ * @param {Object} element - Parsed text element
+ * @returns {string} Attributes with a leading space, or an empty string
+ */
+function getTextOverflowAttributes(element) {
+  const { styling } = element;
+  if (styling.overflow !== 'shrink') return '';
+  const { min, max } = getFontSizeRange(styling);
+  return ` data-text-fit="shrink" data-font-size="${styling.fontSize}" data-min-font-size="${min}" data-max-font-size="${max}"`;
+}
+
+/**
+ * Wrap text content for its overflow policy. Ellipsis clamps to the lines that fit the box,
+ * ending the last one with an ellipsis.
+ * @param {string} html - Text content HTML
+ * @param {Object} element - Parsed text element
+ * @returns {string} Content HTML
+ */
+function wrapTextOverflowContent(html, element) {
+  const { styling } = element;
+  if (styling.overflow !== 'ellipsis') return html;
+  const lineHeight = styling.lineHeight || DEFAULT_LINE_HEIGHT;
+  const lines = Math.max(1, Math.floor((element.size.height - styling.padding * 2) / (styling.fontSize * lineHeight)));
+  return `<span style="display: -webkit-box; -webkit-box-orient: vertical; -webkit-line-clamp: ${lines}; overflow: hidden;">${html}</span>`;
+}
+
+// Shrinks marked text elements until their content fits, scaling sized runs along. Runs once
+// the document is parsed and again when web fonts have loaded.
+const TEXT_FIT_SCRIPT = `(function () {
+  function fit(element) {
+    var base = parseFloat(element.dataset.fontSize);
+    var min = parseFloat(element.dataset.minFontSize) / base;
+    var max = parseFloat(element.dataset.maxFontSize) / base;
+    var nodes = [element].concat(Array.prototype.slice.call(element.querySelectorAll('[style*="font-size"]')));
+    var sizes = element.__fitSizes || nodes.map(function (node) { return parseFloat(getComputedStyle(node).fontSize); });
+    element.__fitSizes = sizes;
+    var scale = function (factor) {
+      nodes.forEach(function (node, index) { node.style.fontSize = (sizes[index] * factor) + 'px'; });
+    };
+    var fits = function () {
+      return element.scrollHeight <= element.clientHeight + 0.5 && element.scrollWidth <= element.clientWidth + 0.5;
+    };
+    scale(max);
+    if (fits()) return;
+    var low = min;
+    var high = max;
+    for (var step = 0; step < 12; step++) {
+      var middle = (low + high) / 2;
+      scale(middle);
+      if (fits()) low = middle; else high = middle;
+    }
+    scale(low);
+  }
+  function fitAll() {
+    Array.prototype.forEach.call(document.querySelectorAll('[data-text-fit="shrink"]'), fit);
+  }
+  fitAll();
+  if (document.fonts && document.fonts.ready) document.fonts.ready.then(fitAll);
+})();`;
+
+/**
+ * Script tag for documents with shrink-to-fit text, empty when no element needs it
+ * @param {Array<Object>} elements - Parsed elements
+ * @returns {string} Script HTML
+ */
+function getTextFitScript(elements) {
+  const needed = elements.some(element => element.type === 'text' && element.styling.overflow === 'shrink');
+  return needed ? `    <script>${TEXT_FIT_SCRIPT}</script>\n` : '';
+}
+
+module.exports = {
+  TEXT_OVERFLOWS,
+  getFontSizeRange,
+  getTextOverflowCSS,
+  getTextOverflowAttributes,
+  wrapTextOverflowContent,
+  getTextFitScript
+};
@@ -0,0 +1,68 @@
+/**
+ * Inline HTML for rich text runs, shared by the HTML generators
+ */
+
+// Template variables are left untouched so the variable replacer still finds them
+const VARIABLE_PATTERN = /(\{\{[^}]*\}\})/;
+// Links go to web pages, email addresses or phone numbers, or come from a variable; those are
+// checked again once the variable replacer fills them in (fillLinkVariables)
+const SAFE_LINK = /^(?:https?:|mailto:|tel:|\{\{)/i;
+
+/**
+ * Whether a run's link may be emitted; others, such as javascript: links, are dropped
+ * @param {string} [link] - Link URL
+ * @returns {boolean} Is a permitted link
+ */
+function isSafeLink(link) {
+  return typeof link === 'string' && SAFE_LINK.test(link.trim());
+}
+
+/**
+ * Escape HTML in run text or attributes, except inside {{variables}}
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeOutsideVariables(text) {
+  return text
+    .split(VARIABLE_PATTERN)
+    .map((part, index) => (index % 2 === 1 ? part : part
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')))
+    .join('');
+}
+
+/**
+ * Build inline HTML for text runs. Runs only carry formatting that differs from the
+ * element, so everything else is inherited from the element's own CSS. The result is one
+ * wrapping span, keeping the runs flowing as text inside the flex text container.
+ * @param {Array<Object>} runs - Runs with text plus optional bold, italic, underline, color, fontSize and link
+ * @returns {string} Inline HTML
+ */
+function renderTextRunsHTML(runs) {
+  const html = runs.map(run => {
+    const link = isSafeLink(run.link) ? run.link.trim() : null;
+    const styles = [];
+    if (link && !run.color) styles.push('color: inherit');
+    if (run.bold !== undefined) styles.push(`font-weight: ${run.bold ? 'bold' : 'normal'}`);
+    if (run.italic !== undefined) styles.push(`font-style: ${run.italic ? 'italic' : 'normal'}`);
+    if (run.underline !== undefined) styles.push(`text-decoration: ${run.underline ? 'underline' : 'none'}`);
+    if (run.color) styles.push(`color: ${run.color}`);
+    if (run.fontSize) styles.push(`font-size: ${run.fontSize}px`);
+
+    const text = escapeOutsideVariables(run.text).replace(/\n/g, '<br>');
+    const style = styles.length > 0 ? ` style="${styles.join('; ')}"` : '';
+    if (link) {
+      return `<a href="${escapeOutsideVariables(link)}"${style}>${text}</a>`;
+    }
+    return style ? `<span${style}>${text}</span>` : text;
+  }).join('');
+
+  return `<span class="text-runs">${html}</span>`;
+}
+
+module.exports = {
+  isSafeLink,
+  renderTextRunsHTML
+};
@@ -0,0 +1,66 @@
+/**
+ * Typography of text elements as CSS, shared by the HTML and CSS generators.
+ * Mirrors the editor's typography options (src/utils/typography.ts).
+ */
+
+const FONT_WEIGHTS = ['normal', 'bold', 100, 200, 300, 400, 500, 600, 700, 800, 900];
+const TEXT_ALIGNS = ['left', 'center', 'right', 'justify'];
+const VERTICAL_ALIGNS = ['top', 'middle', 'bottom'];
+const TEXT_TRANSFORMS = ['none', 'uppercase', 'lowercase', 'capitalize'];
+const DEFAULT_LINE_HEIGHT = 1.2;
+
+// Text boxes are flex containers, so vertical alignment is cross-axis alignment
+const VERTICAL_ALIGN_MAP = {
+  top: 'flex-start',
+  middle: 'center',
+  bottom: 'flex-end'
+};
+
+/**
+ * CSS text-decoration for the underline and strikethrough toggles
+ * @param {Object} styling - Parsed text styling
+ * @returns {string} Decoration value
+ */
+function getTextDecoration(styling) {
+  const lines = [];
+  if (styling.underline) lines.push('underline');
+  if (styling.strikethrough) lines.push('line-through');
+  return lines.length > 0 ? lines.join(' ') : 'none';
+}
+
+/**
+ * CSS declarations for line height, letter spacing, decoration, transform, shadow and
+ * vertical alignment. Text that overflows a middle or bottom aligned box starts at the top
+ * (safe alignment) rather than spilling out of both ends.
+ * @param {Object} styling - Parsed text styling
+ * @returns {Array<string>} Declarations without trailing semicolons
+ */
+function getTypographyCSS(styling) {
+  const alignItems = VERTICAL_ALIGN_MAP[styling.verticalAlign] || 'flex-start';
+  const declarations = [
+    `line-height: ${styling.lineHeight || DEFAULT_LINE_HEIGHT}`,
+    `letter-spacing: ${styling.letterSpacing || 0}px`,
+    `text-decoration: ${getTextDecoration(styling)}`,
+    `text-transform: ${styling.textTransform || 'none'}`,
+    `align-items: ${alignItems}`
+  ];
+  if (alignItems !== 'flex-start') {
+    declarations.push(`align-items: safe ${alignItems}`);
+  }
+
+  const shadow = styling.textShadow;
+  if (shadow) {
+    declarations.push(`text-shadow: ${shadow.offsetX}px ${shadow.offsetY}px ${shadow.blur}px ${shadow.color}`);
+  }
+
+  return declarations;
+}
+
+module.exports = {
+  FONT_WEIGHTS,
+  TEXT_ALIGNS,
+  VERTICAL_ALIGNS,
+  TEXT_TRANSFORMS,
+  DEFAULT_LINE_HEIGHT,
+  getTypographyCSS
+};
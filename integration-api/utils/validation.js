@@ -4,6 +4,9 @@ const Joi = require('joi');
  * Validation schemas and utilities
  */
 
+// Hex colors, optionally with an alpha byte (#rrggbbaa)
+const hexColorSchema = Joi.string().pattern(/^#[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$/);
+
 // TB365 Element schemas
 const positionSchema = Joi.object({
   x: Joi.number().required(),
@@ -17,13 +20,70 @@ const sizeSchema = Joi.object({
 
 const baseElementSchema = Joi.object({
   id: Joi.string().required(),
-  type: Joi.string().valid('text', 'rectangle', 'image', 'table').required(),
+  type: Joi.string().valid('text', 'rectangle', 'line', 'arrow', 'ellipse', 'image', 'table', 'group').required(),
   position: positionSchema.required(),
   size: sizeSchema.required(),
   visible: Joi.boolean().default(true),
   locked: Joi.boolean().default(false),
   name: Joi.string().required(),
-  zIndex: Joi.number().required()
+  zIndex: Joi.number().required(),
+  parentId: Joi.string().optional(),
+  rotation: Joi.number().optional(),
+  flipX: Joi.boolean().optional(),
+  flipY: Joi.boolean().optional(),
+  // Condition deciding at data binding whether the element is kept, e.g. `openHouseDate`
+  visibleWhen: Joi.string().allow('').pattern(/^[^{}]*$/).optional()
+});
+
+const shadowSchema = Joi.object({
+  color: hexColorSchema.required(),
+  blur: Joi.number().min(0).required(),
+  offsetX: Joi.number().required(),
+  offsetY: Joi.number().required()
+});
+
+const borderSideSchema = Joi.object({
+  width: Joi.number().min(0).required(),
+  color: hexColorSchema.required(),
+  style: Joi.string().valid('solid', 'dashed', 'dotted').required()
+});
+
+// Effects shared by rectangles, images and text boxes
+const boxEffectKeys = {
+  opacity: Joi.number().min(0).max(1).optional(),
+  gradient: Joi.object({
+    type: Joi.string().valid('linear', 'radial').required(),
+    angle: Joi.number().required(),
+    stops: Joi.array().items(Joi.object({
+      offset: Joi.number().min(0).max(1).required(),
+      color: hexColorSchema.required()
+    })).min(2).required()
+  }).optional(),
+  shadow: shadowSchema.keys({
+    spread: Joi.number().optional()
+  }).optional(),
+  cornerRadii: Joi.object({
+    topLeft: Joi.number().min(0).required(),
+    topRight: Joi.number().min(0).required(),
+    bottomRight: Joi.number().min(0).required(),
+    bottomLeft: Joi.number().min(0).required()
+  }).optional(),
+  borders: Joi.object({
+    top: borderSideSchema.required(),
+    right: borderSideSchema.required(),
+    bottom: borderSideSchema.required(),
+    left: borderSideSchema.required()
+  }).optional()
+};
+
+const textRunSchema = Joi.object({
+  text: Joi.string().allow('').required(),
+  bold: Joi.boolean().optional(),
+  italic: Joi.boolean().optional(),
+  underline: Joi.boolean().optional(),
+  color: hexColorSchema.optional(),
+  fontSize: Joi.number().min(1).optional(),
+  link: Joi.string().optional()
 });
 
 const textElementSchema = baseElementSchema.keys({
@@ -31,35 +91,105 @@ const textElementSchema = baseElementSchema.keys({
   content: Joi.string().required(),
   fontSize: Joi.number().min(1).required(),
   fontFamily: Joi.string().required(),
-  fontWeight: Joi.string().valid('normal', 'bold').required(),
+  fontWeight: Joi.alternatives().try(
+    Joi.string().valid('normal', 'bold'),
+    Joi.number().valid(100, 200, 300, 400, 500, 600, 700, 800, 900)
+  ).required(),
   fontStyle: Joi.string().valid('normal', 'italic').required(),
-  textAlign: Joi.string().valid('left', 'center', 'right').required(),
-  color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).required(),
+  textAlign: Joi.string().valid('left', 'center', 'right', 'justify').required(),
+  verticalAlign: Joi.string().valid('top', 'middle', 'bottom').optional(),
+  lineHeight: Joi.number().greater(0).optional(),
+  letterSpacing: Joi.number().optional(),
+  underline: Joi.boolean().optional(),
+  strikethrough: Joi.boolean().optional(),
+  textTransform: Joi.string().valid('none', 'uppercase', 'lowercase', 'capitalize').optional(),
+  textShadow: shadowSchema.optional(),
+  color: hexColorSchema.required(),
   backgroundColor: Joi.alternatives().try(
     Joi.string().valid('transparent'),
-    Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/)
+    hexColorSchema
   ).optional(),
-  padding: Joi.number().min(0).required()
+  padding: Joi.number().min(0).required(),
+  runs: Joi.array().items(textRunSchema).optional(),
+  overflow: Joi.string().valid('wrap', 'shrink', 'grow', 'ellipsis').optional(),
+  minFontSize: Joi.number().min(1).optional(),
+  maxFontSize: Joi.number().min(1).optional(),
+  ...boxEffectKeys
 });
 
 const rectangleElementSchema = baseElementSchema.keys({
   type: Joi.string().valid('rectangle').required(),
-  fill: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).required(),
-  stroke: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).required(),
+  fill: hexColorSchema.required(),
+  stroke: hexColorSchema.required(),
   strokeWidth: Joi.number().min(0).required(),
-  cornerRadius: Joi.number().min(0).required()
+  cornerRadius: Joi.number().min(0).required(),
+  ...boxEffectKeys
+});
+
+const lineElementSchema = baseElementSchema.keys({
+  type: Joi.string().valid('line').required(),
+  stroke: hexColorSchema.required(),
+  strokeWidth: Joi.number().min(0).required(),
+  strokeStyle: Joi.string().valid('solid', 'dashed', 'dotted').required()
+});
+
+const arrowElementSchema = lineElementSchema.keys({
+  type: Joi.string().valid('arrow').required(),
+  startArrowhead: Joi.string().valid('none', 'triangle', 'open').required(),
+  endArrowhead: Joi.string().valid('none', 'triangle', 'open').required()
+});
+
+const ellipseElementSchema = lineElementSchema.keys({
+  type: Joi.string().valid('ellipse').required(),
+  fill: Joi.alternatives().try(
+    Joi.string().valid('transparent'),
+    hexColorSchema
+  ).required()
 });
 
 const imageElementSchema = baseElementSchema.keys({
   type: Joi.string().valid('image').required(),
   src: Joi.string().uri().allow('').required(),
-  opacity: Joi.number().min(0).max(1).required(),
-  fit: Joi.string().valid('fill', 'contain', 'cover', 'stretch').required()
+  fit: Joi.string().valid('fill', 'contain', 'cover', 'stretch').required(),
+  crop: Joi.object({
+    x: Joi.number().required(),
+    y: Joi.number().required(),
+    width: Joi.number().positive().required(),
+    height: Joi.number().positive().required()
+  }).optional(),
+  focalPoint: Joi.object({
+    x: Joi.number().min(0).max(1).required(),
+    y: Joi.number().min(0).max(1).required()
+  }).optional(),
+  mask: Joi.string().valid('none', 'rounded', 'circle').optional(),
+  maskRadius: Joi.number().min(0).optional(),
+  filters: Joi.object({
+    grayscale: Joi.number().min(0).max(1).required(),
+    brightness: Joi.number().min(0).required(),
+    contrast: Joi.number().min(0).required(),
+    blur: Joi.number().min(0).required()
+  }).optional(),
+  ...boxEffectKeys,
+  opacity: Joi.number().min(0).max(1).required()
 });
 
 const tableCellSchema = Joi.object({
-  content: Joi.string().required(),
-  isHeader: Joi.boolean().default(false)
+  content: Joi.string().allow('').required(),
+  isHeader: Joi.boolean().default(false),
+  colSpan: Joi.number().integer().min(1).optional(),
+  rowSpan: Joi.number().integer().min(1).optional(),
+  style: Joi.object({
+    textAlign: Joi.string().valid('left', 'center', 'right').optional(),
+    verticalAlign: Joi.string().valid('top', 'middle', 'bottom').optional(),
+    background: hexColorSchema.optional(),
+    textColor: hexColorSchema.optional(),
+    fontFamily: Joi.string().optional(),
+    fontSize: Joi.number().min(1).optional(),
+    fontWeight: Joi.string().valid('normal', 'bold').optional(),
+    fontStyle: Joi.string().valid('normal', 'italic').optional(),
+    borderColor: hexColorSchema.optional(),
+    borderWidth: Joi.number().min(0).optional()
+  }).optional()
 });
 
 const tableElementSchema = baseElementSchema.keys({
@@ -69,32 +199,91 @@ const tableElementSchema = baseElementSchema.keys({
   cells: Joi.array().items(
     Joi.array().items(tableCellSchema)
   ).required(),
+  columnWidths: Joi.array().items(Joi.number().min(0)).optional(),
+  rowHeights: Joi.array().items(Joi.number().min(0)).optional(),
   cellPadding: Joi.number().min(0).required(),
   borderWidth: Joi.number().min(0).required(),
-  borderColor: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).required(),
-  headerBackground: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).required(),
-  cellBackground: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).required(),
-  textColor: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).required(),
+  borderColor: hexColorSchema.required(),
+  headerBackground: hexColorSchema.required(),
+  cellBackground: hexColorSchema.required(),
+  textColor: hexColorSchema.required(),
   fontSize: Joi.number().min(1).required(),
-  fontFamily: Joi.string().required()
+  fontFamily: Joi.string().required(),
+  repeat: Joi.object({
+    source: Joi.string().pattern(/^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/).required(),
+    templateRow: Joi.number().integer().min(0).required(),
+    stripeBackground: hexColorSchema.optional(),
+    emptyText: Joi.string().allow('').optional()
+  }).optional()
+});
+
+const groupElementSchema = baseElementSchema.keys({
+  type: Joi.string().valid('group').required(),
+  childIds: Joi.array().items(Joi.string()).required()
 });
 
 const elementSchema = Joi.alternatives().try(
   textElementSchema,
   rectangleElementSchema,
+  lineElementSchema,
+  arrowElementSchema,
+  ellipseElementSchema,
   imageElementSchema,
-  tableElementSchema
+  tableElementSchema,
+  groupElementSchema
 );
 
+const marginsSchema = Joi.object({
+  top: Joi.number().min(0).required(),
+  right: Joi.number().min(0).required(),
+  bottom: Joi.number().min(0).required(),
+  left: Joi.number().min(0).required()
+});
+
+const guideSchema = Joi.object({
+  id: Joi.string().required(),
+  orientation: Joi.string().valid('vertical', 'horizontal').required(),
+  position: Joi.number().required()
+});
+
+const pageSchema = Joi.object({
+  id: Joi.string().required(),
+  name: Joi.string().allow('').default(''),
+  size: sizeSchema.required(),
+  orientation: Joi.string().valid('portrait', 'landscape').optional(),
+  preset: Joi.string().optional(),
+  elements: Joi.array().items(elementSchema).required(),
+  margins: marginsSchema.optional(),
+  bleed: Joi.number().min(0).optional(),
+  guides: Joi.array().items(guideSchema).optional()
+});
+
+const fontSchema = Joi.object({
+  id: Joi.string().required(),
+  family: Joi.string().required(),
+  src: Joi.string().required(),
+  format: Joi.string().valid('woff2', 'truetype').required(),
+  weight: Joi.alternatives().try(
+    Joi.string().valid('normal', 'bold'),
+    Joi.number().valid(100, 200, 300, 400, 500, 600, 700, 800, 900)
+  ).optional(),
+  style: Joi.string().valid('normal', 'italic').optional(),
+  filename: Joi.string().optional()
+});
+
 const canvasStateSchema = Joi.object({
   elements: Joi.array().items(elementSchema).required(),
+  pages: Joi.array().items(pageSchema).min(1).optional(),
+  fonts: Joi.array().items(fontSchema).optional(),
+  activePageId: Joi.string().optional(),
   selectedElementId: Joi.string().allow(null),
   editingElementId: Joi.string().allow(null),
-  activeTool: Joi.string().valid('select', 'text', 'rectangle', 'image', 'table').required(),
+  activeTool: Joi.string().valid('select', 'text', 'rectangle', 'line', 'arrow', 'ellipse', 'image', 'table').required(),
   canvasSize: sizeSchema.required(),
-  zoom: Joi.number().min(0.1).max(2).required(),
+  zoom: Joi.number().min(0.1).max(8).required(),
   snapToGrid: Joi.boolean().required(),
-  gridSize: Joi.number().min(1).required()
+  gridSize: Joi.number().min(1).required(),
+  unit: Joi.string().valid('px', 'mm', 'in', 'pt').optional()
 });
 
 const tb365DataSchema = Joi.object({
@@ -178,10 +367,14 @@ module.exports = {
     inputSchema,
     tb365DataSchema,
     canvasStateSchema,
+    pageSchema,
     conversionOptionsSchema,
     elementSchema,
     textElementSchema,
     rectangleElementSchema,
+    lineElementSchema,
+    arrowElementSchema,
+    ellipseElementSchema,
     imageElementSchema,
     tableElementSchema
   }
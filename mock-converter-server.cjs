@@ -5,7 +5,7 @@
 
 const http = require('http');
 const { URL } = require('url');
-const { convertTB365ToHTML } = require('./shared/tb365-converter.cjs');
+const { convertTB365ToHTML, embedFonts } = require('./shared/tb365-converter.cjs');
 
 // Create HTTP server
 const server = http.createServer((req, res) => {
@@ -39,7 +39,7 @@ const server = http.createServer((req, res) => {
       body += chunk.toString();
     });
 
-    req.on('end', () => {
+    req.on('end', async () => {
       try {
         const requestData = JSON.parse(body);
         console.log('Converting TB365 data:', {
@@ -49,7 +49,7 @@ const server = http.createServer((req, res) => {
 
         // Use shared conversion library (single source of truth)
         const response = convertTB365ToHTML(
-          requestData.tb365Data,
+          await embedFonts(requestData.tb365Data),
           requestData.data || {},
           requestData.options || {}
         );
@@ -99,7 +99,9 @@ function getMimeType(extension) {
     'png': 'image/png',
     'gif': 'image/gif',
     'webp': 'image/webp',
-    'svg': 'image/svg+xml'
+    'svg': 'image/svg+xml',
+    'woff2': 'font/woff2',
+    'ttf': 'font/ttf'
   };
   return mimeTypes[extension] || 'application/octet-stream';
 }
@@ -491,4 +493,87 @@ exports.deleteImage = async (event) => {
       details: error.message
     });
   }
+};
+
+// Font Upload Endpoint (Stage/Production only - Dev embeds fonts as Base64)
+// Fonts live next to the project's images and are shared by all of its text elements
+exports.uploadFont = async (event) => {
+  try {
+    console.log('Upload font request:', JSON.stringify({ ...event, body: '[BINARY_DATA]' }, null, 2));
+
+    const userId = getUserId(event);
+    const environment = getEnvironmentPrefix();
+    const projectName = event.pathParameters?.projectName;
+
+    if (!projectName) {
+      return createResponse(400, { error: 'Missing projectName parameter' });
+    }
+
+    // Parse multipart form data
+    const contentType = event.headers['content-type'] || event.headers['Content-Type'];
+    if (!contentType || !contentType.includes('multipart/form-data')) {
+      return createResponse(400, { error: 'Content-Type must be multipart/form-data' });
+    }
+
+    const boundary = contentType.split('boundary=')[1];
+    if (!boundary) {
+      return createResponse(400, { error: 'Missing boundary in Content-Type' });
+    }
+
+    const parts = parseMultipartData(event.body, boundary);
+    const fontPart = parts.find(part => part.filename && part.data);
+
+    if (!fontPart) {
+      return createResponse(400, { error: 'No font file found in request' });
+    }
+
+    const { filename, data } = fontPart;
+    const fileExtension = getFileExtension(filename);
+
+    // Validate file type
+    const allowedExtensions = ['woff2', 'ttf'];
+    if (!allowedExtensions.includes(fileExtension)) {
+      return createResponse(400, {
+        error: 'Invalid file type',
+        allowedTypes: allowedExtensions
+      });
+    }
+
+    const s3Key = `${environment}/${userId}/projects/${projectName}/fonts/${filename}`;
+
+    const putCommand = new PutObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: s3Key,
+      Body: data,
+      ContentType: getMimeType(fileExtension),
+      Metadata: {
+        userId: userId,
+        projectName: projectName,
+        environment: environment,
+        originalFilename: filename,
+        uploadedAt: new Date().toISOString()
+      }
+    });
+
+    await s3Client.send(putCommand);
+
+    const fontUrl = `https://${BUCKET_NAME}.s3.us-east-1.amazonaws.com/${s3Key}`;
+
+    console.log(`Font uploaded successfully: ${s3Key}`);
+
+    return createResponse(200, {
+      success: true,
+      message: 'Font uploaded successfully',
+      fontUrl,
+      filename,
+      s3Key
+    });
+
+  } catch (error) {
+    console.error('Upload font error:', error);
+    return createResponse(500, {
+      error: 'Failed to upload font',
+      details: error.message
+    });
+  }
 };
\ No newline at end of file
@@ -5,6 +5,12 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+// Blocks, loops and conditions of the template language, the layout and repeating rows of
+// tables and library fonts, shared with the integration API
+const { renderBlocks, fillLinkVariables, getRowBlock, getPlaceholderVariables, getVisibleWhenConditions } = require('../integration-api/utils/template-logic');
+const { getIdSelector, getTrackSizes, getCellOwners, isCoveredCell, getCellSpanAttributes, getCellStyleAttribute } = require('../integration-api/utils/table-layout');
+const { getRowTag, getRepeatingRowsCSS, expandRepeatingRows } = require('../integration-api/utils/table-repeat');
+const { getFontFaceCSS, embedFonts: embedFontFiles } = require('../integration-api/utils/font-face');
 
 /**
  * Convert TB365 table cells array format to standard table data format
@@ -40,8 +46,22 @@ function parseTB365(tb365Data) {
   const elements = [];
   const variables = [];
 
+  // Projects saved before multi-page support hold a single page
+  const rawPages = canvasState.pages && canvasState.pages.length > 0
+    ? canvasState.pages
+    : [{ id: 'page-1', name: 'Page 1', size: canvasState.canvasSize, elements: canvasState.elements }];
+  const pages = rawPages.map((page, pageIndex) => ({
+    id: page.id || `page-${pageIndex + 1}`,
+    name: page.name || `Page ${pageIndex + 1}`,
+    size: page.size,
+    elements: []
+  }));
+
+  // Elements by id on each page, to find the groups around an element
+  const elementsByPage = rawPages.map(page => new Map(page.elements.map(element => [element.id, element])));
+
   // Process each element with full property extraction
-  canvasState.elements.forEach((element, index) => {
+  rawPages.forEach((page, pageIndex) => page.elements.forEach((element, index) => {
     // Debug: Log first few elements to see what data we're getting
     if (index < 3) {
       console.log(`Element ${index}:`, JSON.stringify({
@@ -59,7 +79,7 @@ function parseTB365(tb365Data) {
       console.log(`🔍 CONVERTER DEBUG: Image element ${element.id} - src: "${element.src ? element.src.substring(0, 50) + '...' : 'Empty'}"`);
     }
     const normalized = {
-      id: element.id || `element-${index}`,
+      id: element.id || `element-${elements.length}`,
       type: element.type,
       // Preserve exact positions including decimals - handle both flat and nested formats
       position: {
@@ -73,13 +93,30 @@ function parseTB365(tb365Data) {
       },
       // Extract all content variations
       content: element.content || element.text || '',
+      // Inline formatting runs of text elements
+      runs: Array.isArray(element.runs) ? element.runs : null,
       // Layer ordering
       zIndex: element.zIndex || 0,
+      // "Visible when" conditions of the element and its groups
+      visibleWhen: getVisibleWhenConditions(element, elementsByPage[pageIndex]),
+      // Rotation (degrees) and flips, applied around the element center
+      rotation: element.rotation || 0,
+      flipX: Boolean(element.flipX),
+      flipY: Boolean(element.flipY),
       // Image properties
       src: element.src || null,
       alt: element.alt || '',
       // Table data - handle both data object and cells array formats
       data: element.data || (element.cells ? convertCellsToTableData(element.cells) : null),
+      // Table cells with their merges and styles, column widths, row heights and repeating row
+      table: Array.isArray(element.cells) && element.cells.length > 0 ? {
+        rows: element.cells.length,
+        columns: Math.max(...element.cells.map(row => row.length)),
+        cells: element.cells,
+        columnWidths: element.columnWidths || null,
+        rowHeights: element.rowHeights || null,
+        repeat: element.repeat || null
+      } : null,
       // Complete style object with all possible properties
       style: {
         // Typography
@@ -90,6 +127,12 @@ function parseTB365(tb365Data) {
         color: element.color || element.style?.color || '#000000',
         textAlign: element.textAlign || element.style?.textAlign || 'left',
         lineHeight: element.lineHeight || element.style?.lineHeight || 1.2,
+        verticalAlign: element.verticalAlign || element.style?.verticalAlign || 'top',
+        letterSpacing: element.letterSpacing || element.style?.letterSpacing || 0,
+        underline: Boolean(element.underline || element.style?.underline),
+        strikethrough: Boolean(element.strikethrough || element.style?.strikethrough),
+        textTransform: element.textTransform || element.style?.textTransform || 'none',
+        textShadow: element.textShadow || element.style?.textShadow || null,
 
         // Background and fill
         backgroundColor: element.backgroundColor || element.style?.backgroundColor || 'transparent',
@@ -98,38 +141,80 @@ function parseTB365(tb365Data) {
         // Border and stroke
         stroke: element.stroke || element.style?.stroke || null,
         strokeWidth: element.strokeWidth || element.style?.strokeWidth || 0,
+        strokeStyle: element.strokeStyle || element.style?.strokeStyle || 'solid',
+
+        // Arrow heads
+        startArrowhead: element.startArrowhead || element.style?.startArrowhead || 'none',
+        endArrowhead: element.endArrowhead || element.style?.endArrowhead || 'none',
+
+        // Text overflow policy and shrink-to-fit range
+        overflow: element.overflow || element.style?.overflow || 'wrap',
+        minFontSize: element.minFontSize || element.style?.minFontSize || null,
+        maxFontSize: element.maxFontSize || element.style?.maxFontSize || null,
 
         // Layout
         padding: element.padding || element.style?.padding || 0,
         cornerRadius: element.cornerRadius || element.style?.cornerRadius || 0,
         opacity: element.opacity != null ? element.opacity : (element.style?.opacity || 1),
 
+        // Box effects of rectangles, images and text boxes
+        gradient: element.gradient || element.style?.gradient || null,
+        shadow: element.shadow || element.style?.shadow || null,
+        cornerRadii: element.cornerRadii || element.style?.cornerRadii || null,
+        borders: element.borders || element.style?.borders || null,
+
         // Image specific
-        fit: element.fit || element.style?.fit || 'contain'
+        fit: element.fit || element.style?.fit || 'contain',
+        crop: element.crop || element.style?.crop || null,
+        focalPoint: element.focalPoint || element.style?.focalPoint || null,
+        mask: element.mask || element.style?.mask || 'none',
+        maskRadius: element.maskRadius ?? element.style?.maskRadius ?? 16,
+        filters: element.filters || element.style?.filters || null,
+
+        // Table specific
+        cellPadding: element.cellPadding ?? element.style?.cellPadding ?? 8,
+        borderWidth: element.borderWidth ?? element.style?.borderWidth ?? 1,
+        borderColor: element.borderColor || element.style?.borderColor || '#cccccc',
+        headerBackground: element.headerBackground || element.style?.headerBackground || '#f0f0f0',
+        cellBackground: element.cellBackground || element.style?.cellBackground || 'transparent',
+        textColor: element.textColor || element.style?.textColor || element.color || '#000000'
       }
     };
 
     elements.push(normalized);
+    pages[pageIndex].elements.push(normalized);
 
     // Extract variables from text content
     if (normalized.content && typeof normalized.content === 'string') {
       const matches = normalized.content.match(/{{([^}]+)}}/g);
       if (matches) {
         matches.forEach(match => {
-          const varName = match.replace(/[{}]/g, '');
-          if (!variables.includes(varName)) {
-            variables.push(varName);
-          }
+          getPlaceholderVariables(match.replace(/[{}]/g, '')).forEach(varName => {
+            if (!variables.includes(varName)) {
+              variables.push(varName);
+            }
+          });
         });
       }
     }
-  });
+  }));
+
+  // Library fonts text elements refer to by family name
+  const fonts = (canvasState.fonts || []).map(font => ({
+    family: font.family,
+    src: font.src,
+    format: font.format,
+    weight: font.weight || 'normal',
+    style: font.style || 'normal'
+  }));
 
   return {
     elements,
+    pages,
+    fonts,
     variables,
     canvas: {
-      size: canvasState.canvasSize
+      size: pages[0].size
     }
   };
 }
@@ -139,10 +224,10 @@ function parseTB365(tb365Data) {
  * Fixed to handle positions, sizes, z-index, element types, and styles correctly
  */
 function generateHTML(parsedData, options = {}) {
-  const { elements, canvas } = parsedData;
+  const { elements, pages, fonts = [], canvas } = parsedData;
 
-  // Base CSS with proper body styling
-  let css = `
+  // Base CSS with proper body styling, after the library fonts
+  let css = `${getFontFaceCSS(fonts)}
     body {
       margin: 0;
       padding: 20px;
@@ -151,8 +236,6 @@ function generateHTML(parsedData, options = {}) {
     }
     .tb365-canvas {
       position: relative;
-      width: ${canvas.size.width}px;
-      height: ${canvas.size.height}px;
       margin: 20px auto;
       border: 1px solid #ddd;
       background: white;
@@ -162,13 +245,56 @@ function generateHTML(parsedData, options = {}) {
       position: absolute;
       box-sizing: border-box;
     }
+    @page {
+      margin: 0;
+    }
+    @media print {
+      body {
+        padding: 0;
+        background: none;
+      }
+      .tb365-canvas {
+        margin: 0;
+        border: none;
+        break-after: page;
+      }
+      .tb365-canvas:last-child {
+        break-after: auto;
+      }
+    }
   `;
 
-  // Generate HTML for elements with proper rendering
-  let elementsHtml = '';
+  // Cell look of tables, in rules so striped rows of repeating tables can override it
+  elements.filter(element => element.type === 'table' && element.table).forEach(element => {
+    css += renderTableCSS(element);
+  });
+
+  // Generate one canvas per page; named @page rules give each printed page its own size
+  let pagesHtml = '';
+
+  pages.forEach((page, pageIndex) => {
+    const pageName = `tb365-page-${pageIndex + 1}`;
+    css += `
+    .${pageName} {
+      page: ${pageName};
+      width: ${page.size.width}px;
+      height: ${page.size.height}px;
+    }
+    @page ${pageName} {
+      size: ${page.size.width}px ${page.size.height}px;
+    }
+  `;
 
-  elements.forEach(element => {
-    elementsHtml += renderElement(element);
+    let elementsHtml = '';
+    page.elements.forEach(element => {
+      elementsHtml += element.visibleWhen.reduce(
+        (html, condition) => `{{#if ${condition}}}\n${html}{{/if}}\n`,
+        renderElement(element)
+      );
+    });
+    pagesHtml += `  <div class="tb365-canvas ${pageName}">
+${elementsHtml}  </div>
+`;
   });
 
   // Complete HTML document
@@ -181,15 +307,14 @@ function generateHTML(parsedData, options = {}) {
   <style>${css}</style>
 </head>
 <body>
-  <div class="tb365-canvas">
-${elementsHtml}  </div>
-</body>
+${pagesHtml}${elements.some(element => element.type === 'text' && element.style.overflow === 'shrink') ? `<script>${TEXT_FIT_SCRIPT}</script>\n` : ''}</body>
 </html>`;
 
   return {
     html,
     metadata: {
       elements: elements.length,
+      pages: pages.length,
       variables: parsedData.variables.length,
       canvasSize: `${canvas.size.width}x${canvas.size.height}`,
       generationTime: new Date().toISOString()
@@ -197,6 +322,15 @@ ${elementsHtml}  </div>
   };
 }
 
+/**
+ * Embed library fonts as data URLs so the document renders without network access.
+ * Returns a copy of the project; fonts that are already data URLs are kept.
+ */
+async function embedFonts(tb365Data, fetchFont = fetch) {
+  const fonts = await embedFontFiles(tb365Data.canvasState.fonts || [], fetchFont);
+  return { ...tb365Data, canvasState: { ...tb365Data.canvasState, fonts } };
+}
+
 /**
  * Render individual element with proper positioning, sizing, and styling
  */
@@ -208,6 +342,7 @@ function renderElement(element) {
     width: ${element.size.width}px;
     height: ${element.size.height}px;
     z-index: ${element.zIndex || 0};
+    ${renderTransform(element)}
   `.replace(/\s+/g, ' ').trim();
 
   switch (element.type) {
@@ -215,22 +350,85 @@ function renderElement(element) {
       return renderTextElement(element, baseStyle);
     case 'rectangle':
       return renderRectangleElement(element, baseStyle);
+    case 'line':
+    case 'arrow':
+    case 'ellipse':
+      return renderShapeElement(element, baseStyle);
     case 'image':
       return renderImageElement(element, baseStyle);
     case 'table':
       return renderTableElement(element, baseStyle);
+    case 'group':
+      // Groups are structural only - their children carry absolute positions of their own
+      return '';
     default:
       return renderGenericElement(element, baseStyle);
   }
 }
 
+/**
+ * CSS transform declaration for rotated or flipped elements (empty when untransformed)
+ * The default transform-origin (center) matches how the editor rotates and flips
+ */
+function renderTransform(element) {
+  const transforms = [];
+  if (element.rotation) {
+    transforms.push(`rotate(${element.rotation}deg)`);
+  }
+  if (element.flipX || element.flipY) {
+    transforms.push(`scale(${element.flipX ? -1 : 1}, ${element.flipY ? -1 : 1})`);
+  }
+  return transforms.length > 0 ? `transform: ${transforms.join(' ')};` : '';
+}
+
+/**
+ * CSS for the box effects of rectangles, images and text boxes. Comes after the flat
+ * background, border and radius of an element and overrides them.
+ */
+function renderBoxEffects(style) {
+  const declarations = [];
+  if (style.gradient) {
+    const stops = [...style.gradient.stops]
+      .sort((a, b) => a.offset - b.offset)
+      .map(stop => `${stop.color} ${Math.round(stop.offset * 1000) / 10}%`)
+      .join(', ');
+    // Radial gradients are circles reaching the farthest corner, like the editor draws them
+    declarations.push(style.gradient.type === 'radial'
+      ? `background: radial-gradient(circle farthest-corner at center, ${stops});`
+      : `background: linear-gradient(${style.gradient.angle}deg, ${stops});`);
+  }
+  if (style.shadow) {
+    const { offsetX, offsetY, blur, spread = 0, color } = style.shadow;
+    declarations.push(`box-shadow: ${offsetX}px ${offsetY}px ${blur}px ${spread}px ${color};`);
+  }
+  if (style.cornerRadii) {
+    const { topLeft, topRight, bottomRight, bottomLeft } = style.cornerRadii;
+    declarations.push(`border-radius: ${topLeft}px ${topRight}px ${bottomRight}px ${bottomLeft}px;`);
+  }
+  if (style.borders) {
+    ['top', 'right', 'bottom', 'left'].forEach(side => {
+      const border = style.borders[side];
+      declarations.push(`border-${side}: ${border.width > 0 ? `${border.width}px ${border.style} ${border.color}` : 'none'};`);
+    });
+  }
+  return declarations.join(' ');
+}
+
 /**
  * Render text element with proper typography and layout
  */
 function renderTextElement(element, baseStyle) {
+  const fontSize = element.style.fontSize || 16;
+  const padding = element.style.padding || 0;
+  const lineHeight = element.style.lineHeight || 1.2;
+  const overflow = element.style.overflow;
+  const decoration = [element.style.underline && 'underline', element.style.strikethrough && 'line-through'].filter(Boolean).join(' ') || 'none';
+  const shadow = element.style.textShadow;
+  // A column flex box places the text vertically; overflowing text starts at the top
+  const justify = { top: 'flex-start', middle: 'center', bottom: 'flex-end' }[element.style.verticalAlign] || 'flex-start';
   const textStyle = `
     ${baseStyle}
-    font-size: ${element.style.fontSize || 16}px;
+    font-size: ${fontSize}px;
     font-family: ${element.style.fontFamily || 'Arial'};
     font-weight: ${element.style.fontWeight || 'normal'};
     font-style: ${element.style.fontStyle || 'normal'};
@@ -238,13 +436,104 @@ function renderTextElement(element, baseStyle) {
     background-color: ${element.style.backgroundColor || 'transparent'};
     text-align: ${element.style.textAlign || 'left'};
     white-space: pre-line;
-    padding: ${element.style.padding || 0}px;
-    line-height: ${element.style.lineHeight || 1.2};
+    padding: ${padding}px;
+    line-height: ${lineHeight};
+    letter-spacing: ${element.style.letterSpacing || 0}px;
+    text-decoration: ${decoration};
+    text-transform: ${element.style.textTransform || 'none'};
+    ${shadow ? `text-shadow: ${shadow.offsetX}px ${shadow.offsetY}px ${shadow.blur}px ${shadow.color};` : ''}
+    display: flex;
+    flex-direction: column;
+    justify-content: ${justify};
+    ${justify !== 'flex-start' ? `justify-content: safe ${justify};` : ''}
     border-radius: ${element.style.cornerRadius || 0}px;
     opacity: ${element.style.opacity || 1};
+    ${renderBoxEffects(element.style)}
+    ${overflow === 'grow' ? `height: auto; min-height: ${element.size.height}px;` : 'overflow: hidden;'}
   `.replace(/\s+/g, ' ').trim();
 
-  return `<div class="tb365-element" style="${textStyle}">${element.content || ''}</div>\n`;
+  // Runs are wrapped so they flow as one piece of text inside the flex box
+  let content = element.runs ? `<span>${renderTextRuns(element.runs)}</span>` : element.content || '';
+  let attributes = '';
+  if (overflow === 'ellipsis') {
+    // Clamp to the lines that fit the box; the last one ends in an ellipsis
+    const lines = Math.max(1, Math.floor((element.size.height - padding * 2) / (fontSize * lineHeight)));
+    content = `<span style="display: -webkit-box; -webkit-box-orient: vertical; -webkit-line-clamp: ${lines}; overflow: hidden;">${content}</span>`;
+  } else if (overflow === 'shrink') {
+    const max = element.style.maxFontSize || fontSize;
+    const min = Math.min(element.style.minFontSize || 6, max);
+    attributes = ` data-text-fit="shrink" data-font-size="${fontSize}" data-min-font-size="${min}" data-max-font-size="${max}"`;
+  }
+
+  return `<div class="tb365-element" style="${textStyle}"${attributes}>${content}</div>\n`;
+}
+
+// Shrinks text marked for shrink-to-fit until it fits its box, scaling sized runs along
+const TEXT_FIT_SCRIPT = `(function () {
+  function fit(element) {
+    var base = parseFloat(element.dataset.fontSize);
+    var min = parseFloat(element.dataset.minFontSize) / base;
+    var max = parseFloat(element.dataset.maxFontSize) / base;
+    var nodes = [element].concat(Array.prototype.slice.call(element.querySelectorAll('[style*="font-size"]')));
+    var sizes = nodes.map(function (node) { return parseFloat(getComputedStyle(node).fontSize); });
+    var scale = function (factor) {
+      nodes.forEach(function (node, index) { node.style.fontSize = (sizes[index] * factor) + 'px'; });
+    };
+    var fits = function () {
+      return element.scrollHeight <= element.clientHeight + 0.5 && element.scrollWidth <= element.clientWidth + 0.5;
+    };
+    scale(max);
+    if (fits()) return;
+    var low = min;
+    var high = max;
+    for (var step = 0; step < 12; step++) {
+      var middle = (low + high) / 2;
+      scale(middle);
+      if (fits()) low = middle; else high = middle;
+    }
+    scale(low);
+  }
+  Array.prototype.forEach.call(document.querySelectorAll('[data-text-fit="shrink"]'), fit);
+})();`;
+
+// Links go to web pages, email addresses or phone numbers, or come from a variable; those are
+// checked again once the data fills them in (fillLinkVariables)
+const SAFE_LINK = /^(?:https?:|mailto:|tel:|\{\{)/i;
+
+/**
+ * Escape run text or an attribute value, leaving {{variables}} for the variable replacement
+ */
+function escapeOutsideVariables(value) {
+  return value
+    .split(/(\{\{[^}]*\}\})/)
+    .map((part, index) => (index % 2 === 1 ? part : part
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')))
+    .join('');
+}
+
+/**
+ * Render inline formatting runs; each span only sets what differs from the element. Links with
+ * other protocols, such as javascript:, are dropped.
+ */
+function renderTextRuns(runs) {
+  return runs.map(run => {
+    const link = typeof run.link === 'string' && SAFE_LINK.test(run.link.trim()) ? run.link.trim() : null;
+    const styles = [];
+    if (link && !run.color) styles.push('color: inherit');
+    if (run.bold !== undefined) styles.push(`font-weight: ${run.bold ? 'bold' : 'normal'}`);
+    if (run.italic !== undefined) styles.push(`font-style: ${run.italic ? 'italic' : 'normal'}`);
+    if (run.underline !== undefined) styles.push(`text-decoration: ${run.underline ? 'underline' : 'none'}`);
+    if (run.color) styles.push(`color: ${run.color}`);
+    if (run.fontSize) styles.push(`font-size: ${run.fontSize}px`);
+
+    const text = escapeOutsideVariables(run.text);
+    const style = styles.length > 0 ? ` style="${styles.join('; ')}"` : '';
+    if (link) return `<a href="${escapeOutsideVariables(link)}"${style}>${text}</a>`;
+    return style ? `<span${style}>${text}</span>` : text;
+  }).join('');
 }
 
 /**
@@ -261,6 +550,7 @@ function renderRectangleElement(element, baseStyle) {
     border-radius: ${element.style.cornerRadius || 0}px;
     opacity: ${element.style.opacity || 1};
     padding: ${element.style.padding || 0}px;
+    ${renderBoxEffects(element.style)}
   `.replace(/\s+/g, ' ').trim();
 
   const content = element.content || '';
@@ -268,7 +558,91 @@ function renderRectangleElement(element, baseStyle) {
 }
 
 /**
- * Render image element with proper src, fit, and opacity
+ * Render line, arrow or ellipse element as SVG filling the element box
+ * Lines run across the middle of the box; dashes and arrowheads scale with the stroke width
+ */
+function renderShapeElement(element, baseStyle) {
+  const { width, height } = element.size;
+  const { stroke = '#000000', strokeStyle } = element.style;
+  const strokeWidth = element.style.strokeWidth || 0;
+  const dashUnit = Math.max(1, strokeWidth);
+  const dash = strokeStyle === 'dashed' ? [dashUnit * 4, dashUnit * 3] : strokeStyle === 'dotted' ? [0, dashUnit * 2] : [];
+  const strokeAttributes = `stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="${strokeStyle === 'dotted' ? 'round' : 'butt'}"${dash.length > 0 ? ` stroke-dasharray="${dash.join(' ')}"` : ''}`;
+
+  let shapes;
+  if (element.type === 'ellipse') {
+    shapes = `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${width / 2}" ry="${height / 2}" fill="${element.style.fill || 'transparent'}" ${strokeAttributes} />`;
+  } else {
+    // Triangle heads cut the shaft short so wide strokes do not poke through the tip
+    const y = height / 2;
+    const headLength = Math.min(strokeWidth * 3 + 6, width / 3);
+    const halfWidth = strokeWidth * 1.5 + 4;
+    const heads = element.type === 'arrow'
+      ? [[element.style.startArrowhead, 0, -1], [element.style.endArrowhead, width, 1]]
+      : [];
+    let x1 = 0;
+    let x2 = width;
+    let headShapes = '';
+    heads.forEach(([head, tipX, direction]) => {
+      if (!head || head === 'none') return;
+      const baseX = tipX - direction * headLength;
+      const points = `${baseX},${y - halfWidth} ${tipX},${y} ${baseX},${y + halfWidth}`;
+      if (head === 'triangle') {
+        headShapes += `<polygon points="${points}" fill="${stroke}" stroke="${stroke}" stroke-width="${strokeWidth}" />`;
+        if (direction > 0) x2 = baseX;
+        else x1 = baseX;
+      } else {
+        headShapes += `<polyline points="${points}" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" />`;
+      }
+    });
+    shapes = `<line x1="${x1}" y1="${y}" x2="${x2}" y2="${y}" ${strokeAttributes} />${headShapes}`;
+  }
+
+  const shapeStyle = `
+    ${baseStyle}
+    opacity: ${element.style.opacity || 1};
+  `.replace(/\s+/g, ' ').trim();
+
+  return `<div class="tb365-element" style="${shapeStyle}"><svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block; overflow: visible;">${shapes}</svg></div>\n`;
+}
+
+/**
+ * CSS masking an image box to rounded corners or a circle (empty without a mask)
+ */
+function renderImageMask(style) {
+  if (style.mask === 'rounded') return `clip-path: inset(0 round ${style.maskRadius}px);`;
+  if (style.mask === 'circle') return 'clip-path: ellipse(50% 50% at 50% 50%);';
+  return '';
+}
+
+/**
+ * CSS placing and filtering the picture inside an image box: a crop positions it, as
+ * fractions of the box, and replaces the fit; otherwise the focal point positions it
+ */
+function renderPicture(style) {
+  const percent = fraction => `${Math.round(fraction * 10000) / 100}%`;
+  const declarations = [];
+  if (style.crop) {
+    const { x, y, width, height } = style.crop;
+    declarations.push(`position: absolute; left: ${percent(x)}; top: ${percent(y)}; width: ${percent(width)}; height: ${percent(height)}; max-width: none;`);
+  } else if (style.focalPoint) {
+    declarations.push(`object-position: ${percent(style.focalPoint.x)} ${percent(style.focalPoint.y)};`);
+  }
+  if (style.filters) {
+    const { grayscale = 0, brightness = 1, contrast = 1, blur = 0 } = style.filters;
+    const filters = [
+      grayscale !== 0 && `grayscale(${grayscale})`,
+      brightness !== 1 && `brightness(${brightness})`,
+      contrast !== 1 && `contrast(${contrast})`,
+      blur !== 0 && `blur(${blur}px)`
+    ].filter(Boolean);
+    if (filters.length > 0) declarations.push(`filter: ${filters.join(' ')};`);
+  }
+  return declarations.join(' ');
+}
+
+/**
+ * Render image element with proper src, fit, crop, mask, filters and opacity
  */
 function renderImageElement(element, baseStyle) {
   const fit = element.style.fit || 'contain';
@@ -280,6 +654,8 @@ function renderImageElement(element, baseStyle) {
       opacity: ${opacity};
       border-radius: ${element.style.cornerRadius || 0}px;
       overflow: hidden;
+      ${renderBoxEffects(element.style)}
+      ${renderImageMask(element.style)}
     `.replace(/\s+/g, ' ').trim();
 
     const imgStyle = `
@@ -287,6 +663,7 @@ function renderImageElement(element, baseStyle) {
       height: 100%;
       object-fit: ${fit};
       display: block;
+      ${renderPicture(element.style)}
     `.replace(/\s+/g, ' ').trim();
 
     return `<div class="tb365-element" style="${imageStyle}"><img src="${element.src}" alt="${element.alt || ''}" style="${imgStyle}"></div>\n`;
@@ -310,14 +687,36 @@ function renderImageElement(element, baseStyle) {
   }
 }
 
+/**
+ * CSS for the cells of a table: padding, borders and backgrounds, and the striped and
+ * empty-state rows of a repeating table
+ */
+function renderTableCSS(element) {
+  const { style } = element;
+  const table = getIdSelector(element.id);
+  let css = `
+    ${table} td, ${table} th {
+      padding: ${style.cellPadding}px;
+      border: ${style.borderWidth}px solid ${style.borderColor};
+      vertical-align: top;
+      text-align: left;
+    }
+    ${table} th {
+      background-color: ${style.headerBackground};
+      font-weight: bold;
+    }
+    ${table} td {
+      background-color: ${style.cellBackground};
+    }
+  `;
+  if (element.table.repeat) css += getRepeatingRowsCSS(element.id, element.table.repeat);
+  return css;
+}
+
 /**
  * Render table element with proper rows, columns, and styling
  */
 function renderTableElement(element, baseStyle) {
-  const tableData = element.data || { headers: [], rows: [] };
-  const headers = tableData.headers || [];
-  const rows = tableData.rows || [];
-
   const containerStyle = `
     ${baseStyle}
     padding: ${element.style.padding || 0}px;
@@ -330,37 +729,96 @@ function renderTableElement(element, baseStyle) {
     width: 100%;
     height: 100%;
     border-collapse: collapse;
+    ${element.table && element.table.columnWidths ? 'table-layout: fixed;' : ''}
     font-family: ${element.style.fontFamily || 'Arial'};
     font-size: ${element.style.fontSize || 14}px;
+    color: ${element.style.textColor};
   `.replace(/\s+/g, ' ').trim();
 
-  let tableHtml = `<table style="${tableStyle}">`;
+  const rowsHtml = element.table ? renderTableCells(element) : renderTableData(element.data || { headers: [], rows: [] });
+  const tableHtml = `<table id="${element.id}" style="${tableStyle}">${rowsHtml}</table>`;
+
+  return `<div class="tb365-element" style="${containerStyle}">${tableHtml}</div>\n`;
+}
+
+/**
+ * Rows of a table from its cells, laid out as the editor shows them: merged cells span the
+ * cells they cover, columns and rows keep their sizes, cells keep their own styles and the
+ * repeating row is marked for the variable replacement
+ */
+function renderTableCells(element) {
+  const { rows, columns, cells, columnWidths, rowHeights, repeat } = element.table;
+  const owners = getCellOwners(cells, rows, columns);
+  let html = '';
+
+  if (columnWidths) {
+    html += '<colgroup>';
+    getTrackSizes(columnWidths, columns, 100).forEach(width => {
+      html += `<col style="width: ${Math.round(width * 100) / 100}%">`;
+    });
+    html += '</colgroup>';
+  }
+  const heights = rowHeights ? getTrackSizes(rowHeights, rows, element.size.height) : null;
+
+  cells.forEach((row, rowIndex) => {
+    const rowStyle = heights ? ` style="height: ${Math.round(heights[rowIndex] * 100) / 100}px"` : '';
+    // Cells under a merged cell are not rendered
+    const contents = row.map((cell, colIndex) => (isCoveredCell(owners, rowIndex, colIndex) ? null : cell.content || ''));
+    // A row opening a block in its first cell and closing it in its last repeats or drops whole
+    const rowBlock = repeat && rowIndex === repeat.templateRow ? null : getRowBlock(contents);
+    html += rowBlock ? rowBlock.open : '';
+    html += getRowTag(repeat, rowIndex, false, rowStyle);
+    row.forEach((cell, colIndex) => {
+      const content = rowBlock ? rowBlock.contents[colIndex] : contents[colIndex];
+      if (content === null) return;
+      const tagName = cell.isHeader ? 'th' : 'td';
+      const attributes = getCellSpanAttributes(owners, rowIndex, colIndex) + getCellStyleAttribute(cell.style);
+      html += `<${tagName}${attributes}>${content}</${tagName}>`;
+    });
+    html += '</tr>';
+    html += rowBlock ? rowBlock.close : '';
+
+    if (repeat && rowIndex === repeat.templateRow && repeat.emptyText) {
+      html += `${getRowTag(repeat, rowIndex, true)}<td colspan="${columns}">${escapeOutsideVariables(repeat.emptyText)}</td></tr>`;
+    }
+  });
+
+  return html;
+}
+
+/**
+ * Rows of a table given as headers and rows of content, without cell layout
+ */
+function renderTableData(tableData) {
+  const headers = tableData.headers || [];
+  const rows = tableData.rows || [];
+  let html = '';
 
   // Headers
   if (headers.length > 0) {
-    tableHtml += '<thead><tr>';
+    html += '<thead><tr>';
     headers.forEach(header => {
-      tableHtml += `<th style="border: 1px solid #ccc; padding: 8px; background: #f0f0f0; text-align: left;">${header}</th>`;
+      html += `<th style="border: 1px solid #ccc; padding: 8px; background: #f0f0f0; text-align: left;">${header}</th>`;
     });
-    tableHtml += '</tr></thead>';
+    html += '</tr></thead>';
   }
 
   // Rows
   if (rows.length > 0) {
-    tableHtml += '<tbody>';
+    html += '<tbody>';
     rows.forEach(row => {
-      tableHtml += '<tr>';
-      row.forEach(cell => {
-        tableHtml += `<td style="border: 1px solid #ccc; padding: 8px;">${cell}</td>`;
+      // A row opening a block in its first cell and closing it in its last repeats or drops whole
+      const rowBlock = getRowBlock(row.map(cell => String(cell)));
+      html += rowBlock ? `${rowBlock.open}<tr>` : '<tr>';
+      (rowBlock ? rowBlock.contents : row).forEach(cell => {
+        html += `<td style="border: 1px solid #ccc; padding: 8px;">${cell}</td>`;
       });
-      tableHtml += '</tr>';
+      html += rowBlock ? `</tr>${rowBlock.close}` : '</tr>';
     });
-    tableHtml += '</tbody>';
+    html += '</tbody>';
   }
 
-  tableHtml += '</table>';
-
-  return `<div class="tb365-element" style="${containerStyle}">${tableHtml}</div>\n`;
+  return html;
 }
 
 /**
@@ -387,15 +845,31 @@ function renderGenericElement(element, baseStyle) {
  * Extracted from integration-api/minimal-converter/handler.js
  */
 function replaceVariables(html, data) {
-  let result = html;
+  const lookup = name => {
+    const value = name.split('.').reduce((current, key) => (current != null ? current[key] : undefined), data);
+    return value === undefined ? data[name] : value;
+  };
 
-  // Simple variable replacement
-  Object.keys(data).forEach(key => {
-    const regex = new RegExp(`{{${key}}}`, 'g');
-    result = result.replace(regex, data[key]);
+  // Repeating table rows first, so the rows they add get their variables replaced too
+  const repeated = expandRepeatingRows(html, source => {
+    const items = lookup(source);
+    return Array.isArray(items) ? items : undefined;
+  }, value => String(value), lookup);
+
+  // Blocks and loops next, so only the kept branches get their variables replaced
+  const blocks = renderBlocks(repeated.html, lookup);
+  [...repeated.errors, ...blocks.errors].forEach(error => console.warn(error));
+
+  // Then the URLs of links, checked once their variables are filled in
+  const result = fillLinkVariables(blocks.html, lookup);
+
+  // Simple variable replacement, with dot paths into nested data as in conditions; lists outside
+  // a loop read as comma-separated values and variables the data lacks stay as they are
+  return result.replace(/\{\{([^}]+)\}\}/g, (placeholder, name) => {
+    const value = lookup(name.trim());
+    if (value === undefined) return placeholder;
+    return Array.isArray(value) ? value.join(', ') : String(value);
   });
-
-  return result;
 }
 
 /**
@@ -429,6 +903,7 @@ function convertTB365ToHTML(tb365Data, data = {}, options = {}) {
       name: tb365Data.projectName,
       version: tb365Data.version,
       elements: parsedData.elements.length,
+      pages: parsedData.pages.length,
       canvasSize: parsedData.canvas.size,
       variables: parsedData.variables.length
     },
@@ -440,5 +915,6 @@ module.exports = {
   parseTB365,
   generateHTML,
   replaceVariables,
+  embedFonts,
   convertTB365ToHTML
 };
\ No newline at end of file
@@ -2,6 +2,8 @@ import React from 'react';
 import { AuthProvider, useAuth, LoginScreen } from './auth';
 import { Toolbar } from './components/Toolbar';
 import { Canvas } from './components/Canvas';
+import { PageStrip } from './components/PageStrip';
+import { LayersPanel } from './components/LayersPanel';
 import { PropertiesPanel } from './components/PropertiesPanel';
 import TestImageAPI from './components/TestImageAPI/TestImageAPI';
 import './App.css'
@@ -47,6 +49,10 @@ const AuthenticatedApp = () => {
     <div className="app">
       <Toolbar />
       <div className="app-content">
+        <div className="left-sidebar">
+          <PageStrip />
+          <LayersPanel />
+        </div>
         <div className="canvas-container">
           <Canvas />
         </div>
@@ -3,15 +3,113 @@ import { Stage, Layer, Transformer, Rect, Line } from 'react-konva';
 import Konva from 'konva';
 import { useCanvasStore } from '../../stores/canvasStore';
 import { CanvasElement } from './CanvasElement';
+import { RichTextEditor } from './RichTextEditor';
 import { imageService } from '../../utils/imageService';
-import type { TableElement } from '../../types';
+import { getSelectionTarget, expandWithDescendants, isElementLocked, isElementVisible } from '../../utils/groups';
+import { toBox, getSnapLines, snapPoint, SMART_GUIDE_THRESHOLD, type SnapLines } from '../../utils/alignment';
+import { ROTATION_SNAPS, ROTATION_SNAP_TOLERANCE } from '../../utils/transform';
+import { getPageSnapLines, NO_MARGINS } from '../../utils/pages';
+import { clampZoom } from '../../utils/zoom';
+import { appendRow, getAdjacentCell, getCellRect, resolveCellStyle, type CellMove } from '../../utils/tableLayout';
+import { isTypingTarget } from '../../hooks/useKeyboardShortcuts';
+import { useProjectFonts } from '../../hooks/useProjectFonts';
+import { Ruler, RULER_SIZE } from './Ruler';
+import type { Guide, Position, Size, TableElement, TemplateElement } from '../../types';
+
+interface MarqueeRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// Normalize a drag from start to end into a rectangle with positive size
+const toMarqueeRect = (start: { x: number; y: number }, end: { x: number; y: number }): MarqueeRect => ({
+  x: Math.min(start.x, end.x),
+  y: Math.min(start.y, end.y),
+  width: Math.abs(end.x - start.x),
+  height: Math.abs(end.y - start.y),
+});
+
+// Guides reach this far past the page so they stay visible when scrolling around it
+const GUIDE_EXTENT = 10000;
+
+// Scroll room around the zoomed page
+const CANVAS_PADDING = 100;
+
+// Zoom change per Ctrl+wheel step
+const ZOOM_WHEEL_FACTOR = 1.1;
+
+/**
+ * Size of the scrollable area and where the zoomed page sits in it: centered when it fits
+ * the viewport, otherwise with padding on every side
+ */
+const getCanvasLayout = (canvasSize: Size, zoom: number, viewport: Size) => {
+  const width = Math.max(canvasSize.width * zoom + CANVAS_PADDING * 2, viewport.width);
+  const height = Math.max(canvasSize.height * zoom + CANVAS_PADDING * 2, viewport.height);
+  return {
+    width,
+    height,
+    pageX: (width - canvasSize.width * zoom) / 2,
+    pageY: (height - canvasSize.height * zoom) / 2,
+  };
+};
+
+const intersects = (rect: MarqueeRect, element: TemplateElement) =>
+  element.position.x < rect.x + rect.width &&
+  element.position.x + element.size.width > rect.x &&
+  element.position.y < rect.y + rect.height &&
+  element.position.y + element.size.height > rect.y;
+
+const CELL_MOVE_KEYS: Record<string, CellMove> = {
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+};
+
+/**
+ * Write the cell editor's text into its cell, read from the store so edits made since the
+ * editor opened are kept
+ */
+const commitTableCell = (elementId: string, row: number, col: number, content: string) => {
+  const { elements, updateElement } = useCanvasStore.getState();
+  const element = elements.find((el) => el.id === elementId);
+  const cell = element?.type === 'table' ? element.cells[row]?.[col] : undefined;
+  if (element?.type !== 'table' || !cell || cell.content === content) return;
+  const cells = element.cells.map((cells) => [...cells]);
+  cells[row][col] = { ...cell, content };
+  updateElement(elementId, { cells });
+};
+
+/**
+ * Move the cell editor to a neighbouring cell. Tab past the last cell appends a row to type
+ * into; other moves past the table's edge leave the editor where it is.
+ */
+const moveTableCellEditor = (elementId: string, move: CellMove) => {
+  const { elements, editingTableCell, updateElement, enterTableCellEditMode } = useCanvasStore.getState();
+  const element = elements.find((el) => el.id === elementId);
+  if (element?.type !== 'table' || !editingTableCell) return;
+
+  const target = getAdjacentCell(element, editingTableCell, move);
+  if (target) {
+    enterTableCellEditMode(elementId, target.row, target.col);
+  } else if (move === 'next') {
+    updateElement(elementId, appendRow(element));
+    enterTableCellEditMode(elementId, element.rows, 0);
+  }
+};
 
 export const Canvas: React.FC = () => {
   const {
     elements,
-    selectedElementId,
+    selectedElementIds,
     canvasSize,
     zoom,
+    setZoom,
+    zoomFocus,
+    clearZoomFocus,
+    unit,
     activeTool,
     clearSelection,
     addElement,
@@ -19,7 +117,23 @@ export const Canvas: React.FC = () => {
     gridSize,
     editingTableCell,
     editingElementId,
+    exitEditMode,
+    enteredGroupId,
+    setSelection,
+    transformElements,
+    smartGuides,
+    setSmartGuides,
+    pages,
+    activePageId,
+    addGuide,
+    moveGuide,
+    removeGuide,
+    fonts,
   } = useCanvasStore();
+  const activePage = pages.find((page) => page.id === activePageId);
+  const margins = activePage?.margins ?? NO_MARGINS;
+  const bleed = activePage?.bleed ?? 0;
+  const hasMargins = margins.top > 0 || margins.right > 0 || margins.bottom > 0 || margins.left > 0;
 
   const stageRef = React.useRef<Konva.Stage>(null);
   const transformerRef = React.useRef<Konva.Transformer>(null);
@@ -27,72 +141,290 @@ export const Canvas: React.FC = () => {
   const containerRef = React.useRef<HTMLDivElement>(null);
   const [pendingImagePosition, setPendingImagePosition] = React.useState<{ x: number; y: number } | null>(null);
   const [isDragging, setIsDragging] = React.useState(false);
-  const [isPanning, setIsPanning] = React.useState(false);
+  const [marquee, setMarquee] = React.useState<MarqueeRect | null>(null);
+  const marqueeStartRef = React.useRef<{ x: number; y: number } | null>(null);
+  // Set when a marquee drag finishes so the trailing click does not clear the new selection
+  const suppressClickRef = React.useRef(false);
+  // Lines resize handles snap to, collected when a transform starts
+  const resizeSnapLinesRef = React.useRef<SnapLines | null>(null);
   const prevZoomRef = React.useRef(zoom);
-  const [isInitialized, setIsInitialized] = React.useState(false);
+  // Point that stays put through the next zoom change: a canvas point and where it sits in the view
+  const zoomAnchorRef = React.useRef<{ canvas: Position; screen: Position } | null>(null);
+  // Scroll offset and visible size of the scroll area, for the stage and the rulers
+  const [view, setView] = React.useState({ scrollX: 0, scrollY: 0, width: 0, height: 0 });
+  // Guide being pulled out of a ruler
+  const [draftGuide, setDraftGuide] = React.useState<Omit<Guide, 'id'> | null>(null);
+  const [isSpaceDown, setIsSpaceDown] = React.useState(false);
+  const [isPanning, setIsPanning] = React.useState(false);
 
-  // Initialize canvas position to center it on first load
+  // Text drawn before its library font finished loading was measured in a fallback font.
+  // Re-rendering lays out rich text again; plain Konva text nodes keep their measurements
+  // until told to recompute them.
+  const fontLoadCount = useProjectFonts(fonts);
   React.useEffect(() => {
     const stage = stageRef.current;
-    if (!stage || isInitialized) return;
-
-    const stageWidth = stage.width();
-    const stageHeight = stage.height();
-    const scaledCanvasWidth = canvasSize.width * zoom;
-    const scaledCanvasHeight = canvasSize.height * zoom;
-    
-    // Center the canvas if it's smaller than viewport, otherwise use padding
-    const centerX = scaledCanvasWidth < stageWidth ? 
-      (stageWidth - scaledCanvasWidth) / 2 : 100;
-    const centerY = scaledCanvasHeight < stageHeight ? 
-      (stageHeight - scaledCanvasHeight) / 2 : 100;
-    
-    stage.scale({ x: zoom, y: zoom });
-    stage.position({ x: centerX, y: centerY });
+    if (!stage || fontLoadCount === 0) return;
+    stage.find<Konva.Text>('Text').forEach((node) => node._setTextData());
     stage.batchDraw();
-    
-    // Adjust scroll position to account for canvas offset
+  }, [fontLoadCount]);
+
+  const updateView = React.useCallback(() => {
     const container = containerRef.current;
-    if (container) {
-      // Calculate scroll offset proportional to zoom to reach actual canvas top
-      const scrollOffset = centerY + (zoom - 1) * 100;
-      container.scrollTop = Math.max(0, scrollOffset);
-    }
-    
-    setIsInitialized(true);
+    if (!container) return;
+    setView({
+      scrollX: container.scrollLeft,
+      scrollY: container.scrollTop,
+      width: container.clientWidth,
+      height: container.clientHeight,
+    });
+  }, []);
+
+  // Also catches scrollbars appearing and the window resizing
+  React.useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const observer = new ResizeObserver(updateView);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [updateView]);
+
+  // Until the scroll area has been measured, estimate it from the window
+  const viewport = React.useMemo(() => ({
+    width: view.width || window.innerWidth - 600 - RULER_SIZE,
+    height: view.height || window.innerHeight - 60 - RULER_SIZE,
+  }), [view.width, view.height]);
+  const layout = getCanvasLayout(canvasSize, zoom, viewport);
+  // The stage only covers the visible part of the scroll area and follows the scroll position,
+  // so its size does not grow with the zoom
+  const stageX = layout.pageX - view.scrollX;
+  const stageY = layout.pageY - view.scrollY;
+
+  // Start with the top of the page in view
+  React.useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const { canvasSize, zoom } = useCanvasStore.getState();
+    container.scrollTop = getCanvasLayout(canvasSize, zoom, {
+      width: container.clientWidth,
+      height: container.clientHeight,
+    }).pageY;
+    updateView();
+  }, [updateView]);
+
+  // Scroll so the anchor stays in place when the zoom changes: the pointer for Ctrl+wheel,
+  // the focus point when zooming to fit, otherwise the middle of the view
+  React.useLayoutEffect(() => {
+    const container = containerRef.current;
+    const previousZoom = prevZoomRef.current;
     prevZoomRef.current = zoom;
-  }, [canvasSize.width, canvasSize.height, zoom, isInitialized]);
+    if (!container || (zoom === previousZoom && !zoomFocus)) return;
+
+    const center = { x: viewport.width / 2, y: viewport.height / 2 };
+    const previousLayout = getCanvasLayout(canvasSize, previousZoom, viewport);
+    const anchor = zoomFocus
+      ? { canvas: zoomFocus, screen: center }
+      : zoomAnchorRef.current ?? {
+          canvas: {
+            x: (center.x + view.scrollX - previousLayout.pageX) / previousZoom,
+            y: (center.y + view.scrollY - previousLayout.pageY) / previousZoom,
+          },
+          screen: center,
+        };
+    zoomAnchorRef.current = null;
 
-  // Handle zoom changes to keep canvas centered
+    container.scrollLeft = layout.pageX + anchor.canvas.x * zoom - anchor.screen.x;
+    container.scrollTop = layout.pageY + anchor.canvas.y * zoom - anchor.screen.y;
+    if (zoomFocus) clearZoomFocus();
+    updateView();
+  }, [zoom, zoomFocus, clearZoomFocus, canvasSize, viewport, layout.pageX, layout.pageY, view.scrollX, view.scrollY, updateView]);
+
+  // Holding Space (outside text fields) turns the pointer into a hand for panning
   React.useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.code !== 'Space' || isTypingTarget(e.target)) return;
+      e.preventDefault(); // No page scrolling or button presses while panning
+      setIsSpaceDown(true);
+    };
+    const handleKeyUp = (e: KeyboardEvent) => {
+      if (e.code !== 'Space') return;
+      if (!isTypingTarget(e.target)) e.preventDefault();
+      setIsSpaceDown(false);
+    };
+    const handleBlur = () => setIsSpaceDown(false);
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, []);
+
+  // An image being cropped, if any
+  const croppingId = elements.some((el) => el.id === editingElementId && el.type === 'image')
+    ? editingElementId
+    : null;
+
+  // Crop mode ends with Escape or Enter, or once the image is no longer selected
+  React.useEffect(() => {
+    if (!croppingId) return;
+    if (!selectedElementIds.includes(croppingId)) {
+      exitEditMode();
+      return;
+    }
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key !== 'Escape' && e.key !== 'Enter') return;
+      e.preventDefault();
+      exitEditMode();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [croppingId, selectedElementIds, exitEditMode]);
+
+  // Attach the transformer to every selected node; an image being cropped has handles of its own
+  React.useEffect(() => {
+    const transformer = transformerRef.current;
     const stage = stageRef.current;
-    if (!stage || zoom === prevZoomRef.current || !isInitialized) return;
+    if (!transformer || !stage) return;
 
-    const stageWidth = stage.width();
-    const stageHeight = stage.height();
-    const scaledCanvasWidth = canvasSize.width * zoom;
-    const scaledCanvasHeight = canvasSize.height * zoom;
-    
-    // Center the canvas if it's smaller than viewport, otherwise use padding
-    const centerX = scaledCanvasWidth < stageWidth ? 
-      (stageWidth - scaledCanvasWidth) / 2 : 100;
-    const centerY = scaledCanvasHeight < stageHeight ? 
-      (stageHeight - scaledCanvasHeight) / 2 : 100;
-    
-    stage.scale({ x: zoom, y: zoom });
-    stage.position({ x: centerX, y: centerY });
-    stage.batchDraw();
-    
-    // Adjust scroll position to account for canvas offset
+    const nodes = selectedElementIds
+      .filter((id) => id !== croppingId)
+      .map((id) => stage.findOne((node: Konva.Node) => node.id() === id))
+      .filter((node): node is Konva.Node => Boolean(node));
+    transformer.nodes(nodes);
+    transformer.forceUpdate();
+    transformer.getLayer()?.batchDraw();
+  }, [selectedElementIds, elements, croppingId]);
+
+  const handleTransformStart = () => {
+    const { elements, selectedElementIds, canvasSize, pages, activePageId } = useCanvasStore.getState();
+    const resizingIds = expandWithDescendants(elements, selectedElementIds);
+    const staticBoxes = elements
+      .filter((el) => !resizingIds.includes(el.id) && el.type !== 'group' && isElementVisible(elements, el.id))
+      .map(toBox);
+    resizeSnapLinesRef.current = getSnapLines(
+      staticBoxes,
+      canvasSize,
+      getPageSnapLines(pages.find((page) => page.id === activePageId), canvasSize)
+    );
+  };
+
+  // Snap resize handles to other elements' edges and centers (positions are in screen space)
+  const handleAnchorDragBound = (_oldPos: { x: number; y: number }, newPos: { x: number; y: number }) => {
+    const stage = stageRef.current;
+    const lines = resizeSnapLinesRef.current;
+    if (!stage || !lines || transformerRef.current?.getActiveAnchor() === 'rotater') {
+      return newPos;
+    }
+
+    const toCanvas = stage.getAbsoluteTransform().copy().invert();
+    const { position, guides } = snapPoint(toCanvas.point(newPos), lines, SMART_GUIDE_THRESHOLD / zoom);
+    if (JSON.stringify(guides) !== JSON.stringify(useCanvasStore.getState().smartGuides)) {
+      setSmartGuides(guides);
+    }
+    return stage.getAbsoluteTransform().point(position);
+  };
+
+  const handleTransformEnd = () => {
+    const transformer = transformerRef.current;
+    resizeSnapLinesRef.current = null;
+    setSmartGuides([]);
+    if (!transformer) return;
+
+    const { elements } = useCanvasStore.getState();
+    const changes = transformer.nodes().map((node) => {
+      const element = elements.find((el) => el.id === node.id());
+      // Negative scale means the node was flipped, either before or by dragging a handle across
+      const scaleX = node.scaleX();
+      const scaleY = node.scaleY();
+      const width = Math.max(10, node.width() * Math.abs(scaleX));
+      const height = Math.max(10, node.height() * Math.abs(scaleY));
+      const flipX = scaleX < 0;
+      const flipY = scaleY < 0;
+      const rotation = node.rotation();
+
+      // Bake the scale into the element size. Groups hand rotation and flips to their contents.
+      if (element?.type === 'group') {
+        node.scaleX(1);
+        node.scaleY(1);
+        node.rotation(0);
+      } else {
+        node.scaleX(flipX ? -1 : 1);
+        node.scaleY(flipY ? -1 : 1);
+      }
+
+      // Nodes are positioned by their center
+      return {
+        id: node.id(),
+        position: { x: node.x() - width / 2, y: node.y() - height / 2 },
+        size: { width, height },
+        rotation,
+        flipX,
+        flipY,
+      };
+    });
+    transformElements(changes);
+  };
+
+  // Pressing on a ruler pulls out a guide: the top ruler makes horizontal guides, the left one vertical
+  const handleRulerMouseDown = (orientation: Guide['orientation']) => (e: React.MouseEvent) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
     const container = containerRef.current;
-    if (container) {
-      // Calculate scroll offset proportional to zoom to reach actual canvas top
-      const scrollOffset = centerY + (zoom - 1) * 100;
-      container.scrollTop = Math.max(0, scrollOffset);
+    const stage = stageRef.current;
+    if (!container || !stage) return;
+
+    const toPosition = (event: MouseEvent | React.MouseEvent) => {
+      const rect = container.getBoundingClientRect();
+      return orientation === 'vertical'
+        ? (event.clientX - rect.left - stage.x()) / zoom
+        : (event.clientY - rect.top - stage.y()) / zoom;
+    };
+    setDraftGuide({ orientation, position: toPosition(e) });
+
+    const handleMouseMove = (event: MouseEvent) => {
+      setDraftGuide({ orientation, position: toPosition(event) });
+    };
+    const handleMouseUp = (event: MouseEvent) => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+      setDraftGuide(null);
+      // Releasing over the ruler again cancels the guide
+      const rect = container.getBoundingClientRect();
+      if (event.clientX >= rect.left && event.clientY >= rect.top) {
+        addGuide(orientation, Math.round(toPosition(event)));
+      }
+    };
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+  };
+
+  // Guides slide along one axis only (positions are in screen space)
+  const guideDragBound = (guide: Guide) => (pos: { x: number; y: number }) => {
+    const stage = stageRef.current;
+    return guide.orientation === 'vertical'
+      ? { x: pos.x, y: stage?.y() ?? 0 }
+      : { x: stage?.x() ?? 0, y: pos.y };
+  };
+
+  const handleGuideDragEnd = (guide: Guide) => (e: Konva.KonvaEventObject<DragEvent>) => {
+    const node = e.target;
+    const absolute = node.getAbsolutePosition();
+    // Dragging a guide back onto its ruler removes it
+    const offScreen = guide.orientation === 'vertical' ? absolute.x < 0 : absolute.y < 0;
+    if (offScreen) {
+      removeGuide(guide.id);
+    } else {
+      moveGuide(guide.id, Math.round(guide.orientation === 'vertical' ? node.x() : node.y()));
     }
-    
-    prevZoomRef.current = zoom;
-  }, [zoom, isInitialized, canvasSize.width, canvasSize.height]);
+  };
+
+  const setStageCursor = (cursor: string) => {
+    const stageContainer = stageRef.current?.container();
+    if (stageContainer) stageContainer.style.cursor = cursor;
+  };
 
   const handleDragOver = (e: React.DragEvent) => {
     e.preventDefault();
@@ -138,8 +470,8 @@ export const Canvas: React.FC = () => {
                 console.error('Image validation failed:', error);
                 alert(`Image upload failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
                 // Remove the element since image failed validation
-                const { deleteElement } = useCanvasStore.getState();
-                deleteElement(latestElement.id);
+                const { deleteElements } = useCanvasStore.getState();
+                deleteElements([latestElement.id]);
               }
             }
           }, 0);
@@ -169,8 +501,8 @@ export const Canvas: React.FC = () => {
             console.error('Image validation failed:', error);
             alert(`Image upload failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
             // Remove the element since image failed validation
-            const { deleteElement } = useCanvasStore.getState();
-            deleteElement(latestElement.id);
+            const { deleteElements } = useCanvasStore.getState();
+            deleteElements([latestElement.id]);
           }
         }
       }, 0);
@@ -182,6 +514,11 @@ export const Canvas: React.FC = () => {
   };
 
   const handleStageClick = (e: any) => {
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
+
     const stage = e.target.getStage();
     const clickedOnEmpty = e.target === stage || e.target.attrs?.name === 'canvas-background';
     
@@ -200,303 +537,506 @@ export const Canvas: React.FC = () => {
             y: (pos.y - stagePos.y) / zoom,
           };
           
-          if (activeTool === 'text' || activeTool === 'rectangle' || activeTool === 'table') {
-            addElement(activeTool, actualPos);
-          } else if (activeTool === 'image') {
+          if (activeTool === 'image') {
             // Store position and trigger file picker
             setPendingImagePosition(actualPos);
             fileInputRef.current?.click();
+          } else {
+            addElement(activeTool, actualPos);
           }
         }
       }
     }
   };
 
-  const handleWheel = (e: any) => {
+  // Ctrl/Cmd+wheel (and trackpad pinch) zooms around the pointer; the plain wheel scrolls
+  const handleWheel = (e: Konva.KonvaEventObject<WheelEvent>) => {
+    if (!e.evt.ctrlKey && !e.evt.metaKey) return;
     e.evt.preventDefault();
-    
+
     const stage = stageRef.current;
-    if (!stage) return;
+    const pointer = stage?.getPointerPosition();
+    const newZoom = clampZoom(e.evt.deltaY > 0 ? zoom / ZOOM_WHEEL_FACTOR : zoom * ZOOM_WHEEL_FACTOR);
+    if (!stage || !pointer || newZoom === zoom) return;
+
+    zoomAnchorRef.current = {
+      canvas: { x: (pointer.x - stage.x()) / zoom, y: (pointer.y - stage.y()) / zoom },
+      screen: pointer,
+    };
+    setZoom(newZoom);
+  };
 
-    const oldScale = stage.scaleX();
-    const direction = e.evt.deltaY > 0 ? -1 : 1;
-    const factor = 0.1;
-    const newScale = Math.max(0.1, Math.min(2, oldScale + direction * factor));
+  // Dragging with the middle button, or the left button while Space is held, scrolls the view
+  const handlePanStart = (e: React.MouseEvent) => {
+    const container = containerRef.current;
+    if (!container || !(e.button === 1 || (e.button === 0 && isSpaceDown))) return;
+    // Runs in the capture phase, so Konva never starts a drag or marquee
+    e.preventDefault();
+    e.stopPropagation();
+
+    const start = { x: e.clientX, y: e.clientY, scrollX: container.scrollLeft, scrollY: container.scrollTop };
+    setIsPanning(true);
 
-    // Use the store's setZoom to keep everything consistent
-    const { setZoom } = useCanvasStore.getState();
-    setZoom(newScale);
+    const handleMouseMove = (event: MouseEvent) => {
+      container.scrollLeft = start.scrollX - (event.clientX - start.x);
+      container.scrollTop = start.scrollY - (event.clientY - start.y);
+    };
+    const handleMouseUp = () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+      setIsPanning(false);
+    };
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
   };
 
   const handleMouseDown = (e: any) => {
-    // Only start panning if clicking on empty space (not on elements)
-    if (e.target === e.target.getStage() || e.target.name() === 'canvas-background') {
-      setIsPanning(true);
-      e.target.getStage().container().style.cursor = 'grabbing';
+    // Start a marquee (rubber-band) selection when dragging on empty space with the select tool
+    const clickedOnEmpty = e.target === e.target.getStage() || e.target.name() === 'canvas-background';
+    if (!clickedOnEmpty || activeTool !== 'select' || e.evt.button !== 0) return;
+
+    const point = e.target.getStage().getRelativePointerPosition();
+    if (point) {
+      marqueeStartRef.current = point;
     }
   };
 
   const handleMouseMove = (e: any) => {
-    if (!isPanning) return;
-    
-    const stage = e.target.getStage();
-    const pointer = stage.getPointerPosition();
-    
-    if (pointer) {
-      stage.position({
-        x: stage.x() + e.evt.movementX,
-        y: stage.y() + e.evt.movementY,
-      });
-      stage.batchDraw();
+    const start = marqueeStartRef.current;
+    if (!start) return;
+
+    const point = e.target.getStage().getRelativePointerPosition();
+    if (point) {
+      setMarquee(toMarqueeRect(start, point));
     }
   };
 
   const handleMouseUp = (e: any) => {
-    setIsPanning(false);
-    e.target.getStage().container().style.cursor = 'default';
+    const start = marqueeStartRef.current;
+    marqueeStartRef.current = null;
+    if (!start || !marquee) return;
+
+    setMarquee(null);
+    // Ignore tiny drags so a plain click still clears the selection
+    if (marquee.width < 3 && marquee.height < 3) return;
+
+    // Hits inside a group select the group unless it has been entered
+    const hitIds = Array.from(new Set(
+      elements
+        .filter((element) =>
+          element.type !== 'group' &&
+          isElementVisible(elements, element.id) &&
+          !isElementLocked(elements, element.id) &&
+          intersects(marquee, element)
+        )
+        .map((element) => getSelectionTarget(elements, element.id, enteredGroupId))
+    ));
+
+    // Shift extends the current selection
+    const nextSelection = e.evt.shiftKey
+      ? Array.from(new Set([...selectedElementIds, ...hitIds]))
+      : hitIds;
+    setSelection(nextSelection);
+    suppressClickRef.current = true;
   };
 
   return (
-    <div 
-      ref={containerRef}
-      className="canvas-container" 
-      style={{ 
-        width: '100%', 
-        height: '100%', 
-        overflow: 'auto', // Enable scrollbars when needed
-        backgroundColor: isDragging ? '#e3f2fd' : '#f5f5f5',
-        position: 'relative',
-        border: isDragging ? '2px dashed #2196f3' : 'none',
-        transition: 'all 0.2s ease',
-        cursor: isPanning ? 'grabbing' : 'default',
-      }}
-      onDragOver={handleDragOver}
-      onDragLeave={handleDragLeave}
-      onDrop={handleDrop}
-    >
-      {isDragging && (
-        <div
-          style={{
-            position: 'absolute',
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            backgroundColor: 'rgba(33, 150, 243, 0.1)',
-            color: '#2196f3',
-            fontSize: '1.2rem',
-            fontWeight: 'bold',
-            pointerEvents: 'none',
-            zIndex: 1000,
-          }}
-        >
-          Drop image here
-        </div>
-      )}
-      <Stage
-        ref={stageRef}
-        width={Math.max(canvasSize.width * zoom + 200, window.innerWidth - 400)}
-        height={Math.max(canvasSize.height * zoom + 200, window.innerHeight - 60)}
-        onClick={handleStageClick}
-        onTap={handleStageClick}
-        onWheel={handleWheel}
-        onMouseDown={handleMouseDown}
-        onMouseMove={handleMouseMove}
-        onMouseUp={handleMouseUp}
-        draggable={false}
+    <div style={{ position: 'relative', width: '100%', height: '100%' }}>
+      <div
+        style={{
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          width: RULER_SIZE,
+          height: RULER_SIZE,
+          background: '#f8f9fa',
+          borderRight: '1px solid #e0e0e0',
+          borderBottom: '1px solid #e0e0e0',
+          boxSizing: 'border-box',
+          zIndex: 10,
+        }}
+      />
+      <Ruler
+        orientation="horizontal"
+        length={view.width}
+        origin={stageX}
+        zoom={zoom}
+        unit={unit}
+        onMouseDown={handleRulerMouseDown('horizontal')}
+      />
+      <Ruler
+        orientation="vertical"
+        length={view.height}
+        origin={stageY}
+        zoom={zoom}
+        unit={unit}
+        onMouseDown={handleRulerMouseDown('vertical')}
+      />
+      <div 
+        ref={containerRef}
+        className="canvas-container" 
+        onScroll={updateView}
+        onMouseDownCapture={handlePanStart}
+        style={{ 
+          position: 'absolute',
+          top: RULER_SIZE,
+          left: RULER_SIZE,
+          right: 0,
+          bottom: 0,
+          overflow: 'auto', // Enable scrollbars when needed
+          backgroundColor: isDragging ? '#e3f2fd' : '#f5f5f5',
+          border: isDragging ? '2px dashed #2196f3' : 'none',
+          transition: 'all 0.2s ease',
+          cursor: isPanning ? 'grabbing' : isSpaceDown ? 'grab' : undefined,
+        }}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
       >
-        <Layer>
-          {/* Canvas background */}
-          <Rect
-            name="canvas-background"
-            x={0}
-            y={0}
-            width={canvasSize.width}
-            height={canvasSize.height}
-            fill="white"
-            stroke="#2196f3"
-            strokeWidth={2}
-            shadowColor="black"
-            shadowBlur={15}
-            shadowOffsetX={8}
-            shadowOffsetY={8}
-            shadowOpacity={0.15}
-          />
-          
-          {/* Grid lines (only when snapToGrid is enabled) */}
-          {snapToGrid && (
-            <>
-              {/* Vertical grid lines */}
-              {Array.from({ length: Math.ceil(canvasSize.width / gridSize) + 1 }, (_, i) => (
-                <Line
-                  key={`v-${i}`}
-                  points={[i * gridSize, 0, i * gridSize, canvasSize.height]}
-                  stroke="#e0e0e0"
-                  strokeWidth={0.5}
-                  dash={[2, 4]}
-                  opacity={0.6}
-                />
-              ))}
-              {/* Horizontal grid lines */}
-              {Array.from({ length: Math.ceil(canvasSize.height / gridSize) + 1 }, (_, i) => (
-                <Line
-                  key={`h-${i}`}
-                  points={[0, i * gridSize, canvasSize.width, i * gridSize]}
-                  stroke="#e0e0e0"
-                  strokeWidth={0.5}
-                  dash={[2, 4]}
-                  opacity={0.6}
+        {isDragging && (
+          <div
+            style={{
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              right: 0,
+              bottom: 0,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              backgroundColor: 'rgba(33, 150, 243, 0.1)',
+              color: '#2196f3',
+              fontSize: '1.2rem',
+              fontWeight: 'bold',
+              pointerEvents: 'none',
+              zIndex: 1000,
+            }}
+          >
+            Drop image here
+          </div>
+        )}
+        {/* Scrollable area; the stage stays over its visible part */}
+        <div style={{ position: 'relative', width: layout.width, height: layout.height }}>
+          <div style={{ position: 'absolute', left: view.scrollX, top: view.scrollY }}>
+            <Stage
+              ref={stageRef}
+              width={viewport.width}
+              height={viewport.height}
+              x={stageX}
+              y={stageY}
+              scaleX={zoom}
+              scaleY={zoom}
+              onClick={handleStageClick}
+              onTap={handleStageClick}
+              onWheel={handleWheel}
+              onMouseDown={handleMouseDown}
+              onMouseMove={handleMouseMove}
+              onMouseUp={handleMouseUp}
+              draggable={false}
+            >
+              <Layer>
+                {/* Canvas background */}
+                <Rect
+                  name="canvas-background"
+                  x={0}
+                  y={0}
+                  width={canvasSize.width}
+                  height={canvasSize.height}
+                  fill="white"
+                  stroke="#2196f3"
+                  strokeWidth={2}
+                  shadowColor="black"
+                  shadowBlur={15}
+                  shadowOffsetX={8}
+                  shadowOffsetY={8}
+                  shadowOpacity={0.15}
                 />
-              ))}
-            </>
-          )}
           
-          {/* Render elements */}
-          {[...elements]
-            .sort((a, b) => a.zIndex - b.zIndex)
-            .map((element) => (
-              <CanvasElement
+                {/* Grid lines (only when snapToGrid is enabled) */}
+                {snapToGrid && (
+                  <>
+                    {/* Vertical grid lines */}
+                    {Array.from({ length: Math.ceil(canvasSize.width / gridSize) + 1 }, (_, i) => (
+                      <Line
+                        key={`v-${i}`}
+                        points={[i * gridSize, 0, i * gridSize, canvasSize.height]}
+                        stroke="#e0e0e0"
+                        strokeWidth={0.5}
+                        dash={[2, 4]}
+                        opacity={0.6}
+                      />
+                    ))}
+                    {/* Horizontal grid lines */}
+                    {Array.from({ length: Math.ceil(canvasSize.height / gridSize) + 1 }, (_, i) => (
+                      <Line
+                        key={`h-${i}`}
+                        points={[0, i * gridSize, canvasSize.width, i * gridSize]}
+                        stroke="#e0e0e0"
+                        strokeWidth={0.5}
+                        dash={[2, 4]}
+                        opacity={0.6}
+                      />
+                    ))}
+                  </>
+                )}
+          
+                {/* Bleed area beyond the page edge and the margin safe zone */}
+                {bleed > 0 && (
+                  <Rect
+                    x={-bleed}
+                    y={-bleed}
+                    width={canvasSize.width + bleed * 2}
+                    height={canvasSize.height + bleed * 2}
+                    stroke="#f44336"
+                    strokeWidth={1 / zoom}
+                    dash={[6 / zoom, 4 / zoom]}
+                    listening={false}
+                  />
+                )}
+                {hasMargins && (
+                  <Rect
+                    x={margins.left}
+                    y={margins.top}
+                    width={Math.max(0, canvasSize.width - margins.left - margins.right)}
+                    height={Math.max(0, canvasSize.height - margins.top - margins.bottom)}
+                    stroke="#e91e63"
+                    strokeWidth={1 / zoom}
+                    dash={[4 / zoom, 4 / zoom]}
+                    opacity={0.7}
+                    listening={false}
+                  />
+                )}
+
+                {/* Render elements */}
+                {[...elements]
+                  .sort((a, b) => a.zIndex - b.zIndex)
+                  .map((element) => (
+                    <CanvasElement
+                      key={element.id}
+                      element={element}
+                    />
+                  ))}
+          
+                {/* Text editing visual feedback */}
+                {editingElementId && (() => {
+                  const element = elements.find(el => el.id === editingElementId);
+                  if (element && element.type === 'text') {
+                    return (
+                      <Rect
+                        key={`editing-${element.id}`}
+                        x={element.position.x - 4}
+                        y={element.position.y - 4}
+                        width={element.size.width + 8}
+                        height={element.size.height + 8}
+                        fill="rgba(33, 150, 243, 0.1)"
+                        stroke="#2196f3"
+                        strokeWidth={2}
+                        cornerRadius={4}
+                        listening={false}
+                      />
+                    );
+                  }
+                  return null;
+                })()}
+          
+                {/* Marquee selection rectangle */}
+                {marquee && (
+                  <Rect
+                    x={marquee.x}
+                    y={marquee.y}
+                    width={marquee.width}
+                    height={marquee.height}
+                    fill="rgba(33, 150, 243, 0.08)"
+                    stroke="#2196f3"
+                    strokeWidth={1 / zoom}
+                    dash={[4 / zoom, 4 / zoom]}
+                    listening={false}
+                  />
+                )}
+
+                {/* Ruler guides: drag to move, drag back onto the ruler or double-click to remove */}
+                {activePage?.guides?.map((guide) => (
+                  <Line
+                    key={guide.id}
+                    x={guide.orientation === 'vertical' ? guide.position : 0}
+                    y={guide.orientation === 'horizontal' ? guide.position : 0}
+                    points={guide.orientation === 'vertical'
+                      ? [0, -GUIDE_EXTENT, 0, GUIDE_EXTENT]
+                      : [-GUIDE_EXTENT, 0, GUIDE_EXTENT, 0]}
+                    stroke="#00bcd4"
+                    strokeWidth={1 / zoom}
+                    hitStrokeWidth={6 / zoom}
+                    draggable
+                    dragBoundFunc={guideDragBound(guide)}
+                    onDragEnd={handleGuideDragEnd(guide)}
+                    onDblClick={() => removeGuide(guide.id)}
+                    onMouseEnter={() => setStageCursor(guide.orientation === 'vertical' ? 'ew-resize' : 'ns-resize')}
+                    onMouseLeave={() => setStageCursor('')}
+                  />
+                ))}
+                {draftGuide && (
+                  <Line
+                    points={draftGuide.orientation === 'vertical'
+                      ? [draftGuide.position, -GUIDE_EXTENT, draftGuide.position, GUIDE_EXTENT]
+                      : [-GUIDE_EXTENT, draftGuide.position, GUIDE_EXTENT, draftGuide.position]}
+                    stroke="#00bcd4"
+                    strokeWidth={1 / zoom}
+                    listening={false}
+                  />
+                )}
+
+                {/* Smart guides while dragging or resizing */}
+                {smartGuides.map((guide, index) => (
+                  <Line
+                    key={`guide-${index}`}
+                    points={guide.orientation === 'vertical'
+                      ? [guide.position, 0, guide.position, canvasSize.height]
+                      : [0, guide.position, canvasSize.width, guide.position]}
+                    stroke="#ff4081"
+                    strokeWidth={1 / zoom}
+                    listening={false}
+                  />
+                ))}
+
+                {/* Transformer for selected elements */}
+                <Transformer
+                  ref={transformerRef}
+                  onTransformStart={handleTransformStart}
+                  onTransformEnd={handleTransformEnd}
+                  anchorDragBoundFunc={handleAnchorDragBound}
+                  rotationSnaps={ROTATION_SNAPS}
+                  rotationSnapTolerance={ROTATION_SNAP_TOLERANCE}
+                  boundBoxFunc={(oldBox, newBox) => {
+                    if (newBox.width < 10 || newBox.height < 10) {
+                      return oldBox;
+                    }
+                    return newBox;
+                  }}
+                />
+              </Layer>
+            </Stage>
+          </div>
+
+          {/* In-place text editor, positioned within the scrollable area like the table cell editor */}
+          {editingElementId && (() => {
+            const element = elements.find(el => el.id === editingElementId);
+            if (element?.type !== 'text') return null;
+            return (
+              <RichTextEditor
                 key={element.id}
                 element={element}
-                isSelected={element.id === selectedElementId}
-                transformerRef={transformerRef as React.RefObject<Konva.Transformer>}
+                zoom={zoom}
+                left={layout.pageX + element.position.x * zoom}
+                top={layout.pageY + element.position.y * zoom}
               />
-            ))}
+            );
+          })()}
+
+          {/* Table cell editor overlay - positioned outside Stage */}
+          {editingTableCell && (() => {
+            const element = elements.find(el => el.id === editingTableCell.elementId) as TableElement;
+            if (
+              element && element.type === 'table' &&
+              editingTableCell.row < element.rows && editingTableCell.col < element.columns
+            ) {
+              const cellRect = getCellRect(element, editingTableCell.row, editingTableCell.col);
+              const editedCell = element.cells[editingTableCell.row]?.[editingTableCell.col];
+              const cellStyle = editedCell ? resolveCellStyle(element, editedCell) : null;
+          
+              // Position within the scrollable area, so the editor scrolls with the page
+              const absoluteX = layout.pageX + (element.position.x + cellRect.x) * zoom;
+              const absoluteY = layout.pageY + (element.position.y + cellRect.y) * zoom;
           
-          {/* Text editing visual feedback */}
-          {editingElementId && (() => {
-            const element = elements.find(el => el.id === editingElementId);
-            if (element && element.type === 'text') {
               return (
-                <Rect
-                  key={`editing-${element.id}`}
-                  x={element.position.x - 4}
-                  y={element.position.y - 4}
-                  width={element.size.width + 8}
-                  height={element.size.height + 8}
-                  fill="rgba(33, 150, 243, 0.1)"
-                  stroke="#2196f3"
-                  strokeWidth={2}
-                  cornerRadius={4}
-                  listening={false}
-                />
+                <div
+                  key={`${element.id}-${editingTableCell.row}-${editingTableCell.col}`}
+                  style={{
+                    position: 'absolute',
+                    left: `${absoluteX}px`,
+                    top: `${absoluteY}px`,
+                    width: `${cellRect.width * zoom}px`,
+                    height: `${cellRect.height * zoom}px`,
+                    zIndex: 1000,
+                    pointerEvents: 'auto',
+                  }}
+                >
+                  <input
+                    autoFocus
+                    defaultValue={editedCell?.content || ''}
+                    onKeyDown={(e) => {
+                      const { row, col } = editingTableCell;
+                      const input = e.currentTarget;
+                      const atStart = input.selectionStart === 0 && input.selectionEnd === 0;
+                      const atEnd = input.selectionStart === input.value.length && input.selectionEnd === input.value.length;
+                      const move = e.key === 'Tab'
+                        ? (e.shiftKey ? 'previous' : 'next')
+                        : CELL_MOVE_KEYS[e.key];
+
+                      if (e.key === 'Enter' && !e.shiftKey) {
+                        e.preventDefault();
+                        commitTableCell(element.id, row, col, input.value);
+                        useCanvasStore.getState().exitTableCellEditMode();
+                      } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        useCanvasStore.getState().exitTableCellEditMode();
+                      } else if (
+                        move &&
+                        // Left and right move the caret until it reaches the end of the text
+                        (move !== 'left' || atStart) &&
+                        (move !== 'right' || atEnd)
+                      ) {
+                        e.preventDefault();
+                        commitTableCell(element.id, row, col, input.value);
+                        moveTableCellEditor(element.id, move);
+                      }
+                    }}
+                    onBlur={(e) => {
+                      // Moving to another cell or cancelling has already dealt with this one
+                      const { editingTableCell: current, exitTableCellEditMode } = useCanvasStore.getState();
+                      if (
+                        current?.elementId !== element.id ||
+                        current.row !== editingTableCell.row ||
+                        current.col !== editingTableCell.col
+                      ) {
+                        return;
+                      }
+                      commitTableCell(element.id, editingTableCell.row, editingTableCell.col, e.currentTarget.value);
+                      exitTableCellEditMode();
+                    }}
+                    style={{
+                      width: '100%',
+                      height: '100%',
+                      border: '2px solid #2196f3',
+                      padding: `${element.cellPadding * zoom}px`,
+                      fontSize: `${(cellStyle?.fontSize ?? element.fontSize) * zoom}px`,
+                      fontFamily: cellStyle?.fontFamily ?? element.fontFamily,
+                      fontWeight: cellStyle?.fontWeight,
+                      fontStyle: cellStyle?.fontStyle,
+                      textAlign: cellStyle?.textAlign,
+                      backgroundColor: cellStyle?.background ?? element.cellBackground,
+                      color: cellStyle?.textColor ?? element.textColor,
+                      outline: 'none',
+                      boxSizing: 'border-box',
+                      resize: 'none'
+                    }}
+                    placeholder="Enter cell content..."
+                  />
+                </div>
               );
             }
             return null;
           })()}
-          
-          {/* Transformer for selected elements */}
-          {selectedElementId && (
-            <Transformer
-              ref={transformerRef}
-              boundBoxFunc={(oldBox, newBox) => {
-                if (newBox.width < 10 || newBox.height < 10) {
-                  return oldBox;
-                }
-                return newBox;
-              }}
-            />
-          )}
-        </Layer>
-      </Stage>
-      
-      {/* Table cell editor overlay - positioned outside Stage */}
-      {editingTableCell && (() => {
-        const element = elements.find(el => el.id === editingTableCell.elementId) as TableElement;
-        if (element && element.type === 'table') {
-          const stage = stageRef.current;
-          if (!stage) return null;
-          
-          const cellWidth = element.size.width / element.columns;
-          const cellHeight = element.size.height / element.rows;
-          const cellX = editingTableCell.col * cellWidth;
-          const cellY = editingTableCell.row * cellHeight;
-          
-          // Calculate absolute position considering stage position and zoom
-          const stagePos = stage.position();
-          const absoluteX = (element.position.x + cellX) * zoom + (stagePos.x || 0);
-          const absoluteY = (element.position.y + cellY) * zoom + (stagePos.y || 0);
-          
-          return (
-            <div
-              style={{
-                position: 'absolute',
-                left: `${absoluteX}px`,
-                top: `${absoluteY}px`,
-                width: `${cellWidth * zoom}px`,
-                height: `${cellHeight * zoom}px`,
-                zIndex: 1000,
-                pointerEvents: 'auto',
-              }}
-            >
-              <input
-                autoFocus
-                defaultValue={element.cells[editingTableCell.row]?.[editingTableCell.col]?.content || ''}
-                onKeyDown={(e) => {
-                  if (e.key === 'Enter' && !e.shiftKey) {
-                    e.preventDefault();
-                    const newCells = element.cells.map((row, rowIndex) => 
-                      row.map((cell, colIndex) => {
-                        if (rowIndex === editingTableCell.row && colIndex === editingTableCell.col) {
-                          return { ...cell, content: e.currentTarget.value };
-                        }
-                        return { ...cell };
-                      })
-                    );
-                    const { updateElement, exitTableCellEditMode } = useCanvasStore.getState();
-                    updateElement(element.id, { cells: newCells });
-                    exitTableCellEditMode();
-                  } else if (e.key === 'Escape') {
-                    e.preventDefault();
-                    const { exitTableCellEditMode } = useCanvasStore.getState();
-                    exitTableCellEditMode();
-                  }
-                }}
-                onBlur={(e) => {
-                  const newCells = element.cells.map((row, rowIndex) => 
-                    row.map((cell, colIndex) => {
-                      if (rowIndex === editingTableCell.row && colIndex === editingTableCell.col) {
-                        return { ...cell, content: e.currentTarget.value };
-                      }
-                      return { ...cell };
-                    })
-                  );
-                  const { updateElement, exitTableCellEditMode } = useCanvasStore.getState();
-                  updateElement(element.id, { cells: newCells });
-                  exitTableCellEditMode();
-                }}
-                style={{
-                  width: '100%',
-                  height: '100%',
-                  border: '2px solid #2196f3',
-                  padding: `${element.cellPadding * zoom}px`,
-                  fontSize: `${element.fontSize * zoom}px`,
-                  fontFamily: element.fontFamily,
-                  backgroundColor: element.cells[editingTableCell.row]?.[editingTableCell.col]?.isHeader ? element.headerBackground : element.cellBackground,
-                  color: element.textColor,
-                  outline: 'none',
-                  boxSizing: 'border-box',
-                  resize: 'none'
-                }}
-                placeholder="Enter cell content..."
-              />
-            </div>
-          );
-        }
-        return null;
-      })()}
-      
-      {/* Hidden file input for image uploads */}
-      <input
-        ref={fileInputRef}
-        type="file"
-        accept="image/*"
-        style={{ display: 'none' }}
-        onChange={handleImageUpload}
-      />
+        </div>
+
+        {/* Hidden file input for image uploads */}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          style={{ display: 'none' }}
+          onChange={handleImageUpload}
+        />
+      </div>
     </div>
   );
 };
\ No newline at end of file
@@ -1,38 +1,68 @@
 import React from 'react';
-import { Group, Rect, Text, Image } from 'react-konva';
+import { Group, Rect, Text, Line, Ellipse } from 'react-konva';
 import type { TemplateElement } from '../../types/index';
 import { useCanvasStore } from '../../stores/canvasStore';
+import {
+  getSelectionTarget,
+  expandWithDescendants,
+  isElementLocked,
+  isElementVisible,
+} from '../../utils/groups';
+import {
+  toBox,
+  unionBox,
+  getSnapLines,
+  snapBox,
+  SMART_GUIDE_THRESHOLD,
+  type Box,
+  type SnapLines,
+  type SmartGuide,
+} from '../../utils/alignment';
+import { getPageSnapLines } from '../../utils/pages';
+import { getDashArray, getLineCap, getLineGeometry } from '../../utils/shapes';
+import { layoutTextRuns } from '../../utils/textRuns';
+import { fitText } from '../../utils/textFit';
+import { DEFAULT_LINE_HEIGHT, applyTextTransform, getFontWeightValue, getTextDecoration } from '../../utils/typography';
+import { isShownForData } from '../../utils/templateLogic';
+import { ElementBox } from './ElementBox';
+import { CanvasImage } from './CanvasImage';
+import { TableElementComponent } from './TableElement';
 import Konva from 'konva';
 
 interface CanvasElementProps {
   element: TemplateElement;
-  isSelected: boolean;
-  transformerRef?: React.RefObject<Konva.Transformer>;
+}
+
+// State of an in-progress drag: start positions of every node taking part (multi-selection
+// moves together), the moving bounds, and the lines the other elements offer for smart guides
+interface DragSession {
+  nodes: Map<string, { node: Konva.Node; x: number; y: number }>;
+  box: Box | null;
+  lines: SnapLines;
+  guides: SmartGuide[];
 }
 
 export const CanvasElement: React.FC<CanvasElementProps> = ({
   element,
-  isSelected,
-  transformerRef,
 }) => {
-  const { selectElement, moveElement, resizeElement, enterEditMode, enterTableCellEditMode } = useCanvasStore();
+  const {
+    elements,
+    enteredGroupId,
+    editingElementId,
+    selectElement,
+    moveElements,
+    resizeElement,
+    enterEditMode,
+    exitEditMode,
+    enterGroup,
+    previewData,
+  } = useCanvasStore();
+  // Clicks on a grouped element act on its group until the group is entered
+  const selectionTarget = getSelectionTarget(elements, element.id, enteredGroupId);
+  const isLocked = isElementLocked(elements, element.id);
   const shapeRef = React.useRef<any>(null);
   const [loadedImage, setLoadedImage] = React.useState<HTMLImageElement | null>(null);
-
-  React.useEffect(() => {
-    if (isSelected && transformerRef?.current && shapeRef.current) {
-      transformerRef.current.nodes([shapeRef.current]);
-      transformerRef.current.getLayer()?.batchDraw();
-    }
-  }, [isSelected, transformerRef]);
-
-  // Only force redraw for size/position changes, not content changes
-  React.useEffect(() => {
-    if (isSelected && transformerRef?.current && shapeRef.current) {
-      transformerRef.current.forceUpdate();
-      transformerRef.current.getLayer()?.batchDraw();
-    }
-  }, [element.size, element.position, isSelected]);
+  const dragSessionRef = React.useRef<DragSession | null>(null);
 
   // Load image when src changes (for image elements)
   React.useEffect(() => {
@@ -77,186 +107,328 @@ export const CanvasElement: React.FC<CanvasElementProps> = ({
 
   const handleClick = (e: any) => {
     e.cancelBubble = true;
-    selectElement(element.id);
+    selectElement(selectionTarget, { additive: e.evt?.shiftKey });
   };
 
   const handleDoubleClick = (e: any) => {
     e.cancelBubble = true;
-    // Only enter edit mode for text elements (Figma behavior)
-    if (element.type === 'text') {
+    // Double-click opens the group one level at a time and selects the element under the cursor
+    if (selectionTarget !== element.id) {
+      enterGroup(selectionTarget);
+      selectElement(getSelectionTarget(elements, element.id, selectionTarget));
+      return;
+    }
+    // Text is edited in place and images are cropped; double-clicking a cropped image again
+    // leaves crop mode
+    if (element.type === 'image' && editingElementId === element.id) {
+      exitEditMode();
+    } else if (element.type === 'text' || (element.type === 'image' && element.src)) {
       enterEditMode(element.id);
     }
   };
 
-  const handleDragEnd = (e: any) => {
-    moveElement(element.id, {
-      x: e.target.x(),
-      y: e.target.y(),
+  const handleDragStart = (e: Konva.KonvaEventObject<DragEvent>) => {
+    const { selectedElementIds, elements, canvasSize, pages, activePageId } = useCanvasStore.getState();
+
+    // Dragging an unselected element selects it on its own
+    let movingIds = selectedElementIds;
+    if (!selectedElementIds.includes(selectionTarget)) {
+      selectElement(selectionTarget);
+      movingIds = [selectionTarget];
+    }
+    // Groups drag everything inside them
+    movingIds = expandWithDescendants(elements, movingIds);
+
+    const stage = e.target.getStage();
+    const starts = new Map<string, { node: Konva.Node; x: number; y: number }>();
+    movingIds.forEach((id) => {
+      const movingElement = elements.find((el) => el.id === id);
+      const node = id === element.id ? e.target : stage?.findOne((n: Konva.Node) => n.id() === id);
+      if (node && movingElement && !isElementLocked(elements, id)) {
+        starts.set(id, { node, x: node.x(), y: node.y() });
+      }
     });
+
+    // Smart guides snap the moving bounds to the visible elements that stay put and to the page lines
+    const movingBoxes = elements.filter((el) => starts.has(el.id) && el.type !== 'group').map(toBox);
+    const staticBoxes = elements
+      .filter((el) => !starts.has(el.id) && el.type !== 'group' && isElementVisible(elements, el.id))
+      .map(toBox);
+    dragSessionRef.current = {
+      nodes: starts,
+      box: movingBoxes.length > 0 ? unionBox(movingBoxes) : null,
+      lines: getSnapLines(
+        staticBoxes,
+        canvasSize,
+        getPageSnapLines(pages.find((page) => page.id === activePageId), canvasSize)
+      ),
+      guides: [],
+    };
   };
 
-  const handleTransformEnd = () => {
-    if (!shapeRef.current) return;
+  const handleDragMove = (e: Konva.KonvaEventObject<DragEvent>) => {
+    const session = dragSessionRef.current;
+    const origin = session?.nodes.get(element.id);
+    if (!session || !origin) return;
 
-    const node = shapeRef.current;
-    const scaleX = node.scaleX();
-    const scaleY = node.scaleY();
+    let dx = e.target.x() - origin.x;
+    let dy = e.target.y() - origin.y;
 
-    // Reset the scale first
-    node.scaleX(1);
-    node.scaleY(1);
+    if (session.box) {
+      const { zoom, setSmartGuides } = useCanvasStore.getState();
+      const { offset, guides } = snapBox(
+        { ...session.box, x: session.box.x + dx, y: session.box.y + dy },
+        session.lines,
+        SMART_GUIDE_THRESHOLD / zoom
+      );
+      dx += offset.x;
+      dy += offset.y;
+      e.target.position({ x: origin.x + dx, y: origin.y + dy });
 
-    // Update size
-    resizeElement(element.id, {
-      width: Math.max(10, node.width() * scaleX),
-      height: Math.max(10, node.height() * scaleY),
+      // Only touch the store when the visible guides change
+      if (JSON.stringify(guides) !== JSON.stringify(session.guides)) {
+        session.guides = guides;
+        setSmartGuides(guides);
+      }
+    }
+
+    // Move the rest of the selection by the same offset
+    session.nodes.forEach(({ node, x, y }, id) => {
+      if (id !== element.id) {
+        node.position({ x: x + dx, y: y + dy });
+      }
     });
+  };
+
+  const handleDragEnd = (e: Konva.KonvaEventObject<DragEvent>) => {
+    const session = dragSessionRef.current;
+    const origin = session?.nodes.get(element.id);
+    dragSessionRef.current = null;
+    if (!session || !origin) return;
+
+    const { snapToGrid, gridSize, setSmartGuides } = useCanvasStore.getState();
+    setSmartGuides([]);
+    // Nodes are positioned by their center; snapping applies to the element's top-left corner
+    let x = element.position.x + e.target.x() - origin.x;
+    let y = element.position.y + e.target.y() - origin.y;
+    // Snap the dragged element and carry the rest of the selection with it.
+    // An axis already aligned by a smart guide keeps that alignment.
+    if (snapToGrid && !session.guides.some((guide) => guide.orientation === 'vertical')) {
+      x = Math.round(x / gridSize) * gridSize;
+    }
+    if (snapToGrid && !session.guides.some((guide) => guide.orientation === 'horizontal')) {
+      y = Math.round(y / gridSize) * gridSize;
+    }
 
-    // Update position
-    moveElement(element.id, {
-      x: node.x(),
-      y: node.y(),
+    moveElements(Array.from(session.nodes.keys()), {
+      x: x - element.position.x,
+      y: y - element.position.y,
     });
   };
 
   const renderElement = () => {
+    // Text overflow policies may draw text smaller or its box taller than the element says
+    const fitted = element.type === 'text' ? fitText(element) : null;
+    const size = fitted ? fitted.size : element.size;
+
+    // Nodes rotate and flip around their center, so they are positioned by it
     const commonProps = {
       ref: shapeRef,
-      x: element.position.x,
-      y: element.position.y,
-      width: element.size.width,
-      height: element.size.height,
-      draggable: !element.locked,
+      id: element.id,
+      x: element.position.x + size.width / 2,
+      y: element.position.y + size.height / 2,
+      offsetX: size.width / 2,
+      offsetY: size.height / 2,
+      width: size.width,
+      height: size.height,
+      rotation: element.rotation ?? 0,
+      scaleX: element.flipX ? -1 : 1,
+      scaleY: element.flipY ? -1 : 1,
+      draggable: !isLocked,
       onClick: handleClick,
       onTap: handleClick,
       onDblClick: handleDoubleClick,
       onDblTap: handleDoubleClick,
+      onDragStart: handleDragStart,
+      onDragMove: handleDragMove,
       onDragEnd: handleDragEnd,
-      onTransformEnd: handleTransformEnd,
     };
 
     switch (element.type) {
       case 'rectangle':
         return (
-          <Rect
-            {...commonProps}
-            fill={element.fill}
-            stroke={element.stroke}
-            strokeWidth={element.strokeWidth}
-            cornerRadius={element.cornerRadius}
-          />
+          <Group {...commonProps} opacity={element.opacity ?? 1}>
+            <ElementBox
+              element={element}
+              size={size}
+              fill={element.fill}
+              stroke={element.stroke}
+              strokeWidth={element.strokeWidth}
+            />
+          </Group>
         );
 
-      case 'text':
+      case 'line':
+      case 'arrow': {
+        const { shaft, heads } = element.type === 'arrow'
+          ? getLineGeometry(element.size, element.strokeWidth, element.startArrowhead, element.endArrowhead)
+          : getLineGeometry(element.size, element.strokeWidth);
+        // The transparent box keeps the whole element box grabbable, not just the stroke
         return (
-          <Text
-            {...commonProps}
-            text={element.content}
-            fontSize={element.fontSize}
-            fontFamily={element.fontFamily}
-            fontStyle={element.fontWeight === 'bold' ? 'bold' : element.fontStyle}
-            fill={element.color}
-            align={element.textAlign}
-            verticalAlign="top"
-            wrap="word"
-            ellipsis={true}
-            listening={true}
-          />
+          <Group {...commonProps}>
+            <Rect width={element.size.width} height={element.size.height} fill="transparent" />
+            <Line
+              points={shaft}
+              stroke={element.stroke}
+              strokeWidth={element.strokeWidth}
+              dash={getDashArray(element.strokeStyle, element.strokeWidth)}
+              lineCap={getLineCap(element.strokeStyle)}
+            />
+            {heads.map((head, index) => (
+              <Line
+                key={index}
+                points={head.points}
+                closed={head.closed}
+                fill={head.closed ? element.stroke : undefined}
+                stroke={element.stroke}
+                strokeWidth={element.strokeWidth}
+                lineJoin="miter"
+              />
+            ))}
+          </Group>
         );
+      }
 
-      case 'image':
+      case 'ellipse':
         return (
-          <Image
-            {...commonProps}
-            opacity={element.opacity}
-            image={loadedImage || undefined}
-          />
+          <Group {...commonProps}>
+            <Ellipse
+              x={element.size.width / 2}
+              y={element.size.height / 2}
+              radiusX={element.size.width / 2}
+              radiusY={element.size.height / 2}
+              fill={element.fill}
+              stroke={element.stroke}
+              strokeWidth={element.strokeWidth}
+              dash={getDashArray(element.strokeStyle, element.strokeWidth)}
+              lineCap={getLineCap(element.strokeStyle)}
+            />
+          </Group>
+        );
+
+      case 'text': {
+        const text = fitted?.element ?? element;
+        const shadowProps = text.textShadow ? {
+          shadowColor: text.textShadow.color,
+          shadowBlur: text.textShadow.blur,
+          shadowOffsetX: text.textShadow.offsetX,
+          shadowOffsetY: text.textShadow.offsetY,
+        } : {};
+        // The in-place editor stands in for the text, but not its box, while it is being edited
+        const textOpacity = editingElementId === element.id ? 0 : 1;
+        if (text.runs) {
+          return (
+            <Group {...commonProps} opacity={element.opacity ?? 1}>
+              <ElementBox element={text} size={size} fill={text.backgroundColor}>
+                <Group opacity={textOpacity} clipX={0} clipY={0} clipWidth={size.width} clipHeight={size.height}>
+                  {layoutTextRuns(text).map((fragment, index) => (
+                    <Text
+                      key={index}
+                      x={fragment.x}
+                      y={fragment.y}
+                      text={fragment.text}
+                      fontSize={fragment.style.fontSize}
+                      fontFamily={text.fontFamily}
+                      fontStyle={`${fragment.style.italic ? 'italic ' : ''}${fragment.style.fontWeight}`}
+                      textDecoration={getTextDecoration(fragment.style.underline, fragment.style.strikethrough)}
+                      letterSpacing={text.letterSpacing ?? 0}
+                      fill={fragment.style.color}
+                      {...shadowProps}
+                      listening={false}
+                    />
+                  ))}
+                </Group>
+              </ElementBox>
+            </Group>
+          );
+        }
+        return (
+          <Group {...commonProps} opacity={element.opacity ?? 1}>
+            <ElementBox element={text} size={size} fill={text.backgroundColor}>
+              <Text
+                width={size.width}
+                height={size.height}
+                opacity={textOpacity}
+                text={applyTextTransform(text.content, text.textTransform)}
+                fontSize={text.fontSize}
+                fontFamily={text.fontFamily}
+                fontStyle={`${text.fontStyle === 'italic' ? 'italic ' : ''}${getFontWeightValue(text.fontWeight)}`}
+                textDecoration={getTextDecoration(text.underline, text.strikethrough)}
+                lineHeight={text.lineHeight ?? DEFAULT_LINE_HEIGHT}
+                letterSpacing={text.letterSpacing ?? 0}
+                fill={text.color}
+                {...shadowProps}
+                padding={text.padding}
+                align={text.textAlign}
+                verticalAlign={text.verticalAlign ?? 'top'}
+                wrap="word"
+                ellipsis={text.overflow === 'ellipsis'}
+                listening={false}
+              />
+            </ElementBox>
+          </Group>
         );
+      }
+
+      case 'image': {
+        // In crop mode the picture moves inside the element, which stays put
+        const cropping = editingElementId === element.id;
+        return (
+          <Group {...commonProps} draggable={commonProps.draggable && !cropping} opacity={element.opacity}>
+            <CanvasImage element={element} size={size} image={loadedImage} cropping={cropping} />
+          </Group>
+        );
+      }
 
       case 'table':
-        // For tables, we need a different approach - render as a group
-        const tableElement = element as any; // TableElement
-        const cellWidth = element.size.width / tableElement.columns;
-        const cellHeight = element.size.height / tableElement.rows;
-        
         return (
-          <Group
-            {...commonProps}
-            width={element.size.width}
-            height={element.size.height}
-          >
-            {/* Table border */}
-            <Rect
-              x={0}
-              y={0}
-              width={element.size.width}
-              height={element.size.height}
-              stroke={tableElement.borderColor}
-              strokeWidth={tableElement.borderWidth * 2}
-              fill="transparent"
+          <Group {...commonProps}>
+            <TableElementComponent
+              element={element}
+              selectionTarget={selectionTarget}
+              locked={isLocked}
+              onDoubleClick={handleDoubleClick}
             />
-            
-            {/* Render cells */}
-            {tableElement.cells.map((row: any[], rowIndex: number) =>
-              row.map((cell: any, colIndex: number) => (
-                <Group key={`${rowIndex}-${colIndex}`}>
-                  {/* Cell background - clickable for editing */}
-                  <Rect
-                    x={colIndex * cellWidth}
-                    y={rowIndex * cellHeight}
-                    width={cellWidth}
-                    height={cellHeight}
-                    fill={cell.isHeader ? tableElement.headerBackground : tableElement.cellBackground}
-                    stroke={tableElement.borderColor}
-                    strokeWidth={tableElement.borderWidth}
-                    onClick={(e) => {
-                      e.cancelBubble = true;
-                      selectElement(element.id);
-                    }}
-                    onDblClick={(e) => {
-                      e.cancelBubble = true;
-                      enterTableCellEditMode(element.id, rowIndex, colIndex);
-                    }}
-                    onTap={(e) => {
-                      e.cancelBubble = true;
-                      selectElement(element.id);
-                    }}
-                    onDblTap={(e) => {
-                      e.cancelBubble = true;
-                      enterTableCellEditMode(element.id, rowIndex, colIndex);
-                    }}
-                    listening={true}
-                  />
-                  {/* Cell text */}
-                  <Text
-                    x={colIndex * cellWidth + tableElement.cellPadding}
-                    y={rowIndex * cellHeight + tableElement.cellPadding}
-                    width={cellWidth - tableElement.cellPadding * 2}
-                    height={cellHeight - tableElement.cellPadding * 2}
-                    text={cell.content}
-                    fontSize={tableElement.fontSize}
-                    fontFamily={tableElement.fontFamily}
-                    fill={tableElement.textColor}
-                    fontStyle={cell.isHeader ? 'bold' : 'normal'}
-                    align="left"
-                    verticalAlign="middle"
-                    wrap="word"
-                    ellipsis={true}
-                    listening={false} // Let background rect handle clicks
-                  />
-                </Group>
-              ))
-            )}
           </Group>
         );
 
+      case 'group':
+        // Groups have no visuals of their own; this node gives the transformer the group bounds.
+        // Children are rendered as separate elements and receive the pointer events.
+        return (
+          <Rect
+            {...commonProps}
+            draggable={false}
+            listening={false}
+            stroke={enteredGroupId === element.id ? '#2196f3' : undefined}
+            strokeWidth={1}
+            dash={[4, 4]}
+          />
+        );
+
       default:
         return null;
     }
   };
 
   return (
-    <Group visible={element.visible}>
+    <Group
+      visible={
+        isElementVisible(elements, element.id) &&
+        // Previewing with data leaves out elements whose "visible when" condition fails
+        (!previewData || isShownForData(elements, element.id, previewData))
+      }
+    >
       {renderElement()}
     </Group>
   );
@@ -0,0 +1,204 @@
+import React from 'react';
+import { Group, Image, Rect } from 'react-konva';
+import Konva from 'konva';
+import type { ImageElement, ImageFilters, Size } from '../../types/index';
+import { useCanvasStore } from '../../stores/canvasStore';
+import { CORNERS } from '../../utils/boxEffects';
+import { getCropFromRect, getImageRect, getMaskRadius, hasImageFilters, type ImageRect } from '../../utils/imageStyle';
+import { ElementBox } from './ElementBox';
+
+interface CanvasImageProps {
+  element: ImageElement;
+  size: Size;
+  image: HTMLImageElement | null;
+  cropping: boolean; // Crop mode: the whole picture shows, and can be moved and scaled
+}
+
+type Corner = (typeof CORNERS)[number];
+
+const CROP_HANDLE_SIZE = 8; // Screen px
+const MIN_CROP_SIZE = 10;
+
+/**
+ * Grayscale, brightness and contrast with the formulas of the CSS filter functions, so the
+ * canvas matches the exported HTML
+ */
+const createColorFilter = ({ grayscale, brightness, contrast }: ImageFilters) => (imageData: ImageData) => {
+  const { data } = imageData;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    [r, g, b].forEach((channel, offset) => {
+      const gray = channel + (luminance - channel) * grayscale;
+      data[i + offset] = (gray * brightness - 127.5) * contrast + 127.5;
+    });
+  }
+};
+
+const isLeft = (corner: Corner) => corner === 'topLeft' || corner === 'bottomLeft';
+const isTop = (corner: Corner) => corner === 'topLeft' || corner === 'topRight';
+
+const getCornerPoint = (rect: ImageRect, corner: Corner) => ({
+  x: isLeft(corner) ? rect.x : rect.x + rect.width,
+  y: isTop(corner) ? rect.y : rect.y + rect.height,
+});
+
+/**
+ * Scale the picture from the corner opposite the dragged one, keeping its aspect ratio
+ */
+const resizeFromCorner = (start: ImageRect, corner: Corner, point: { x: number; y: number }): ImageRect => {
+  const ratio = start.width / start.height;
+  const fixedX = isLeft(corner) ? start.x + start.width : start.x;
+  const fixedY = isTop(corner) ? start.y + start.height : start.y;
+  const width = Math.max(Math.abs(point.x - fixedX), Math.abs(point.y - fixedY) * ratio, MIN_CROP_SIZE);
+  const height = width / ratio;
+  return {
+    x: isLeft(corner) ? fixedX - width : fixedX,
+    y: isTop(corner) ? fixedY - height : fixedY,
+    width,
+    height,
+  };
+};
+
+/**
+ * The picture of an image element inside its box, placed by the crop or the fit and focal
+ * point, masked and filtered. In crop mode the rest of the picture shows faintly around the
+ * box; dragging it moves the picture and its corner handles scale it. Coordinates are local
+ * to the element.
+ */
+export const CanvasImage: React.FC<CanvasImageProps> = ({ element, size, image, cropping }) => {
+  const { zoom, updateElement } = useCanvasStore();
+  const imageRef = React.useRef<Konva.Image>(null);
+  const resizeStartRef = React.useRef<ImageRect | null>(null);
+  // The picture's place while it is being moved or scaled; stored once the gesture ends
+  const [draft, setDraft] = React.useState<ImageRect | null>(null);
+
+  const natural = image ? { width: image.naturalWidth, height: image.naturalHeight } : null;
+  const rect = draft ?? getImageRect(element, size, natural);
+  const { filters } = element;
+  const filtered = hasImageFilters(filters);
+  const pixelRatio = Math.min(2, zoom * window.devicePixelRatio);
+
+  const konvaFilters = React.useMemo(
+    () => (filters && hasImageFilters(filters)
+      ? [createColorFilter(filters), ...(filters.blur > 0 ? [Konva.Filters.Blur] : [])]
+      : []),
+    [filters]
+  );
+
+  // Konva filters work on a cached bitmap, which has to be redrawn whenever the picture changes
+  React.useEffect(() => {
+    const node = imageRef.current;
+    if (!node) return;
+    if (filtered && image) {
+      node.cache({ pixelRatio });
+    } else {
+      node.clearCache();
+    }
+    node.getLayer()?.batchDraw();
+  }, [filtered, konvaFilters, image, pixelRatio, rect.x, rect.y, rect.width, rect.height]);
+
+  const commitRect = (next: ImageRect) => {
+    setDraft(null);
+    updateElement(element.id, { crop: getCropFromRect(next, size) });
+  };
+
+  // The element group must not start dragging along with the crop handles
+  const stopBubble = (e: Konva.KonvaEventObject<DragEvent>) => {
+    e.cancelBubble = true;
+  };
+
+  const maskClip = (ctx: Konva.Context) => {
+    if (element.mask === 'circle') {
+      ctx.ellipse(size.width / 2, size.height / 2, size.width / 2, size.height / 2, 0, 0, Math.PI * 2);
+    } else {
+      ctx.roundRect(0, 0, size.width, size.height, getMaskRadius(element, size));
+    }
+  };
+
+  const handleSize = CROP_HANDLE_SIZE / zoom;
+
+  return (
+    <>
+      {cropping && image && (
+        <Image
+          {...rect}
+          image={image}
+          opacity={0.35}
+          draggable
+          onDragStart={stopBubble}
+          onDragMove={(e) => {
+            e.cancelBubble = true;
+            setDraft({ ...rect, x: e.target.x(), y: e.target.y() });
+          }}
+          onDragEnd={(e) => {
+            e.cancelBubble = true;
+            commitRect({ ...rect, x: e.target.x(), y: e.target.y() });
+          }}
+        />
+      )}
+      <Group
+        clipFunc={element.mask && element.mask !== 'none' ? maskClip : undefined}
+        listening={!cropping}
+      >
+        <ElementBox element={element} size={size}>
+          <Group clipX={0} clipY={0} clipWidth={size.width} clipHeight={size.height}>
+            <Image
+              ref={imageRef}
+              {...rect}
+              image={image || undefined}
+              filters={konvaFilters}
+              blurRadius={filters ? Math.round(filters.blur * 2 * pixelRatio) : 0}
+            />
+          </Group>
+        </ElementBox>
+      </Group>
+      {cropping && image && (
+        <>
+          <Rect
+            width={size.width}
+            height={size.height}
+            stroke="#2196f3"
+            strokeWidth={2 / zoom}
+            listening={false}
+          />
+          <Rect {...rect} stroke="#2196f3" strokeWidth={1 / zoom} dash={[4 / zoom, 4 / zoom]} listening={false} />
+          {CORNERS.map((corner) => (
+            <Rect
+              key={corner}
+              {...getCornerPoint(rect, corner)}
+              width={handleSize}
+              height={handleSize}
+              offsetX={handleSize / 2}
+              offsetY={handleSize / 2}
+              fill="#ffffff"
+              stroke="#2196f3"
+              strokeWidth={1 / zoom}
+              draggable
+              onDragStart={(e) => {
+                e.cancelBubble = true;
+                resizeStartRef.current = rect;
+              }}
+              onDragMove={(e) => {
+                e.cancelBubble = true;
+                const start = resizeStartRef.current;
+                if (!start) return;
+                const next = resizeFromCorner(start, corner, e.target.position());
+                e.target.position(getCornerPoint(next, corner));
+                setDraft(next);
+              }}
+              onDragEnd={(e) => {
+                e.cancelBubble = true;
+                const start = resizeStartRef.current;
+                resizeStartRef.current = null;
+                if (start) commitRect(resizeFromCorner(start, corner, e.target.position()));
+              }}
+            />
+          ))}
+        </>
+      )}
+    </>
+  );
+};
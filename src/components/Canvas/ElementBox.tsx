@@ -0,0 +1,102 @@
+import React from 'react';
+import { Group, Line, Rect, Shape } from 'react-konva';
+import type Konva from 'konva';
+import type { DropShadow, Size } from '../../types/index';
+import { getBorderShapes, getCornerRadii, getGradientFillProps, type BoxElement } from '../../utils/boxEffects';
+
+interface ElementBoxProps {
+  element: BoxElement;
+  size: Size;
+  fill?: string; // Flat fill, unless the element has a gradient
+  stroke?: string; // Uniform stroke, unless the element has per-side borders
+  strokeWidth?: number;
+  children?: React.ReactNode; // Content drawn over the fill and under the borders
+}
+
+/**
+ * Draw a drop shadow the way CSS box-shadow does: only outside the box, and turning and
+ * flipping with the element. The box is drawn off to the side and only its shadow is moved
+ * back; canvas shadow offsets and blur are in device pixels, so they are mapped through
+ * the current transform.
+ */
+const drawDropShadow = (context: Konva.Context, size: Size, radii: number[], shadow: DropShadow) => {
+  const ctx = context._context;
+  const { a, b, c, d } = ctx.getTransform();
+  const { width, height } = size;
+  const { spread, blur, offsetX, offsetY } = shadow;
+  const reach = blur * 2 + Math.abs(spread) + Math.abs(offsetX) + Math.abs(offsetY);
+  const away = width + reach * 2;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(-reach, -reach, width + reach * 2, height + reach * 2);
+  ctx.roundRect(0, 0, width, height, radii);
+  ctx.clip('evenodd');
+
+  ctx.beginPath();
+  ctx.roundRect(
+    away - spread,
+    -spread,
+    Math.max(0, width + spread * 2),
+    Math.max(0, height + spread * 2),
+    radii.map((radius) => (radius > 0 ? Math.max(0, radius + spread) : 0))
+  );
+  const x = offsetX - away;
+  ctx.shadowColor = shadow.color;
+  ctx.shadowBlur = blur * Math.sqrt(Math.abs(a * d - b * c));
+  ctx.shadowOffsetX = a * x + c * offsetY;
+  ctx.shadowOffsetY = b * x + d * offsetY;
+  ctx.fillStyle = '#000000';
+  ctx.fill();
+  ctx.restore();
+};
+
+/**
+ * The box of a rectangle, image or text element: drop shadow, flat or gradient fill, content
+ * clipped to rounded corners, and uniform or per-side borders. Coordinates are local to the
+ * element; the caller positions the surrounding group and applies the element's opacity.
+ */
+export const ElementBox: React.FC<ElementBoxProps> = ({ element, size, fill, stroke, strokeWidth, children }) => {
+  const radii = getCornerRadii(element, size);
+  const rounded = radii.some((radius) => radius > 0);
+  const { shadow, gradient, borders } = element;
+
+  return (
+    <>
+      {shadow && (
+        <Shape
+          sceneFunc={(context) => drawDropShadow(context, size, radii, shadow)}
+          listening={false}
+        />
+      )}
+      {/* Also the hit area, so the whole box stays clickable */}
+      <Rect
+        width={size.width}
+        height={size.height}
+        cornerRadius={radii}
+        fill={gradient ? undefined : fill ?? 'transparent'}
+        {...(gradient && getGradientFillProps(gradient, size))}
+        stroke={borders ? undefined : stroke}
+        strokeWidth={borders ? 0 : strokeWidth}
+      />
+      <Group
+        clipFunc={rounded ? (ctx) => ctx.roundRect(0, 0, size.width, size.height, radii) : undefined}
+      >
+        {children}
+        {borders && getBorderShapes(borders, size).map((shape, index) => (
+          <Line
+            key={index}
+            points={shape.points}
+            closed={shape.closed}
+            fill={shape.closed ? shape.color : undefined}
+            stroke={shape.closed ? undefined : shape.color}
+            strokeWidth={shape.closed ? 0 : shape.width}
+            dash={shape.dash}
+            lineCap={shape.lineCap}
+            listening={false}
+          />
+        ))}
+      </Group>
+    </>
+  );
+};
@@ -0,0 +1,374 @@
+import React from 'react';
+import type { TextElement, TextRun, TextRunStyle } from '../../types';
+import { useCanvasStore } from '../../stores/canvasStore';
+import { getCssTransform } from '../../utils/transform';
+import {
+  getTextRuns,
+  resolveRunStyle,
+  applyRunStyle,
+  replaceRunsText,
+  getRangeStyle,
+  toTextUpdate,
+  isSafeLink,
+} from '../../utils/textRuns';
+import { DEFAULT_LINE_HEIGHT, getTextDecoration } from '../../utils/typography';
+
+interface RichTextEditorProps {
+  element: TextElement;
+  zoom: number;
+  left: number; // Screen position of the element's top-left corner in the scroll area
+  top: number;
+}
+
+interface TextRange {
+  start: number;
+  end: number;
+}
+
+const FORMAT_BAR_HEIGHT = 32; // px
+
+const getTextNodes = (root: Node): Text[] => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes: Text[] = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode as Text);
+  return nodes;
+};
+
+// Selection as character offsets into the text, or null when it is outside the editor
+const getSelectionRange = (root: HTMLElement): TextRange | null => {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) return null;
+  const range = selection.getRangeAt(0);
+  if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) return null;
+
+  const toOffset = (node: Node, offset: number) => {
+    const before = document.createRange();
+    before.selectNodeContents(root);
+    before.setEnd(node, offset);
+    return before.toString().length;
+  };
+  return { start: toOffset(range.startContainer, range.startOffset), end: toOffset(range.endContainer, range.endOffset) };
+};
+
+const setSelectionRange = (root: HTMLElement, { start, end }: TextRange) => {
+  const nodes = getTextNodes(root);
+  const locate = (offset: number): [Node, number] => {
+    let remaining = offset;
+    for (const node of nodes) {
+      if (remaining <= node.length) return [node, remaining];
+      remaining -= node.length;
+    }
+    return [root, root.childNodes.length];
+  };
+
+  const range = document.createRange();
+  range.setStart(...locate(start));
+  range.setEnd(...locate(end));
+  const selection = window.getSelection();
+  selection?.removeAllRanges();
+  selection?.addRange(range);
+};
+
+const toHexColor = (color: string) => {
+  const channels = color.match(/\d+/g)?.slice(0, 3).map(Number);
+  if (!channels || channels.length < 3) return color;
+  return `#${channels.map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Read the runs back from the editable DOM. Formatting comes from the computed style, so
+// markup the browser adds while typing is understood as well as our own spans.
+const readRuns = (root: HTMLElement): TextRun[] =>
+  getTextNodes(root).map((node) => {
+    const parent = node.parentElement ?? root;
+    const computed = window.getComputedStyle(parent);
+    let underline = false;
+    for (let el: HTMLElement | null = parent; el && root.contains(el); el = el.parentElement) {
+      if (window.getComputedStyle(el).textDecorationLine.includes('underline')) underline = true;
+    }
+    const link = parent.closest('a');
+    return {
+      text: node.data,
+      bold: parseInt(computed.fontWeight, 10) >= 600,
+      italic: computed.fontStyle === 'italic',
+      underline,
+      color: toHexColor(computed.color),
+      fontSize: parseFloat(computed.fontSize),
+      link: link && root.contains(link) ? link.getAttribute('href') ?? undefined : undefined,
+    };
+  });
+
+const renderRuns = (root: HTMLElement, runs: TextRun[], element: TextElement) => {
+  const nodes: Node[] = runs.map((run) => {
+    const style = resolveRunStyle(run, element);
+    const node = document.createElement(style.link ? 'a' : 'span');
+    if (style.link) node.setAttribute('href', style.link);
+    node.style.fontWeight = String(style.fontWeight);
+    node.style.fontStyle = style.italic ? 'italic' : 'normal';
+    node.style.textDecoration = getTextDecoration(style.underline, style.strikethrough) || 'none';
+    node.style.color = style.color;
+    node.style.fontSize = `${style.fontSize}px`;
+    node.textContent = run.text;
+    return node;
+  });
+  // A trailing line break only shows (and takes the caret) with something after it
+  if (runs[runs.length - 1]?.text.endsWith('\n')) {
+    nodes.push(document.createElement('br'));
+  }
+  root.replaceChildren(...nodes);
+};
+
+/**
+ * Edits a text element in place over the canvas, with a format bar for the selected text.
+ * Changes are written back as one update when editing ends: on blur, Escape or Ctrl+Enter.
+ * Mount it keyed by the element id.
+ */
+export const RichTextEditor: React.FC<RichTextEditorProps> = ({ element, zoom, left, top }) => {
+  const { updateElement, exitEditMode } = useCanvasStore();
+  const wrapperRef = React.useRef<HTMLDivElement>(null);
+  const editorRef = React.useRef<HTMLDivElement>(null);
+  // Last selection inside the editor, so format bar inputs that take focus still know what to format
+  const rangeRef = React.useRef<TextRange>({ start: 0, end: 0 });
+  const finishedRef = React.useRef(false);
+  const [rangeStyle, setRangeStyle] = React.useState(() =>
+    getRangeStyle(getTextRuns(element), element, 0, element.content.length)
+  );
+
+  // The element as editing started; the editor is filled from it once and from then on the
+  // DOM holds the edits, so later renders do not reset what is being typed
+  const [initialElement] = React.useState(element);
+
+  React.useLayoutEffect(() => {
+    const root = editorRef.current;
+    if (!root) return;
+    renderRuns(root, getTextRuns(initialElement), initialElement);
+    root.focus();
+    rangeRef.current = { start: 0, end: initialElement.content.length };
+    setSelectionRange(root, rangeRef.current);
+  }, [initialElement]);
+
+  React.useEffect(() => {
+    const handleSelectionChange = () => {
+      const root = editorRef.current;
+      const range = root && getSelectionRange(root);
+      if (!root || !range) return;
+      rangeRef.current = range;
+      setRangeStyle(getRangeStyle(readRuns(root), element, range.start, range.end));
+    };
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => document.removeEventListener('selectionchange', handleSelectionChange);
+  }, [element]);
+
+  const finish = () => {
+    const root = editorRef.current;
+    if (finishedRef.current || !root) return;
+    finishedRef.current = true;
+    const update = toTextUpdate(readRuns(root), element);
+    if (update.content !== element.content || JSON.stringify(update.runs) !== JSON.stringify(element.runs)) {
+      updateElement(element.id, update);
+    }
+    exitEditMode();
+  };
+
+  // Rewrite the editor from new runs and put the selection back
+  const replaceRuns = (runs: TextRun[], selection: TextRange) => {
+    const root = editorRef.current;
+    if (!root) return;
+    renderRuns(root, runs, element);
+    rangeRef.current = selection;
+    if (document.activeElement === root) setSelectionRange(root, selection);
+    setRangeStyle(getRangeStyle(runs, element, selection.start, selection.end));
+  };
+
+  const applyStyle = (style: TextRunStyle) => {
+    const root = editorRef.current;
+    if (!root) return;
+    const range = rangeRef.current;
+    replaceRuns(applyRunStyle(readRuns(root), range.start, range.end, style), range);
+  };
+
+  // Line breaks and pasted text go through the runs so no foreign markup gets in
+  const insertText = (text: string) => {
+    const root = editorRef.current;
+    const range = root && getSelectionRange(root);
+    if (!root || !range) return;
+    const caret = range.start + text.length;
+    replaceRuns(replaceRunsText(readRuns(root), range.start, range.end, text), { start: caret, end: caret });
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent) => {
+    const mod = e.ctrlKey || e.metaKey;
+    if (e.key === 'Escape' || (e.key === 'Enter' && mod)) {
+      e.preventDefault();
+      finish();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      insertText('\n');
+    } else if (mod && ['b', 'i', 'u'].includes(e.key.toLowerCase())) {
+      e.preventDefault();
+      const key = { b: 'bold', i: 'italic', u: 'underline' }[e.key.toLowerCase()] as 'bold' | 'italic' | 'underline';
+      applyStyle({ [key]: !rangeStyle[key] });
+    }
+  };
+
+  const handlePaste = (e: React.ClipboardEvent) => {
+    e.preventDefault();
+    insertText(e.clipboardData.getData('text/plain').replace(/\r\n?/g, '\n'));
+  };
+
+  // Focus moving within the editor and its format bar keeps editing going
+  const handleBlur = (e: React.FocusEvent) => {
+    if (!wrapperRef.current?.contains(e.relatedTarget as Node | null)) {
+      finish();
+    }
+  };
+
+  const handleLink = () => {
+    const url = window.prompt('Link URL (leave empty to remove the link)', rangeStyle.link ?? 'https://');
+    if (url === null) return;
+    if (url.trim() && !isSafeLink(url)) {
+      alert('Links must start with http://, https://, mailto: or tel:, or be a {{variable}}.');
+      return;
+    }
+    applyStyle({ link: url.trim() || undefined });
+  };
+
+  // Format bar buttons keep the text selection instead of taking focus
+  const keepSelection = (e: React.MouseEvent) => e.preventDefault();
+
+  const toggleButton = (key: 'bold' | 'italic' | 'underline', label: string, title: string) => (
+    <button
+      type="button"
+      title={title}
+      onMouseDown={keepSelection}
+      onClick={() => applyStyle({ [key]: !rangeStyle[key] })}
+      style={{
+        ...formatButtonStyle,
+        fontWeight: key === 'bold' ? 'bold' : undefined,
+        fontStyle: key === 'italic' ? 'italic' : undefined,
+        textDecoration: key === 'underline' ? 'underline' : undefined,
+        background: rangeStyle[key] ? '#e3f2fd' : '#ffffff',
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  const transform = getCssTransform(element);
+
+  return (
+    <div ref={wrapperRef} onBlur={handleBlur}>
+      <div
+        style={{
+          position: 'absolute',
+          left: `${left}px`,
+          top: `${Math.max(0, top - FORMAT_BAR_HEIGHT - 6)}px`,
+          height: `${FORMAT_BAR_HEIGHT}px`,
+          display: 'flex',
+          alignItems: 'center',
+          gap: '4px',
+          padding: '0 6px',
+          background: '#ffffff',
+          border: '1px solid #ddd',
+          borderRadius: '4px',
+          boxShadow: '0 2px 6px rgba(0, 0, 0, 0.15)',
+          zIndex: 1001,
+          whiteSpace: 'nowrap',
+        }}
+      >
+        {toggleButton('bold', 'B', 'Bold (Ctrl+B)')}
+        {toggleButton('italic', 'I', 'Italic (Ctrl+I)')}
+        {toggleButton('underline', 'U', 'Underline (Ctrl+U)')}
+        <input
+          type="color"
+          title="Text color"
+          value={rangeStyle.color ?? element.color}
+          onChange={(e) => applyStyle({ color: e.target.value })}
+          style={{ width: '28px', height: '24px', padding: 0, border: 'none' }}
+        />
+        <input
+          type="number"
+          title="Font size"
+          min={6}
+          max={200}
+          value={rangeStyle.fontSize ?? ''}
+          placeholder="Mixed"
+          onChange={(e) => {
+            const size = parseFloat(e.target.value);
+            if (size >= 6) applyStyle({ fontSize: size });
+          }}
+          style={{ width: '52px', height: '24px', boxSizing: 'border-box' }}
+        />
+        <button
+          type="button"
+          title="Link"
+          onMouseDown={keepSelection}
+          onClick={handleLink}
+          style={{ ...formatButtonStyle, background: rangeStyle.link ? '#e3f2fd' : '#ffffff' }}
+        >
+          🔗
+        </button>
+        <button
+          type="button"
+          title="Clear formatting"
+          onMouseDown={keepSelection}
+          onClick={() => applyStyle({ bold: undefined, italic: undefined, underline: undefined, color: undefined, fontSize: undefined, link: undefined })}
+          style={formatButtonStyle}
+        >
+          ⌫
+        </button>
+      </div>
+
+      {/* Scaled like the canvas, so sizes and wrapping are in canvas units */}
+      <div
+        style={{
+          position: 'absolute',
+          left: `${left}px`,
+          top: `${top}px`,
+          transform: `scale(${zoom})`,
+          transformOrigin: '0 0',
+          zIndex: 1000,
+        }}
+      >
+        <div
+          ref={editorRef}
+          contentEditable
+          suppressContentEditableWarning
+          onKeyDown={handleKeyDown}
+          onPaste={handlePaste}
+          style={{
+            width: `${element.size.width}px`,
+            minHeight: `${element.size.height}px`,
+            padding: `${element.padding}px`,
+            boxSizing: 'border-box',
+            fontFamily: element.fontFamily,
+            fontSize: `${element.fontSize}px`,
+            fontWeight: element.fontWeight,
+            fontStyle: element.fontStyle,
+            color: element.color,
+            textAlign: element.textAlign,
+            lineHeight: element.lineHeight ?? DEFAULT_LINE_HEIGHT,
+            letterSpacing: `${element.letterSpacing ?? 0}px`,
+            textTransform: element.textTransform,
+            textShadow: element.textShadow
+              ? `${element.textShadow.offsetX}px ${element.textShadow.offsetY}px ${element.textShadow.blur}px ${element.textShadow.color}`
+              : undefined,
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word',
+            outline: 'none',
+            transform: transform || undefined,
+            cursor: 'text',
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+const formatButtonStyle: React.CSSProperties = {
+  width: '26px',
+  height: '24px',
+  padding: 0,
+  border: '1px solid #ddd',
+  borderRadius: '3px',
+  cursor: 'pointer',
+};
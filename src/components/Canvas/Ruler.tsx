@@ -0,0 +1,112 @@
+import React from 'react';
+import type { Unit } from '../../types';
+import { UNITS } from '../../utils/units';
+
+export const RULER_SIZE = 20; // px
+
+// Labelled ticks are at least this far apart on screen
+const MIN_LABEL_SPACING = 50; // px
+
+interface RulerProps {
+  orientation: 'horizontal' | 'vertical';
+  length: number; // Visible length in screen pixels
+  origin: number; // Screen offset of canvas coordinate 0 along the ruler
+  zoom: number;
+  unit: Unit;
+  onMouseDown: (e: React.MouseEvent) => void;
+}
+
+// Tick step in ruler units: the smallest 1/2/5 x 10^n that keeps labels apart at this scale
+const getTickStep = (scale: number) => {
+  const minStep = MIN_LABEL_SPACING / scale;
+  const magnitude = 10 ** Math.floor(Math.log10(minStep));
+  const multiplier = [1, 2, 5, 10].find((m) => m * magnitude >= minStep) ?? 10;
+  return multiplier * magnitude;
+};
+
+/**
+ * Ruler along the top or left edge of the canvas viewport, labelled in the document unit.
+ * Pressing on it starts a new guide.
+ */
+export const Ruler: React.FC<RulerProps> = ({ orientation, length, origin, zoom, unit, onMouseDown }) => {
+  const canvasRef = React.useRef<HTMLCanvasElement>(null);
+  const isHorizontal = orientation === 'horizontal';
+
+  React.useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas?.getContext('2d');
+    if (!canvas || !context) return;
+
+    // Draw at device resolution so ticks stay crisp
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = (isHorizontal ? length : RULER_SIZE) * ratio;
+    canvas.height = (isHorizontal ? RULER_SIZE : length) * ratio;
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    context.fillStyle = '#f8f9fa';
+    context.fillRect(0, 0, isHorizontal ? length : RULER_SIZE, isHorizontal ? RULER_SIZE : length);
+    context.strokeStyle = '#999';
+    context.fillStyle = '#666';
+    context.font = '9px sans-serif';
+    context.lineWidth = 1;
+
+    // Screen pixels per ruler unit
+    const scale = zoom * UNITS[unit].px;
+
+    // Every tenth minor tick is labelled, every fifth is mid-length
+    const minorStep = getTickStep(scale) / 10;
+    const firstIndex = Math.floor(-origin / scale / minorStep);
+    const lastIndex = Math.ceil((length - origin) / scale / minorStep);
+
+    context.beginPath();
+    for (let index = firstIndex; index <= lastIndex; index++) {
+      const value = index * minorStep;
+      const screen = Math.round(origin + value * scale) + 0.5;
+      const tick = index % 10 === 0 ? RULER_SIZE : index % 5 === 0 ? RULER_SIZE / 2 : RULER_SIZE / 4;
+
+      if (isHorizontal) {
+        context.moveTo(screen, RULER_SIZE);
+        context.lineTo(screen, RULER_SIZE - tick);
+      } else {
+        context.moveTo(RULER_SIZE, screen);
+        context.lineTo(RULER_SIZE - tick, screen);
+      }
+
+      if (index % 10 === 0) {
+        // Steps below 1 (inches zoomed in) need their decimals
+        const label = String(Number(value.toFixed(2)));
+        if (isHorizontal) {
+          context.fillText(label, screen + 2, 9);
+        } else {
+          context.save();
+          context.translate(9, screen + 2);
+          context.rotate(-Math.PI / 2);
+          context.textAlign = 'right';
+          context.fillText(label, 0, 0);
+          context.restore();
+        }
+      }
+    }
+    context.stroke();
+  }, [isHorizontal, length, origin, zoom, unit]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      onMouseDown={onMouseDown}
+      title="Drag to create a guide"
+      style={{
+        position: 'absolute',
+        top: isHorizontal ? 0 : RULER_SIZE,
+        left: isHorizontal ? RULER_SIZE : 0,
+        width: isHorizontal ? length : RULER_SIZE,
+        height: isHorizontal ? RULER_SIZE : length,
+        cursor: isHorizontal ? 'ns-resize' : 'ew-resize',
+        borderBottom: isHorizontal ? '1px solid #e0e0e0' : undefined,
+        borderRight: isHorizontal ? undefined : '1px solid #e0e0e0',
+        boxSizing: 'border-box',
+        zIndex: 10,
+      }}
+    />
+  );
+};
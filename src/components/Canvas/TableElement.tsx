@@ -1,106 +1,252 @@
 import React from 'react';
 import { Group, Rect, Text } from 'react-konva';
-import type { TableElement } from '../../types';
+import type Konva from 'konva';
+import type { TableCell, TableElement } from '../../types';
+import { useCanvasStore } from '../../stores/canvasStore';
+import {
+  getCellOwners,
+  getCellRect,
+  getColumnWidths,
+  getOffsets,
+  getRangeRect,
+  getRowHeights,
+  getSelectedRange,
+  isCoveredCell,
+  resizeTrack,
+  resolveCellStyle,
+} from '../../utils/tableLayout';
 
 interface TableElementProps {
   element: TableElement;
-  isSelected: boolean;
+  selectionTarget: string; // What clicking the table selects: the table, or a group around it
+  locked: boolean;
+  onDoubleClick: (e: Konva.KonvaEventObject<Event>) => void;
 }
 
-export const TableElementComponent: React.FC<TableElementProps> = ({ element, isSelected }) => {
-  const { position, size, cells, rows, columns, cellPadding, borderWidth, borderColor, headerBackground, cellBackground, textColor, fontSize, fontFamily } = element;
+type Axis = 'column' | 'row';
 
-  const cellWidth = size.width / columns;
-  const cellHeight = size.height / rows;
+const DIVIDER_HIT_SIZE = 6; // Screen px
 
-  const renderTableCells = () => {
-    const components: React.ReactElement[] = [];
+const hasOwnBorder = (cell: TableCell) =>
+  cell.style?.borderColor !== undefined || cell.style?.borderWidth !== undefined;
 
-    // Render cell backgrounds and text
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < columns; col++) {
-        const cell = cells[row]?.[col];
-        if (!cell) continue;
+const getKonvaFontStyle = (fontWeight: string, fontStyle: string) =>
+  [fontWeight === 'bold' && 'bold', fontStyle === 'italic' && 'italic'].filter(Boolean).join(' ') || 'normal';
 
-        const x = col * cellWidth;
-        const y = row * cellHeight;
-        const isHeader = cell.isHeader;
+/**
+ * A table's cells laid out by its column widths, row heights and merged cells, each with its
+ * own overrides. Clicking a cell selects it for the cell properties, Shift-clicking another
+ * selects the range between them, and double-clicking a cell edits it.
+ * While the table is selected on its own, the borders between columns and rows can be dragged.
+ * Coordinates are local to the element.
+ */
+export const TableElementComponent: React.FC<TableElementProps> = ({ element, selectionTarget, locked, onDoubleClick }) => {
+  const {
+    zoom,
+    selectedElementIds,
+    selectedTableCell,
+    selectElement,
+    selectTableCell,
+    enterTableCellEditMode,
+    updateElement,
+  } = useCanvasStore();
+  // Column widths or row heights while a border is being dragged; stored once the drag ends
+  const [draft, setDraft] = React.useState<{ axis: Axis; sizes: number[] } | null>(null);
 
-        // Cell background
-        components.push(
-          <Rect
-            key={`bg-${row}-${col}`}
-            x={x}
-            y={y}
-            width={cellWidth}
-            height={cellHeight}
-            fill={isHeader ? headerBackground : cellBackground}
-            stroke={borderColor}
-            strokeWidth={borderWidth}
-          />
-        );
+  const columnWidths = draft?.axis === 'column' ? draft.sizes : getColumnWidths(element);
+  const rowHeights = draft?.axis === 'row' ? draft.sizes : getRowHeights(element);
+  const laidOut = { ...element, columnWidths, rowHeights };
+  const owners = getCellOwners(element);
+  const xs = getOffsets(columnWidths);
+  const ys = getOffsets(rowHeights);
 
-        // Cell text
-        if (cell.content) {
-          components.push(
-            <Text
-              key={`text-${row}-${col}`}
-              x={x + cellPadding}
-              y={y + cellPadding}
-              width={cellWidth - cellPadding * 2}
-              height={cellHeight - cellPadding * 2}
-              text={cell.content}
-              fontSize={fontSize}
-              fontFamily={fontFamily}
-              fill={textColor}
-              fontStyle={isHeader ? 'bold' : 'normal'}
-              align="left"
-              verticalAlign="middle"
-              wrap="word"
-              ellipsis={true}
-            />
-          );
-        }
-      }
+  const resizable = selectedElementIds.length === 1 && selectedElementIds[0] === element.id && !locked;
+  const isCellSelected = selectedTableCell?.elementId === element.id
+    && selectedTableCell.row < element.rows && selectedTableCell.col < element.columns;
+  const selectedCell = isCellSelected ? owners[selectedTableCell.row][selectedTableCell.col] : null;
+  const selectedRange = isCellSelected && selectedTableCell.end ? getSelectedRange(laidOut, selectedTableCell) : null;
+
+  const handleCellClick = (e: Konva.KonvaEventObject<Event>, row: number, col: number) => {
+    e.cancelBubble = true;
+    const additive = 'shiftKey' in e.evt && Boolean(e.evt.shiftKey);
+    if (selectionTarget === element.id && (!additive || selectedCell)) {
+      // Shift-clicking another cell of the table selects the range up to it
+      selectTableCell({ elementId: element.id, row, col }, { extend: additive });
+    } else {
+      selectElement(selectionTarget, { additive });
+    }
+  };
+
+  const handleCellDoubleClick = (e: Konva.KonvaEventObject<Event>, row: number, col: number) => {
+    if (selectionTarget !== element.id) {
+      onDoubleClick(e);
+      return;
     }
+    e.cancelBubble = true;
+    enterTableCellEditMode(element.id, row, col);
+  };
 
-    return components;
+  const renderDivider = (axis: Axis, index: number) => {
+    const sizes = axis === 'column' ? columnWidths : rowHeights;
+    const offsets = axis === 'column' ? xs : ys;
+    const hit = DIVIDER_HIT_SIZE / zoom;
+    const start = offsets[index + 1] - hit / 2;
+    const getDelta = (node: Konva.Node) => (axis === 'column' ? node.x() : node.y()) - start;
+
+    return (
+      <Rect
+        key={`${axis}-${index}`}
+        x={axis === 'column' ? start : 0}
+        y={axis === 'column' ? 0 : start}
+        width={axis === 'column' ? hit : element.size.width}
+        height={axis === 'column' ? element.size.height : hit}
+        fill="transparent"
+        draggable
+        onMouseEnter={(e) => {
+          const container = e.target.getStage()?.container();
+          if (container) container.style.cursor = axis === 'column' ? 'col-resize' : 'row-resize';
+        }}
+        onMouseLeave={(e) => {
+          const container = e.target.getStage()?.container();
+          if (container) container.style.cursor = '';
+        }}
+        onDragStart={(e) => {
+          e.cancelBubble = true;
+        }}
+        onDragMove={(e) => {
+          e.cancelBubble = true;
+          // Borders only move across the table
+          if (axis === 'column') e.target.y(0);
+          else e.target.x(0);
+          setDraft({ axis, sizes: resizeTrack(sizes, index, getDelta(e.target)) });
+        }}
+        onDragEnd={(e) => {
+          e.cancelBubble = true;
+          const next = resizeTrack(sizes, index, getDelta(e.target));
+          setDraft(null);
+          e.target.position({ x: axis === 'column' ? start : 0, y: axis === 'column' ? 0 : start });
+          updateElement(element.id, axis === 'column' ? { columnWidths: next } : { rowHeights: next });
+        }}
+      />
+    );
   };
 
+  const cells = element.cells.flatMap((row, rowIndex) =>
+    row.map((cell, colIndex) => ({ cell, rowIndex, colIndex }))
+  ).filter(({ rowIndex, colIndex }) =>
+    rowIndex < element.rows && colIndex < element.columns && !isCoveredCell(owners, rowIndex, colIndex)
+  );
+
   return (
-    <Group
-      x={position.x}
-      y={position.y}
-      width={size.width}
-      height={size.height}
-    >
+    <>
       {/* Table border */}
       <Rect
-        x={0}
-        y={0}
-        width={size.width}
-        height={size.height}
-        stroke={borderColor}
-        strokeWidth={borderWidth * 2}
+        width={element.size.width}
+        height={element.size.height}
+        stroke={element.borderColor}
+        strokeWidth={element.borderWidth * 2}
         fill="transparent"
       />
-      
-      {/* Render all cells */}
-      {renderTableCells()}
 
-      {/* Selection indicator */}
-      {isSelected && (
+      {cells.map(({ cell, rowIndex, colIndex }) => {
+        const rect = getCellRect(laidOut, rowIndex, colIndex, owners);
+        const style = resolveCellStyle(element, cell);
+        return (
+          <Group key={`${rowIndex}-${colIndex}`}>
+            {/* Cell background - clickable for editing */}
+            <Rect
+              {...rect}
+              fill={style.background}
+              stroke={hasOwnBorder(cell) ? undefined : element.borderColor}
+              strokeWidth={element.borderWidth}
+              onClick={(e) => handleCellClick(e, rowIndex, colIndex)}
+              onTap={(e) => handleCellClick(e, rowIndex, colIndex)}
+              onDblClick={(e) => handleCellDoubleClick(e, rowIndex, colIndex)}
+              onDblTap={(e) => handleCellDoubleClick(e, rowIndex, colIndex)}
+            />
+            {/* Cell text */}
+            <Text
+              x={rect.x + element.cellPadding}
+              y={rect.y + element.cellPadding}
+              width={Math.max(0, rect.width - element.cellPadding * 2)}
+              height={Math.max(0, rect.height - element.cellPadding * 2)}
+              text={cell.content}
+              fontSize={style.fontSize}
+              fontFamily={style.fontFamily}
+              fill={style.textColor}
+              fontStyle={getKonvaFontStyle(style.fontWeight, style.fontStyle)}
+              align={style.textAlign}
+              verticalAlign={style.verticalAlign}
+              wrap="word"
+              ellipsis={true}
+              listening={false} // Let background rect handle clicks
+            />
+          </Group>
+        );
+      })}
+
+      {/* Cell borders of their own go over their neighbours' */}
+      {cells
+        .filter(({ cell }) => hasOwnBorder(cell))
+        .map(({ cell, rowIndex, colIndex }) => {
+          const style = resolveCellStyle(element, cell);
+          return (
+            <Rect
+              key={`border-${rowIndex}-${colIndex}`}
+              {...getCellRect(laidOut, rowIndex, colIndex, owners)}
+              stroke={style.borderColor}
+              strokeWidth={style.borderWidth}
+              listening={false}
+            />
+          );
+        })}
+
+      {/* Template row of a repeating table, with the array it repeats for */}
+      {element.repeat && element.repeat.templateRow < element.rows && (
+        <Group y={ys[element.repeat.templateRow]} listening={false}>
+          <Rect
+            width={element.size.width}
+            height={rowHeights[element.repeat.templateRow]}
+            stroke="#2196f3"
+            strokeWidth={1.5 / zoom}
+            dash={[6 / zoom, 4 / zoom]}
+          />
+          <Text
+            x={element.size.width}
+            y={2 / zoom}
+            offsetX={-4 / zoom}
+            text={`⟳ ${element.repeat.source}`}
+            fontSize={11 / zoom}
+            fill="#2196f3"
+          />
+        </Group>
+      )}
+
+      {selectedRange && (
+        <Rect
+          {...getRangeRect(laidOut, selectedRange)}
+          fill="rgba(33, 150, 243, 0.12)"
+          stroke="#2196f3"
+          strokeWidth={1 / zoom}
+          listening={false}
+        />
+      )}
+
+      {selectedCell && (
         <Rect
-          x={-2}
-          y={-2}
-          width={size.width + 4}
-          height={size.height + 4}
+          {...getCellRect(laidOut, selectedCell.row, selectedCell.col, owners)}
           stroke="#2196f3"
-          strokeWidth={2}
-          fill="transparent"
-          dash={[5, 5]}
+          strokeWidth={2 / zoom}
+          listening={false}
         />
       )}
-    </Group>
+
+      {resizable && (
+        <>
+          {columnWidths.slice(0, -1).map((_, index) => renderDivider('column', index))}
+          {rowHeights.slice(0, -1).map((_, index) => renderDivider('row', index))}
+        </>
+      )}
+    </>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,38 @@
+import React from 'react';
+import { formatColor, parseColor } from '../../utils/colors';
+import './ColorPicker.css';
+
+interface ColorPickerProps {
+  value: string;
+  onChange: (color: string) => void;
+  title?: string;
+}
+
+// The native color input has no alpha, so a slider next to it sets the color's opacity
+export const ColorPicker: React.FC<ColorPickerProps> = ({ value, onChange, title }) => {
+  const { hex, alpha } = parseColor(value);
+  const percent = Math.round(alpha * 100);
+
+  return (
+    <div className="color-picker">
+      <input
+        type="color"
+        className="color-picker-swatch"
+        value={hex}
+        title={title}
+        onChange={(e) => onChange(formatColor(e.target.value, alpha))}
+      />
+      <input
+        type="range"
+        className="color-picker-alpha"
+        min="0"
+        max="100"
+        step="1"
+        value={percent}
+        title="Opacity"
+        onChange={(e) => onChange(formatColor(hex, parseInt(e.target.value) / 100))}
+      />
+      <span className="range-value">{percent}%</span>
+    </div>
+  );
+};
@@ -0,0 +1,144 @@
+import React from 'react';
+import { useCanvasStore } from '../../stores/canvasStore';
+import type { FontAsset } from '../../types';
+import { FONT_FILE_ACCEPT, describeFontFile } from '../../utils/fonts';
+import { fontService } from '../../utils/fontService';
+import { FONT_WEIGHTS, getFontWeightValue, parseFontWeight } from '../../utils/typography';
+import './FontLibraryDialog.css';
+
+interface FontLibraryDialogProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+const PREVIEW_TEXT = 'The quick brown fox jumps over the lazy dog';
+
+// Mounted while the dialog is open, so every opening starts without a stale error
+const FontLibraryPanel: React.FC<{ onClose: () => void }> = ({ onClose }) => {
+  const { fonts, addFont, updateFont, removeFont } = useCanvasStore();
+  const [error, setError] = React.useState('');
+  const [isAdding, setIsAdding] = React.useState(false);
+  const fileInputRef = React.useRef<HTMLInputElement>(null);
+
+  const handleFiles = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files ?? []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsAdding(true);
+    const errors: string[] = [];
+    for (const file of files) {
+      try {
+        addFont(await fontService.createFontAsset(file));
+      } catch (fileError) {
+        errors.push(`${file.name}: ${fileError instanceof Error ? fileError.message : 'Could not add font.'}`);
+      }
+    }
+    setError(errors.join(' '));
+    setIsAdding(false);
+  };
+
+  // Text set in a removed font falls back to the browser's default font
+  const handleRemove = (font: FontAsset) => {
+    if (confirm(`Remove ${font.family} (${font.filename}) from the font library?`)) {
+      removeFont(font.id);
+    }
+  };
+
+  return (
+    <div className="font-library-dialog-overlay" onClick={onClose}>
+      <div
+        className="font-library-dialog"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => e.key === 'Escape' && onClose()}
+      >
+        <div className="font-library-dialog-header">
+          <h2>Font Library</h2>
+          <button className="font-library-close-button" onClick={onClose} type="button">×</button>
+        </div>
+
+        <div className="font-library-dialog-content">
+          <p className="font-library-hint">
+            Upload WOFF2 or TTF files to use brand fonts in text and tables. Fonts are saved with the
+            project and embedded in exported HTML and PDFs. Add one file per weight and style of a family.
+          </p>
+
+          {fonts.length === 0 ? (
+            <p className="font-library-empty">No fonts uploaded yet.</p>
+          ) : (
+            <ul className="font-library-list">
+              {fonts.map((font) => (
+                <li key={font.id} className="font-library-item">
+                  <div
+                    className="font-library-preview"
+                    style={{ fontFamily: `"${font.family}"`, fontWeight: getFontWeightValue(font.weight), fontStyle: font.style }}
+                  >
+                    {PREVIEW_TEXT}
+                  </div>
+                  <div className="font-library-fields">
+                    <label>
+                      <small>Family</small>
+                      <input
+                        type="text"
+                        value={font.family}
+                        onChange={(e) => updateFont(font.id, { family: e.target.value })}
+                        onBlur={(e) => updateFont(font.id, { family: e.target.value.trim() || describeFontFile(font.filename).family })}
+                      />
+                    </label>
+                    <label>
+                      <small>Weight</small>
+                      <select
+                        value={font.weight}
+                        onChange={(e) => updateFont(font.id, { weight: parseFontWeight(e.target.value) })}
+                      >
+                        {FONT_WEIGHTS.map(({ value, label }) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      <small>Style</small>
+                      <select
+                        value={font.style}
+                        onChange={(e) => updateFont(font.id, { style: e.target.value as FontAsset['style'] })}
+                      >
+                        <option value="normal">Normal</option>
+                        <option value="italic">Italic</option>
+                      </select>
+                    </label>
+                    <button type="button" className="font-library-remove" onClick={() => handleRemove(font)} title="Remove font">
+                      Remove
+                    </button>
+                  </div>
+                  <small className="font-library-filename">{font.filename}</small>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {error && <div className="font-library-error">{error}</div>}
+        </div>
+
+        <div className="font-library-dialog-footer">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={FONT_FILE_ACCEPT}
+            multiple
+            style={{ display: 'none' }}
+            onChange={handleFiles}
+          />
+          <button className="btn-secondary" onClick={() => fileInputRef.current?.click()} type="button" disabled={isAdding}>
+            {isAdding ? 'Adding…' : 'Upload Fonts…'}
+          </button>
+          <button className="btn-primary" onClick={onClose} type="button">
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export const FontLibraryDialog: React.FC<FontLibraryDialogProps> = ({ isOpen, onClose }) =>
+  isOpen ? <FontLibraryPanel onClose={onClose} /> : null;
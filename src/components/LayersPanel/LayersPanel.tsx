@@ -0,0 +1,249 @@
+import React from 'react';
+import { useCanvasStore } from '../../stores/canvasStore';
+import type { TemplateElement, ElementType } from '../../types/index';
+import { isGroup, isElementVisible, isElementLocked } from '../../utils/groups';
+import { getLayerChildren, type LayerPlacement } from '../../utils/layers';
+import './LayersPanel.css';
+
+const typeIcons: Record<ElementType, string> = {
+  text: 'T',
+  rectangle: '⬜',
+  line: '╱',
+  arrow: '↗',
+  ellipse: '◯',
+  image: '🖼',
+  table: '⚏',
+  group: '▣',
+};
+
+interface LayerRowProps {
+  element: TemplateElement;
+  depth: number;
+  collapsedIds: Set<string>;
+  onToggleCollapsed: (groupId: string) => void;
+  dragState: DragState | null;
+  setDragState: (state: DragState | null) => void;
+}
+
+// The layer being dragged and where it would land
+interface DragState {
+  elementId: string;
+  targetId?: string;
+  placement?: LayerPlacement;
+}
+
+const LayerRow: React.FC<LayerRowProps> = ({
+  element,
+  depth,
+  collapsedIds,
+  onToggleCollapsed,
+  dragState,
+  setDragState,
+}) => {
+  const {
+    elements,
+    selectedElementIds,
+    selectElement,
+    enterGroup,
+    updateElement,
+    renameElement,
+    moveLayer,
+  } = useCanvasStore();
+  const [isRenaming, setIsRenaming] = React.useState(false);
+  const rowRef = React.useRef<HTMLDivElement>(null);
+  const isSelected = selectedElementIds.includes(element.id);
+  const isCollapsed = collapsedIds.has(element.id);
+  const children = isGroup(element) ? getLayerChildren(elements, element.id) : [];
+
+  // Keep the selection in view when it changes on the canvas
+  React.useEffect(() => {
+    if (isSelected) {
+      rowRef.current?.scrollIntoView({ block: 'nearest' });
+    }
+  }, [isSelected]);
+
+  const handleClick = (e: React.MouseEvent) => {
+    // Selecting a nested layer opens its group, as double-clicking on the canvas does
+    if (element.parentId && !e.shiftKey) {
+      enterGroup(element.parentId);
+    }
+    selectElement(element.id, { additive: e.shiftKey });
+  };
+
+  const handleRename = (name: string) => {
+    renameElement(element.id, name);
+    setIsRenaming(false);
+  };
+
+  const handleDragOver = (e: React.DragEvent) => {
+    const dragged = elements.find((el) => el.id === dragState?.elementId);
+    // Only siblings can be reordered against each other
+    if (!dragState || !dragged || dragged.id === element.id || dragged.parentId !== element.parentId) return;
+
+    e.preventDefault();
+    const { top, height } = e.currentTarget.getBoundingClientRect();
+    const placement: LayerPlacement = e.clientY < top + height / 2 ? 'above' : 'below';
+    if (dragState.targetId !== element.id || dragState.placement !== placement) {
+      setDragState({ ...dragState, targetId: element.id, placement });
+    }
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    if (dragState?.targetId === element.id && dragState.placement) {
+      moveLayer(dragState.elementId, element.id, dragState.placement);
+    }
+    setDragState(null);
+  };
+
+  const dropClass = dragState?.targetId === element.id ? `drop-${dragState.placement}` : '';
+
+  return (
+    <li>
+      <div
+        ref={rowRef}
+        className={[
+          'layer-row',
+          isSelected ? 'selected' : '',
+          isElementVisible(elements, element.id) ? '' : 'hidden-layer',
+          dragState?.elementId === element.id ? 'dragging' : '',
+          dropClass,
+        ].join(' ')}
+        style={{ paddingLeft: `${0.5 + depth}rem` }}
+        draggable={!isRenaming}
+        onDragStart={() => setDragState({ elementId: element.id })}
+        onDragEnd={() => setDragState(null)}
+        onDragOver={handleDragOver}
+        onDrop={handleDrop}
+        onClick={handleClick}
+      >
+        {isGroup(element) ? (
+          <button
+            className="layer-expand"
+            onClick={(e) => {
+              e.stopPropagation();
+              onToggleCollapsed(element.id);
+            }}
+            title={isCollapsed ? 'Expand' : 'Collapse'}
+            type="button"
+          >
+            {isCollapsed ? '▸' : '▾'}
+          </button>
+        ) : (
+          <span className="layer-expand" />
+        )}
+        <span className="layer-icon">{typeIcons[element.type]}</span>
+
+        {isRenaming ? (
+          <input
+            className="layer-name-input"
+            defaultValue={element.name}
+            autoFocus
+            onClick={(e) => e.stopPropagation()}
+            onBlur={(e) => handleRename(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleRename(e.currentTarget.value);
+              if (e.key === 'Escape') setIsRenaming(false);
+            }}
+          />
+        ) : (
+          <span className="layer-name" title="Double-click to rename" onDoubleClick={() => setIsRenaming(true)}>
+            {element.name}
+          </span>
+        )}
+
+        <button
+          className={`layer-toggle ${element.visible ? '' : 'off'}`}
+          onClick={(e) => {
+            e.stopPropagation();
+            updateElement(element.id, { visible: !element.visible });
+          }}
+          title={element.visible ? 'Hide' : 'Show'}
+          type="button"
+        >
+          {element.visible ? '👁' : '—'}
+        </button>
+        <button
+          className={`layer-toggle ${element.locked ? 'on' : ''}`}
+          onClick={(e) => {
+            e.stopPropagation();
+            updateElement(element.id, { locked: !element.locked });
+          }}
+          title={element.locked ? 'Unlock' : 'Lock'}
+          type="button"
+        >
+          {isElementLocked(elements, element.id) ? '🔒' : '🔓'}
+        </button>
+      </div>
+
+      {children.length > 0 && !isCollapsed && (
+        <ul className="layer-list">
+          {children.map((child) => (
+            <LayerRow
+              key={child.id}
+              element={child}
+              depth={depth + 1}
+              collapsedIds={collapsedIds}
+              onToggleCollapsed={onToggleCollapsed}
+              dragState={dragState}
+              setDragState={setDragState}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+export const LayersPanel: React.FC = () => {
+  const { elements } = useCanvasStore();
+  const [collapsedIds, setCollapsedIds] = React.useState<Set<string>>(new Set());
+  const [dragState, setDragState] = React.useState<DragState | null>(null);
+
+  const handleToggleCollapsed = (groupId: string) => {
+    setCollapsedIds((current) => {
+      const next = new Set(current);
+      if (next.has(groupId)) {
+        next.delete(groupId);
+      } else {
+        next.add(groupId);
+      }
+      return next;
+    });
+  };
+
+  // Clear the drop marker when the pointer leaves the list
+  const handleDragLeave = (e: React.DragEvent) => {
+    if (!e.currentTarget.contains(e.relatedTarget as Node)) {
+      setDragState((current) => current && { elementId: current.elementId });
+    }
+  };
+
+  const layers = getLayerChildren(elements);
+
+  return (
+    <section className="layers-panel">
+      <div className="layers-panel-header">
+        <h3>Layers</h3>
+      </div>
+
+      {layers.length === 0 ? (
+        <p className="layers-empty">No elements on this page</p>
+      ) : (
+        <ul className="layer-list root" onDragLeave={handleDragLeave}>
+          {layers.map((element) => (
+            <LayerRow
+              key={element.id}
+              element={element}
+              depth={0}
+              collapsedIds={collapsedIds}
+              onToggleCollapsed={handleToggleCollapsed}
+              dragState={dragState}
+              setDragState={setDragState}
+            />
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
@@ -0,0 +1 @@
+export { LayersPanel } from './LayersPanel';
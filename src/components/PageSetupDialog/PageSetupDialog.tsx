@@ -0,0 +1,194 @@
+import React from 'react';
+import { useCanvasStore } from '../../stores/canvasStore';
+import type { PageMargins, PageOrientation, Size, Unit } from '../../types';
+import { PAGE_PRESETS, NO_MARGINS, getPagePreset, getPresetSize, getPageOrientation } from '../../utils/pages';
+import { UNITS, toUnit, fromUnit } from '../../utils/units';
+import './PageSetupDialog.css';
+
+interface PageSetupDialogProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+const CUSTOM_PRESET = 'custom';
+
+const presetCategories = ['Print', 'Social', 'Screen'] as const;
+
+// Settings being edited; lengths stay in px and are converted for the inputs only
+interface PageSetupDraft {
+  preset: string;
+  size: Size;
+  margins: PageMargins;
+  bleed: number;
+  unit: Unit;
+}
+
+// Mounted while the dialog is open, so every opening starts from the active page
+const PageSetupForm: React.FC<{ onClose: () => void }> = ({ onClose }) => {
+  const { canvasSize, pages, activePageId, unit, setPageSetup, setUnit } = useCanvasStore();
+  const activePage = pages.find((page) => page.id === activePageId);
+  const [draft, setDraft] = React.useState<PageSetupDraft>(() => ({
+    preset: activePage?.preset ?? CUSTOM_PRESET,
+    size: canvasSize,
+    margins: activePage?.margins ?? NO_MARGINS,
+    bleed: activePage?.bleed ?? 0,
+    unit,
+  }));
+
+  const orientation = getPageOrientation(draft.size);
+  const update = (changes: Partial<PageSetupDraft>) => setDraft({ ...draft, ...changes });
+
+  // Length inputs show the draft unit and write px back
+  const lengthInput = (px: number, onChange: (px: number) => void, min = 0) => ({
+    type: 'number',
+    value: toUnit(px, draft.unit),
+    step: UNITS[draft.unit].step,
+    min: toUnit(min, draft.unit),
+    onChange: (e: React.ChangeEvent<HTMLInputElement>) => {
+      const value = parseFloat(e.target.value);
+      if (!Number.isNaN(value)) onChange(Math.max(min, fromUnit(value, draft.unit)));
+    },
+  });
+
+  const handlePresetChange = (presetId: string) => {
+    const preset = getPagePreset(presetId);
+    if (!preset) {
+      update({ preset: CUSTOM_PRESET });
+      return;
+    }
+    // Picking a preset also offers the unit it is defined in
+    update({ preset: presetId, size: getPresetSize(preset, orientation), unit: preset.unit });
+  };
+
+  const handleOrientationChange = (next: PageOrientation) => {
+    if (next === orientation || draft.size.width === draft.size.height) return;
+    update({ size: { width: draft.size.height, height: draft.size.width } });
+  };
+
+  const handleApply = () => {
+    setPageSetup({
+      size: draft.size,
+      preset: draft.preset === CUSTOM_PRESET ? undefined : draft.preset,
+      margins: draft.margins,
+      bleed: draft.bleed,
+    });
+    setUnit(draft.unit);
+    onClose();
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'Enter' && e.target instanceof HTMLInputElement) {
+      handleApply();
+    }
+  };
+
+  return (
+    <div className="page-setup-dialog-overlay" onClick={onClose}>
+      <div className="page-setup-dialog" onClick={(e) => e.stopPropagation()} onKeyDown={handleKeyDown}>
+        <div className="page-setup-dialog-header">
+          <h2>Page Setup{activePage ? ` – ${activePage.name}` : ''}</h2>
+          <button className="page-setup-close-button" onClick={onClose} type="button">×</button>
+        </div>
+
+        <div className="page-setup-dialog-content">
+          <div className="page-setup-field">
+            <label htmlFor="page-setup-preset">Size</label>
+            <select
+              id="page-setup-preset"
+              value={draft.preset}
+              onChange={(e) => handlePresetChange(e.target.value)}
+            >
+              {presetCategories.map((category) => (
+                <optgroup key={category} label={category}>
+                  {PAGE_PRESETS.filter((preset) => preset.category === category).map((preset) => (
+                    <option key={preset.id} value={preset.id}>{preset.name}</option>
+                  ))}
+                </optgroup>
+              ))}
+              <option value={CUSTOM_PRESET}>Custom</option>
+            </select>
+          </div>
+
+          <div className="page-setup-row">
+            <div className="page-setup-field">
+              <label>Width ({draft.unit})</label>
+              <input
+                {...lengthInput(draft.size.width, (width) => update({ preset: CUSTOM_PRESET, size: { ...draft.size, width } }), 1)}
+              />
+            </div>
+            <div className="page-setup-field">
+              <label>Height ({draft.unit})</label>
+              <input
+                {...lengthInput(draft.size.height, (height) => update({ preset: CUSTOM_PRESET, size: { ...draft.size, height } }), 1)}
+              />
+            </div>
+          </div>
+
+          <div className="page-setup-row">
+            <div className="page-setup-field">
+              <label>Orientation</label>
+              <div className="orientation-toggle">
+                {(['portrait', 'landscape'] as const).map((option) => (
+                  <button
+                    key={option}
+                    type="button"
+                    className={orientation === option ? 'active' : ''}
+                    onClick={() => handleOrientationChange(option)}
+                  >
+                    <span className={`orientation-icon ${option}`} />
+                    {option === 'portrait' ? 'Portrait' : 'Landscape'}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="page-setup-field">
+              <label htmlFor="page-setup-unit">Units</label>
+              <select
+                id="page-setup-unit"
+                value={draft.unit}
+                onChange={(e) => update({ unit: e.target.value as Unit })}
+              >
+                {(Object.keys(UNITS) as Unit[]).map((option) => (
+                  <option key={option} value={option}>{UNITS[option].label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="page-setup-field">
+            <label>Margins ({draft.unit})</label>
+            <div className="page-setup-margins">
+              {(['top', 'right', 'bottom', 'left'] as const).map((side) => (
+                <label key={side}>
+                  <input
+                    {...lengthInput(draft.margins[side], (value) => update({ margins: { ...draft.margins, [side]: value } }))}
+                  />
+                  <small>{side}</small>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="page-setup-field">
+            <label>Bleed ({draft.unit})</label>
+            <input {...lengthInput(draft.bleed, (bleed) => update({ bleed }))} />
+          </div>
+        </div>
+
+        <div className="page-setup-dialog-footer">
+          <button className="btn-secondary" onClick={onClose} type="button">
+            Cancel
+          </button>
+          <button className="btn-primary" onClick={handleApply} type="button">
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export const PageSetupDialog: React.FC<PageSetupDialogProps> = ({ isOpen, onClose }) =>
+  isOpen ? <PageSetupForm onClose={onClose} /> : null;
@@ -0,0 +1,308 @@
+import React from 'react';
+import { useCanvasStore } from '../../stores/canvasStore';
+import type { Page, TemplateElement } from '../../types/index';
+import { isElementVisible } from '../../utils/groups';
+import { syncActivePage } from '../../utils/pages';
+import { getCenter } from '../../utils/transform';
+import { getDashArray, getLineCap, getLineGeometry } from '../../utils/shapes';
+import { hasBoxEffects } from '../../utils/boxEffects';
+import { getFilterCss } from '../../utils/imageStyle';
+import { resolveRunStyle } from '../../utils/textRuns';
+import { applyTextTransform, getTextDecoration } from '../../utils/typography';
+import './PageStrip.css';
+
+const THUMBNAIL_WIDTH = 120;
+
+// Simplified drawing of one element for a page thumbnail
+const renderThumbnailElement = (element: TemplateElement) => {
+  const { x, y } = element.position;
+  const { width, height } = element.size;
+
+  switch (element.type) {
+    case 'rectangle':
+      return (
+        <rect
+          x={x}
+          y={y}
+          width={width}
+          height={height}
+          rx={element.cornerRadius}
+          fill={element.gradient ? element.gradient.stops[0].color : element.fill}
+          stroke={element.stroke}
+          strokeWidth={element.strokeWidth}
+        />
+      );
+    case 'ellipse':
+      return (
+        <ellipse
+          cx={x + width / 2}
+          cy={y + height / 2}
+          rx={width / 2}
+          ry={height / 2}
+          fill={element.fill}
+          stroke={element.stroke}
+          strokeWidth={element.strokeWidth}
+          strokeDasharray={getDashArray(element.strokeStyle, element.strokeWidth).join(' ') || undefined}
+          strokeLinecap={getLineCap(element.strokeStyle)}
+        />
+      );
+    case 'line':
+    case 'arrow': {
+      const { shaft, heads } = element.type === 'arrow'
+        ? getLineGeometry(element.size, element.strokeWidth, element.startArrowhead, element.endArrowhead)
+        : getLineGeometry(element.size, element.strokeWidth);
+      return (
+        <g transform={`translate(${x} ${y})`} stroke={element.stroke} strokeWidth={element.strokeWidth}>
+          <line
+            x1={shaft[0]}
+            y1={shaft[1]}
+            x2={shaft[2]}
+            y2={shaft[3]}
+            strokeDasharray={getDashArray(element.strokeStyle, element.strokeWidth).join(' ') || undefined}
+            strokeLinecap={getLineCap(element.strokeStyle)}
+          />
+          {heads.map((head, index) => head.closed ? (
+            <polygon key={index} points={head.points.join(' ')} fill={element.stroke} />
+          ) : (
+            <polyline key={index} points={head.points.join(' ')} fill="none" />
+          ))}
+        </g>
+      );
+    }
+    case 'text':
+      return (
+        <text
+          x={x + element.padding}
+          y={y + element.padding + element.fontSize}
+          fontSize={element.fontSize}
+          fontFamily={element.fontFamily}
+          fontWeight={element.fontWeight}
+          fontStyle={element.fontStyle}
+          textDecoration={getTextDecoration(element.underline, element.strikethrough) || undefined}
+          letterSpacing={element.letterSpacing}
+          fill={element.color}
+        >
+          {element.runs
+            ? element.runs.map((run, index) => {
+                const style = resolveRunStyle(run, element);
+                return (
+                  <tspan
+                    key={index}
+                    fontSize={style.fontSize}
+                    fontWeight={style.fontWeight}
+                    fontStyle={style.italic ? 'italic' : 'normal'}
+                    textDecoration={getTextDecoration(style.underline, style.strikethrough) || undefined}
+                    fill={style.color}
+                  >
+                    {applyTextTransform(run.text, element.textTransform)}
+                  </tspan>
+                );
+              })
+            : applyTextTransform(element.content, element.textTransform)}
+        </text>
+      );
+    case 'image': {
+      if (!element.src) {
+        return <rect x={x} y={y} width={width} height={height} fill="#eeeeee" />;
+      }
+      const filter = getFilterCss(element.filters) ?? undefined;
+      // A nested svg clips the cropped picture to the element box
+      if (element.crop) {
+        const { crop } = element;
+        return (
+          <svg x={x} y={y} width={width} height={height}>
+            <image
+              href={element.src}
+              x={crop.x * width}
+              y={crop.y * height}
+              width={crop.width * width}
+              height={crop.height * height}
+              preserveAspectRatio="none"
+              style={{ filter }}
+            />
+          </svg>
+        );
+      }
+      const aspect = { fill: 'none', stretch: 'none', contain: 'xMidYMid meet', cover: 'xMidYMid slice' }[element.fit];
+      return (
+        <image
+          href={element.src}
+          x={x}
+          y={y}
+          width={width}
+          height={height}
+          preserveAspectRatio={aspect}
+          style={{ filter }}
+        />
+      );
+    }
+    case 'table':
+      return (
+        <rect
+          x={x}
+          y={y}
+          width={width}
+          height={height}
+          fill={element.cellBackground}
+          stroke={element.borderColor}
+          strokeWidth={element.borderWidth}
+        />
+      );
+    default:
+      // Groups have no visuals of their own
+      return null;
+  }
+};
+
+const PageThumbnail: React.FC<{ page: Page }> = ({ page }) => {
+  const elements = page.elements
+    .filter((el) => isElementVisible(page.elements, el.id))
+    .sort((a, b) => a.zIndex - b.zIndex);
+
+  return (
+    <svg
+      className="page-thumbnail"
+      viewBox={`0 0 ${page.size.width} ${page.size.height}`}
+      width={THUMBNAIL_WIDTH}
+      height={(THUMBNAIL_WIDTH * page.size.height) / page.size.width}
+    >
+      <rect width={page.size.width} height={page.size.height} fill="#ffffff" />
+      {elements.map((element) => {
+        const { x, y } = getCenter(element);
+        // Same rotation and flips as the canvas, around the element center
+        const transform = element.rotation || element.flipX || element.flipY
+          ? `rotate(${element.rotation ?? 0} ${x} ${y}) translate(${x} ${y}) scale(${element.flipX ? -1 : 1} ${element.flipY ? -1 : 1}) translate(${-x} ${-y})`
+          : undefined;
+        return (
+          <g key={element.id} transform={transform} opacity={hasBoxEffects(element) ? element.opacity : undefined}>
+            {renderThumbnailElement(element)}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export const PageStrip: React.FC = () => {
+  const {
+    pages,
+    activePageId,
+    elements,
+    canvasSize,
+    addPage,
+    duplicatePage,
+    deletePage,
+    movePage,
+    renamePage,
+    setActivePage,
+  } = useCanvasStore();
+  const [renamingPageId, setRenamingPageId] = React.useState<string | null>(null);
+  const [draggedPageId, setDraggedPageId] = React.useState<string | null>(null);
+
+  // Show live edits in the active page's thumbnail
+  const displayPages = syncActivePage(pages, activePageId, elements, canvasSize);
+
+  const handleRename = (pageId: string, name: string) => {
+    renamePage(pageId, name);
+    setRenamingPageId(null);
+  };
+
+  const handleDrop = (e: React.DragEvent, index: number) => {
+    e.preventDefault();
+    if (draggedPageId) {
+      movePage(draggedPageId, index);
+    }
+    setDraggedPageId(null);
+  };
+
+  return (
+    <aside className="page-strip">
+      <div className="page-strip-header">
+        <h3>Pages</h3>
+        <button className="page-action" onClick={addPage} title="Add Page" type="button">
+          +
+        </button>
+      </div>
+
+      <ol className="page-list">
+        {displayPages.map((page, index) => (
+          <li
+            key={page.id}
+            className={`page-item ${page.id === activePageId ? 'active' : ''} ${page.id === draggedPageId ? 'dragging' : ''}`}
+            draggable={renamingPageId !== page.id}
+            onDragStart={() => setDraggedPageId(page.id)}
+            onDragEnd={() => setDraggedPageId(null)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => handleDrop(e, index)}
+            onClick={() => setActivePage(page.id)}
+          >
+            <PageThumbnail page={page} />
+
+            <div className="page-item-footer">
+              <span className="page-number">{index + 1}</span>
+              {renamingPageId === page.id ? (
+                <input
+                  className="page-name-input"
+                  defaultValue={page.name}
+                  autoFocus
+                  onClick={(e) => e.stopPropagation()}
+                  onBlur={(e) => handleRename(page.id, e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handleRename(page.id, e.currentTarget.value);
+                    if (e.key === 'Escape') setRenamingPageId(null);
+                  }}
+                />
+              ) : (
+                <span
+                  className="page-name"
+                  title="Double-click to rename"
+                  onDoubleClick={() => setRenamingPageId(page.id)}
+                >
+                  {page.name}
+                </span>
+              )}
+            </div>
+
+            <div className="page-item-actions" onClick={(e) => e.stopPropagation()}>
+              <button
+                className="page-action"
+                onClick={() => movePage(page.id, index - 1)}
+                disabled={index === 0}
+                title="Move Up"
+                type="button"
+              >
+                ↑
+              </button>
+              <button
+                className="page-action"
+                onClick={() => movePage(page.id, index + 1)}
+                disabled={index === displayPages.length - 1}
+                title="Move Down"
+                type="button"
+              >
+                ↓
+              </button>
+              <button
+                className="page-action"
+                onClick={() => duplicatePage(page.id)}
+                title="Duplicate Page"
+                type="button"
+              >
+                ⧉
+              </button>
+              <button
+                className="page-action danger"
+                onClick={() => deletePage(page.id)}
+                disabled={displayPages.length <= 1}
+                title="Delete Page"
+                type="button"
+              >
+                ✕
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </aside>
+  );
+};
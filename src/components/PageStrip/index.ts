@@ -0,0 +1 @@
+export { PageStrip } from './PageStrip';
\ No newline at end of file
@@ -1,50 +1,229 @@
 import React from 'react';
 import { useCanvasStore } from '../../stores/canvasStore';
 import { imageService } from '../../utils/imageService';
-import type { TemplateElement, TextElement, RectangleElement, ImageElement, TableElement } from '../../types';
+import type { AlignMode, DistributeAxis } from '../../utils/alignment';
+import { getPageOrientation, getPagePreset, NO_MARGINS } from '../../utils/pages';
+import { UNITS, toUnit, fromUnit, formatSize } from '../../utils/units';
+import { normalizeRotation } from '../../utils/transform';
+import { isValidElementName, toElementName } from '../../utils/layers';
+import { STROKE_STYLES, ARROWHEADS } from '../../utils/shapes';
+import { TEXT_OVERFLOWS, getFontSizeRange } from '../../utils/textFit';
+import { SYSTEM_FONTS, getFontFamilies } from '../../utils/fonts';
+import {
+  BORDER_SIDES,
+  CORNERS,
+  DEFAULT_DROP_SHADOW,
+  DEFAULT_GRADIENT,
+  hasBoxEffects,
+  type BoxElement,
+} from '../../utils/boxEffects';
+import { DEFAULT_IMAGE_FILTERS, DEFAULT_MASK_RADIUS, hasImageFilters } from '../../utils/imageStyle';
+import { DEFAULT_STRIPE_BACKGROUND, createTableRepeat, isValidRepeatSource } from '../../utils/tableRepeat';
+import { formatDelimited } from '../../utils/tableData';
+import { getConditionError, type PreviewData } from '../../utils/templateLogic';
+import {
+  CELL_TEXT_ALIGNS,
+  deleteColumn,
+  deleteRow,
+  getCellOwners,
+  getCellSpan,
+  getOwnerCell,
+  getRangeCells,
+  getSelectedRange,
+  insertColumn,
+  insertRow,
+  resolveCellStyle,
+  setCellSpan,
+  spansTemplateRow,
+} from '../../utils/tableLayout';
+import {
+  DEFAULT_LINE_HEIGHT,
+  FONT_WEIGHTS,
+  TEXT_ALIGNS,
+  TEXT_TRANSFORMS,
+  VERTICAL_ALIGNS,
+  parseFontWeight,
+} from '../../utils/typography';
+import type {
+  TemplateElement,
+  TextElement,
+  RectangleElement,
+  LineElement,
+  ArrowElement,
+  EllipseElement,
+  StrokeStyle,
+  Arrowhead,
+  TextOverflow,
+  TextAlign,
+  VerticalAlign,
+  TextTransform,
+  TextShadow,
+  Gradient,
+  GradientStop,
+  CornerRadii,
+  BorderSide,
+  SideBorders,
+  ImageElement,
+  ImageFilters,
+  ImageMask,
+  TableElement,
+  TableCell,
+  TableCellStyle,
+  TableRepeat,
+  GroupElement,
+  PageOrientation,
+  Unit,
+} from '../../types';
+import { PageSetupDialog } from '../PageSetupDialog/PageSetupDialog';
+import { FontLibraryDialog } from '../FontLibraryDialog/FontLibraryDialog';
+import { ColorPicker } from '../ColorPicker/ColorPicker';
 import './PropertiesPanel.css';
 
-const TextProperties: React.FC<{ element: TextElement }> = ({ element }) => {
-  const { updateElement, editingElementId, exitEditMode } = useCanvasStore();
-  const textareaRef = React.useRef<HTMLTextAreaElement>(null);
-  const isEditing = editingElementId === element.id;
+// Props shared by every panel. `element` is the first selected element and provides the
+// displayed values; edits are applied to every id in `targetIds`. `mixed` holds the
+// property keys whose values differ across the selection.
+interface SelectionPanelProps<T extends TemplateElement> {
+  element: T;
+  targetIds: string[];
+  mixed: Set<string>;
+}
 
-  // Auto-focus textarea when entering edit mode with smooth scrolling
-  React.useEffect(() => {
-    if (isEditing && textareaRef.current) {
-      // Smooth scroll the textarea into view first
-      textareaRef.current.scrollIntoView({ 
-        behavior: 'smooth', 
-        block: 'center' 
-      });
-      
-      // Focus and select with a small delay to ensure scrolling completes
-      setTimeout(() => {
-        if (textareaRef.current) {
-          textareaRef.current.focus();
-          textareaRef.current.select();
-        }
-      }, 200);
+// Collect the keys (plus position/size components) whose values differ across the selection
+const getMixedKeys = (selected: TemplateElement[]): Set<string> => {
+  const mixed = new Set<string>();
+  const [first, ...rest] = selected;
+  if (!first || rest.length === 0) return mixed;
+
+  const firstRecord = first as unknown as Record<string, unknown>;
+  Object.keys(firstRecord).forEach((key) => {
+    const value = JSON.stringify(firstRecord[key]);
+    if (rest.some((el) => JSON.stringify((el as unknown as Record<string, unknown>)[key]) !== value)) {
+      mixed.add(key);
     }
-  }, [isEditing]);
+  });
 
-  const handleUpdate = (updates: Partial<TextElement>) => {
-    updateElement(element.id, updates);
-  };
+  if (rest.some((el) => el.position.x !== first.position.x)) mixed.add('position.x');
+  if (rest.some((el) => el.position.y !== first.position.y)) mixed.add('position.y');
+  if (rest.some((el) => el.size.width !== first.size.width)) mixed.add('size.width');
+  if (rest.some((el) => el.size.height !== first.size.height)) mixed.add('size.height');
+  // Optional fields are missing from elements that were never rotated
+  if (rest.some((el) => (el.rotation ?? 0) !== (first.rotation ?? 0))) mixed.add('rotation');
 
-  const handleContentBlur = () => {
-    // Use setTimeout to delay exit, allowing other clicks to be processed first
-    setTimeout(() => {
-      if (isEditing) {
-        exitEditMode();
-      }
-    }, 100);
-  };
+  return mixed;
+};
 
-  const handleKeyDown = (e: React.KeyboardEvent) => {
-    if (e.key === 'Escape' && isEditing) {
-      exitEditMode();
-    }
+// Input props that blank out a field and show a "Mixed" placeholder when values differ
+const mixedInput = <V extends string | number>(mixed: Set<string>, key: string, value: V) =>
+  mixed.has(key) ? { value: '', placeholder: 'Mixed' } : { value };
+
+// Input props for a length, which is stored in px and shown in the document unit.
+// Bounds are given in px as well.
+const lengthInput = (unit: Unit, px: number, bounds: { min?: number; max?: number } = {}) => ({
+  value: toUnit(px, unit),
+  step: UNITS[unit].step,
+  min: bounds.min === undefined ? undefined : toUnit(bounds.min, unit),
+  max: bounds.max === undefined ? undefined : toUnit(bounds.max, unit),
+});
+
+// lengthInput for a selection, blanked out like mixedInput when values differ
+const mixedLengthInput = (
+  unit: Unit,
+  mixed: Set<string>,
+  key: string,
+  px: number,
+  bounds?: { min?: number; max?: number }
+) => ({
+  ...lengthInput(unit, px, bounds),
+  ...mixedInput(mixed, key, toUnit(px, unit)),
+});
+
+const parseLength = (value: string, unit: Unit) => fromUnit(parseFloat(value), unit);
+
+const MixedOption: React.FC<{ show: boolean }> = ({ show }) =>
+  show ? <option value="" disabled>Mixed</option> : null;
+
+const MixedBadge: React.FC<{ show: boolean }> = ({ show }) =>
+  show ? <span className="mixed-badge">Mixed</span> : null;
+
+const MANAGE_FONTS = '__manage-fonts__';
+
+// Font family picker listing the system fonts and then the project's font library. Its last
+// option opens the library for uploading more fonts.
+const FontFamilySelect: React.FC<{ value: string; mixed: boolean; onChange: (fontFamily: string) => void }> = ({
+  value,
+  mixed,
+  onChange,
+}) => {
+  const { fonts } = useCanvasStore();
+  const [showLibrary, setShowLibrary] = React.useState(false);
+  const libraryFamilies = getFontFamilies(fonts);
+  // Text keeps its family when the font is removed from the library
+  const isMissing = !mixed && !SYSTEM_FONTS.includes(value) && !libraryFamilies.includes(value);
+
+  return (
+    <>
+      <select
+        value={mixed ? '' : value}
+        onChange={(e) => (e.target.value === MANAGE_FONTS ? setShowLibrary(true) : onChange(e.target.value))}
+      >
+        <MixedOption show={mixed} />
+        {isMissing && <option value={value}>{value} (not available)</option>}
+        {SYSTEM_FONTS.map((family) => (
+          <option key={family} value={family}>{family}</option>
+        ))}
+        {libraryFamilies.length > 0 && (
+          <optgroup label="Font Library">
+            {libraryFamilies.map((family) => (
+              <option key={family} value={family}>{family}</option>
+            ))}
+          </optgroup>
+        )}
+        <option value={MANAGE_FONTS}>Upload fonts…</option>
+      </select>
+      <FontLibraryDialog isOpen={showLibrary} onClose={() => setShowLibrary(false)} />
+    </>
+  );
+};
+
+const textAlignLabels: Record<TextAlign, string> = {
+  left: 'Left',
+  center: 'Center',
+  right: 'Right',
+  justify: 'Justify',
+};
+
+const verticalAlignLabels: Record<VerticalAlign, string> = {
+  top: 'Top',
+  middle: 'Middle',
+  bottom: 'Bottom',
+};
+
+const textTransformLabels: Record<TextTransform, string> = {
+  none: 'None',
+  uppercase: 'UPPERCASE',
+  lowercase: 'lowercase',
+  capitalize: 'Capitalize',
+};
+
+const DEFAULT_TEXT_SHADOW: TextShadow = { color: '#000000', blur: 4, offsetX: 2, offsetY: 2 };
+
+const overflowLabels: Record<TextOverflow, string> = {
+  wrap: 'Wrap and clip',
+  shrink: 'Shrink to fit',
+  grow: 'Grow height',
+  ellipsis: 'Ellipsis',
+};
+
+const TextProperties: React.FC<SelectionPanelProps<TextElement>> = ({ element, targetIds, mixed }) => {
+  const { updateElements, editingElementId, unit, elements } = useCanvasStore();
+  const isEditing = editingElementId === element.id;
+  const hasFormatting = elements.some((el) => targetIds.includes(el.id) && el.type === 'text' && el.runs);
+  const overflow = element.overflow ?? 'wrap';
+  const fontSizeRange = getFontSizeRange(element);
+  const shadow = element.textShadow;
+
+  const handleUpdate = (updates: Partial<TextElement>) => {
+    updateElements(targetIds, updates);
   };
 
   return (
@@ -52,27 +231,31 @@ const TextProperties: React.FC<{ element: TextElement }> = ({ element }) => {
       <h3>Text Properties</h3>
       
       <div className="property-field">
-        <label>Content {isEditing && <span style={{color: '#2196f3', fontSize: '0.75rem'}}>(Editing)</span>}</label>
+        <label>Content {isEditing && <span style={{color: '#2196f3', fontSize: '0.75rem'}}>(Editing on canvas)</span>}</label>
         <textarea
-          ref={textareaRef}
-          value={element.content}
+          {...mixedInput(mixed, 'content', element.content)}
           onChange={(e) => handleUpdate({ content: e.target.value })}
-          onBlur={handleContentBlur}
-          onKeyDown={handleKeyDown}
           rows={3}
-          style={{
-            borderColor: isEditing ? '#2196f3' : undefined,
-            boxShadow: isEditing ? '0 0 0 2px rgba(33, 150, 243, 0.2)' : undefined,
-          }}
         />
+        <small style={{ color: '#666', fontSize: '0.75rem' }}>
+          Double-click the text on the canvas to format words with bold, italic, underline, color, size or links.
+        </small>
       </div>
 
+      {hasFormatting && (
+        <div className="property-field">
+          <button type="button" className="btn-secondary" onClick={() => handleUpdate({ runs: undefined })}>
+            Clear Inline Formatting
+          </button>
+        </div>
+      )}
+
       <div className="property-row">
         <div className="property-field">
           <label>Font Size</label>
           <input
             type="number"
-            value={element.fontSize}
+            {...mixedInput(mixed, 'fontSize', element.fontSize)}
             onChange={(e) => handleUpdate({ fontSize: parseInt(e.target.value) })}
             min="8"
             max="200"
@@ -80,16 +263,11 @@ const TextProperties: React.FC<{ element: TextElement }> = ({ element }) => {
         </div>
         <div className="property-field">
           <label>Font Family</label>
-          <select
+          <FontFamilySelect
             value={element.fontFamily}
-            onChange={(e) => handleUpdate({ fontFamily: e.target.value })}
-          >
-            <option value="Arial">Arial</option>
-            <option value="Helvetica">Helvetica</option>
-            <option value="Times New Roman">Times New Roman</option>
-            <option value="Georgia">Georgia</option>
-            <option value="Verdana">Verdana</option>
-          </select>
+            mixed={mixed.has('fontFamily')}
+            onChange={(fontFamily) => handleUpdate({ fontFamily })}
+          />
         </div>
       </div>
 
@@ -97,64 +275,236 @@ const TextProperties: React.FC<{ element: TextElement }> = ({ element }) => {
         <div className="property-field">
           <label>Font Weight</label>
           <select
-            value={element.fontWeight}
-            onChange={(e) => handleUpdate({ fontWeight: e.target.value as 'normal' | 'bold' })}
+            {...mixedInput(mixed, 'fontWeight', element.fontWeight)}
+            onChange={(e) => handleUpdate({ fontWeight: parseFontWeight(e.target.value) })}
+          >
+            <MixedOption show={mixed.has('fontWeight')} />
+            {FONT_WEIGHTS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="property-field">
+          <label>Style</label>
+          <select
+            {...mixedInput(mixed, 'fontStyle', element.fontStyle)}
+            onChange={(e) => handleUpdate({ fontStyle: e.target.value as 'normal' | 'italic' })}
           >
+            <MixedOption show={mixed.has('fontStyle')} />
             <option value="normal">Normal</option>
-            <option value="bold">Bold</option>
+            <option value="italic">Italic</option>
           </select>
         </div>
+      </div>
+
+      <div className="property-row">
         <div className="property-field">
           <label>Text Align</label>
           <select
-            value={element.textAlign}
-            onChange={(e) => handleUpdate({ textAlign: e.target.value as 'left' | 'center' | 'right' })}
+            {...mixedInput(mixed, 'textAlign', element.textAlign)}
+            onChange={(e) => handleUpdate({ textAlign: e.target.value as TextAlign })}
+          >
+            <MixedOption show={mixed.has('textAlign')} />
+            {TEXT_ALIGNS.map((align) => (
+              <option key={align} value={align}>{textAlignLabels[align]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="property-field">
+          <label>Vertical Align</label>
+          <select
+            {...mixedInput(mixed, 'verticalAlign', element.verticalAlign ?? 'top')}
+            onChange={(e) => handleUpdate({ verticalAlign: e.target.value as VerticalAlign })}
           >
-            <option value="left">Left</option>
-            <option value="center">Center</option>
-            <option value="right">Right</option>
+            <MixedOption show={mixed.has('verticalAlign')} />
+            {VERTICAL_ALIGNS.map((align) => (
+              <option key={align} value={align}>{verticalAlignLabels[align]}</option>
+            ))}
           </select>
         </div>
       </div>
 
       <div className="property-row">
         <div className="property-field">
-          <label>Text Color</label>
+          <label>Line Height</label>
           <input
-            type="color"
-            value={element.color}
-            onChange={(e) => handleUpdate({ color: e.target.value })}
+            type="number"
+            {...mixedInput(mixed, 'lineHeight', element.lineHeight ?? DEFAULT_LINE_HEIGHT)}
+            onChange={(e) => handleUpdate({ lineHeight: parseFloat(e.target.value) })}
+            min="0.5"
+            max="5"
+            step="0.1"
           />
         </div>
         <div className="property-field">
-          <label>Background</label>
+          <label>Letter Spacing ({unit})</label>
           <input
-            type="color"
-            value={element.backgroundColor || '#ffffff'}
-            onChange={(e) => handleUpdate({ backgroundColor: e.target.value })}
+            type="number"
+            {...mixedLengthInput(unit, mixed, 'letterSpacing', element.letterSpacing ?? 0, { min: -20, max: 100 })}
+            onChange={(e) => handleUpdate({ letterSpacing: parseLength(e.target.value, unit) })}
+          />
+        </div>
+      </div>
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Transform</label>
+          <select
+            {...mixedInput(mixed, 'textTransform', element.textTransform ?? 'none')}
+            onChange={(e) => handleUpdate({ textTransform: e.target.value as TextTransform })}
+          >
+            <MixedOption show={mixed.has('textTransform')} />
+            {TEXT_TRANSFORMS.map((transform) => (
+              <option key={transform} value={transform}>{textTransformLabels[transform]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="property-field">
+          <label>
+            <input
+              type="checkbox"
+              checked={Boolean(element.underline)}
+              onChange={(e) => handleUpdate({ underline: e.target.checked })}
+            />
+            Underline <MixedBadge show={mixed.has('underline')} />
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={Boolean(element.strikethrough)}
+              onChange={(e) => handleUpdate({ strikethrough: e.target.checked })}
+            />
+            Strikethrough <MixedBadge show={mixed.has('strikethrough')} />
+          </label>
+        </div>
+      </div>
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Text Color <MixedBadge show={mixed.has('color')} /></label>
+          <ColorPicker
+            value={element.color}
+            onChange={(color) => handleUpdate({ color })}
+          />
+        </div>
+        <div className="property-field">
+          <label>Background <MixedBadge show={mixed.has('backgroundColor')} /></label>
+          <ColorPicker
+            value={element.backgroundColor ?? 'transparent'}
+            onChange={(color) => handleUpdate({ backgroundColor: color })}
           />
         </div>
       </div>
 
       <div className="property-field">
-        <label>Padding</label>
+        <label>Padding ({unit})</label>
         <input
           type="number"
-          value={element.padding}
-          onChange={(e) => handleUpdate({ padding: parseInt(e.target.value) })}
-          min="0"
-          max="50"
+          {...mixedLengthInput(unit, mixed, 'padding', element.padding, { min: 0, max: 50 })}
+          onChange={(e) => handleUpdate({ padding: parseLength(e.target.value, unit) })}
         />
       </div>
+
+      <div className="property-field">
+        <label>
+          <input
+            type="checkbox"
+            checked={Boolean(shadow)}
+            onChange={(e) => handleUpdate({ textShadow: e.target.checked ? DEFAULT_TEXT_SHADOW : undefined })}
+          />
+          Text Shadow <MixedBadge show={mixed.has('textShadow')} />
+        </label>
+      </div>
+
+      {shadow && (
+        <>
+          <div className="property-row">
+            <div className="property-field">
+              <label>Shadow Color</label>
+              <ColorPicker
+                value={shadow.color}
+                onChange={(color) => handleUpdate({ textShadow: { ...shadow, color } })}
+              />
+            </div>
+            <div className="property-field">
+              <label>Blur ({unit})</label>
+              <input
+                type="number"
+                {...lengthInput(unit, shadow.blur, { min: 0, max: 50 })}
+                onChange={(e) => handleUpdate({ textShadow: { ...shadow, blur: parseLength(e.target.value, unit) } })}
+              />
+            </div>
+          </div>
+          <div className="property-row">
+            <div className="property-field">
+              <label>Offset X ({unit})</label>
+              <input
+                type="number"
+                {...lengthInput(unit, shadow.offsetX, { min: -50, max: 50 })}
+                onChange={(e) => handleUpdate({ textShadow: { ...shadow, offsetX: parseLength(e.target.value, unit) } })}
+              />
+            </div>
+            <div className="property-field">
+              <label>Offset Y ({unit})</label>
+              <input
+                type="number"
+                {...lengthInput(unit, shadow.offsetY, { min: -50, max: 50 })}
+                onChange={(e) => handleUpdate({ textShadow: { ...shadow, offsetY: parseLength(e.target.value, unit) } })}
+              />
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="property-field">
+        <label>Overflow</label>
+        <select
+          {...mixedInput(mixed, 'overflow', overflow)}
+          onChange={(e) => handleUpdate({ overflow: e.target.value as TextOverflow })}
+        >
+          <MixedOption show={mixed.has('overflow')} />
+          {TEXT_OVERFLOWS.map((option) => (
+            <option key={option} value={option}>{overflowLabels[option]}</option>
+          ))}
+        </select>
+        <small style={{ color: '#666', fontSize: '0.75rem' }}>
+          Applies when variables are filled in on export, so long values never spill out of the box.
+        </small>
+      </div>
+
+      {overflow === 'shrink' && (
+        <div className="property-row">
+          <div className="property-field">
+            <label>Min Font Size</label>
+            <input
+              type="number"
+              {...mixedInput(mixed, 'minFontSize', fontSizeRange.min)}
+              onChange={(e) => handleUpdate({ minFontSize: parseInt(e.target.value) })}
+              min="1"
+              max={fontSizeRange.max}
+            />
+          </div>
+          <div className="property-field">
+            <label>Max Font Size</label>
+            <input
+              type="number"
+              {...mixedInput(mixed, 'maxFontSize', fontSizeRange.max)}
+              onChange={(e) => handleUpdate({ maxFontSize: parseInt(e.target.value) })}
+              min={fontSizeRange.min}
+              max="200"
+            />
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
-const RectangleProperties: React.FC<{ element: RectangleElement }> = ({ element }) => {
-  const { updateElement } = useCanvasStore();
+const RectangleProperties: React.FC<SelectionPanelProps<RectangleElement>> = ({ element, targetIds, mixed }) => {
+  const { updateElements, unit } = useCanvasStore();
 
   const handleUpdate = (updates: Partial<RectangleElement>) => {
-    updateElement(element.id, updates);
+    updateElements(targetIds, updates);
   };
 
   return (
@@ -163,55 +513,153 @@ const RectangleProperties: React.FC<{ element: RectangleElement }> = ({ element
       
       <div className="property-row">
         <div className="property-field">
-          <label>Fill Color</label>
-          <input
-            type="color"
+          <label>Fill Color <MixedBadge show={mixed.has('fill')} /></label>
+          <ColorPicker
             value={element.fill}
-            onChange={(e) => handleUpdate({ fill: e.target.value })}
+            onChange={(color) => handleUpdate({ fill: color })}
           />
         </div>
         <div className="property-field">
-          <label>Stroke Color</label>
-          <input
-            type="color"
+          <label>Stroke Color <MixedBadge show={mixed.has('stroke')} /></label>
+          <ColorPicker
             value={element.stroke}
-            onChange={(e) => handleUpdate({ stroke: e.target.value })}
+            onChange={(color) => handleUpdate({ stroke: color })}
           />
         </div>
       </div>
 
       <div className="property-row">
         <div className="property-field">
-          <label>Stroke Width</label>
+          <label>Stroke Width ({unit})</label>
           <input
             type="number"
-            value={element.strokeWidth}
-            onChange={(e) => handleUpdate({ strokeWidth: parseInt(e.target.value) })}
-            min="0"
-            max="20"
+            {...mixedLengthInput(unit, mixed, 'strokeWidth', element.strokeWidth, { min: 0, max: 20 })}
+            onChange={(e) => handleUpdate({ strokeWidth: parseLength(e.target.value, unit) })}
           />
         </div>
         <div className="property-field">
-          <label>Corner Radius</label>
+          <label>Corner Radius ({unit})</label>
           <input
             type="number"
-            value={element.cornerRadius}
-            onChange={(e) => handleUpdate({ cornerRadius: parseInt(e.target.value) })}
-            min="0"
-            max="50"
+            {...mixedLengthInput(unit, mixed, 'cornerRadius', element.cornerRadius, { min: 0, max: 50 })}
+            onChange={(e) => handleUpdate({ cornerRadius: parseLength(e.target.value, unit) })}
+          />
+        </div>
+      </div>
+
+      {(element.cornerRadii || element.borders) && (
+        <small style={{ color: '#666', fontSize: '0.75rem' }}>
+          Individual corners and borders under Effects take the place of these settings.
+        </small>
+      )}
+    </div>
+  );
+};
+
+const strokeStyleLabels: Record<StrokeStyle, string> = {
+  solid: 'Solid',
+  dashed: 'Dashed',
+  dotted: 'Dotted',
+};
+
+const arrowheadLabels: Record<Arrowhead, string> = {
+  none: 'None',
+  triangle: 'Triangle',
+  open: 'Open',
+};
+
+const shapeTitles = {
+  line: 'Line Properties',
+  arrow: 'Arrow Properties',
+  ellipse: 'Ellipse Properties',
+};
+
+type ShapeElement = LineElement | ArrowElement | EllipseElement;
+
+// Lines, arrows and ellipses share their stroke fields; ellipses add a fill and arrows their heads
+const ShapeProperties: React.FC<SelectionPanelProps<ShapeElement>> = ({ element, targetIds, mixed }) => {
+  const { updateElements, unit } = useCanvasStore();
+
+  const handleUpdate = (updates: Partial<ShapeElement>) => {
+    updateElements(targetIds, updates);
+  };
+
+  return (
+    <div className="property-group">
+      <h3>{shapeTitles[element.type]}</h3>
+
+      <div className="property-row">
+        {element.type === 'ellipse' && (
+          <div className="property-field">
+            <label>Fill Color <MixedBadge show={mixed.has('fill')} /></label>
+            <ColorPicker
+              value={element.fill}
+              onChange={(color) => handleUpdate({ fill: color })}
+            />
+          </div>
+        )}
+        <div className="property-field">
+          <label>Stroke Color <MixedBadge show={mixed.has('stroke')} /></label>
+          <ColorPicker
+            value={element.stroke}
+            onChange={(color) => handleUpdate({ stroke: color })}
+          />
+        </div>
+      </div>
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Stroke Width ({unit})</label>
+          <input
+            type="number"
+            {...mixedLengthInput(unit, mixed, 'strokeWidth', element.strokeWidth, { min: element.type === 'ellipse' ? 0 : 1, max: 20 })}
+            onChange={(e) => handleUpdate({ strokeWidth: parseLength(e.target.value, unit) })}
           />
         </div>
+        <div className="property-field">
+          <label>Stroke Style</label>
+          <select
+            {...mixedInput(mixed, 'strokeStyle', element.strokeStyle)}
+            onChange={(e) => handleUpdate({ strokeStyle: e.target.value as StrokeStyle })}
+          >
+            <MixedOption show={mixed.has('strokeStyle')} />
+            {STROKE_STYLES.map((style) => (
+              <option key={style} value={style}>{strokeStyleLabels[style]}</option>
+            ))}
+          </select>
+        </div>
       </div>
+
+      {element.type === 'arrow' && (
+        <div className="property-row">
+          {(['startArrowhead', 'endArrowhead'] as const).map((key) => (
+            <div className="property-field" key={key}>
+              <label>{key === 'startArrowhead' ? 'Start' : 'End'} Head</label>
+              <select
+                {...mixedInput(mixed, key, element[key])}
+                onChange={(e) => handleUpdate({ [key]: e.target.value as Arrowhead })}
+              >
+                <MixedOption show={mixed.has(key)} />
+                {ARROWHEADS.map((head) => (
+                  <option key={head} value={head}>{arrowheadLabels[head]}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
 
-const ImageProperties: React.FC<{ element: ImageElement }> = ({ element }) => {
-  const { updateElement } = useCanvasStore();
+const ImageProperties: React.FC<SelectionPanelProps<ImageElement>> = ({ element, targetIds, mixed }) => {
+  const { updateElements, enterEditMode, unit } = useCanvasStore();
   const fileInputRef = React.useRef<HTMLInputElement>(null);
+  const focalPoint = element.focalPoint ?? { x: 0.5, y: 0.5 };
+  const filters = element.filters ?? DEFAULT_IMAGE_FILTERS;
 
   const handleUpdate = (updates: Partial<ImageElement>) => {
-    updateElement(element.id, updates);
+    updateElements(targetIds, updates);
   };
 
   const handleFileUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
@@ -262,7 +710,7 @@ const ImageProperties: React.FC<{ element: ImageElement }> = ({ element }) => {
             Upload Image
           </button>
           <span style={{ fontSize: '0.75rem', color: '#666', flex: 1 }}>
-            {element.src ? (
+            {mixed.has('src') ? 'Mixed sources' : element.src ? (
               element.src.startsWith('blob:') ? 'Local file uploaded' : 'URL loaded'
             ) : 'No image selected'}
           </span>
@@ -280,196 +728,927 @@ const ImageProperties: React.FC<{ element: ImageElement }> = ({ element }) => {
         <label>Or enter URL</label>
         <input
           type="url"
-          value={element.src?.startsWith('blob:') ? '' : element.src || ''}
+          value={mixed.has('src') || element.src?.startsWith('blob:') ? '' : element.src || ''}
           onChange={(e) => handleUpdate({ src: e.target.value })}
-          placeholder="https://example.com/image.jpg"
+          placeholder={mixed.has('src') ? 'Mixed' : 'https://example.com/image.jpg'}
         />
       </div>
 
-      <div className="property-row">
+      <div className="property-field">
+        <label>Fit</label>
+        <select
+          {...mixedInput(mixed, 'fit', element.fit)}
+          onChange={(e) => handleUpdate({ fit: e.target.value as ImageElement['fit'] })}
+        >
+          <MixedOption show={mixed.has('fit')} />
+          <option value="fill">Fill</option>
+          <option value="contain">Contain</option>
+          <option value="cover">Cover</option>
+          <option value="stretch">Stretch</option>
+        </select>
+      </div>
+
+      <div className="property-field">
+        <label>Crop <MixedBadge show={mixed.has('crop')} /></label>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button
+            type="button"
+            className="btn-secondary"
+            disabled={targetIds.length !== 1 || !element.src}
+            title="Move and scale the picture inside the frame (or double-click the image)"
+            onClick={() => enterEditMode(element.id)}
+          >
+            Crop
+          </button>
+          <button
+            type="button"
+            className="btn-secondary"
+            disabled={!mixed.has('crop') && !element.crop}
+            onClick={() => handleUpdate({ crop: undefined })}
+          >
+            Reset Crop
+          </button>
+        </div>
+        {element.crop && <small style={{ color: '#666', fontSize: '0.75rem' }}>The crop replaces the fit</small>}
+      </div>
+
+      {!element.crop && (element.fit === 'cover' || element.fit === 'contain') && (
+        <div className="property-row">
+          {(['x', 'y'] as const).map((axis) => (
+            <div className="property-field" key={axis}>
+              <label>Focal {axis.toUpperCase()} (%) <MixedBadge show={mixed.has('focalPoint')} /></label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={Math.round(focalPoint[axis] * 100)}
+                onChange={(e) => handleUpdate({
+                  focalPoint: { ...focalPoint, [axis]: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 },
+                })}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="property-field">
+        <label>Mask</label>
+        <select
+          {...mixedInput(mixed, 'mask', element.mask ?? 'none')}
+          onChange={(e) => handleUpdate({ mask: e.target.value as ImageMask })}
+        >
+          <MixedOption show={mixed.has('mask')} />
+          <option value="none">None</option>
+          <option value="rounded">Rounded</option>
+          <option value="circle">Circle</option>
+        </select>
+      </div>
+
+      {element.mask === 'rounded' && (
         <div className="property-field">
-          <label>Opacity</label>
+          <label>Mask Radius ({unit})</label>
+          <input
+            type="number"
+            {...mixedLengthInput(unit, mixed, 'maskRadius', element.maskRadius ?? DEFAULT_MASK_RADIUS, { min: 0 })}
+            onChange={(e) => handleUpdate({ maskRadius: Math.max(0, parseLength(e.target.value, unit) || 0) })}
+          />
+        </div>
+      )}
+
+      <div className="property-field">
+        <label>Filters <MixedBadge show={mixed.has('filters')} /></label>
+      </div>
+      {imageFilterFields.map(({ key, label, max }) => (
+        <div className="property-field" key={key}>
+          <label>{label}</label>
           <input
             type="range"
             min="0"
-            max="1"
-            step="0.1"
-            value={element.opacity}
-            onChange={(e) => handleUpdate({ opacity: parseFloat(e.target.value) })}
+            max={max}
+            step={key === 'blur' ? 0.5 : 0.05}
+            value={filters[key]}
+            onChange={(e) => handleUpdate({ filters: { ...filters, [key]: parseFloat(e.target.value) } })}
           />
-          <span className="range-value">{Math.round(element.opacity * 100)}%</span>
-        </div>
-        <div className="property-field">
-          <label>Fit</label>
-          <select
-            value={element.fit}
-            onChange={(e) => handleUpdate({ fit: e.target.value as ImageElement['fit'] })}
-          >
-            <option value="fill">Fill</option>
-            <option value="contain">Contain</option>
-            <option value="cover">Cover</option>
-            <option value="stretch">Stretch</option>
-          </select>
+          <span className="range-value">{key === 'blur' ? `${filters[key]}px` : `${Math.round(filters[key] * 100)}%`}</span>
         </div>
-      </div>
+      ))}
+      <button
+        type="button"
+        className="btn-secondary"
+        disabled={!mixed.has('filters') && !hasImageFilters(element.filters)}
+        onClick={() => handleUpdate({ filters: undefined })}
+      >
+        Reset Filters
+      </button>
     </div>
   );
 };
 
-const TableProperties: React.FC<{ element: TableElement }> = ({ element }) => {
-  const { updateElement } = useCanvasStore();
+const imageFilterFields: Array<{ key: keyof ImageFilters; label: string; max: number }> = [
+  { key: 'grayscale', label: 'Grayscale', max: 1 },
+  { key: 'brightness', label: 'Brightness', max: 2 },
+  { key: 'contrast', label: 'Contrast', max: 2 },
+  { key: 'blur', label: 'Blur (px)', max: 20 },
+];
 
-  const handleUpdate = (updates: Partial<TableElement>) => {
-    updateElement(element.id, updates);
-  };
+const cornerLabels: Record<(typeof CORNERS)[number], string> = {
+  topLeft: 'Top Left',
+  topRight: 'Top Right',
+  bottomRight: 'Bottom Right',
+  bottomLeft: 'Bottom Left',
+};
 
-  const handleCellUpdate = (rowIndex: number, colIndex: number, content: string) => {
-    const newCells = [...element.cells];
-    if (newCells[rowIndex] && newCells[rowIndex][colIndex]) {
-      newCells[rowIndex][colIndex] = { ...newCells[rowIndex][colIndex], content };
-      handleUpdate({ cells: newCells });
-    }
-  };
+const borderSideLabels: Record<(typeof BORDER_SIDES)[number], string> = {
+  top: 'Top',
+  right: 'Right',
+  bottom: 'Bottom',
+  left: 'Left',
+};
+
+// Per-corner radii and per-side borders start from the element's uniform radius and stroke
+const getInitialCornerRadii = (element: TemplateElement): CornerRadii => {
+  const radius = element.type === 'rectangle' ? element.cornerRadius : 0;
+  return { topLeft: radius, topRight: radius, bottomRight: radius, bottomLeft: radius };
+};
+
+const getInitialBorders = (element: TemplateElement): SideBorders => {
+  const side: BorderSide = element.type === 'rectangle'
+    ? { width: element.strokeWidth, color: element.stroke, style: 'solid' }
+    : { width: 1, color: '#000000', style: 'solid' };
+  return { top: side, right: { ...side }, bottom: { ...side }, left: { ...side } };
+};
+
+// Rectangles, images and text boxes share these effects, so a selection mixing them gets
+// one panel
+const EffectsProperties: React.FC<SelectionPanelProps<BoxElement>> = ({ element, targetIds, mixed }) => {
+  const { updateElements, unit } = useCanvasStore();
+  const opacity = element.opacity ?? 1;
+  const { gradient, shadow, cornerRadii, borders } = element;
 
-  const addRow = () => {
-    const newRow = Array(element.columns).fill(null).map((_, colIndex) => ({
-      content: `Cell ${element.rows + 1},${colIndex + 1}`,
-      isHeader: false
-    }));
-    const newCells = [...element.cells, newRow];
-    handleUpdate({ cells: newCells, rows: element.rows + 1 });
+  const handleUpdate = (updates: Partial<BoxElement> | ((el: TemplateElement) => Partial<BoxElement>)) => {
+    updateElements(targetIds, updates);
   };
 
-  const removeRow = () => {
-    if (element.rows > 1) {
-      const newCells = element.cells.slice(0, -1);
-      handleUpdate({ cells: newCells, rows: element.rows - 1 });
-    }
+  const updateGradient = (updates: Partial<Gradient>) => {
+    if (gradient) handleUpdate({ gradient: { ...gradient, ...updates } });
   };
 
-  const addColumn = () => {
-    const newCells = element.cells.map((row, rowIndex) => [
-      ...row,
-      { content: `Cell ${rowIndex + 1},${element.columns + 1}`, isHeader: rowIndex === 0 }
-    ]);
-    handleUpdate({ cells: newCells, columns: element.columns + 1 });
+  const updateStop = (index: number, updates: Partial<GradientStop>) => {
+    if (!gradient) return;
+    updateGradient({ stops: gradient.stops.map((stop, i) => (i === index ? { ...stop, ...updates } : stop)) });
   };
 
-  const removeColumn = () => {
-    if (element.columns > 1) {
-      const newCells = element.cells.map(row => row.slice(0, -1));
-      handleUpdate({ cells: newCells, columns: element.columns - 1 });
-    }
+  const updateBorder = (side: (typeof BORDER_SIDES)[number], updates: Partial<BorderSide>) => {
+    if (borders) handleUpdate({ borders: { ...borders, [side]: { ...borders[side], ...updates } } });
   };
 
   return (
     <div className="property-group">
-      <h3>Table Properties</h3>
-      
-      <div className="property-row">
-        <div className="property-field">
-          <label>Rows: {element.rows}</label>
-          <div style={{ display: 'flex', gap: '4px' }}>
-            <button onClick={addRow} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>+</button>
-            <button onClick={removeRow} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>−</button>
-          </div>
-        </div>
-        <div className="property-field">
-          <label>Columns: {element.columns}</label>
-          <div style={{ display: 'flex', gap: '4px' }}>
-            <button onClick={addColumn} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>+</button>
-            <button onClick={removeColumn} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>−</button>
-          </div>
-        </div>
+      <h3>Effects</h3>
+
+      <div className="property-field">
+        <label>Opacity <MixedBadge show={mixed.has('opacity')} /></label>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={opacity}
+          onChange={(e) => handleUpdate({ opacity: parseFloat(e.target.value) })}
+        />
+        <span className="range-value">{Math.round(opacity * 100)}%</span>
       </div>
 
-      <div className="property-row">
-        <div className="property-field">
-          <label>Font Size</label>
-          <input
-            type="number"
-            value={element.fontSize}
-            onChange={(e) => handleUpdate({ fontSize: parseInt(e.target.value) })}
+      <div className="property-field">
+        <label>Fill <MixedBadge show={mixed.has('gradient')} /></label>
+        <select
+          value={gradient?.type ?? 'solid'}
+          onChange={(e) => {
+            const type = e.target.value;
+            handleUpdate({
+              gradient: type === 'solid' ? undefined : { ...(gradient ?? DEFAULT_GRADIENT), type: type as Gradient['type'] },
+            });
+          }}
+        >
+          <option value="solid">Solid color</option>
+          <option value="linear">Linear gradient</option>
+          <option value="radial">Radial gradient</option>
+        </select>
+      </div>
+
+      {gradient && (
+        <>
+          {gradient.type === 'linear' && (
+            <div className="property-field">
+              <label>Angle (°)</label>
+              <input
+                type="number"
+                value={gradient.angle}
+                min="0"
+                max="360"
+                onChange={(e) => updateGradient({ angle: parseFloat(e.target.value) || 0 })}
+              />
+            </div>
+          )}
+          <div className="property-field">
+            <label>Color Stops</label>
+            {gradient.stops.map((stop, index) => (
+              <div className="gradient-stop" key={index}>
+                <ColorPicker value={stop.color} onChange={(color) => updateStop(index, { color })} />
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={Math.round(stop.offset * 100)}
+                  title="Position (%)"
+                  onChange={(e) => updateStop(index, { offset: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 })}
+                />
+                <button
+                  type="button"
+                  title="Remove color stop"
+                  disabled={gradient.stops.length <= 2}
+                  onClick={() => updateGradient({ stops: gradient.stops.filter((_, i) => i !== index) })}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => updateGradient({ stops: [...gradient.stops, { offset: 1, color: gradient.stops[gradient.stops.length - 1].color }] })}
+            >
+              Add Color Stop
+            </button>
+          </div>
+        </>
+      )}
+
+      <div className="property-field">
+        <label>
+          <input
+            type="checkbox"
+            checked={Boolean(shadow)}
+            onChange={(e) => handleUpdate({ shadow: e.target.checked ? DEFAULT_DROP_SHADOW : undefined })}
+          />
+          Drop Shadow <MixedBadge show={mixed.has('shadow')} />
+        </label>
+      </div>
+
+      {shadow && (
+        <>
+          <div className="property-field">
+            <label>Shadow Color</label>
+            <ColorPicker value={shadow.color} onChange={(color) => handleUpdate({ shadow: { ...shadow, color } })} />
+          </div>
+          <div className="property-row">
+            <div className="property-field">
+              <label>Blur ({unit})</label>
+              <input
+                type="number"
+                {...lengthInput(unit, shadow.blur, { min: 0, max: 100 })}
+                onChange={(e) => handleUpdate({ shadow: { ...shadow, blur: parseLength(e.target.value, unit) } })}
+              />
+            </div>
+            <div className="property-field">
+              <label>Spread ({unit})</label>
+              <input
+                type="number"
+                {...lengthInput(unit, shadow.spread, { min: -50, max: 50 })}
+                onChange={(e) => handleUpdate({ shadow: { ...shadow, spread: parseLength(e.target.value, unit) } })}
+              />
+            </div>
+          </div>
+          <div className="property-row">
+            <div className="property-field">
+              <label>Offset X ({unit})</label>
+              <input
+                type="number"
+                {...lengthInput(unit, shadow.offsetX, { min: -100, max: 100 })}
+                onChange={(e) => handleUpdate({ shadow: { ...shadow, offsetX: parseLength(e.target.value, unit) } })}
+              />
+            </div>
+            <div className="property-field">
+              <label>Offset Y ({unit})</label>
+              <input
+                type="number"
+                {...lengthInput(unit, shadow.offsetY, { min: -100, max: 100 })}
+                onChange={(e) => handleUpdate({ shadow: { ...shadow, offsetY: parseLength(e.target.value, unit) } })}
+              />
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="property-field">
+        <label>
+          <input
+            type="checkbox"
+            checked={Boolean(cornerRadii)}
+            onChange={(e) => handleUpdate((el) => ({ cornerRadii: e.target.checked ? getInitialCornerRadii(el) : undefined }))}
+          />
+          Individual Corners <MixedBadge show={mixed.has('cornerRadii')} />
+        </label>
+      </div>
+
+      {cornerRadii && (
+        <div className="property-row">
+          {CORNERS.map((corner) => (
+            <div className="property-field" key={corner}>
+              <label>{cornerLabels[corner]} ({unit})</label>
+              <input
+                type="number"
+                {...lengthInput(unit, cornerRadii[corner], { min: 0 })}
+                onChange={(e) => handleUpdate({ cornerRadii: { ...cornerRadii, [corner]: Math.max(0, parseLength(e.target.value, unit) || 0) } })}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="property-field">
+        <label>
+          <input
+            type="checkbox"
+            checked={Boolean(borders)}
+            onChange={(e) => handleUpdate((el) => ({ borders: e.target.checked ? getInitialBorders(el) : undefined }))}
+          />
+          Individual Borders <MixedBadge show={mixed.has('borders')} />
+        </label>
+      </div>
+
+      {borders && BORDER_SIDES.map((side) => (
+        <div className="property-field" key={side}>
+          <label>{borderSideLabels[side]} Border</label>
+          <div className="property-row">
+            <input
+              type="number"
+              {...lengthInput(unit, borders[side].width, { min: 0, max: 50 })}
+              title={`Width (${unit})`}
+              onChange={(e) => updateBorder(side, { width: Math.max(0, parseLength(e.target.value, unit) || 0) })}
+            />
+            <select
+              value={borders[side].style}
+              onChange={(e) => updateBorder(side, { style: e.target.value as StrokeStyle })}
+            >
+              {STROKE_STYLES.map((style) => (
+                <option key={style} value={style}>{strokeStyleLabels[style]}</option>
+              ))}
+            </select>
+          </div>
+          <ColorPicker value={borders[side].color} onChange={(color) => updateBorder(side, { color })} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const TableProperties: React.FC<SelectionPanelProps<TableElement>> = ({ element, targetIds, mixed }) => {
+  const { updateElements, unit } = useCanvasStore();
+  // Structure and cell content only make sense for a single table
+  const isMultiple = targetIds.length > 1;
+
+  const handleUpdate = (updates: Partial<TableElement>) => {
+    updateElements(targetIds, updates);
+  };
+
+  const handleCellUpdate = (rowIndex: number, colIndex: number, content: string) => {
+    const newCells = [...element.cells];
+    if (newCells[rowIndex] && newCells[rowIndex][colIndex]) {
+      newCells[rowIndex][colIndex] = { ...newCells[rowIndex][colIndex], content };
+      handleUpdate({ cells: newCells });
+    }
+  };
+
+  const addRow = () => handleUpdate(insertRow(element, element.rows));
+
+  const removeRow = () => {
+    const updates = deleteRow(element, element.rows - 1);
+    if (updates) handleUpdate(updates);
+  };
+
+  const addColumn = () => handleUpdate(insertColumn(element, element.columns));
+
+  const removeColumn = () => {
+    const updates = deleteColumn(element, element.columns - 1);
+    if (updates) handleUpdate(updates);
+  };
+
+  const { repeat } = element;
+  const handleRepeatUpdate = (updates: Partial<TableRepeat>) => {
+    if (repeat) handleUpdate({ repeat: { ...repeat, ...updates } });
+  };
+
+  // Tab-separated content pastes into spreadsheets as one value per cell
+  const [copyStatus, setCopyStatus] = React.useState('');
+  const copyAsTsv = async () => {
+    try {
+      await navigator.clipboard.writeText(formatDelimited(element));
+      setCopyStatus('Copied');
+    } catch (error) {
+      setCopyStatus('Copy failed');
+      console.error('Table copy error:', error);
+    }
+    setTimeout(() => setCopyStatus(''), 2000);
+  };
+
+  return (
+    <div className="property-group">
+      <h3>Table Properties</h3>
+      
+      {!isMultiple && (
+        <div className="property-row">
+          <div className="property-field">
+            <label>Rows: {element.rows}</label>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              <button onClick={addRow} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>+</button>
+              <button onClick={removeRow} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>−</button>
+            </div>
+          </div>
+          <div className="property-field">
+            <label>Columns: {element.columns}</label>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              <button onClick={addColumn} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>+</button>
+              <button onClick={removeColumn} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>−</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {!isMultiple && (
+        <div className="property-field">
+          <button onClick={copyAsTsv} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>
+            {copyStatus || 'Copy as TSV'}
+          </button>
+        </div>
+      )}
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Font Size</label>
+          <input
+            type="number"
+            {...mixedInput(mixed, 'fontSize', element.fontSize)}
+            onChange={(e) => handleUpdate({ fontSize: parseInt(e.target.value) })}
             min="8"
             max="72"
           />
         </div>
         <div className="property-field">
           <label>Font Family</label>
-          <select
+          <FontFamilySelect
             value={element.fontFamily}
-            onChange={(e) => handleUpdate({ fontFamily: e.target.value })}
-          >
-            <option value="Arial">Arial</option>
-            <option value="Helvetica">Helvetica</option>
-            <option value="Times New Roman">Times New Roman</option>
-            <option value="Georgia">Georgia</option>
-          </select>
+            mixed={mixed.has('fontFamily')}
+            onChange={(fontFamily) => handleUpdate({ fontFamily })}
+          />
         </div>
       </div>
 
       <div className="property-row">
         <div className="property-field">
-          <label>Border Color</label>
-          <input
-            type="color"
+          <label>Border Color <MixedBadge show={mixed.has('borderColor')} /></label>
+          <ColorPicker
             value={element.borderColor}
-            onChange={(e) => handleUpdate({ borderColor: e.target.value })}
+            onChange={(color) => handleUpdate({ borderColor: color })}
           />
         </div>
         <div className="property-field">
-          <label>Border Width</label>
+          <label>Border Width ({unit})</label>
           <input
             type="number"
-            value={element.borderWidth}
-            onChange={(e) => handleUpdate({ borderWidth: parseInt(e.target.value) })}
-            min="0"
-            max="10"
+            {...mixedLengthInput(unit, mixed, 'borderWidth', element.borderWidth, { min: 0, max: 10 })}
+            onChange={(e) => handleUpdate({ borderWidth: parseLength(e.target.value, unit) })}
           />
         </div>
       </div>
 
       <div className="property-row">
         <div className="property-field">
-          <label>Header Background</label>
-          <input
-            type="color"
+          <label>Header Background <MixedBadge show={mixed.has('headerBackground')} /></label>
+          <ColorPicker
             value={element.headerBackground}
-            onChange={(e) => handleUpdate({ headerBackground: e.target.value })}
+            onChange={(color) => handleUpdate({ headerBackground: color })}
           />
         </div>
         <div className="property-field">
-          <label>Cell Background</label>
-          <input
-            type="color"
+          <label>Cell Background <MixedBadge show={mixed.has('cellBackground')} /></label>
+          <ColorPicker
             value={element.cellBackground}
-            onChange={(e) => handleUpdate({ cellBackground: e.target.value })}
+            onChange={(color) => handleUpdate({ cellBackground: color })}
           />
         </div>
       </div>
 
-      <div className="property-field">
-        <label>Cell Content</label>
-        <div style={{ maxHeight: '200px', overflowY: 'auto', border: '1px solid #ddd', padding: '8px' }}>
-          {element.cells.map((row, rowIndex) => (
-            <div key={rowIndex} style={{ marginBottom: '8px' }}>
-              <strong>Row {rowIndex + 1}:</strong>
-              {row.map((cell, colIndex) => (
+      {!isMultiple && (
+        <div className="property-field">
+          <label>
+            <input
+              type="checkbox"
+              checked={Boolean(repeat)}
+              onChange={(e) => handleUpdate({ repeat: e.target.checked ? createTableRepeat(element) : undefined })}
+            />
+            Repeat Rows
+          </label>
+        </div>
+      )}
+
+      {!isMultiple && repeat && (
+        <>
+          <div className="property-row">
+            <div className="property-field">
+              <label>Array Variable</label>
+              <input
+                type="text"
+                value={repeat.source}
+                onChange={(e) => handleRepeatUpdate({ source: e.target.value })}
+                placeholder="e.g. comparables"
+                style={{
+                  borderColor: isValidRepeatSource(repeat.source) ? undefined : '#f44336',
+                  backgroundColor: isValidRepeatSource(repeat.source) ? undefined : '#ffebee'
+                }}
+              />
+            </div>
+            <div className="property-field">
+              <label>Template Row</label>
+              <select
+                value={repeat.templateRow}
+                onChange={(e) => handleRepeatUpdate({ templateRow: parseInt(e.target.value) })}
+              >
+                {element.cells.map((_, rowIndex) => (
+                  <option key={rowIndex} value={rowIndex}>Row {rowIndex + 1}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {spansTemplateRow(element) && (
+            <div style={{ fontSize: '0.75rem', color: '#f44336', marginTop: '4px' }}>
+              Merged cells must not reach into or out of the template row
+            </div>
+          )}
+          {!isValidRepeatSource(repeat.source) && (
+            <div style={{ fontSize: '0.75rem', color: '#f44336', marginTop: '4px' }}>
+              Variable must start with a letter and contain only letters, numbers, underscores, or dots
+            </div>
+          )}
+          <small style={{ color: '#666', fontSize: '0.75rem' }}>
+            The template row repeats once per item; {'{{field}}'} in its cells reads the item's field.
+            Rows above and below it render once as header and footer rows.
+          </small>
+
+          <div className="property-row">
+            <div className="property-field">
+              <label>
                 <input
-                  key={`${rowIndex}-${colIndex}`}
-                  type="text"
-                  value={cell.content}
-                  onChange={(e) => handleCellUpdate(rowIndex, colIndex, e.target.value)}
-                  placeholder={`R${rowIndex + 1}C${colIndex + 1}`}
-                  style={{ 
-                    width: '100%', 
-                    margin: '2px 0', 
-                    padding: '4px',
-                    fontSize: '0.75rem'
-                  }}
+                  type="checkbox"
+                  checked={Boolean(repeat.stripeBackground)}
+                  onChange={(e) => handleRepeatUpdate({
+                    stripeBackground: e.target.checked ? DEFAULT_STRIPE_BACKGROUND : undefined
+                  })}
                 />
-              ))}
+                Zebra Stripes
+              </label>
+              {repeat.stripeBackground && (
+                <ColorPicker
+                  value={repeat.stripeBackground}
+                  onChange={(color) => handleRepeatUpdate({ stripeBackground: color })}
+                />
+              )}
+            </div>
+            <div className="property-field">
+              <label>Empty Text</label>
+              <input
+                type="text"
+                value={repeat.emptyText ?? ''}
+                onChange={(e) => handleRepeatUpdate({ emptyText: e.target.value || undefined })}
+                placeholder="Shown when there are no items"
+              />
             </div>
+          </div>
+        </>
+      )}
+
+      {!isMultiple && (
+        <div className="property-field">
+          <label>Cell Content</label>
+          <div style={{ maxHeight: '200px', overflowY: 'auto', border: '1px solid #ddd', padding: '8px' }}>
+            {element.cells.map((row, rowIndex) => (
+              <div key={rowIndex} style={{ marginBottom: '8px' }}>
+                <strong>Row {rowIndex + 1}:</strong>
+                {row.map((cell, colIndex) => (
+                  <input
+                    key={`${rowIndex}-${colIndex}`}
+                    type="text"
+                    value={cell.content}
+                    onChange={(e) => handleCellUpdate(rowIndex, colIndex, e.target.value)}
+                    placeholder={`R${rowIndex + 1}C${colIndex + 1}`}
+                    style={{ 
+                      width: '100%', 
+                      margin: '2px 0', 
+                      padding: '4px',
+                      fontSize: '0.75rem'
+                    }}
+                  />
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// The selected cell of a single table: its merge, its overrides of the table's look, and the
+// row and column commands around it. Styles and clearing apply to every cell of a selected range.
+const TableCellProperties: React.FC<{ element: TableElement }> = ({ element }) => {
+  const { updateElement, selectedTableCell, selectTableCell, unit } = useCanvasStore();
+  if (selectedTableCell?.elementId !== element.id) {
+    return (
+      <div className="property-group">
+        <h3>Cell</h3>
+        <small style={{ color: '#666', fontSize: '0.75rem' }}>
+          Click a cell to merge it, style it or insert rows and columns next to it. Shift-click
+          another cell to select the range up to it.
+        </small>
+      </div>
+    );
+  }
+
+  const { row, col } = getOwnerCell(element, selectedTableCell);
+  const cell = element.cells[row][col];
+  const { rowSpan, colSpan } = getCellSpan(getCellOwners(element), row, col);
+  const style = resolveCellStyle(element, cell);
+  const range = getSelectedRange(element, selectedTableCell);
+  const targets = getRangeCells(element, range);
+  const isRange = targets.length > 1;
+
+  const select = (next: { row: number; col: number }) =>
+    selectTableCell({ elementId: element.id, ...next });
+
+  const run = (updates: Partial<TableElement> | null, next = { row, col }) => {
+    if (!updates) return;
+    updateElement(element.id, updates);
+    select(next);
+  };
+
+  const updateCells = (getUpdates: (cell: TableCell) => Partial<TableCell>) => {
+    const cells = element.cells.map((cells) => [...cells]);
+    targets.forEach(({ row, col }) => {
+      cells[row][col] = { ...cells[row][col], ...getUpdates(cells[row][col]) };
+    });
+    updateElement(element.id, { cells });
+  };
+
+  const updateCell = (updates: Partial<TableCell>) => updateCells(() => updates);
+
+  const updateStyle = (updates: Partial<TableCellStyle>) =>
+    updateCells((cell) => ({ style: { ...cell.style, ...updates } }));
+
+  const buttonStyle = { padding: '4px 8px', fontSize: '0.75rem' };
+
+  return (
+    <div className="property-group">
+      <h3>
+        {isRange
+          ? `Cells R${range.top + 1} C${range.left + 1} – R${range.bottom + 1} C${range.right + 1}`
+          : `Cell R${row + 1} C${col + 1}`}
+      </h3>
+
+      <div className="property-field">
+        <label>Rows and Columns</label>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+          <button onClick={() => run(insertRow(element, row), { row: row + 1, col })} style={buttonStyle}>Row Above</button>
+          <button onClick={() => run(insertRow(element, row + rowSpan))} style={buttonStyle}>Row Below</button>
+          <button onClick={() => run(insertColumn(element, col), { row, col: col + 1 })} style={buttonStyle}>Column Left</button>
+          <button onClick={() => run(insertColumn(element, col + colSpan))} style={buttonStyle}>Column Right</button>
+          <button onClick={() => run(deleteRow(element, row))} style={buttonStyle} disabled={element.rows <= 1}>Delete Row</button>
+          <button onClick={() => run(deleteColumn(element, col))} style={buttonStyle} disabled={element.columns <= 1}>Delete Column</button>
+        </div>
+      </div>
+
+      <div className="property-field">
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+          {isRange && (
+            <button
+              onClick={() => run(
+                setCellSpan(element, { row: range.top, col: range.left }, range.bottom - range.top + 1, range.right - range.left + 1),
+                { row: range.top, col: range.left }
+              )}
+              style={buttonStyle}
+            >
+              Merge Cells
+            </button>
+          )}
+          <button onClick={() => updateCell({ content: '' })} style={buttonStyle}>
+            {isRange ? 'Clear Cells' : 'Clear Cell'}
+          </button>
+        </div>
+      </div>
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Column Span</label>
+          <input
+            type="number"
+            value={colSpan}
+            min="1"
+            max={element.columns - col}
+            onChange={(e) => run(setCellSpan(element, { row, col }, rowSpan, parseInt(e.target.value) || 1))}
+          />
+        </div>
+        <div className="property-field">
+          <label>Row Span</label>
+          <input
+            type="number"
+            value={rowSpan}
+            min="1"
+            max={element.rows - row}
+            onChange={(e) => run(setCellSpan(element, { row, col }, parseInt(e.target.value) || 1, colSpan))}
+          />
+        </div>
+      </div>
+
+      <div className="property-field">
+        <label>
+          <input
+            type="checkbox"
+            checked={cell.isHeader}
+            onChange={(e) => updateCell({ isHeader: e.target.checked })}
+          />
+          Header Cell
+        </label>
+      </div>
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Align</label>
+          <select
+            value={style.textAlign}
+            onChange={(e) => updateStyle({ textAlign: e.target.value as TableCellStyle['textAlign'] })}
+          >
+            {CELL_TEXT_ALIGNS.map((align) => (
+              <option key={align} value={align}>{textAlignLabels[align]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="property-field">
+          <label>Vertical Align</label>
+          <select
+            value={style.verticalAlign}
+            onChange={(e) => updateStyle({ verticalAlign: e.target.value as VerticalAlign })}
+          >
+            {VERTICAL_ALIGNS.map((align) => (
+              <option key={align} value={align}>{verticalAlignLabels[align]}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Background</label>
+          <ColorPicker value={style.background} onChange={(color) => updateStyle({ background: color })} />
+        </div>
+        <div className="property-field">
+          <label>Text Color</label>
+          <ColorPicker value={style.textColor} onChange={(color) => updateStyle({ textColor: color })} />
+        </div>
+      </div>
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Font Size</label>
+          <input
+            type="number"
+            value={style.fontSize}
+            min="8"
+            max="72"
+            onChange={(e) => updateStyle({ fontSize: parseInt(e.target.value) })}
+          />
+        </div>
+        <div className="property-field">
+          <label>Font Family</label>
+          <FontFamilySelect
+            value={style.fontFamily}
+            mixed={false}
+            onChange={(fontFamily) => updateStyle({ fontFamily })}
+          />
+        </div>
+      </div>
+
+      <div className="property-field">
+        <label>
+          <input
+            type="checkbox"
+            checked={style.fontWeight === 'bold'}
+            onChange={(e) => updateStyle({ fontWeight: e.target.checked ? 'bold' : 'normal' })}
+          />
+          Bold
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={style.fontStyle === 'italic'}
+            onChange={(e) => updateStyle({ fontStyle: e.target.checked ? 'italic' : 'normal' })}
+          />
+          Italic
+        </label>
+      </div>
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Border Color</label>
+          <ColorPicker value={style.borderColor} onChange={(color) => updateStyle({ borderColor: color })} />
+        </div>
+        <div className="property-field">
+          <label>Border Width ({unit})</label>
+          <input
+            type="number"
+            {...lengthInput(unit, style.borderWidth, { min: 0, max: 10 })}
+            onChange={(e) => updateStyle({ borderWidth: parseLength(e.target.value, unit) })}
+          />
+        </div>
+      </div>
+
+      {targets.some((target) => element.cells[target.row][target.col].style) && (
+        <button onClick={() => updateCell({ style: undefined })} style={buttonStyle}>
+          {isRange ? 'Reset Cell Styles' : 'Reset Cell Style'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const GroupProperties: React.FC<SelectionPanelProps<GroupElement>> = ({ element, targetIds }) => {
+  const { enterGroup, ungroupElements } = useCanvasStore();
+
+  return (
+    <div className="property-group">
+      <h3>Group Properties</h3>
+
+      {targetIds.length === 1 && (
+        <div className="property-field">
+          <label>Contents: {element.childIds.length} elements</label>
+          <button onClick={() => enterGroup(element.id)} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>
+            Edit Contents
+          </button>
+        </div>
+      )}
+
+      <div className="property-field">
+        <button onClick={() => ungroupElements(targetIds)} style={{ padding: '4px 8px', fontSize: '0.75rem' }}>
+          Ungroup
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const alignOptions: Array<{ mode: AlignMode; icon: string; title: string }> = [
+  { mode: 'left', icon: '⇤', title: 'Align left' },
+  { mode: 'center', icon: '↔', title: 'Align horizontal centers' },
+  { mode: 'right', icon: '⇥', title: 'Align right' },
+  { mode: 'top', icon: '⤒', title: 'Align top' },
+  { mode: 'middle', icon: '↕', title: 'Align vertical centers' },
+  { mode: 'bottom', icon: '⤓', title: 'Align bottom' },
+];
+
+const distributeOptions: Array<{ axis: DistributeAxis; icon: string; title: string }> = [
+  { axis: 'horizontal', icon: '⋯', title: 'Distribute horizontally' },
+  { axis: 'vertical', icon: '⋮', title: 'Distribute vertically' },
+];
+
+const ArrangeProperties: React.FC<{ targetIds: string[] }> = ({ targetIds }) => {
+  const { alignElements, distributeElements } = useCanvasStore();
+
+  return (
+    <div className="property-group">
+      <h3>Arrange</h3>
+
+      <div className="property-field">
+        <label>{targetIds.length === 1 ? 'Align to Canvas' : 'Align Selection'}</label>
+        <div className="arrange-buttons">
+          {alignOptions.map(({ mode, icon, title }) => (
+            <button key={mode} type="button" title={title} onClick={() => alignElements(targetIds, mode)}>
+              {icon}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="property-field">
+        <label>Distribute</label>
+        <div className="arrange-buttons">
+          {distributeOptions.map(({ axis, icon, title }) => (
+            <button
+              key={axis}
+              type="button"
+              title={`${title} (3 or more elements)`}
+              disabled={targetIds.length < 3}
+              onClick={() => distributeElements(targetIds, axis)}
+            >
+              {icon}
+            </button>
           ))}
         </div>
       </div>
@@ -477,102 +1656,139 @@ const TableProperties: React.FC<{ element: TableElement }> = ({ element }) => {
   );
 };
 
-const CommonProperties: React.FC<{ element: TemplateElement }> = ({ element }) => {
-  const { updateElement } = useCanvasStore();
+const CommonProperties: React.FC<SelectionPanelProps<TemplateElement>> = ({ element, targetIds, mixed }) => {
+  const { elements, updateElements, flipElements, unit } = useCanvasStore();
+  // Groups rotate through the canvas handle, which turns their contents
+  const includesGroup = elements.some((el) => targetIds.includes(el.id) && el.type === 'group');
 
   const handleUpdate = (updates: Partial<TemplateElement>) => {
-    updateElement(element.id, updates);
+    updateElements(targetIds, updates);
   };
 
-  const handleNameChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    let name = e.target.value;
-    // Convert to CSS-safe and template-friendly name
-    name = name
-      .replace(/[^a-zA-Z0-9._-]/g, '-') // Replace invalid chars with dash
-      .replace(/^[^a-zA-Z]/, 'element-') // Ensure starts with letter
-      .toLowerCase();
-    
-    handleUpdate({ name });
+  // Position and size edits change one component and keep each element's other values
+  const handlePositionChange = (axis: 'x' | 'y', value: number) => {
+    updateElements(targetIds, (el) => ({ position: { ...el.position, [axis]: value } }));
   };
 
-  const isValidName = (name: string) => {
-    return /^[a-zA-Z][a-zA-Z0-9._-]*$/.test(name);
+  const handleSizeChange = (dimension: 'width' | 'height', value: number) => {
+    updateElements(targetIds, (el) => ({ size: { ...el.size, [dimension]: Math.max(10, value) } }));
+  };
+
+  const visibleWhenError = element.visibleWhen?.trim() && !mixed.has('visibleWhen')
+    ? getConditionError(element.visibleWhen)
+    : null;
+
+  const handleNameChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    // Convert to CSS-safe and template-friendly name
+    handleUpdate({ name: toElementName(e.target.value) });
   };
 
   return (
     <div className="property-group">
       <h3>Common Properties</h3>
       
+      {targetIds.length === 1 && (
+        <div className="property-field">
+          <label>Element Name</label>
+          <input
+            type="text"
+            value={element.name}
+            onChange={handleNameChange}
+            placeholder="e.g. customer-name, company-logo"
+            style={{
+              borderColor: isValidElementName(element.name) ? undefined : '#f44336',
+              backgroundColor: isValidElementName(element.name) ? undefined : '#ffebee'
+            }}
+          />
+          {!isValidElementName(element.name) && (
+            <div style={{ fontSize: '0.75rem', color: '#f44336', marginTop: '4px' }}>
+              Name must start with a letter and contain only letters, numbers, dots, hyphens, or underscores
+            </div>
+          )}
+          <div style={{ fontSize: '0.75rem', color: '#666', marginTop: '4px' }}>
+            Used for template fields: {`{{${element.name}}}`}
+          </div>
+        </div>
+      )}
+
       <div className="property-field">
-        <label>Element Name</label>
+        <label>Visible When <MixedBadge show={mixed.has('visibleWhen')} /></label>
         <input
           type="text"
-          value={element.name}
-          onChange={handleNameChange}
-          placeholder="e.g. customer-name, company-logo"
+          value={mixed.has('visibleWhen') ? '' : element.visibleWhen ?? ''}
+          onChange={(e) => handleUpdate({ visibleWhen: e.target.value || undefined })}
+          placeholder="Always, or e.g. openHouseDate, price > 500000"
           style={{
-            borderColor: isValidName(element.name) ? undefined : '#f44336',
-            backgroundColor: isValidName(element.name) ? undefined : '#ffebee'
+            borderColor: visibleWhenError ? '#f44336' : undefined,
+            backgroundColor: visibleWhenError ? '#ffebee' : undefined
           }}
         />
-        {!isValidName(element.name) && (
+        {visibleWhenError && (
           <div style={{ fontSize: '0.75rem', color: '#f44336', marginTop: '4px' }}>
-            Name must start with a letter and contain only letters, numbers, dots, hyphens, or underscores
+            {visibleWhenError}
           </div>
         )}
-        <div style={{ fontSize: '0.75rem', color: '#666', marginTop: '4px' }}>
-          Used for template fields: {`{{${element.name}}}`}
-        </div>
       </div>
 
       <div className="property-row">
         <div className="property-field">
-          <label>X Position</label>
+          <label>X Position ({unit})</label>
           <input
             type="number"
-            value={element.position.x}
-            onChange={(e) => handleUpdate({ 
-              position: { ...element.position, x: parseInt(e.target.value) } 
-            })}
+            {...mixedLengthInput(unit, mixed, 'position.x', element.position.x)}
+            onChange={(e) => handlePositionChange('x', parseLength(e.target.value, unit))}
           />
         </div>
         <div className="property-field">
-          <label>Y Position</label>
+          <label>Y Position ({unit})</label>
           <input
             type="number"
-            value={element.position.y}
-            onChange={(e) => handleUpdate({ 
-              position: { ...element.position, y: parseInt(e.target.value) } 
-            })}
+            {...mixedLengthInput(unit, mixed, 'position.y', element.position.y)}
+            onChange={(e) => handlePositionChange('y', parseLength(e.target.value, unit))}
           />
         </div>
       </div>
 
       <div className="property-row">
         <div className="property-field">
-          <label>Width</label>
+          <label>Width ({unit})</label>
           <input
             type="number"
-            value={element.size.width}
-            onChange={(e) => handleUpdate({ 
-              size: { ...element.size, width: Math.max(10, parseInt(e.target.value)) } 
-            })}
-            min="10"
+            {...mixedLengthInput(unit, mixed, 'size.width', element.size.width, { min: 10 })}
+            onChange={(e) => handleSizeChange('width', parseLength(e.target.value, unit))}
           />
         </div>
         <div className="property-field">
-          <label>Height</label>
+          <label>Height ({unit})</label>
           <input
             type="number"
-            value={element.size.height}
-            onChange={(e) => handleUpdate({ 
-              size: { ...element.size, height: Math.max(10, parseInt(e.target.value)) } 
-            })}
-            min="10"
+            {...mixedLengthInput(unit, mixed, 'size.height', element.size.height, { min: 10 })}
+            onChange={(e) => handleSizeChange('height', parseLength(e.target.value, unit))}
           />
         </div>
       </div>
 
+      <div className="property-row">
+        {!includesGroup && (
+          <div className="property-field">
+            <label>Rotation (°)</label>
+            <input
+              type="number"
+              {...mixedInput(mixed, 'rotation', element.rotation ?? 0)}
+              onChange={(e) => handleUpdate({ rotation: normalizeRotation(parseFloat(e.target.value) || 0) })}
+              step="15"
+            />
+          </div>
+        )}
+        <div className="property-field">
+          <label>Flip</label>
+          <div className="arrange-buttons">
+            <button type="button" title="Flip Horizontal" onClick={() => flipElements(targetIds, 'horizontal')}>⇋</button>
+            <button type="button" title="Flip Vertical" onClick={() => flipElements(targetIds, 'vertical')}>⇵</button>
+          </div>
+        </div>
+      </div>
+
       <div className="property-row">
         <div className="property-field">
           <label>
@@ -581,7 +1797,7 @@ const CommonProperties: React.FC<{ element: TemplateElement }> = ({ element }) =
               checked={element.visible}
               onChange={(e) => handleUpdate({ visible: e.target.checked })}
             />
-            Visible
+            Visible <MixedBadge show={mixed.has('visible')} />
           </label>
         </div>
         <div className="property-field">
@@ -591,7 +1807,7 @@ const CommonProperties: React.FC<{ element: TemplateElement }> = ({ element }) =
               checked={element.locked}
               onChange={(e) => handleUpdate({ locked: e.target.checked })}
             />
-            Locked
+            Locked <MixedBadge show={mixed.has('locked')} />
           </label>
         </div>
       </div>
@@ -600,89 +1816,173 @@ const CommonProperties: React.FC<{ element: TemplateElement }> = ({ element }) =
 };
 
 const CanvasProperties: React.FC = () => {
-  const { canvasSize, setCanvasSize } = useCanvasStore();
-  
-  const presetSizes = [
-    { name: 'Custom', width: canvasSize.width, height: canvasSize.height },
-    { name: 'Letter (8.5×11")', width: 816, height: 1056 },
-    { name: 'A4', width: 794, height: 1123 },
-    { name: 'iPhone 14', width: 393, height: 852 },
-    { name: 'iPad', width: 820, height: 1180 },
-    { name: 'Desktop HD', width: 1920, height: 1080 },
-    { name: 'Social Post', width: 1080, height: 1080 },
-  ];
-
-  const [selectedPreset, setSelectedPreset] = React.useState('Custom');
-
-  const handlePresetChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
-    const presetName = e.target.value;
-    setSelectedPreset(presetName);
-    
-    const preset = presetSizes.find(p => p.name === presetName);
-    if (preset && presetName !== 'Custom') {
-      setCanvasSize({ width: preset.width, height: preset.height });
-    }
-  };
+  const {
+    canvasSize,
+    pages,
+    activePageId,
+    unit,
+    setUnit,
+    setPageOrientation,
+    setPageMargins,
+    setPageBleed,
+    clearGuides,
+    fonts,
+    previewData,
+    setPreviewData,
+  } = useCanvasStore();
+  const [showPageSetup, setShowPageSetup] = React.useState(false);
+  const [previewText, setPreviewText] = React.useState(() => (previewData ? JSON.stringify(previewData, null, 2) : ''));
+  const [previewError, setPreviewError] = React.useState('');
+  const [showFontLibrary, setShowFontLibrary] = React.useState(false);
+  const fontFamilyCount = getFontFamilies(fonts).length;
+  const activePage = pages.find(page => page.id === activePageId);
+  const preset = getPagePreset(activePage?.preset);
+  const margins = activePage?.margins ?? NO_MARGINS;
+  const guideCount = activePage?.guides?.length ?? 0;
 
-  const handleSizeChange = (dimension: 'width' | 'height', value: string) => {
-    const numValue = parseInt(value) || 0;
-    if (numValue > 0) {
-      setCanvasSize({
-        ...canvasSize,
-        [dimension]: numValue
-      });
-      setSelectedPreset('Custom');
+  // Sample data is only applied while it parses as a JSON object
+  const applyPreview = (text: string, enabled: boolean) => {
+    setPreviewText(text);
+    if (!enabled) {
+      setPreviewError('');
+      setPreviewData(null);
+      return;
+    }
+    try {
+      const data: unknown = JSON.parse(text || '{}');
+      if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Preview data must be a JSON object');
+      setPreviewError('');
+      setPreviewData(data as PreviewData);
+    } catch (error) {
+      setPreviewError(error instanceof Error ? error.message : String(error));
     }
   };
 
   return (
     <div className="property-group">
-      <h3>Canvas Settings</h3>
-      
+      <h3>{activePage?.name ?? 'Page'} Settings</h3>
+
       <div className="property-field">
-        <label>Preset Sizes</label>
-        <select value={selectedPreset} onChange={handlePresetChange}>
-          {presetSizes.map(preset => (
-            <option key={preset.name} value={preset.name}>
-              {preset.name}
-            </option>
-          ))}
-        </select>
+        <label>Page Size</label>
+        <div className="page-size-summary">
+          <span>
+            <strong>{preset?.name ?? 'Custom'}</strong> {formatSize(canvasSize.width, canvasSize.height, unit)}
+          </span>
+          <button type="button" onClick={() => setShowPageSetup(true)}>
+            Page Setup…
+          </button>
+        </div>
+      </div>
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Orientation</label>
+          <select
+            value={getPageOrientation(canvasSize)}
+            onChange={(e) => setPageOrientation(e.target.value as PageOrientation)}
+          >
+            <option value="portrait">Portrait</option>
+            <option value="landscape">Landscape</option>
+          </select>
+        </div>
+        <div className="property-field">
+          <label>Units</label>
+          <select value={unit} onChange={(e) => setUnit(e.target.value as Unit)}>
+            {(Object.keys(UNITS) as Unit[]).map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </div>
       </div>
 
       <div className="property-field">
-        <label>Canvas Size</label>
-        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <label>Fonts</label>
+        <div className="page-size-summary">
+          <span>
+            {fontFamilyCount === 0
+              ? 'System fonts only'
+              : `${fontFamilyCount} uploaded ${fontFamilyCount === 1 ? 'family' : 'families'}`}
+          </span>
+          <button type="button" onClick={() => setShowFontLibrary(true)}>
+            Font Library…
+          </button>
+        </div>
+      </div>
+
+      <div className="property-field">
+        <label>Margins ({unit}; top, right, bottom, left)</label>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {(['top', 'right', 'bottom', 'left'] as const).map((side) => (
+            <input
+              key={side}
+              type="number"
+              {...lengthInput(unit, margins[side], { min: 0 })}
+              onChange={(e) => setPageMargins({ ...margins, [side]: parseLength(e.target.value, unit) || 0 })}
+              title={`${side[0].toUpperCase()}${side.slice(1)} margin`}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="property-row">
+        <div className="property-field">
+          <label>Bleed ({unit})</label>
           <input
             type="number"
-            value={canvasSize.width}
-            onChange={(e) => handleSizeChange('width', e.target.value)}
-            placeholder="Width"
-            min="100"
-            max="5000"
+            {...lengthInput(unit, activePage?.bleed ?? 0, { min: 0 })}
+            onChange={(e) => setPageBleed(parseLength(e.target.value, unit) || 0)}
           />
-          <span>×</span>
+        </div>
+        <div className="property-field">
+          <label>Guides</label>
+          <div className="arrange-buttons">
+            <button type="button" onClick={clearGuides} disabled={guideCount === 0}>
+              Clear{guideCount > 0 ? ` (${guideCount})` : ''}
+            </button>
+          </div>
+        </div>
+      </div>
+      <small style={{ color: '#666', fontSize: '0.75rem' }}>
+        Drag from the rulers to add guides
+      </small>
+
+      <div className="property-field">
+        <label>
           <input
-            type="number"
-            value={canvasSize.height}
-            onChange={(e) => handleSizeChange('height', e.target.value)}
-            placeholder="Height"
-            min="100"
-            max="5000"
+            type="checkbox"
+            checked={previewData !== null}
+            onChange={(e) => applyPreview(previewText, e.target.checked)}
           />
-        </div>
-        <small style={{ color: '#666', fontSize: '0.75rem' }}>
-          {canvasSize.width} × {canvasSize.height} pixels
-        </small>
+          Preview with Data
+        </label>
+        <textarea
+          value={previewText}
+          onChange={(e) => applyPreview(e.target.value, previewData !== null || previewError !== '')}
+          placeholder={'{ "openHouseDate": "2026-11-02", "price": 650000 }'}
+          rows={4}
+          spellCheck={false}
+          style={{ fontFamily: 'monospace', fontSize: '0.75rem' }}
+        />
+        {previewError ? (
+          <div style={{ fontSize: '0.75rem', color: '#f44336', marginTop: '4px' }}>{previewError}</div>
+        ) : (
+          <small style={{ color: '#666', fontSize: '0.75rem' }}>
+            Elements whose Visible When condition fails for this data are left out of the canvas
+          </small>
+        )}
       </div>
+
+      <PageSetupDialog isOpen={showPageSetup} onClose={() => setShowPageSetup(false)} />
+      <FontLibraryDialog isOpen={showFontLibrary} onClose={() => setShowFontLibrary(false)} />
     </div>
   );
 };
 
 export const PropertiesPanel: React.FC = () => {
-  const { elements, selectedElementId } = useCanvasStore();
+  const { elements, selectedElementIds } = useCanvasStore();
   
-  const selectedElement = elements.find(el => el.id === selectedElementId);
+  const selectedElements = elements.filter(el => selectedElementIds.includes(el.id));
+  const selectedElement = selectedElements[0];
 
   if (!selectedElement) {
     return (
@@ -697,16 +1997,31 @@ export const PropertiesPanel: React.FC = () => {
     );
   }
 
+  const targetIds = selectedElements.map(el => el.id);
+  const mixed = getMixedKeys(selectedElements);
+  const panelProps = { targetIds, mixed };
+
   const renderSpecificProperties = () => {
+    // Type-specific panels only apply when the whole selection shares a type
+    if (selectedElements.some(el => el.type !== selectedElement.type)) {
+      return null;
+    }
+
     switch (selectedElement.type) {
       case 'text':
-        return <TextProperties element={selectedElement as TextElement} />;
+        return <TextProperties element={selectedElement as TextElement} {...panelProps} />;
       case 'rectangle':
-        return <RectangleProperties element={selectedElement as RectangleElement} />;
+        return <RectangleProperties element={selectedElement as RectangleElement} {...panelProps} />;
+      case 'line':
+      case 'arrow':
+      case 'ellipse':
+        return <ShapeProperties element={selectedElement as ShapeElement} {...panelProps} />;
       case 'image':
-        return <ImageProperties element={selectedElement as ImageElement} />;
+        return <ImageProperties element={selectedElement as ImageElement} {...panelProps} />;
       case 'table':
-        return <TableProperties element={selectedElement as TableElement} />;
+        return <TableProperties element={selectedElement as TableElement} {...panelProps} />;
+      case 'group':
+        return <GroupProperties element={selectedElement as GroupElement} {...panelProps} />;
       default:
         return null;
     }
@@ -716,11 +2031,21 @@ export const PropertiesPanel: React.FC = () => {
     <div className="properties-panel">
       <div className="panel-header">
         <h2>Properties</h2>
+        {selectedElements.length > 1 && (
+          <small className="selection-count">{selectedElements.length} elements selected</small>
+        )}
       </div>
       
       <div className="panel-content">
-        <CommonProperties element={selectedElement} />
+        <ArrangeProperties targetIds={targetIds} />
+        <CommonProperties element={selectedElement} {...panelProps} />
         {renderSpecificProperties()}
+        {selectedElements.length === 1 && selectedElement.type === 'table' && (
+          <TableCellProperties element={selectedElement} />
+        )}
+        {selectedElements.every(hasBoxEffects) && (
+          <EffectsProperties element={selectedElement as BoxElement} {...panelProps} />
+        )}
       </div>
     </div>
   );
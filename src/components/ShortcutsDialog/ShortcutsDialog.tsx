@@ -0,0 +1,120 @@
+import React from 'react';
+import './ShortcutsDialog.css';
+
+interface ShortcutsDialogProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+// Cheat-sheet entries; the keys themselves are handled in useKeyboardShortcuts
+const shortcutSections: Array<{ title: string; shortcuts: Array<{ keys: string[]; description: string }> }> = [
+  {
+    title: 'Tools',
+    shortcuts: [
+      { keys: ['V'], description: 'Select tool' },
+      { keys: ['T'], description: 'Text tool' },
+      { keys: ['R'], description: 'Rectangle tool' },
+      { keys: ['O'], description: 'Ellipse tool' },
+      { keys: ['L'], description: 'Line tool' },
+      { keys: ['Shift', 'L'], description: 'Arrow tool' },
+      { keys: ['I'], description: 'Image tool' },
+      { keys: ['B'], description: 'Table tool' },
+    ],
+  },
+  {
+    title: 'Selection',
+    shortcuts: [
+      { keys: ['Ctrl', 'A'], description: 'Select all' },
+      { keys: ['Esc'], description: 'Leave group / deselect' },
+      { keys: ['←', '↑', '→', '↓'], description: 'Nudge 1px' },
+      { keys: ['Shift', 'Arrow'], description: 'Nudge 10px (grid size when snapping)' },
+    ],
+  },
+  {
+    title: 'Edit',
+    shortcuts: [
+      { keys: ['Ctrl', 'Z'], description: 'Undo' },
+      { keys: ['Ctrl', 'Shift', 'Z'], description: 'Redo (also Ctrl+Y)' },
+      { keys: ['Ctrl', 'C'], description: 'Copy' },
+      { keys: ['Ctrl', 'X'], description: 'Cut' },
+      { keys: ['Ctrl', 'V'], description: 'Paste' },
+      { keys: ['Ctrl', 'Shift', 'V'], description: 'Paste in place' },
+      { keys: ['Ctrl', 'D'], description: 'Duplicate' },
+      { keys: ['Del'], description: 'Delete' },
+      { keys: ['Ctrl', 'G'], description: 'Group' },
+      { keys: ['Ctrl', 'Shift', 'G'], description: 'Ungroup' },
+    ],
+  },
+  {
+    title: 'Arrange',
+    shortcuts: [
+      { keys: ['Ctrl', ']'], description: 'Bring forward' },
+      { keys: ['Ctrl', '['], description: 'Send backward' },
+      { keys: ['Ctrl', 'Shift', ']'], description: 'Bring to front' },
+      { keys: ['Ctrl', 'Shift', '['], description: 'Send to back' },
+    ],
+  },
+  {
+    title: 'View',
+    shortcuts: [
+      { keys: ['Ctrl', '+'], description: 'Zoom in' },
+      { keys: ['Ctrl', '-'], description: 'Zoom out' },
+      { keys: ['Ctrl', '0'], description: 'Zoom to 100%' },
+      { keys: ['Shift', '1'], description: 'Fit to screen' },
+      { keys: ['Shift', '2'], description: 'Zoom to selection' },
+      { keys: ['Ctrl', 'Scroll'], description: 'Zoom at the pointer' },
+      { keys: ['Space', 'Drag'], description: 'Pan (also middle-button drag)' },
+    ],
+  },
+  {
+    title: 'Text Editing',
+    shortcuts: [
+      { keys: ['Ctrl', 'B'], description: 'Bold' },
+      { keys: ['Ctrl', 'I'], description: 'Italic' },
+      { keys: ['Ctrl', 'U'], description: 'Underline' },
+      { keys: ['Ctrl', 'Enter'], description: 'Finish editing (also Esc)' },
+    ],
+  },
+  {
+    title: 'File',
+    shortcuts: [
+      { keys: ['Ctrl', 'S'], description: 'Save project' },
+      { keys: ['?'], description: 'Show this list' },
+    ],
+  },
+];
+
+export const ShortcutsDialog: React.FC<ShortcutsDialogProps> = ({ isOpen, onClose }) => {
+  if (!isOpen) return null;
+
+  return (
+    <div className="shortcuts-dialog-overlay" onClick={onClose}>
+      <div className="shortcuts-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="shortcuts-dialog-header">
+          <h2>Keyboard Shortcuts</h2>
+          <button className="shortcuts-close-button" onClick={onClose} type="button">×</button>
+        </div>
+
+        <div className="shortcuts-dialog-content">
+          {shortcutSections.map((section) => (
+            <section key={section.title} className="shortcut-section">
+              <h4>{section.title}</h4>
+              <dl>
+                {section.shortcuts.map((shortcut) => (
+                  <div key={shortcut.description} className="shortcut-row">
+                    <dt>
+                      {shortcut.keys.map((key) => (
+                        <kbd key={key}>{key}</kbd>
+                      ))}
+                    </dt>
+                    <dd>{shortcut.description}</dd>
+                  </div>
+                ))}
+              </dl>
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -4,7 +4,13 @@ import { useAuth } from '../../auth';
 import { CONFIG, isDevelopment } from '../../config/environment';
 import type { ToolType } from '../../types/index';
 import { saveProjectFile, loadProjectFromFile, getExistingProjectNames, loadProjectFromStorage, getCloudProjectNames } from '../../utils/projectFiles';
+import { fontService } from '../../utils/fontService';
+import { syncActivePage } from '../../utils/pages';
+import { parseDelimited } from '../../utils/tableData';
+import { MIN_ZOOM, MAX_ZOOM } from '../../utils/zoom';
+import { useKeyboardShortcuts } from '../../hooks/useKeyboardShortcuts';
 import { SaveDialog } from '../SaveDialog/SaveDialog';
+import { ShortcutsDialog } from '../ShortcutsDialog/ShortcutsDialog';
 import './Toolbar.css';
 
 interface ToolButtonProps {
@@ -64,24 +70,36 @@ export const Toolbar: React.FC = () => {
   const {
     activeTool,
     setActiveTool,
-    selectedElementId,
-    deleteElement,
-    duplicateElement,
+    selectedElementIds,
+    deleteElements,
+    duplicateElements,
+    groupElements,
+    ungroupElements,
+    enteredGroupId,
     bringToFront,
     sendToBack,
     zoom,
     setZoom,
     fitToScreen,
+    zoomToSelection,
     snapToGrid,
     toggleSnapToGrid,
     clearCanvas,
     loadCanvasState,
+    addTableFromData,
     // Get complete canvas state for saving
     elements,
+    pages,
+    fonts,
+    activePageId,
     canvasSize,
     editingElementId,
+    unit,
     storageMode,
-    setStorageMode
+    setStorageMode,
+    history,
+    undo,
+    redo
   } = useCanvasStore();
 
   const { token } = useAuth();
@@ -90,11 +108,17 @@ export const Toolbar: React.FC = () => {
   const [loadStatus, setLoadStatus] = React.useState<string>('');
   const [showSaveDialog, setShowSaveDialog] = React.useState(false);
   const [showLoadDialog, setShowLoadDialog] = React.useState(false);
+  const [showShortcuts, setShowShortcuts] = React.useState(false);
   const [currentDocumentName, setCurrentDocumentName] = React.useState<string>('');
   const fileInputRef = React.useRef<HTMLInputElement>(null);
+  const tableFileInputRef = React.useRef<HTMLInputElement>(null);
   const [exportStatus, setExportStatus] = React.useState<string>('');
   const [isExporting, setIsExporting] = React.useState(false);
 
+  // Every page with the active one brought up to date
+  const documentPages = syncActivePage(pages, activePageId, elements, canvasSize);
+  const isDocumentEmpty = documentPages.every(page => page.elements.length === 0);
+
   const handleSaveProject = () => {
     // Generate default name if none exists
     if (!currentDocumentName) {
@@ -115,13 +139,18 @@ export const Toolbar: React.FC = () => {
       // Collect complete canvas state
       const canvasState = {
         elements,
-        selectedElementId,
+        pages: documentPages,
+        fonts,
+        activePageId,
+        selectedElementIds,
         editingElementId,
+        enteredGroupId,
         activeTool,
         canvasSize,
         zoom,
         snapToGrid,
         gridSize: 20, // Default grid size
+        unit,
         storageMode
       };
 
@@ -200,9 +229,30 @@ export const Toolbar: React.FC = () => {
     }
   };
 
+  const handleTableFileSelect = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const data = parseDelimited(await file.text());
+      if (data.length === 0) throw new Error('No rows in file');
+      addTableFromData(data);
+      setLoadStatus(`Imported: ${file.name}`);
+    } catch (error) {
+      setLoadStatus('Import failed');
+      console.error('Table import error:', error);
+    }
+    setTimeout(() => setLoadStatus(''), 3000);
+
+    // Reset file input
+    if (tableFileInputRef.current) {
+      tableFileInputRef.current.value = '';
+    }
+  };
+
   // Export handlers
   const handleExportHTML = async () => {
-    if (elements.length === 0) {
+    if (isDocumentEmpty) {
       setExportStatus('No elements to export');
       setTimeout(() => setExportStatus(''), 3000);
       return;
@@ -213,7 +263,8 @@ export const Toolbar: React.FC = () => {
 
     try {
       // Prepare canvas state - process blob images to Base64 if in development
-      let processedCanvasState = { elements, canvasSize };
+      // Fonts not yet uploaded only exist in this tab, so they travel inside the request
+      let processedCanvasState = { elements, canvasSize, pages: documentPages, fonts: await fontService.embedBlobFonts(fonts) };
 
       console.log('🔍 HTML EXPORT DEBUG: Starting HTML export workflow');
       console.log('🔍 HTML EXPORT DEBUG: isDevelopment():', isDevelopment());
@@ -295,7 +346,7 @@ export const Toolbar: React.FC = () => {
   };
 
   const handleExportPDF = () => {
-    if (elements.length === 0) {
+    if (isDocumentEmpty) {
       setExportStatus('No elements to export');
       setTimeout(() => setExportStatus(''), 3000);
       return;
@@ -332,69 +383,39 @@ export const Toolbar: React.FC = () => {
     { tool: 'select' as ToolType, icon: '↖', title: 'Select Tool (V)' },
     { tool: 'text' as ToolType, icon: 'T', title: 'Text Tool (T)' },
     { tool: 'rectangle' as ToolType, icon: '⬜', title: 'Rectangle Tool (R)' },
+    { tool: 'ellipse' as ToolType, icon: '◯', title: 'Ellipse Tool (O)' },
+    { tool: 'line' as ToolType, icon: '╱', title: 'Line Tool (L)' },
+    { tool: 'arrow' as ToolType, icon: '↗', title: 'Arrow Tool (Shift+L)' },
     { tool: 'image' as ToolType, icon: '🖼', title: 'Image Tool (I)' },
     { tool: 'table' as ToolType, icon: '⚏', title: 'Table Tool (B)' },
   ];
 
+  // The slider works on a log scale so each step feels alike from 10% to 800%
   const handleZoomChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    setZoom(parseFloat(e.target.value));
+    setZoom(2 ** parseFloat(e.target.value));
   };
 
+  // Get viewport size (accounting for toolbar and properties panel)
+  const getViewport = () => ({
+    width: window.innerWidth - 600, // Subtract sidebar and properties panel width
+    height: window.innerHeight - 60  // Subtract toolbar height
+  });
+
   const handleFitToScreen = () => {
-    // Get viewport size (accounting for toolbar and properties panel)
-    const viewport = {
-      width: window.innerWidth - 400, // Subtract properties panel width
-      height: window.innerHeight - 60  // Subtract toolbar height
-    };
-    fitToScreen(viewport);
+    fitToScreen(getViewport());
   };
 
-  React.useEffect(() => {
-    const handleKeyDown = (e: KeyboardEvent) => {
-      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) {
-        return;
-      }
-
-      switch (e.key.toLowerCase()) {
-        case 'v':
-          setActiveTool('select');
-          break;
-        case 't':
-          setActiveTool('text');
-          break;
-        case 'r':
-          setActiveTool('rectangle');
-          break;
-        case 'i':
-          setActiveTool('image');
-          break;
-        case 'b':
-          setActiveTool('table');
-          break;
-        case 'delete':
-        case 'backspace':
-          if (selectedElementId) {
-            deleteElement(selectedElementId);
-          }
-          break;
-        case 'd':
-          if (e.ctrlKey && selectedElementId) {
-            e.preventDefault();
-            duplicateElement(selectedElementId);
-          }
-          break;
-        case 's':
-          if (e.ctrlKey) {
-            e.preventDefault();
-            handleSaveProject();
-          }
-          break;
-      }
-    };
+  const handleZoomToSelection = () => {
+    zoomToSelection(getViewport());
+  };
 
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [selectedElementId, setActiveTool, deleteElement, duplicateElement, handleSaveProject]);
+  useKeyboardShortcuts({
+    onSave: handleSaveProject,
+    onFitToScreen: handleFitToScreen,
+    onZoomToSelection: handleZoomToSelection,
+    isShortcutHelpOpen: showShortcuts,
+    setShortcutHelpOpen: setShowShortcuts,
+  });
 
   return (
     <div className="toolbar">
@@ -433,6 +454,21 @@ export const Toolbar: React.FC = () => {
             onChange={handleFileSelect}
             style={{ display: 'none' }}
           />
+          <button
+            className="tool-button"
+            onClick={() => tableFileInputRef.current?.click()}
+            title="Import CSV as Table"
+            type="button"
+          >
+            <span className="tool-icon">📊</span>
+          </button>
+          <input
+            ref={tableFileInputRef}
+            type="file"
+            accept=".csv,.tsv,text/csv,text/tab-separated-values"
+            onChange={handleTableFileSelect}
+            style={{ display: 'none' }}
+          />
           {(saveStatus || loadStatus) && (
             <span style={{
               fontSize: '0.75rem',
@@ -520,35 +556,76 @@ export const Toolbar: React.FC = () => {
         <div className="tool-group">
           <button
             className="tool-button"
-            onClick={() => selectedElementId && bringToFront(selectedElementId)}
-            disabled={!selectedElementId}
-            title="Bring to Front"
+            onClick={undo}
+            disabled={history.past.length === 0}
+            title="Undo (Ctrl+Z)"
+            type="button"
+          >
+            <span className="tool-icon">↶</span>
+          </button>
+          <button
+            className="tool-button"
+            onClick={redo}
+            disabled={history.future.length === 0}
+            title="Redo (Ctrl+Shift+Z)"
+            type="button"
+          >
+            <span className="tool-icon">↷</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="toolbar-section">
+        <div className="tool-group">
+          <button
+            className="tool-button"
+            onClick={() => bringToFront(selectedElementIds)}
+            disabled={selectedElementIds.length === 0}
+            title="Bring to Front (Ctrl+Shift+])"
             type="button"
           >
             <span className="tool-icon">⬆️</span>
           </button>
           <button
             className="tool-button"
-            onClick={() => selectedElementId && sendToBack(selectedElementId)}
-            disabled={!selectedElementId}
-            title="Send to Back"
+            onClick={() => sendToBack(selectedElementIds)}
+            disabled={selectedElementIds.length === 0}
+            title="Send to Back (Ctrl+Shift+[)"
             type="button"
           >
             <span className="tool-icon">⬇️</span>
           </button>
           <button
             className="tool-button"
-            onClick={() => selectedElementId && duplicateElement(selectedElementId)}
-            disabled={!selectedElementId}
+            onClick={() => duplicateElements(selectedElementIds)}
+            disabled={selectedElementIds.length === 0}
             title="Duplicate (Ctrl+D)"
             type="button"
           >
             <span className="tool-icon">⧉</span>
           </button>
+          <button
+            className="tool-button"
+            onClick={() => groupElements(selectedElementIds)}
+            disabled={selectedElementIds.length < 2}
+            title="Group (Ctrl+G)"
+            type="button"
+          >
+            <span className="tool-icon">▣</span>
+          </button>
+          <button
+            className="tool-button"
+            onClick={() => ungroupElements(selectedElementIds)}
+            disabled={!elements.some((el) => el.type === 'group' && selectedElementIds.includes(el.id))}
+            title="Ungroup (Ctrl+Shift+G)"
+            type="button"
+          >
+            <span className="tool-icon">▢</span>
+          </button>
           <button
             className="tool-button danger"
-            onClick={() => selectedElementId && deleteElement(selectedElementId)}
-            disabled={!selectedElementId}
+            onClick={() => deleteElements(selectedElementIds)}
+            disabled={selectedElementIds.length === 0}
             title="Delete (Del)"
             type="button"
           >
@@ -563,10 +640,10 @@ export const Toolbar: React.FC = () => {
             <span>Zoom:</span>
             <input
               type="range"
-              min="0.1"
-              max="2"
-              step="0.1"
-              value={zoom}
+              min={Math.log2(MIN_ZOOM)}
+              max={Math.log2(MAX_ZOOM)}
+              step="0.01"
+              value={Math.log2(zoom)}
               onChange={handleZoomChange}
             />
             <span className="zoom-value">{Math.round(zoom * 100)}%</span>
@@ -574,11 +651,20 @@ export const Toolbar: React.FC = () => {
           <button
             className="tool-button"
             onClick={handleFitToScreen}
-            title="Fit to Screen"
+            title="Fit to Screen (Shift+1)"
             type="button"
           >
             <span className="tool-icon">🔍</span>
           </button>
+          <button
+            className="tool-button"
+            onClick={handleZoomToSelection}
+            disabled={selectedElementIds.length === 0}
+            title="Zoom to Selection (Shift+2)"
+            type="button"
+          >
+            <span className="tool-icon">🎯</span>
+          </button>
         </div>
       </div>
 
@@ -592,6 +678,14 @@ export const Toolbar: React.FC = () => {
           >
             <span className="tool-icon">⊞</span>
           </button>
+          <button
+            className="tool-button"
+            onClick={() => setShowShortcuts(true)}
+            title="Keyboard Shortcuts (?)"
+            type="button"
+          >
+            <span className="tool-icon">⌨</span>
+          </button>
         </div>
       </div>
 
@@ -628,6 +722,8 @@ export const Toolbar: React.FC = () => {
         onCancel={() => setShowSaveDialog(false)}
       />
 
+      <ShortcutsDialog isOpen={showShortcuts} onClose={() => setShowShortcuts(false)} />
+
       {/* Load Dialog for Cloud Storage */}
       {showLoadDialog && (
         <LoadDialog
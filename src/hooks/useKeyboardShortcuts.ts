@@ -0,0 +1,277 @@
+import React from 'react';
+import { useCanvasStore } from '../stores/canvasStore';
+import { createClipboardPayload, writeClipboardData, readClipboardData } from '../utils/clipboard';
+import { getNextZoomLevel } from '../utils/zoom';
+import { isElementLocked } from '../utils/groups';
+import { getSelectedRange } from '../utils/tableLayout';
+import { parseDelimited, pasteTableData } from '../utils/tableData';
+
+// Distance between a pasted copy and its original (grows with each repeated paste)
+const PASTE_OFFSET = 20;
+
+// Arrow keys move the selection by 1px, or 10px (the grid size when snapping) with Shift
+const NUDGE_STEP = 1;
+const NUDGE_STEP_LARGE = 10;
+
+interface KeyboardShortcutOptions {
+  onSave: () => void;
+  onFitToScreen: () => void;
+  onZoomToSelection: () => void;
+  isShortcutHelpOpen: boolean;
+  setShortcutHelpOpen: (open: boolean) => void;
+}
+
+// Text fields and the on-canvas text and table-cell editors keep their keys
+export const isTypingTarget = (target: EventTarget | null) =>
+  target instanceof HTMLInputElement ||
+  target instanceof HTMLTextAreaElement ||
+  target instanceof HTMLSelectElement ||
+  (target instanceof HTMLElement && target.isContentEditable);
+
+const isEditingOnCanvas = () => {
+  const { editingElementId, editingTableCell } = useCanvasStore.getState();
+  return Boolean(editingElementId || editingTableCell);
+};
+
+/**
+ * Editor-wide keyboard shortcuts and clipboard handling. The handlers read the store when
+ * a key is pressed, so they always act on the current selection.
+ */
+export const useKeyboardShortcuts = ({
+  onSave,
+  onFitToScreen,
+  onZoomToSelection,
+  isShortcutHelpOpen,
+  setShortcutHelpOpen,
+}: KeyboardShortcutOptions) => {
+  // Repeated pastes of the same copy step further away from the original
+  const lastPasteRef = React.useRef<{ copyId: string; count: number } | null>(null);
+  const pasteInPlaceRef = React.useRef(false);
+
+  React.useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (isTypingTarget(e.target) || isEditingOnCanvas()) {
+        return;
+      }
+
+      const store = useCanvasStore.getState();
+      const { selectedElementIds } = store;
+      const mod = e.ctrlKey || e.metaKey;
+
+      // Layout-independent keys first: brackets for z-order, Shift+1 to fit, Shift+2 to the selection
+      if (e.code === 'BracketRight' || e.code === 'BracketLeft') {
+        if (!mod || selectedElementIds.length === 0) return;
+        e.preventDefault();
+        if (e.code === 'BracketRight') {
+          (e.shiftKey ? store.bringToFront : store.bringForward)(selectedElementIds);
+        } else {
+          (e.shiftKey ? store.sendToBack : store.sendBackward)(selectedElementIds);
+        }
+        return;
+      }
+      if (e.code === 'Digit1' && e.shiftKey && !mod) {
+        e.preventDefault();
+        onFitToScreen();
+        return;
+      }
+      if (e.code === 'Digit2' && e.shiftKey && !mod) {
+        if (selectedElementIds.length === 0) return;
+        e.preventDefault();
+        onZoomToSelection();
+        return;
+      }
+
+      switch (e.key.toLowerCase()) {
+        case 'arrowup':
+        case 'arrowdown':
+        case 'arrowleft':
+        case 'arrowright': {
+          if (selectedElementIds.length === 0) return;
+          e.preventDefault();
+          const step = e.shiftKey ? (store.snapToGrid ? store.gridSize : NUDGE_STEP_LARGE) : NUDGE_STEP;
+          const delta = {
+            x: e.key === 'ArrowLeft' ? -step : e.key === 'ArrowRight' ? step : 0,
+            y: e.key === 'ArrowUp' ? -step : e.key === 'ArrowDown' ? step : 0,
+          };
+          store.moveElements(selectedElementIds, delta);
+          return;
+        }
+        case 'z':
+          if (mod) {
+            e.preventDefault();
+            if (e.shiftKey) {
+              store.redo();
+            } else {
+              store.undo();
+            }
+            return;
+          }
+          break;
+        case 'y':
+          if (mod) {
+            e.preventDefault();
+            store.redo();
+            return;
+          }
+          break;
+        case 'g':
+          if (mod) {
+            e.preventDefault();
+            if (e.shiftKey) {
+              store.ungroupElements(selectedElementIds);
+            } else {
+              store.groupElements(selectedElementIds);
+            }
+            return;
+          }
+          break;
+        case 'a':
+          if (mod) {
+            e.preventDefault();
+            store.selectAll();
+          }
+          break;
+        case 'escape':
+          // Close the cheat sheet, then leave the entered group, then deselect
+          if (isShortcutHelpOpen) {
+            setShortcutHelpOpen(false);
+          } else if (store.enteredGroupId) {
+            store.exitGroup();
+          } else {
+            store.clearSelection();
+          }
+          break;
+        case '?':
+          setShortcutHelpOpen(!isShortcutHelpOpen);
+          break;
+        case '=':
+        case '+':
+          if (mod) {
+            e.preventDefault();
+            store.setZoom(getNextZoomLevel(store.zoom, 1));
+          }
+          break;
+        case '-':
+        case '_':
+          if (mod) {
+            e.preventDefault();
+            store.setZoom(getNextZoomLevel(store.zoom, -1));
+          }
+          break;
+        case '0':
+          if (mod) {
+            e.preventDefault();
+            store.setZoom(1);
+          }
+          break;
+        case 'v':
+          if (mod) {
+            // The paste itself arrives as a paste event; Shift pastes in place
+            pasteInPlaceRef.current = e.shiftKey;
+            return;
+          }
+          store.setActiveTool('select');
+          break;
+        case 't':
+          if (!mod) store.setActiveTool('text');
+          break;
+        case 'r':
+          if (!mod) store.setActiveTool('rectangle');
+          break;
+        case 'l':
+          if (!mod) store.setActiveTool(e.shiftKey ? 'arrow' : 'line');
+          break;
+        case 'o':
+          if (!mod) store.setActiveTool('ellipse');
+          break;
+        case 'i':
+          if (!mod) store.setActiveTool('image');
+          break;
+        case 'b':
+          if (!mod) store.setActiveTool('table');
+          break;
+        case 'delete':
+        case 'backspace':
+          if (selectedElementIds.length > 0) {
+            store.deleteElements(selectedElementIds);
+          }
+          break;
+        case 'd':
+          if (mod && selectedElementIds.length > 0) {
+            e.preventDefault();
+            store.duplicateElements(selectedElementIds);
+          }
+          break;
+        case 's':
+          if (mod) {
+            e.preventDefault();
+            onSave();
+          }
+          break;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onSave, onFitToScreen, onZoomToSelection, isShortcutHelpOpen, setShortcutHelpOpen]);
+
+  React.useEffect(() => {
+    // Text copied from a spreadsheet fills the selected table from its selected cell or range on
+    const pasteIntoTable = (e: ClipboardEvent) => {
+      const { elements, selectedElementIds, selectedTableCell, updateElement } = useCanvasStore.getState();
+      const table = selectedElementIds.length === 1 ? elements.find((el) => el.id === selectedElementIds[0]) : undefined;
+      const text = e.clipboardData?.getData('text/plain') ?? '';
+      if (table?.type !== 'table' || isElementLocked(elements, table.id) || !text.trim()) return;
+
+      const data = parseDelimited(text);
+      if (data.length === 0) return;
+
+      e.preventDefault();
+      const range = selectedTableCell?.elementId === table.id ? getSelectedRange(table, selectedTableCell) : null;
+      const at = range ? { row: range.top, col: range.left } : { row: 0, col: 0 };
+      updateElement(table.id, pasteTableData(table, data, at));
+    };
+
+    const handleCopy = (e: ClipboardEvent) => {
+      if (isTypingTarget(e.target) || isEditingOnCanvas() || !e.clipboardData) return;
+
+      const { elements, selectedElementIds, deleteElements } = useCanvasStore.getState();
+      const payload = createClipboardPayload(elements, selectedElementIds);
+      if (!payload) return;
+
+      e.preventDefault();
+      writeClipboardData(e.clipboardData, payload);
+      lastPasteRef.current = null;
+      if (e.type === 'cut') {
+        deleteElements(selectedElementIds);
+      }
+    };
+
+    const handlePaste = (e: ClipboardEvent) => {
+      const pasteInPlace = pasteInPlaceRef.current;
+      pasteInPlaceRef.current = false;
+      if (isTypingTarget(e.target) || isEditingOnCanvas() || !e.clipboardData) return;
+
+      const payload = readClipboardData(e.clipboardData);
+      if (!payload) {
+        pasteIntoTable(e);
+        return;
+      }
+
+      e.preventDefault();
+      const count = lastPasteRef.current?.copyId === payload.copyId ? lastPasteRef.current.count + 1 : 1;
+      lastPasteRef.current = { copyId: payload.copyId, count };
+      const step = pasteInPlace ? 0 : PASTE_OFFSET * count;
+      useCanvasStore.getState().pasteElements(payload.elements, { x: step, y: step });
+    };
+
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('cut', handleCopy);
+    window.addEventListener('paste', handlePaste);
+    return () => {
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('cut', handleCopy);
+      window.removeEventListener('paste', handlePaste);
+    };
+  }, []);
+};
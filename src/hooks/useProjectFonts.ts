@@ -0,0 +1,23 @@
+import React from 'react';
+import type { FontAsset } from '../types';
+import { loadFontFaces } from '../utils/fonts';
+
+/**
+ * Load the project's library fonts into the document. Returns a counter that goes up each
+ * time loading finishes, so views that measure text can lay it out again in the real font.
+ */
+export const useProjectFonts = (fonts: FontAsset[]): number => {
+  const [loadCount, setLoadCount] = React.useState(0);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    loadFontFaces(fonts).then(() => {
+      if (!cancelled) setLoadCount((count) => count + 1);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [fonts]);
+
+  return loadCount;
+};
@@ -1,7 +1,63 @@
 import { create } from 'zustand';
 import { immer } from 'zustand/middleware/immer';
-import type { CanvasState, TemplateElement, ToolType, ElementType, StorageMode } from '../types/index';
+import { original, type Draft } from 'immer';
+import type {
+  CanvasState,
+  TemplateElement,
+  GroupElement,
+  Page,
+  PageOrientation,
+  PageMargins,
+  Guide,
+  ToolType,
+  ElementType,
+  StorageMode,
+  Size,
+  Unit,
+  FontAsset,
+  TableElement,
+} from '../types/index';
 import { CONFIG } from '../config/environment';
+import {
+  isGroup,
+  getAncestors,
+  getDescendantIds,
+  expandWithDescendants,
+  isElementLocked,
+  isElementVisible,
+  getBounds,
+} from '../utils/groups';
+import {
+  toBox,
+  unionBox,
+  alignBoxes,
+  distributeBoxes,
+  type AlignMode,
+  type DistributeAxis,
+  type SmartGuide,
+} from '../utils/alignment';
+import {
+  getStackIndex,
+  getLayerChildren,
+  getReorderedStack,
+  toElementName,
+  getUniqueElementName,
+  type LayerPlacement,
+} from '../utils/layers';
+import { normalizeRotation, getCenter, rotatePoint } from '../utils/transform';
+import { DEFAULT_UNIT, isUnit } from '../utils/units';
+import { clampZoom, getFitZoom } from '../utils/zoom';
+import { getRunsText, normalizeRuns, setRunsText } from '../utils/textRuns';
+import {
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_PAGE_PRESET,
+  createPage,
+  getPageOrientation,
+  cloneElements,
+  getNextPageName,
+} from '../utils/pages';
+import { IMPORTED_CELL_HEIGHT, IMPORTED_CELL_WIDTH, createTableCells, type TableData } from '../utils/tableData';
+import type { PreviewData } from '../utils/templateLogic';
 
 // Determine default storage mode based on environment
 const getDefaultStorageMode = (): StorageMode => {
@@ -13,20 +69,108 @@ const getDefaultStorageMode = (): StorageMode => {
   return (CONFIG.ENVIRONMENT as string) === 'development' ? 'local' : 'cloud';
 };
 
+// Undo/redo history limits
+const MAX_HISTORY_SIZE = 100;
+const HISTORY_COALESCE_WINDOW = 1000; // ms - continuous drags/typing within this window become one step
+
+// Document state captured for undo/redo (view state like zoom and selection is not tracked)
+interface HistorySnapshot {
+  elements: TemplateElement[];
+  canvasSize: { width: number; height: number };
+  pages: Page[];
+  activePageId: string;
+}
+
+interface HistoryState {
+  past: HistorySnapshot[];
+  future: HistorySnapshot[];
+}
+
+// Result of a Transformer drag for one node
+export interface ElementTransform {
+  id: string;
+  position: { x: number; y: number };
+  size: { width: number; height: number };
+  rotation: number;
+  flipX: boolean;
+  flipY: boolean;
+}
+
+export type FlipAxis = 'horizontal' | 'vertical';
+
+// Everything the page setup dialog applies to the active page in one step
+export interface PageSetup {
+  size: Size;
+  preset?: string;
+  margins: PageMargins;
+  bleed: number;
+}
+
+// Fields written by older versions of the editor that loadCanvasState still understands
+interface LegacyCanvasState {
+  selectedElementId?: string | null;
+}
+
 interface CanvasStore extends CanvasState {
+  history: HistoryState;
+  undo: () => void;
+  redo: () => void;
   addElement: (elementType: ElementType, position: { x: number; y: number }) => void;
-  selectElement: (elementId: string | null) => void;
+  addTableFromData: (data: TableData) => void;
+  selectElement: (elementId: string | null, options?: { additive?: boolean }) => void;
+  setSelection: (elementIds: string[]) => void;
+  selectAll: () => void;
   updateElement: (elementId: string, updates: Partial<TemplateElement>) => void;
-  deleteElement: (elementId: string) => void;
-  duplicateElement: (elementId: string) => void;
+  updateElements: (
+    elementIds: string[],
+    updates: Partial<TemplateElement> | ((element: TemplateElement) => Partial<TemplateElement>)
+  ) => void;
+  deleteElements: (elementIds: string[]) => void;
+  duplicateElements: (elementIds: string[]) => void;
+  pasteElements: (elements: TemplateElement[], offset?: { x: number; y: number }) => void;
+  groupElements: (elementIds: string[]) => void;
+  ungroupElements: (elementIds: string[]) => void;
+  enterGroup: (groupId: string) => void;
+  exitGroup: () => void;
   setActiveTool: (tool: ToolType) => void;
   setCanvasSize: (size: { width: number; height: number }) => void;
+  addPage: () => void;
+  duplicatePage: (pageId: string) => void;
+  deletePage: (pageId: string) => void;
+  movePage: (pageId: string, toIndex: number) => void;
+  renamePage: (pageId: string, name: string) => void;
+  setActivePage: (pageId: string) => void;
+  setPageOrientation: (orientation: PageOrientation) => void;
+  setPageMargins: (margins: PageMargins) => void;
+  setPageBleed: (bleed: number) => void;
+  setPageSetup: (setup: PageSetup) => void;
+  setUnit: (unit: Unit) => void;
+  addFont: (font: FontAsset) => void;
+  updateFont: (fontId: string, updates: Partial<Omit<FontAsset, 'id'>>) => void;
+  removeFont: (fontId: string) => void;
+  addGuide: (orientation: Guide['orientation'], position: number) => void;
+  moveGuide: (guideId: string, position: number) => void;
+  removeGuide: (guideId: string) => void;
+  clearGuides: () => void;
   setZoom: (zoom: number) => void;
   fitToScreen: (viewport: { width: number; height: number }) => void;
+  zoomToSelection: (viewport: { width: number; height: number }) => void;
+  zoomFocus: { x: number; y: number } | null; // Canvas point to bring to the viewport center after zooming
+  clearZoomFocus: () => void;
+  // Sample data the canvas previews "visible when" conditions with; null shows every element
+  previewData: PreviewData | null;
+  setPreviewData: (data: PreviewData | null) => void;
   toggleSnapToGrid: () => void;
   setGridSize: (size: number) => void;
   moveElement: (elementId: string, position: { x: number; y: number }) => void;
+  moveElements: (elementIds: string[], delta: { x: number; y: number }) => void;
+  alignElements: (elementIds: string[], mode: AlignMode) => void;
+  distributeElements: (elementIds: string[], axis: DistributeAxis) => void;
+  flipElements: (elementIds: string[], axis: FlipAxis) => void;
+  smartGuides: SmartGuide[];
+  setSmartGuides: (guides: SmartGuide[]) => void;
   resizeElement: (elementId: string, size: { width: number; height: number }) => void;
+  transformElements: (changes: ElementTransform[]) => void;
   clearSelection: () => void;
   clearCanvas: () => void;
   enterEditMode: (elementId: string) => void;
@@ -34,12 +178,278 @@ interface CanvasStore extends CanvasState {
   enterTableCellEditMode: (elementId: string, row: number, col: number) => void;
   exitTableCellEditMode: () => void;
   editingTableCell: { elementId: string; row: number; col: number } | null;
-  bringToFront: (elementId: string) => void;
-  sendToBack: (elementId: string) => void;
-  loadCanvasState: (canvasState: CanvasState) => void;
+  // Cell of the selected table that the cell properties and row/column commands act on, and
+  // the other corner of a range of cells styled or cleared together with it
+  selectedTableCell: { elementId: string; row: number; col: number; end?: { row: number; col: number } } | null;
+  selectTableCell: (
+    cell: { elementId: string; row: number; col: number } | null,
+    options?: { extend?: boolean }
+  ) => void;
+  bringToFront: (elementIds: string[]) => void;
+  sendToBack: (elementIds: string[]) => void;
+  bringForward: (elementIds: string[]) => void;
+  sendBackward: (elementIds: string[]) => void;
+  moveLayer: (elementId: string, targetId: string, placement: LayerPlacement) => void;
+  renameElement: (elementId: string, name: string) => void;
+  loadCanvasState: (canvasState: CanvasState & LegacyCanvasState) => void;
   setStorageMode: (mode: StorageMode) => void;
 }
 
+// Last history commit, used to coalesce continuous edits of the same kind
+let lastHistoryCommit: { key: string; time: number } | null = null;
+
+const takeSnapshot = (state: Draft<CanvasStore>): HistorySnapshot => {
+  // Use the pre-mutation base state so snapshots share structure with the store
+  const base = original(state) ?? state;
+  return {
+    elements: base.elements as TemplateElement[],
+    canvasSize: base.canvasSize,
+    pages: base.pages as Page[],
+    activePageId: base.activePageId,
+  };
+};
+
+const restoreSnapshot = (state: Draft<CanvasStore>, snapshot: Draft<HistorySnapshot>) => {
+  state.elements = snapshot.elements;
+  state.canvasSize = snapshot.canvasSize;
+  state.pages = snapshot.pages;
+  state.activePageId = snapshot.activePageId;
+
+  // Drop references to elements that no longer exist
+  const exists = (id: string | null) => id !== null && state.elements.some((el) => el.id === id);
+  state.selectedElementIds = state.selectedElementIds.filter(exists);
+  if (!exists(state.editingElementId)) state.editingElementId = null;
+  if (!exists(state.enteredGroupId)) state.enteredGroupId = null;
+  if (state.editingTableCell && !exists(state.editingTableCell.elementId)) state.editingTableCell = null;
+  if (state.selectedTableCell && !exists(state.selectedTableCell.elementId)) state.selectedTableCell = null;
+};
+
+/**
+ * Push the current document state onto the undo stack before a mutation.
+ * Mutations sharing a coalesce key within HISTORY_COALESCE_WINDOW collapse into a single step.
+ */
+const recordHistory = (state: Draft<CanvasStore>, coalesceKey?: string) => {
+  const now = Date.now();
+  state.history.future = [];
+
+  if (
+    coalesceKey &&
+    lastHistoryCommit?.key === coalesceKey &&
+    now - lastHistoryCommit.time < HISTORY_COALESCE_WINDOW
+  ) {
+    lastHistoryCommit.time = now;
+    return;
+  }
+
+  state.history.past.push(takeSnapshot(state));
+  if (state.history.past.length > MAX_HISTORY_SIZE) {
+    state.history.past.shift();
+  }
+  lastHistoryCommit = coalesceKey ? { key: coalesceKey, time: now } : null;
+};
+
+const resetHistory = (state: Draft<CanvasStore>) => {
+  state.history = { past: [], future: [] };
+  lastHistoryCommit = null;
+};
+
+const snapValue = (value: number, gridSize: number) => Math.round(value / gridSize) * gridSize;
+
+const clampMargins = (margins: PageMargins): PageMargins => ({
+  top: Math.max(0, margins.top),
+  right: Math.max(0, margins.right),
+  bottom: Math.max(0, margins.bottom),
+  left: Math.max(0, margins.left),
+});
+
+// Write the working elements and size back into the active page's entry
+const commitActivePage = (state: Draft<CanvasStore>) => {
+  const page = state.pages.find((p) => p.id === state.activePageId);
+  if (page) {
+    page.elements = state.elements;
+    page.size = state.canvasSize;
+    page.orientation = getPageOrientation(state.canvasSize);
+  }
+};
+
+// Make another page the working copy; view state tied to the old page is dropped
+const activatePage = (state: Draft<CanvasStore>, page: Draft<Page>) => {
+  state.activePageId = page.id;
+  state.elements = page.elements;
+  state.canvasSize = page.size;
+  state.selectedElementIds = [];
+  state.editingElementId = null;
+  state.editingTableCell = null;
+  state.selectedTableCell = null;
+  state.enteredGroupId = null;
+};
+
+type ElementBox = Pick<TemplateElement, 'position' | 'size'>;
+
+/**
+ * Offset elements (and everything inside groups among them) by a delta, skipping locked ones.
+ * Returns the ids that moved.
+ */
+const translateElements = (state: Draft<CanvasStore>, elementIds: string[], delta: { x: number; y: number }) => {
+  const elements = state.elements as TemplateElement[];
+  const movingIds = expandWithDescendants(elements, elementIds).filter((id) => !isElementLocked(elements, id));
+
+  state.elements.forEach((element) => {
+    if (!movingIds.includes(element.id)) return;
+    element.position = {
+      x: element.position.x + delta.x,
+      y: element.position.y + delta.y,
+    };
+  });
+  return movingIds;
+};
+
+/**
+ * Move each element to a new top-left position, carrying group contents along
+ */
+const repositionElements = (state: Draft<CanvasStore>, targets: TemplateElement[], positions: Array<{ x: number; y: number }>) => {
+  const deltas = targets.map((element, index) => ({
+    x: positions[index].x - element.position.x,
+    y: positions[index].y - element.position.y,
+  }));
+  targets.forEach((element, index) => {
+    translateElements(state, [element.id], deltas[index]);
+  });
+  refreshGroupBounds(state, targets.map((element) => element.parentId));
+};
+
+// Content changes that do not come with runs (the properties panel, pasted text) are carried
+// into the runs, keeping the formatting around the edit
+const syncTextRuns = (element: Draft<TemplateElement>) => {
+  if (element.type === 'text' && element.runs && getRunsText(element.runs) !== element.content) {
+    element.runs = normalizeRuns(setRunsText(element.runs, element.content), element);
+  }
+};
+
+/**
+ * Recompute the bounding box of the given groups and of every group above them.
+ * Call after moving, resizing or removing children.
+ */
+const refreshGroupBounds = (state: Draft<CanvasStore>, groupIds: Array<string | undefined>) => {
+  const elements = state.elements as TemplateElement[];
+  const ids = new Set<string>();
+  groupIds.forEach((id) => {
+    if (!id) return;
+    ids.add(id);
+    getAncestors(elements, id).forEach((group) => ids.add(group.id));
+  });
+
+  // Deepest groups first so parents see their children's updated bounds
+  Array.from(ids)
+    .map((id) => elements.find((el) => el.id === id))
+    .filter(isGroup)
+    .sort((a, b) => getAncestors(elements, b.id).length - getAncestors(elements, a.id).length)
+    .forEach((group) => {
+      const children = elements.filter((el) => group.childIds.includes(el.id));
+      if (children.length > 0) {
+        Object.assign(group, getBounds(children));
+      }
+    });
+};
+
+/**
+ * Map every descendant of a group from the group's previous box into its current one
+ */
+const scaleGroupContents = (state: Draft<CanvasStore>, group: GroupElement, previous: ElementBox) => {
+  const scaleX = group.size.width / previous.size.width;
+  const scaleY = group.size.height / previous.size.height;
+  const descendantIds = getDescendantIds(state.elements as TemplateElement[], group.id);
+
+  state.elements.forEach((element) => {
+    if (!descendantIds.includes(element.id)) return;
+    element.position = {
+      x: group.position.x + (element.position.x - previous.position.x) * scaleX,
+      y: group.position.y + (element.position.y - previous.position.y) * scaleY,
+    };
+    element.size = {
+      width: element.size.width * scaleX,
+      height: element.size.height * scaleY,
+    };
+  });
+};
+
+// Groups have no rotation or flip of their own: turning or mirroring a group applies to its
+// contents around the group center, and the group bounds then follow the contents.
+
+const rotateGroupContents = (state: Draft<CanvasStore>, group: GroupElement, degrees: number) => {
+  const center = getCenter(group);
+  const elements = state.elements as TemplateElement[];
+  const descendantIds = getDescendantIds(elements, group.id);
+
+  state.elements.forEach((element) => {
+    if (!descendantIds.includes(element.id) || isGroup(element)) return;
+    const elementCenter = rotatePoint(getCenter(element), center, degrees);
+    element.position = {
+      x: elementCenter.x - element.size.width / 2,
+      y: elementCenter.y - element.size.height / 2,
+    };
+    element.rotation = normalizeRotation((element.rotation ?? 0) + degrees);
+  });
+  refreshGroupBounds(state, [...descendantIds, group.id]);
+};
+
+const flipGroupContents = (state: Draft<CanvasStore>, group: GroupElement, axis: FlipAxis) => {
+  const center = getCenter(group);
+  const elements = state.elements as TemplateElement[];
+  const descendantIds = getDescendantIds(elements, group.id);
+
+  state.elements.forEach((element) => {
+    if (!descendantIds.includes(element.id) || isGroup(element)) return;
+    // Mirroring a rotated element reverses its rotation
+    if (axis === 'horizontal') {
+      element.position.x = 2 * center.x - element.position.x - element.size.width;
+      element.flipX = !element.flipX;
+    } else {
+      element.position.y = 2 * center.y - element.position.y - element.size.height;
+      element.flipY = !element.flipY;
+    }
+    if (element.rotation) {
+      element.rotation = normalizeRotation(-element.rotation);
+    }
+  });
+  refreshGroupBounds(state, [...descendantIds, group.id]);
+};
+
+// Renumber zIndex to follow a stacking order (back to front)
+const applyStack = (state: Draft<CanvasStore>, stack: string[]) => {
+  state.elements.forEach((element) => {
+    element.zIndex = stack.indexOf(element.id);
+  });
+};
+
+// Move each layer one step in front of (or behind) its nearest sibling. Selected neighbours
+// keep their order: the layer nearest the destination moves first and never passes another.
+const shiftLayers = (state: Draft<CanvasStore>, elementIds: string[], direction: 'forward' | 'backward') => {
+  const elements = state.elements as TemplateElement[];
+  const rootIds = elementIds.filter(
+    (id) =>
+      elements.some((el) => el.id === id) &&
+      !getAncestors(elements, id).some((group) => elementIds.includes(group.id))
+  );
+  const sign = direction === 'forward' ? -1 : 1;
+  const ordered = [...rootIds].sort((a, b) => sign * (getStackIndex(elements, a) - getStackIndex(elements, b)));
+
+  let recorded = false;
+  ordered.forEach((id) => {
+    const current = state.elements as TemplateElement[];
+    const element = current.find((el) => el.id === id);
+    const siblings = getLayerChildren(current, element?.parentId);
+    const neighbour = siblings[siblings.findIndex((el) => el.id === id) + sign];
+    if (!neighbour || rootIds.includes(neighbour.id)) return;
+
+    if (!recorded) {
+      recordHistory(state);
+      recorded = true;
+    }
+    applyStack(state, getReorderedStack(current, id, neighbour.id, direction === 'forward' ? 'above' : 'below'));
+  });
+};
+
 const createDefaultElement = (
   type: ElementType,
   position: { x: number; y: number },
@@ -50,8 +460,12 @@ const createDefaultElement = (
     const typeMap = {
       'text': 'text-field',
       'rectangle': 'background-box', 
+      'line': 'divider-line',
+      'arrow': 'callout-arrow',
+      'ellipse': 'ellipse-shape',
       'image': 'image-placeholder',
-      'table': 'data-table'
+      'table': 'data-table',
+      'group': 'element-group'
     };
     const timestamp = Date.now().toString().slice(-4); // Last 4 digits for uniqueness
     return `${typeMap[elementType]}-${timestamp}`;
@@ -92,6 +506,37 @@ const createDefaultElement = (
         strokeWidth: 2,
         cornerRadius: 0,
       };
+    case 'line':
+      // The height is only the grab area; the line runs across its middle
+      return {
+        ...baseElement,
+        type: 'line',
+        size: { width: 200, height: 20 },
+        stroke: '#2c3e50',
+        strokeWidth: 2,
+        strokeStyle: 'solid',
+      };
+    case 'arrow':
+      return {
+        ...baseElement,
+        type: 'arrow',
+        size: { width: 200, height: 30 },
+        stroke: '#2c3e50',
+        strokeWidth: 2,
+        strokeStyle: 'solid',
+        startArrowhead: 'none',
+        endArrowhead: 'triangle',
+      };
+    case 'ellipse':
+      return {
+        ...baseElement,
+        type: 'ellipse',
+        size: { width: 100, height: 100 },
+        fill: '#3498db',
+        stroke: '#2980b9',
+        strokeWidth: 2,
+        strokeStyle: 'solid',
+      };
     case 'image':
       return {
         ...baseElement,
@@ -125,108 +570,589 @@ const createDefaultElement = (
         fontSize: 12,
         fontFamily: 'Arial',
       };
+    case 'group':
+      // Bounds and children are filled in by groupElements
+      return {
+        ...baseElement,
+        type: 'group',
+        size: { width: 0, height: 0 },
+        childIds: [],
+      };
     default:
       throw new Error(`Unknown element type: ${type}`);
   }
 };
 
+const initialPage = createPage('Page 1', DEFAULT_PAGE_SIZE, [], DEFAULT_PAGE_PRESET);
+
 export const useCanvasStore = create<CanvasStore>()(
   immer((set) => ({
     elements: [],
-    selectedElementId: null,
+    pages: [initialPage],
+    fonts: [],
+    activePageId: initialPage.id,
+    selectedElementIds: [],
     editingElementId: null,
     editingTableCell: null,
+    selectedTableCell: null,
+    enteredGroupId: null,
     activeTool: 'select',
-    canvasSize: { width: 794, height: 1123 }, // A4 size at 96 DPI
+    canvasSize: DEFAULT_PAGE_SIZE,
     zoom: 1,
     snapToGrid: false,
     gridSize: 20,
+    unit: DEFAULT_UNIT,
     storageMode: getDefaultStorageMode(),
+    history: { past: [], future: [] },
+    smartGuides: [],
+    zoomFocus: null,
+    previewData: null,
+
+    undo: () =>
+      set((state) => {
+        const previous = state.history.past.pop();
+        if (!previous) return;
+        state.history.future.push(takeSnapshot(state));
+        restoreSnapshot(state, previous);
+        lastHistoryCommit = null;
+      }),
+
+    redo: () =>
+      set((state) => {
+        const next = state.history.future.pop();
+        if (!next) return;
+        state.history.past.push(takeSnapshot(state));
+        restoreSnapshot(state, next);
+        lastHistoryCommit = null;
+      }),
 
     addElement: (elementType, position) =>
       set((state) => {
+        recordHistory(state);
         const id = crypto.randomUUID();
         const newElement = createDefaultElement(elementType, position, id);
         state.elements.push(newElement);
-        state.selectedElementId = id;
+        state.selectedElementIds = [id];
         // Auto-switch back to select tool after placing element (Figma-style)
         state.activeTool = 'select';
       }),
 
-    selectElement: (elementId) =>
+    addTableFromData: (data) =>
       set((state) => {
-        state.selectedElementId = elementId;
+        if (data.length === 0 || data[0].length === 0) return;
+
+        recordHistory(state);
+        const id = crypto.randomUUID();
+        const rows = data.length;
+        const columns = data[0].length;
+        // Imported tables start centered on the page, narrowed to fit it when they are wide
+        const size = {
+          width: Math.min(columns * IMPORTED_CELL_WIDTH, state.canvasSize.width),
+          height: rows * IMPORTED_CELL_HEIGHT,
+        };
+        const position = {
+          x: Math.max(0, (state.canvasSize.width - size.width) / 2),
+          y: Math.max(0, (state.canvasSize.height - size.height) / 2),
+        };
+        const table = createDefaultElement('table', position, id) as TableElement;
+        Object.assign(table, { size, rows, columns, cells: createTableCells(data) });
+        state.elements.push(table);
+        state.selectedElementIds = [id];
+        state.activeTool = 'select';
+      }),
+
+    selectElement: (elementId, options) =>
+      set((state) => {
+        // Selecting anything outside the entered group leaves it
+        if (
+          state.enteredGroupId &&
+          (!elementId || !getAncestors(state.elements as TemplateElement[], elementId).some((group) => group.id === state.enteredGroupId))
+        ) {
+          state.enteredGroupId = null;
+        }
+
+        if (state.selectedTableCell && state.selectedTableCell.elementId !== elementId) state.selectedTableCell = null;
+
+        if (!elementId) {
+          state.selectedElementIds = [];
+        } else if (options?.additive) {
+          // Shift-click toggles membership in the selection
+          state.selectedElementIds = state.selectedElementIds.includes(elementId)
+            ? state.selectedElementIds.filter((id) => id !== elementId)
+            : [...state.selectedElementIds, elementId];
+        } else {
+          state.selectedElementIds = [elementId];
+        }
+      }),
+
+    setSelection: (elementIds) =>
+      set((state) => {
+        state.selectedElementIds = elementIds;
+        if (state.selectedTableCell && !elementIds.includes(state.selectedTableCell.elementId)) state.selectedTableCell = null;
+      }),
+
+    selectAll: () =>
+      set((state) => {
+        // Everything at the current level: inside the entered group, or the top-level elements
+        const elements = state.elements as TemplateElement[];
+        state.selectedElementIds = elements
+          .filter(
+            (el) =>
+              el.parentId === (state.enteredGroupId ?? undefined) &&
+              isElementVisible(elements, el.id) &&
+              !isElementLocked(elements, el.id)
+          )
+          .map((el) => el.id);
       }),
 
     updateElement: (elementId, updates) =>
       set((state) => {
         const element = state.elements.find((el) => el.id === elementId);
         if (element) {
+          recordHistory(state, `update:${elementId}:${Object.keys(updates).sort().join(',')}`);
           Object.assign(element, updates);
+          syncTextRuns(element);
         }
       }),
 
-    deleteElement: (elementId) =>
+    updateElements: (elementIds, updates) =>
       set((state) => {
-        state.elements = state.elements.filter((el) => el.id !== elementId);
-        if (state.selectedElementId === elementId) {
-          state.selectedElementId = null;
+        const targets = state.elements.filter((el) => elementIds.includes(el.id));
+        if (targets.length === 0) return;
+
+        const resolved = targets.map((element) =>
+          typeof updates === 'function' ? updates(element as TemplateElement) : updates
+        );
+        recordHistory(state, `update:${elementIds.join(',')}:${Object.keys(resolved[0]).sort().join(',')}`);
+        targets.forEach((element, index) => {
+          const previous = { position: { ...element.position }, size: { ...element.size } };
+          Object.assign(element, resolved[index]);
+          syncTextRuns(element);
+          // Moving or resizing a group carries its children along
+          if (isGroup(element) && (resolved[index].position || resolved[index].size)) {
+            scaleGroupContents(state, element, previous);
+          }
+        });
+        refreshGroupBounds(state, targets.map((element) => element.parentId));
+      }),
+
+    deleteElements: (elementIds) =>
+      set((state) => {
+        const elements = state.elements as TemplateElement[];
+        if (!elements.some((el) => elementIds.includes(el.id))) return;
+        recordHistory(state);
+
+        // Deleting a group deletes its contents; groups left empty are removed as well
+        const removed = new Set(expandWithDescendants(elements, elementIds));
+        let groupEmptied = true;
+        while (groupEmptied) {
+          groupEmptied = false;
+          elements.forEach((el) => {
+            if (isGroup(el) && !removed.has(el.id) && el.childIds.every((childId) => removed.has(childId))) {
+              removed.add(el.id);
+              groupEmptied = true;
+            }
+          });
+        }
+
+        const affectedGroupIds = elements
+          .filter((el) => removed.has(el.id) && el.parentId && !removed.has(el.parentId))
+          .map((el) => el.parentId);
+        state.elements = state.elements.filter((el) => !removed.has(el.id));
+        state.elements.forEach((el) => {
+          if (isGroup(el)) {
+            el.childIds = el.childIds.filter((childId) => !removed.has(childId));
+          }
+        });
+        refreshGroupBounds(state, affectedGroupIds);
+
+        state.selectedElementIds = state.selectedElementIds.filter((id) => !removed.has(id));
+        if (state.editingElementId && removed.has(state.editingElementId)) {
+          state.editingElementId = null;
+        }
+        if (state.enteredGroupId && removed.has(state.enteredGroupId)) {
+          state.enteredGroupId = null;
         }
       }),
 
-    duplicateElement: (elementId) =>
+    duplicateElements: (elementIds) =>
       set((state) => {
-        const element = state.elements.find((el) => el.id === elementId);
-        if (element) {
-          const id = crypto.randomUUID();
-          const duplicated = {
+        const elements = state.elements as TemplateElement[];
+        // Elements nested in another selected group are copied along with that group
+        const rootIds = elementIds.filter(
+          (id) =>
+            elements.some((el) => el.id === id) &&
+            !getAncestors(elements, id).some((group) => elementIds.includes(group.id))
+        );
+        if (rootIds.length === 0) return;
+
+        recordHistory(state);
+        const idMap = new Map(expandWithDescendants(elements, rootIds).map((id) => [id, crypto.randomUUID()]));
+        const copyId = (id: string) => idMap.get(id) ?? id;
+        const sources = elements
+          .filter((el) => idMap.has(el.id))
+          .sort((a, b) => a.zIndex - b.zIndex);
+
+        const baseZIndex = Date.now();
+        sources.forEach((element, index) => {
+          const copy: TemplateElement = {
             ...element,
-            id,
-            name: `${element.name}-copy`,
+            id: copyId(element.id),
+            name: getUniqueElementName(state.elements as TemplateElement[], `${element.name}-copy`, copyId(element.id)),
             position: {
               x: element.position.x + 20,
               y: element.position.y + 20,
             },
-            zIndex: Date.now(),
+            zIndex: baseZIndex + index,
           };
-          state.elements.push(duplicated);
-          state.selectedElementId = id;
+          if (element.parentId) {
+            copy.parentId = copyId(element.parentId);
+          }
+          if (isGroup(copy)) {
+            copy.childIds = copy.childIds.map(copyId);
+          }
+          state.elements.push(copy);
+        });
+
+        // Copies of nested elements join the same group as their originals
+        const parentIds = rootIds.map((id) => elements.find((el) => el.id === id)?.parentId);
+        rootIds.forEach((id, index) => {
+          const parent = state.elements.find((el) => el.id === parentIds[index]);
+          if (isGroup(parent)) {
+            parent.childIds.push(copyId(id));
+          }
+        });
+        refreshGroupBounds(state, parentIds);
+
+        state.selectedElementIds = rootIds.map(copyId);
+      }),
+
+    pasteElements: (elements, offset = { x: 0, y: 0 }) =>
+      set((state) => {
+        if (elements.length === 0) return;
+
+        recordHistory(state);
+        // Pasted elements may come from another project, so they always get fresh ids
+        const copies = cloneElements(elements);
+        const baseZIndex = Date.now();
+        copies
+          .sort((a, b) => a.zIndex - b.zIndex)
+          .forEach((copy, index) => {
+            copy.position = {
+              x: copy.position.x + offset.x,
+              y: copy.position.y + offset.y,
+            };
+            copy.zIndex = baseZIndex + index;
+            // Names key the copies' template fields, so they must not repeat those on the page
+            copy.name = getUniqueElementName(state.elements as TemplateElement[], copy.name, copy.id);
+            state.elements.push(copy);
+          });
+
+        state.selectedElementIds = copies.filter((el) => !el.parentId).map((el) => el.id);
+        state.editingElementId = null;
+        state.enteredGroupId = null;
+      }),
+
+    groupElements: (elementIds) =>
+      set((state) => {
+        const targets = state.elements.filter((el) => elementIds.includes(el.id));
+        if (targets.length < 2) return;
+
+        // Only siblings can be grouped, so the new group takes their place in the parent
+        const parentId = targets[0].parentId;
+        if (targets.some((el) => el.parentId !== parentId)) return;
+
+        recordHistory(state);
+        const id = crypto.randomUUID();
+        const group = createDefaultElement('group', { x: 0, y: 0 }, id) as GroupElement;
+        Object.assign(group, getBounds(targets as TemplateElement[]), {
+          childIds: targets.map((el) => el.id),
+          zIndex: Math.max(...targets.map((el) => el.zIndex)),
+        });
+        if (parentId) {
+          group.parentId = parentId;
+          const parent = state.elements.find((el) => el.id === parentId);
+          if (isGroup(parent)) {
+            parent.childIds = [...parent.childIds.filter((childId) => !elementIds.includes(childId)), id];
+          }
+        }
+
+        targets.forEach((el) => {
+          el.parentId = id;
+        });
+        state.elements.push(group);
+        state.selectedElementIds = [id];
+      }),
+
+    ungroupElements: (elementIds) =>
+      set((state) => {
+        const groups = state.elements.filter(
+          (el): el is Draft<GroupElement> => elementIds.includes(el.id) && isGroup(el)
+        );
+        if (groups.length === 0) return;
+
+        recordHistory(state);
+        const groupIds = groups.map((group) => group.id);
+        const releasedIds: string[] = [];
+        groups.forEach((group) => {
+          // Children move up to the group's parent, keeping their absolute positions
+          state.elements.forEach((el) => {
+            if (!group.childIds.includes(el.id)) return;
+            if (group.parentId) {
+              el.parentId = group.parentId;
+            } else {
+              delete el.parentId;
+            }
+          });
+
+          const parent = state.elements.find((el) => el.id === group.parentId);
+          if (isGroup(parent)) {
+            parent.childIds = parent.childIds.flatMap((childId) => (childId === group.id ? group.childIds : [childId]));
+          }
+          releasedIds.push(...group.childIds);
+        });
+
+        state.elements = state.elements.filter((el) => !groupIds.includes(el.id));
+        state.selectedElementIds = releasedIds.filter((id) => !groupIds.includes(id));
+        if (state.enteredGroupId && groupIds.includes(state.enteredGroupId)) {
+          state.enteredGroupId = null;
         }
       }),
 
+    enterGroup: (groupId) =>
+      set((state) => {
+        const group = state.elements.find((el) => el.id === groupId);
+        if (!isGroup(group)) return;
+        state.enteredGroupId = groupId;
+        state.selectedElementIds = [];
+      }),
+
+    exitGroup: () =>
+      set((state) => {
+        const group = state.elements.find((el) => el.id === state.enteredGroupId);
+        if (!group) return;
+        // Step out one level and leave the group selected
+        state.enteredGroupId = group.parentId ?? null;
+        state.selectedElementIds = [group.id];
+      }),
+
     setActiveTool: (tool) =>
       set((state) => {
         state.activeTool = tool;
         if (tool !== 'select') {
-          state.selectedElementId = null;
+          state.selectedElementIds = [];
         }
       }),
 
     setCanvasSize: (size) =>
       set((state) => {
+        recordHistory(state, 'canvasSize');
         state.canvasSize = size;
+        // A hand-entered size no longer matches the preset
+        const page = state.pages.find((p) => p.id === state.activePageId);
+        if (page) delete page.preset;
+      }),
+
+    addPage: () =>
+      set((state) => {
+        recordHistory(state);
+        commitActivePage(state);
+        // New pages follow the size of the page they are added after
+        const index = state.pages.findIndex((p) => p.id === state.activePageId);
+        const current = state.pages[index];
+        const page = createPage(getNextPageName(state.pages as Page[]), state.canvasSize, [], current?.preset);
+        // Margins and bleed carry over as well; guides belong to their page
+        if (current?.margins) page.margins = { ...current.margins };
+        if (current?.bleed) page.bleed = current.bleed;
+        state.pages.splice(index + 1, 0, page);
+        activatePage(state, page);
+      }),
+
+    duplicatePage: (pageId) =>
+      set((state) => {
+        commitActivePage(state);
+        const source = state.pages.find((p) => p.id === pageId);
+        if (!source) return;
+
+        recordHistory(state);
+        const page: Page = {
+          ...createPage(`${source.name} copy`, source.size, cloneElements(source.elements as TemplateElement[]), source.preset),
+          margins: source.margins && { ...source.margins },
+          bleed: source.bleed,
+          guides: source.guides?.map((guide) => ({ ...guide, id: crypto.randomUUID() })),
+        };
+        state.pages.splice(state.pages.indexOf(source) + 1, 0, page);
+        activatePage(state, page);
+      }),
+
+    deletePage: (pageId) =>
+      set((state) => {
+        // A template always keeps at least one page
+        const index = state.pages.findIndex((p) => p.id === pageId);
+        if (index === -1 || state.pages.length <= 1) return;
+
+        recordHistory(state);
+        state.pages.splice(index, 1);
+        if (pageId === state.activePageId) {
+          activatePage(state, state.pages[Math.min(index, state.pages.length - 1)]);
+        }
+      }),
+
+    movePage: (pageId, toIndex) =>
+      set((state) => {
+        const index = state.pages.findIndex((p) => p.id === pageId);
+        const target = Math.max(0, Math.min(state.pages.length - 1, toIndex));
+        if (index === -1 || index === target) return;
+
+        recordHistory(state);
+        const [page] = state.pages.splice(index, 1);
+        state.pages.splice(target, 0, page);
+      }),
+
+    renamePage: (pageId, name) =>
+      set((state) => {
+        const page = state.pages.find((p) => p.id === pageId);
+        if (!page || !name.trim()) return;
+        recordHistory(state, `renamePage:${pageId}`);
+        page.name = name.trim();
+      }),
+
+    setActivePage: (pageId) =>
+      set((state) => {
+        const page = state.pages.find((p) => p.id === pageId);
+        if (!page || pageId === state.activePageId) return;
+        commitActivePage(state);
+        activatePage(state, page);
+      }),
+
+    setPageOrientation: (orientation) =>
+      set((state) => {
+        if (getPageOrientation(state.canvasSize) === orientation) return;
+        recordHistory(state);
+        state.canvasSize = { width: state.canvasSize.height, height: state.canvasSize.width };
+        commitActivePage(state);
+      }),
+
+    setPageMargins: (margins) =>
+      set((state) => {
+        const page = state.pages.find((p) => p.id === state.activePageId);
+        if (!page) return;
+        recordHistory(state, 'pageMargins');
+        page.margins = clampMargins(margins);
+      }),
+
+    setPageBleed: (bleed) =>
+      set((state) => {
+        const page = state.pages.find((p) => p.id === state.activePageId);
+        if (!page) return;
+        recordHistory(state, 'pageBleed');
+        page.bleed = Math.max(0, bleed);
+      }),
+
+    setPageSetup: ({ size, preset, margins, bleed }) =>
+      set((state) => {
+        const page = state.pages.find((p) => p.id === state.activePageId);
+        if (!page) return;
+        recordHistory(state);
+        state.canvasSize = { width: Math.max(1, size.width), height: Math.max(1, size.height) };
+        if (preset) {
+          page.preset = preset;
+        } else {
+          delete page.preset;
+        }
+        page.margins = clampMargins(margins);
+        page.bleed = Math.max(0, bleed);
+        commitActivePage(state);
+      }),
+
+    setUnit: (unit) =>
+      set((state) => {
+        state.unit = unit;
+      }),
+
+    // The font library is project setup like the unit, so its changes are not undoable
+    addFont: (font) =>
+      set((state) => {
+        state.fonts.push(font);
+      }),
+
+    updateFont: (fontId, updates) =>
+      set((state) => {
+        const font = state.fonts.find((f) => f.id === fontId);
+        if (font) Object.assign(font, updates);
+      }),
+
+    removeFont: (fontId) =>
+      set((state) => {
+        state.fonts = state.fonts.filter((font) => font.id !== fontId);
+      }),
+
+    addGuide: (orientation, position) =>
+      set((state) => {
+        const page = state.pages.find((p) => p.id === state.activePageId);
+        if (!page) return;
+        recordHistory(state);
+        page.guides = [...(page.guides ?? []), { id: crypto.randomUUID(), orientation, position }];
+      }),
+
+    moveGuide: (guideId, position) =>
+      set((state) => {
+        const page = state.pages.find((p) => p.id === state.activePageId);
+        const guide = page?.guides?.find((g) => g.id === guideId);
+        if (!guide || guide.position === position) return;
+        recordHistory(state);
+        guide.position = position;
+      }),
+
+    removeGuide: (guideId) =>
+      set((state) => {
+        const page = state.pages.find((p) => p.id === state.activePageId);
+        if (!page?.guides?.some((g) => g.id === guideId)) return;
+        recordHistory(state);
+        page.guides = page.guides.filter((g) => g.id !== guideId);
+      }),
+
+    clearGuides: () =>
+      set((state) => {
+        const page = state.pages.find((p) => p.id === state.activePageId);
+        if (!page?.guides?.length) return;
+        recordHistory(state);
+        page.guides = [];
       }),
 
     setZoom: (zoom) =>
       set((state) => {
-        state.zoom = Math.max(0.1, Math.min(2, zoom));
+        state.zoom = clampZoom(zoom);
       }),
 
     fitToScreen: (viewport) =>
       set((state) => {
-        // Calculate zoom to fit canvas in viewport with some padding
-        const padding = 40; // 20px padding on each side
-        const availableWidth = viewport.width - padding;
-        const availableHeight = viewport.height - padding;
-        
-        const scaleX = availableWidth / state.canvasSize.width;
-        const scaleY = availableHeight / state.canvasSize.height;
-        
-        // Use the smaller scale to ensure the entire canvas fits
-        const scale = Math.min(scaleX, scaleY);
-        
-        // Clamp the zoom within our limits
-        state.zoom = Math.max(0.1, Math.min(2, scale));
+        // Fit the whole page, centered
+        state.zoom = getFitZoom(state.canvasSize, viewport);
+        state.zoomFocus = { x: state.canvasSize.width / 2, y: state.canvasSize.height / 2 };
+      }),
+
+    zoomToSelection: (viewport) =>
+      set((state) => {
+        const selected = state.elements.filter((el) => state.selectedElementIds.includes(el.id));
+        if (selected.length === 0) return;
+
+        const bounds = getBounds(selected as TemplateElement[]);
+        state.zoom = getFitZoom(bounds.size, viewport);
+        state.zoomFocus = {
+          x: bounds.position.x + bounds.size.width / 2,
+          y: bounds.position.y + bounds.size.height / 2,
+        };
+      }),
+
+    clearZoomFocus: () =>
+      set((state) => {
+        state.zoomFocus = null;
+      }),
+
+    setPreviewData: (data) =>
+      set((state) => {
+        state.previewData = data;
       }),
 
     toggleSnapToGrid: () =>
@@ -243,49 +1169,172 @@ export const useCanvasStore = create<CanvasStore>()(
       set((state) => {
         const element = state.elements.find((el) => el.id === elementId);
         if (element) {
+          // Shares a key with resizeElement so a transform (resize + move) is one undo step
+          recordHistory(state, `geometry:${elementId}`);
           if (state.snapToGrid) {
-            element.position.x = Math.round(position.x / state.gridSize) * state.gridSize;
-            element.position.y = Math.round(position.y / state.gridSize) * state.gridSize;
+            element.position.x = snapValue(position.x, state.gridSize);
+            element.position.y = snapValue(position.y, state.gridSize);
           } else {
             element.position = position;
           }
+          refreshGroupBounds(state, [element.parentId]);
         }
       }),
 
+    moveElements: (elementIds, delta) =>
+      set((state) => {
+        // Groups move with everything inside them
+        const elements = state.elements as TemplateElement[];
+        const canMove = expandWithDescendants(elements, elementIds).some((id) => !isElementLocked(elements, id));
+        if (!canMove || (delta.x === 0 && delta.y === 0)) return;
+
+        recordHistory(state, `geometry:${elementIds.join(',')}`);
+        const movedIds = translateElements(state, elementIds, delta);
+        refreshGroupBounds(state, movedIds.map((id) => elements.find((el) => el.id === id)?.parentId));
+      }),
+
+    alignElements: (elementIds, mode) =>
+      set((state) => {
+        const elements = state.elements as TemplateElement[];
+        const targets = elements.filter((el) => elementIds.includes(el.id) && !isElementLocked(elements, el.id));
+        if (targets.length === 0) return;
+
+        // A single element aligns to the canvas, several to their combined bounds
+        const boxes = targets.map(toBox);
+        const bounds = targets.length === 1
+          ? { x: 0, y: 0, width: state.canvasSize.width, height: state.canvasSize.height }
+          : unionBox(boxes);
+
+        recordHistory(state);
+        repositionElements(state, targets, alignBoxes(boxes, mode, bounds));
+      }),
+
+    distributeElements: (elementIds, axis) =>
+      set((state) => {
+        const elements = state.elements as TemplateElement[];
+        const targets = elements.filter((el) => elementIds.includes(el.id) && !isElementLocked(elements, el.id));
+        // Distributing needs an element between the two that stay put
+        if (targets.length < 3) return;
+
+        recordHistory(state);
+        repositionElements(state, targets, distributeBoxes(targets.map(toBox), axis));
+      }),
+
+    flipElements: (elementIds, axis) =>
+      set((state) => {
+        const elements = state.elements as TemplateElement[];
+        // Elements inside a selected group are mirrored along with the group
+        const targetIds = elementIds.filter(
+          (id) =>
+            elements.some((el) => el.id === id) &&
+            !isElementLocked(elements, id) &&
+            !getAncestors(elements, id).some((group) => elementIds.includes(group.id))
+        );
+        if (targetIds.length === 0) return;
+
+        recordHistory(state);
+        const parentIds: Array<string | undefined> = [];
+        targetIds.forEach((id) => {
+          const element = state.elements.find((el) => el.id === id);
+          if (!element) return;
+          if (isGroup(element)) {
+            flipGroupContents(state, element, axis);
+          } else if (axis === 'horizontal') {
+            element.flipX = !element.flipX;
+          } else {
+            element.flipY = !element.flipY;
+          }
+          parentIds.push(element.parentId);
+        });
+        refreshGroupBounds(state, parentIds);
+      }),
+
+    setSmartGuides: (guides) =>
+      set((state) => {
+        state.smartGuides = guides;
+      }),
+
     resizeElement: (elementId, size) =>
       set((state) => {
         const element = state.elements.find((el) => el.id === elementId);
         if (element) {
+          recordHistory(state, `geometry:${elementId}`);
           element.size = {
             width: Math.max(10, size.width),
             height: Math.max(10, size.height),
           };
+          refreshGroupBounds(state, [element.parentId]);
         }
       }),
 
+    transformElements: (changes) =>
+      set((state) => {
+        if (changes.length === 0) return;
+
+        recordHistory(state, `geometry:${changes.map((change) => change.id).join(',')}`);
+        const parentIds: Array<string | undefined> = [];
+        changes.forEach(({ id, position, size, rotation, flipX, flipY }) => {
+          const element = state.elements.find((el) => el.id === id);
+          if (!element) return;
+          const previous = { position: { ...element.position }, size: { ...element.size } };
+          element.size = {
+            width: Math.max(10, size.width),
+            height: Math.max(10, size.height),
+          };
+          element.position = state.snapToGrid
+            ? { x: snapValue(position.x, state.gridSize), y: snapValue(position.y, state.gridSize) }
+            : position;
+          if (isGroup(element)) {
+            scaleGroupContents(state, element, previous);
+            if (flipX) flipGroupContents(state, element, 'horizontal');
+            if (flipY) flipGroupContents(state, element, 'vertical');
+            if (normalizeRotation(rotation) !== 0) rotateGroupContents(state, element, rotation);
+            parentIds.push(element.id);
+            return;
+          }
+          // Only write the optional fields once an element has been rotated or flipped
+          if (rotation || element.rotation) element.rotation = normalizeRotation(rotation);
+          if (flipX !== Boolean(element.flipX)) element.flipX = flipX;
+          if (flipY !== Boolean(element.flipY)) element.flipY = flipY;
+          parentIds.push(element.parentId);
+        });
+        refreshGroupBounds(state, parentIds);
+      }),
+
     clearSelection: () =>
       set((state) => {
-        state.selectedElementId = null;
+        state.selectedElementIds = [];
         state.editingElementId = null; // Also exit edit mode
         state.editingTableCell = null; // Also exit table cell edit mode
+        state.selectedTableCell = null;
+        state.enteredGroupId = null;
       }),
 
     clearCanvas: () =>
       set((state) => {
         state.elements = [];
-        state.selectedElementId = null;
+        state.selectedElementIds = [];
         state.editingElementId = null;
         state.editingTableCell = null;
+        state.selectedTableCell = null;
+        state.enteredGroupId = null;
         state.activeTool = 'select';
-        // Reset to A4 default size
-        state.canvasSize = { width: 794, height: 1123 };
+        // Start over with one page set up like the current one
+        const current = state.pages.find((p) => p.id === state.activePageId);
+        const page = createPage('Page 1', state.canvasSize, [], current?.preset);
+        if (current?.margins) page.margins = { ...current.margins };
+        if (current?.bleed) page.bleed = current.bleed;
+        state.pages = [page];
+        state.activePageId = page.id;
+        state.canvasSize = page.size;
         state.zoom = 1;
+        resetHistory(state);
       }),
 
     enterEditMode: (elementId) =>
       set((state) => {
         state.editingElementId = elementId;
-        state.selectedElementId = elementId; // Keep element selected while editing
+        state.selectedElementIds = [elementId]; // Keep element selected while editing
       }),
 
     exitEditMode: () =>
@@ -296,7 +1345,8 @@ export const useCanvasStore = create<CanvasStore>()(
     enterTableCellEditMode: (elementId, row, col) =>
       set((state) => {
         state.editingTableCell = { elementId, row, col };
-        state.selectedElementId = elementId;
+        state.selectedTableCell = { elementId, row, col };
+        state.selectedElementIds = [elementId];
       }),
 
     exitTableCellEditMode: () =>
@@ -304,37 +1354,106 @@ export const useCanvasStore = create<CanvasStore>()(
         state.editingTableCell = null;
       }),
 
-    bringToFront: (elementId) =>
+    selectTableCell: (cell, options) =>
       set((state) => {
-        const element = state.elements.find((el) => el.id === elementId);
-        if (element) {
-          const maxZIndex = Math.max(...state.elements.map((el) => el.zIndex));
-          element.zIndex = maxZIndex + 1;
+        // Extending keeps the selected cell and moves the range's other corner
+        const current = state.selectedTableCell;
+        if (options?.extend && cell && current?.elementId === cell.elementId) {
+          current.end = { row: cell.row, col: cell.col };
+          return;
         }
+        state.selectedTableCell = cell;
+        if (cell) state.selectedElementIds = [cell.elementId];
+      }),
+
+    bringToFront: (elementIds) =>
+      set((state) => {
+        // Keep the relative stacking order of the moved elements (groups bring their contents)
+        const targetIds = expandWithDescendants(state.elements as TemplateElement[], elementIds);
+        const targets = state.elements
+          .filter((el) => targetIds.includes(el.id))
+          .sort((a, b) => a.zIndex - b.zIndex);
+        if (targets.length === 0) return;
+
+        recordHistory(state);
+        const maxZIndex = Math.max(...state.elements.map((el) => el.zIndex));
+        targets.forEach((element, index) => {
+          element.zIndex = maxZIndex + index + 1;
+        });
       }),
 
-    sendToBack: (elementId) =>
+    sendToBack: (elementIds) =>
+      set((state) => {
+        const targetIds = expandWithDescendants(state.elements as TemplateElement[], elementIds);
+        const targets = state.elements
+          .filter((el) => targetIds.includes(el.id))
+          .sort((a, b) => a.zIndex - b.zIndex);
+        if (targets.length === 0) return;
+
+        recordHistory(state);
+        const minZIndex = Math.min(...state.elements.map((el) => el.zIndex));
+        targets.forEach((element, index) => {
+          element.zIndex = minZIndex - targets.length + index;
+        });
+      }),
+
+    bringForward: (elementIds) =>
+      set((state) => {
+        shiftLayers(state, elementIds, 'forward');
+      }),
+
+    sendBackward: (elementIds) =>
+      set((state) => {
+        shiftLayers(state, elementIds, 'backward');
+      }),
+
+    moveLayer: (elementId, targetId, placement) =>
+      set((state) => {
+        const elements = state.elements as TemplateElement[];
+        const element = elements.find((el) => el.id === elementId);
+        const target = elements.find((el) => el.id === targetId);
+        // Layers reorder among their siblings; moving between groups is not a reorder
+        if (!element || !target || elementId === targetId || element.parentId !== target.parentId) return;
+
+        recordHistory(state);
+        applyStack(state, getReorderedStack(elements, elementId, targetId, placement));
+      }),
+
+    renameElement: (elementId, name) =>
       set((state) => {
         const element = state.elements.find((el) => el.id === elementId);
-        if (element) {
-          const minZIndex = Math.min(...state.elements.map((el) => el.zIndex));
-          element.zIndex = minZIndex - 1;
-        }
+        const safeName = toElementName(name.trim());
+        if (!element || !safeName || safeName === element.name) return;
+
+        recordHistory(state, `rename:${elementId}`);
+        element.name = getUniqueElementName(state.elements as TemplateElement[], safeName, elementId);
       }),
 
     loadCanvasState: (canvasState) =>
       set((state) => {
-        // Restore complete canvas state
-        state.elements = canvasState.elements || [];
-        state.selectedElementId = canvasState.selectedElementId || null;
+        // Restore complete canvas state. Files saved before multi-page support hold a single page.
+        const canvasSize = canvasState.canvasSize || DEFAULT_PAGE_SIZE;
+        state.pages = canvasState.pages?.length
+          ? canvasState.pages
+          : [createPage('Page 1', canvasSize, canvasState.elements || [])];
+        const activePage = state.pages.find((p) => p.id === canvasState.activePageId) ?? state.pages[0];
+        state.activePageId = activePage.id;
+        state.elements = activePage.elements;
+        state.fonts = canvasState.fonts || [];
+        state.canvasSize = activePage.size;
+        // Older project files stored a single selectedElementId
+        state.selectedElementIds = canvasState.selectedElementIds ||
+          (canvasState.selectedElementId ? [canvasState.selectedElementId] : []);
         state.editingElementId = canvasState.editingElementId || null;
+        state.enteredGroupId = canvasState.enteredGroupId || null;
         state.activeTool = canvasState.activeTool || 'select';
-        state.canvasSize = canvasState.canvasSize || { width: 794, height: 1123 }; // A4 size at 96 DPI
-        state.zoom = canvasState.zoom || 1;
+        state.zoom = clampZoom(canvasState.zoom || 1);
         state.snapToGrid = canvasState.snapToGrid || false;
         state.gridSize = canvasState.gridSize || 20;
+        state.unit = isUnit(canvasState.unit) ? canvasState.unit : DEFAULT_UNIT;
         // Storage mode defaults to environment-appropriate if not specified
         state.storageMode = canvasState.storageMode || getDefaultStorageMode();
+        resetHistory(state);
       }),
 
     setStorageMode: (mode) =>
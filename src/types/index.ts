@@ -17,22 +17,125 @@ export interface BaseElement {
   locked: boolean;
   name: string;
   zIndex: number;
+  parentId?: string; // Owning group; positions stay absolute to the canvas
+  rotation?: number; // Degrees clockwise around the element's center; position/size describe the unrotated box
+  flipX?: boolean; // Mirrored horizontally
+  flipY?: boolean; // Mirrored vertically
+  visibleWhen?: string; // Condition on the bound data, e.g. `openHouseDate`; the element is left out when it fails
 }
 
-export interface TextElement extends BaseElement {
+// Inline formatting for part of a text element; unset fields inherit the element's style
+export interface TextRunStyle {
+  bold?: boolean;
+  italic?: boolean;
+  underline?: boolean;
+  color?: string;
+  fontSize?: number;
+  link?: string; // URL the run links to
+}
+
+export interface TextRun extends TextRunStyle {
+  text: string;
+}
+
+// What happens to text that does not fit its box: wrap and clip at the box edge, shrink the
+// font size, grow the box downwards, or cut the last visible line with an ellipsis
+export type TextOverflow = 'wrap' | 'shrink' | 'grow' | 'ellipsis';
+
+// Numeric weights for fonts that have them; 'normal' and 'bold' are 400 and 700
+export type FontWeight = 'normal' | 'bold' | 100 | 200 | 300 | 400 | 500 | 600 | 700 | 800 | 900;
+
+export type TextAlign = 'left' | 'center' | 'right' | 'justify';
+
+export type VerticalAlign = 'top' | 'middle' | 'bottom';
+
+export type TextTransform = 'none' | 'uppercase' | 'lowercase' | 'capitalize';
+
+export interface TextShadow {
+  color: string;
+  blur: number;
+  offsetX: number;
+  offsetY: number;
+}
+
+// Colors are hex, optionally with an alpha byte (#rrggbbaa)
+
+export interface GradientStop {
+  offset: number; // 0-1 along the gradient
+  color: string;
+}
+
+// Linear gradients run along `angle` in CSS degrees: 0 is bottom to top, 90 left to right.
+// Radial gradients are circles from the box center to its farthest corner.
+export interface Gradient {
+  type: 'linear' | 'radial';
+  angle: number;
+  stops: GradientStop[]; // At least two
+}
+
+// A shadow cast by the element's box, like CSS box-shadow
+export interface DropShadow {
+  color: string;
+  blur: number;
+  offsetX: number;
+  offsetY: number;
+  spread: number; // Grows (or with a negative value shrinks) the shadow beyond the box
+}
+
+export interface CornerRadii {
+  topLeft: number;
+  topRight: number;
+  bottomRight: number;
+  bottomLeft: number;
+}
+
+export interface BorderSide {
+  width: number; // 0 for no border on this side
+  color: string;
+  style: StrokeStyle;
+}
+
+export interface SideBorders {
+  top: BorderSide;
+  right: BorderSide;
+  bottom: BorderSide;
+  left: BorderSide;
+}
+
+// Effects shared by rectangles, images and text boxes
+export interface BoxEffects {
+  opacity?: number; // 0-1 for the whole element; defaults to 1
+  gradient?: Gradient; // Replaces the flat fill or background color
+  shadow?: DropShadow;
+  cornerRadii?: CornerRadii; // Replaces a uniform corner radius
+  borders?: SideBorders; // Drawn inside the box; replaces a uniform stroke
+}
+
+export interface TextElement extends BaseElement, BoxEffects {
   type: 'text';
   content: string;
+  runs?: TextRun[]; // Rich text; the run texts joined always equal `content`. Absent for uniformly styled text.
   fontSize: number;
   fontFamily: string;
-  fontWeight: 'normal' | 'bold';
+  fontWeight: FontWeight;
   fontStyle: 'normal' | 'italic';
-  textAlign: 'left' | 'center' | 'right';
+  textAlign: TextAlign;
+  verticalAlign?: VerticalAlign; // Defaults to top
   color: string;
   backgroundColor?: string;
   padding: number;
+  lineHeight?: number; // Multiple of the font size; defaults to 1.2
+  letterSpacing?: number; // px added after every character
+  underline?: boolean;
+  strikethrough?: boolean;
+  textTransform?: TextTransform;
+  textShadow?: TextShadow;
+  overflow?: TextOverflow; // Defaults to wrap
+  minFontSize?: number; // Shrink-to-fit range; defaults to 6px up to the font size
+  maxFontSize?: number;
 }
 
-export interface RectangleElement extends BaseElement {
+export interface RectangleElement extends BaseElement, BoxEffects {
   type: 'rectangle';
   fill: string;
   stroke: string;
@@ -40,18 +143,111 @@ export interface RectangleElement extends BaseElement {
   cornerRadius: number;
 }
 
-export interface ImageElement extends BaseElement {
+export type StrokeStyle = 'solid' | 'dashed' | 'dotted';
+
+export type Arrowhead = 'none' | 'triangle' | 'open';
+
+// Lines and arrows run along the horizontal center of their box, from the left edge to the
+// right edge; the box height is the grab area and `rotation` sets the angle
+export interface LineElement extends BaseElement {
+  type: 'line';
+  stroke: string;
+  strokeWidth: number;
+  strokeStyle: StrokeStyle;
+}
+
+export interface ArrowElement extends BaseElement {
+  type: 'arrow';
+  stroke: string;
+  strokeWidth: number;
+  strokeStyle: StrokeStyle;
+  startArrowhead: Arrowhead;
+  endArrowhead: Arrowhead;
+}
+
+export interface EllipseElement extends BaseElement {
+  type: 'ellipse';
+  fill: string;
+  stroke: string;
+  strokeWidth: number;
+  strokeStyle: StrokeStyle;
+}
+
+// Where the picture sits, as fractions of the element box: { x: 0, y: 0, width: 1, height: 1 }
+// fills the box exactly, width 2 shows half of the picture's width. Scales with the element.
+export interface ImageCrop {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// Point of the picture kept in view when it is fitted to a box of another shape; 0-1 across
+export interface FocalPoint {
+  x: number;
+  y: number;
+}
+
+export type ImageMask = 'none' | 'rounded' | 'circle';
+
+// Applied like CSS filters: grayscale 0-1, brightness and contrast as multiples (1 leaves
+// the picture unchanged), blur in px
+export interface ImageFilters {
+  grayscale: number;
+  brightness: number;
+  contrast: number;
+  blur: number;
+}
+
+export interface ImageElement extends BaseElement, BoxEffects {
   type: 'image';
   src: string;
   opacity: number;
   fit: 'fill' | 'contain' | 'cover' | 'stretch';
+  crop?: ImageCrop; // Replaces the fit
+  focalPoint?: FocalPoint; // Positions contained and covering pictures; defaults to the center
+  mask?: ImageMask; // Defaults to none
+  maskRadius?: number; // Corner radius of the rounded mask
+  filters?: ImageFilters;
+}
+
+// Overrides of the table's look for one cell
+export interface TableCellStyle {
+  textAlign?: 'left' | 'center' | 'right';
+  verticalAlign?: VerticalAlign;
+  background?: string;
+  textColor?: string;
+  fontFamily?: string;
+  fontSize?: number;
+  fontWeight?: 'normal' | 'bold';
+  fontStyle?: 'normal' | 'italic';
+  borderColor?: string;
+  borderWidth?: number;
+}
+
+export interface TableCell {
+  content: string;
+  isHeader: boolean;
+  // Merges the cells to the right and below; they stay in cells but are not shown
+  colSpan?: number;
+  rowSpan?: number;
+  style?: TableCellStyle;
+}
+
+export interface TableRepeat {
+  source: string; // Array variable bound to the template row, e.g. comparables
+  templateRow: number; // Rows above are header rows and rows below footer rows, rendered once
+  stripeBackground?: string; // Background of every other item row
+  emptyText?: string; // Row shown instead of the items when the array is empty
 }
 
 export interface TableElement extends BaseElement {
   type: 'table';
   rows: number;
   columns: number;
-  cells: Array<Array<{ content: string; isHeader: boolean }>>;
+  cells: TableCell[][];
+  columnWidths?: number[]; // px; scaled to the table's width, equal columns when unset
+  rowHeights?: number[]; // px; scaled to the table's height, equal rows when unset
   cellPadding: number;
   borderWidth: number;
   borderColor: string;
@@ -60,25 +256,90 @@ export interface TableElement extends BaseElement {
   textColor: string;
   fontSize: number;
   fontFamily: string;
+  repeat?: TableRepeat; // Repeats the template row once per item of an array variable
 }
 
-export type TemplateElement = TextElement | RectangleElement | ImageElement | TableElement;
+export interface GroupElement extends BaseElement {
+  type: 'group';
+  childIds: string[]; // Direct children; position/size track the children's bounding box
+}
+
+export type TemplateElement =
+  | TextElement
+  | RectangleElement
+  | LineElement
+  | ArrowElement
+  | EllipseElement
+  | ImageElement
+  | TableElement
+  | GroupElement;
 
-export type ElementType = 'text' | 'rectangle' | 'image' | 'table';
+export type ElementType = 'text' | 'rectangle' | 'line' | 'arrow' | 'ellipse' | 'image' | 'table' | 'group';
 
-export type ToolType = 'select' | 'text' | 'rectangle' | 'image' | 'table';
+export type ToolType = 'select' | 'text' | 'rectangle' | 'line' | 'arrow' | 'ellipse' | 'image' | 'table';
 
 export type StorageMode = 'local' | 'cloud';
 
-export interface CanvasState {
+export type PageOrientation = 'portrait' | 'landscape';
+
+// Display unit for lengths; the document itself is always stored in px
+export type Unit = 'px' | 'mm' | 'in' | 'pt';
+
+// A ruler guide; `position` is x for vertical guides and y for horizontal ones
+export interface Guide {
+  id: string;
+  orientation: 'vertical' | 'horizontal';
+  position: number;
+}
+
+export interface PageMargins {
+  top: number;
+  right: number;
+  bottom: number;
+  left: number;
+}
+
+export interface Page {
+  id: string;
+  name: string;
+  size: Size;
+  orientation: PageOrientation;
   elements: TemplateElement[];
-  selectedElementId: string | null;
+  preset?: string; // Page size preset id (see PAGE_PRESETS); absent for custom sizes
+  margins?: PageMargins; // Safe zone inside the page edge
+  bleed?: number; // Print bleed beyond the page edge
+  guides?: Guide[];
+}
+
+// File formats the font library accepts, named as in CSS format() hints
+export type FontFormat = 'woff2' | 'truetype';
+
+// An uploaded web font. Text elements use it by family name; a family can have several
+// faces for different weights and styles.
+export interface FontAsset {
+  id: string;
+  family: string;
+  src: string; // Data URL in development, S3 URL once uploaded, blob URL until the project is saved
+  format: FontFormat;
+  weight: FontWeight;
+  style: 'normal' | 'italic';
+  filename: string;
+}
+
+export interface CanvasState {
+  elements: TemplateElement[]; // Elements of the active page
+  pages: Page[]; // The active page's entry is synced from elements/canvasSize on save and page switch
+  fonts: FontAsset[]; // The project's font library
+  activePageId: string;
+  selectedElementIds: string[];
   editingElementId: string | null; // For text editing mode
+  enteredGroupId: string | null; // Group opened for editing its children
   activeTool: ToolType;
-  canvasSize: Size;
+  canvasSize: Size; // Size of the active page
   zoom: number;
   snapToGrid: boolean;
   gridSize: number;
+  unit: Unit; // Unit lengths are shown and entered in
   storageMode: StorageMode;
 }
 
@@ -0,0 +1,151 @@
+import type { TemplateElement, Position, Size } from '../types';
+
+export interface Box {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export type AlignMode = 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom';
+export type DistributeAxis = 'horizontal' | 'vertical';
+
+// A guide line drawn across the canvas while snapping; `position` is x for vertical lines, y for horizontal
+export interface SmartGuide {
+  orientation: 'vertical' | 'horizontal';
+  position: number;
+}
+
+export interface SnapLines {
+  vertical: number[];
+  horizontal: number[];
+}
+
+// Snap distance in screen pixels; divide by zoom for canvas units
+export const SMART_GUIDE_THRESHOLD = 6;
+
+export const toBox = (element: Pick<TemplateElement, 'position' | 'size'>): Box => ({
+  x: element.position.x,
+  y: element.position.y,
+  width: element.size.width,
+  height: element.size.height,
+});
+
+/**
+ * Bounding box of several boxes
+ */
+export const unionBox = (boxes: Box[]): Box => {
+  const minX = Math.min(...boxes.map((box) => box.x));
+  const minY = Math.min(...boxes.map((box) => box.y));
+  const maxX = Math.max(...boxes.map((box) => box.x + box.width));
+  const maxY = Math.max(...boxes.map((box) => box.y + box.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+/**
+ * New top-left positions that align each box to an edge or center of `bounds`
+ */
+export const alignBoxes = (boxes: Box[], mode: AlignMode, bounds: Box): Position[] =>
+  boxes.map((box) => {
+    switch (mode) {
+      case 'left':
+        return { x: bounds.x, y: box.y };
+      case 'center':
+        return { x: bounds.x + (bounds.width - box.width) / 2, y: box.y };
+      case 'right':
+        return { x: bounds.x + bounds.width - box.width, y: box.y };
+      case 'top':
+        return { x: box.x, y: bounds.y };
+      case 'middle':
+        return { x: box.x, y: bounds.y + (bounds.height - box.height) / 2 };
+      case 'bottom':
+        return { x: box.x, y: bounds.y + bounds.height - box.height };
+    }
+  });
+
+/**
+ * New top-left positions that leave equal gaps between boxes along an axis.
+ * The outermost boxes stay in place; positions are returned in input order.
+ */
+export const distributeBoxes = (boxes: Box[], axis: DistributeAxis): Position[] => {
+  const start = (box: Box) => (axis === 'horizontal' ? box.x : box.y);
+  const length = (box: Box) => (axis === 'horizontal' ? box.width : box.height);
+
+  const order = boxes.map((_, index) => index).sort((a, b) => start(boxes[a]) - start(boxes[b]));
+  const first = boxes[order[0]];
+  const last = boxes[order[order.length - 1]];
+  const span = start(last) + length(last) - start(first);
+  const gap = (span - boxes.reduce((total, box) => total + length(box), 0)) / Math.max(1, boxes.length - 1);
+
+  const positions: Position[] = boxes.map((box) => ({ x: box.x, y: box.y }));
+  let cursor = start(first);
+  order.forEach((index) => {
+    const box = boxes[index];
+    positions[index] = axis === 'horizontal' ? { x: cursor, y: box.y } : { x: box.x, y: cursor };
+    cursor += length(box) + gap;
+  });
+  return positions;
+};
+
+/**
+ * Lines other elements offer for snapping: their edges and centers, plus the canvas center
+ * and any page lines (margins, bleed, ruler guides)
+ */
+export const getSnapLines = (
+  boxes: Box[],
+  canvasSize: Size,
+  pageLines: SnapLines = { vertical: [], horizontal: [] }
+): SnapLines => ({
+  vertical: [
+    canvasSize.width / 2,
+    ...pageLines.vertical,
+    ...boxes.flatMap((box) => [box.x, box.x + box.width / 2, box.x + box.width]),
+  ],
+  horizontal: [
+    canvasSize.height / 2,
+    ...pageLines.horizontal,
+    ...boxes.flatMap((box) => [box.y, box.y + box.height / 2, box.y + box.height]),
+  ],
+});
+
+// Closest line to any of the candidate coordinates, within the threshold
+const findSnap = (candidates: number[], lines: number[], threshold: number) => {
+  let best: { offset: number; line: number } | null = null;
+  for (const candidate of candidates) {
+    for (const line of lines) {
+      const offset = line - candidate;
+      if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+        best = { offset, line };
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Offset that snaps a moving box's edges or center onto the nearest lines, and the guides to draw
+ */
+export const snapBox = (box: Box, lines: SnapLines, threshold: number): { offset: Position; guides: SmartGuide[] } => {
+  const snapX = findSnap([box.x, box.x + box.width / 2, box.x + box.width], lines.vertical, threshold);
+  const snapY = findSnap([box.y, box.y + box.height / 2, box.y + box.height], lines.horizontal, threshold);
+
+  const guides: SmartGuide[] = [];
+  if (snapX) guides.push({ orientation: 'vertical', position: snapX.line });
+  if (snapY) guides.push({ orientation: 'horizontal', position: snapY.line });
+
+  return {
+    offset: { x: snapX?.offset ?? 0, y: snapY?.offset ?? 0 },
+    guides,
+  };
+};
+
+/**
+ * Snap a single point (e.g. a resize handle) onto the nearest lines
+ */
+export const snapPoint = (point: Position, lines: SnapLines, threshold: number): { position: Position; guides: SmartGuide[] } => {
+  const { offset, guides } = snapBox({ x: point.x, y: point.y, width: 0, height: 0 }, lines, threshold);
+  return {
+    position: { x: point.x + offset.x, y: point.y + offset.y },
+    guides,
+  };
+};
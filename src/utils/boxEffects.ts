@@ -0,0 +1,167 @@
+import type {
+  DropShadow,
+  Gradient,
+  ImageElement,
+  RectangleElement,
+  SideBorders,
+  Size,
+  TemplateElement,
+  TextElement,
+} from '../types';
+import { getDashArray, getLineCap } from './shapes';
+
+// Gradients, opacity, drop shadows, per-corner radii and per-side borders of rectangles,
+// images and text boxes, shared by the canvas, the page thumbnails and the HTML export.
+// The API's generators write the same CSS (integration-api/utils/box-style.js).
+
+export type BoxElement = TextElement | RectangleElement | ImageElement;
+
+export const CORNERS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'] as const;
+
+export const BORDER_SIDES = ['top', 'right', 'bottom', 'left'] as const;
+
+export const DEFAULT_GRADIENT: Gradient = {
+  type: 'linear',
+  angle: 180,
+  stops: [
+    { offset: 0, color: '#ffffff' },
+    { offset: 1, color: '#2196f3' },
+  ],
+};
+
+export const DEFAULT_DROP_SHADOW: DropShadow = { color: '#00000040', blur: 8, offsetX: 0, offsetY: 4, spread: 0 };
+
+export const hasBoxEffects = (element: TemplateElement): element is BoxElement =>
+  element.type === 'text' || element.type === 'rectangle' || element.type === 'image';
+
+/**
+ * Corner radii clockwise from the top left. Radii too large for the box are scaled down
+ * together, the way CSS does it.
+ */
+export const getCornerRadii = (element: BoxElement, size: Size = element.size): number[] => {
+  const uniform = element.type === 'rectangle' ? element.cornerRadius : 0;
+  const radii = CORNERS.map((corner) => Math.max(0, element.cornerRadii ? element.cornerRadii[corner] : uniform));
+  const [topLeft, topRight, bottomRight, bottomLeft] = radii;
+  const scale = Math.min(
+    1,
+    ...[
+      [size.width, topLeft + topRight],
+      [size.width, bottomLeft + bottomRight],
+      [size.height, topLeft + bottomLeft],
+      [size.height, topRight + bottomRight],
+    ].map(([side, sum]) => (sum > 0 ? side / sum : 1))
+  );
+  return radii.map((radius) => radius * scale);
+};
+
+const getSortedStops = (gradient: Gradient) => [...gradient.stops].sort((a, b) => a.offset - b.offset);
+
+/**
+ * Konva fill props drawing a gradient across a box, matching the CSS gradient
+ */
+export const getGradientFillProps = (gradient: Gradient, size: Size) => {
+  const colorStops = getSortedStops(gradient).flatMap((stop) => [stop.offset, stop.color]);
+  const center = { x: size.width / 2, y: size.height / 2 };
+
+  if (gradient.type === 'radial') {
+    return {
+      fillRadialGradientStartPoint: center,
+      fillRadialGradientEndPoint: center,
+      fillRadialGradientStartRadius: 0,
+      fillRadialGradientEndRadius: Math.hypot(size.width, size.height) / 2,
+      fillRadialGradientColorStops: colorStops,
+    };
+  }
+
+  // Like CSS, the gradient line is just long enough for the corners to get the end colors
+  const radians = (gradient.angle * Math.PI) / 180;
+  const dx = Math.sin(radians);
+  const dy = -Math.cos(radians);
+  const half = (Math.abs(size.width * dx) + Math.abs(size.height * dy)) / 2;
+  return {
+    fillLinearGradientStartPoint: { x: center.x - dx * half, y: center.y - dy * half },
+    fillLinearGradientEndPoint: { x: center.x + dx * half, y: center.y + dy * half },
+    fillLinearGradientColorStops: colorStops,
+  };
+};
+
+export interface BorderShape {
+  points: number[];
+  closed: boolean; // Solid borders are filled trapezoids, dashed and dotted ones stroked lines
+  color: string;
+  width: number;
+  dash: number[];
+  lineCap: 'round' | 'butt';
+}
+
+/**
+ * Shapes drawing per-side borders inside a box. Solid sides meet in mitered corners like
+ * CSS borders; dashed and dotted sides run along the middle of their border.
+ */
+export const getBorderShapes = (borders: SideBorders, size: Size): BorderShape[] => {
+  const { width: w, height: h } = size;
+  const t = borders.top.width;
+  const r = borders.right.width;
+  const b = borders.bottom.width;
+  const l = borders.left.width;
+  const sides = {
+    top: { trapezoid: [0, 0, w, 0, w - r, t, l, t], line: [0, t / 2, w, t / 2] },
+    right: { trapezoid: [w, 0, w, h, w - r, h - b, w - r, t], line: [w - r / 2, 0, w - r / 2, h] },
+    bottom: { trapezoid: [w, h, 0, h, l, h - b, w - r, h - b], line: [w, h - b / 2, 0, h - b / 2] },
+    left: { trapezoid: [0, h, 0, 0, l, t, l, h - b], line: [l / 2, h, l / 2, 0] },
+  };
+
+  return BORDER_SIDES.filter((side) => borders[side].width > 0).map((side) => {
+    const border = borders[side];
+    const solid = border.style === 'solid';
+    return {
+      points: solid ? sides[side].trapezoid : sides[side].line,
+      closed: solid,
+      color: border.color,
+      width: border.width,
+      dash: getDashArray(border.style, border.width),
+      lineCap: getLineCap(border.style),
+    };
+  });
+};
+
+export const getGradientCss = (gradient: Gradient): string => {
+  const stops = getSortedStops(gradient)
+    .map((stop) => `${stop.color} ${Math.round(stop.offset * 1000) / 10}%`)
+    .join(', ');
+  return gradient.type === 'radial'
+    ? `radial-gradient(circle farthest-corner at center, ${stops})`
+    : `linear-gradient(${gradient.angle}deg, ${stops})`;
+};
+
+/**
+ * CSS declarations for an element's box effects. They follow the flat fill, border and radius
+ * declarations and override them.
+ */
+export const getBoxEffectsCss = (element: BoxElement): string[] => {
+  const styles: string[] = [];
+
+  if (element.opacity !== undefined && element.opacity < 1) {
+    styles.push(`opacity: ${element.opacity}`);
+  }
+  if (element.gradient) {
+    styles.push(`background: ${getGradientCss(element.gradient)}`);
+  }
+  if (element.shadow) {
+    const { offsetX, offsetY, blur, spread, color } = element.shadow;
+    styles.push(`box-shadow: ${offsetX}px ${offsetY}px ${blur}px ${spread}px ${color}`);
+  }
+  if (element.cornerRadii) {
+    const radii = element.cornerRadii;
+    styles.push(`border-radius: ${CORNERS.map((corner) => `${radii[corner]}px`).join(' ')}`);
+  }
+  if (element.borders) {
+    const borders = element.borders;
+    BORDER_SIDES.forEach((side) => {
+      const border = borders[side];
+      styles.push(`border-${side}: ${border.width > 0 ? `${border.width}px ${border.style} ${border.color}` : 'none'}`);
+    });
+  }
+
+  return styles;
+};
@@ -0,0 +1,112 @@
+import type { TemplateElement } from '../types';
+import { getAncestors, expandWithDescendants } from './groups';
+import { formatDelimited } from './tableData';
+
+// Copied elements travel through the system clipboard, so they can be pasted into another
+// tab or project. The TB365 envelope goes under its own MIME type; text/plain carries the
+// text content for other applications, or the envelope itself when there is no text.
+
+export const CLIPBOARD_MIME_TYPE = 'application/x-tb365+json';
+const CLIPBOARD_FORMAT = 'tb365/elements';
+const CLIPBOARD_VERSION = 1;
+
+export interface ClipboardPayload {
+  format: typeof CLIPBOARD_FORMAT;
+  version: number;
+  copyId: string;
+  elements: TemplateElement[];
+}
+
+/**
+ * Payload for the selected elements. Groups bring their contents along, and elements
+ * whose group is not copied become top-level.
+ */
+export const createClipboardPayload = (
+  elements: TemplateElement[],
+  elementIds: string[]
+): ClipboardPayload | null => {
+  const rootIds = elementIds.filter(
+    (id) =>
+      elements.some((el) => el.id === id) &&
+      !getAncestors(elements, id).some((group) => elementIds.includes(group.id))
+  );
+  if (rootIds.length === 0) return null;
+
+  const copiedIds = new Set(expandWithDescendants(elements, rootIds));
+  const copied = elements
+    .filter((el) => copiedIds.has(el.id))
+    .sort((a, b) => a.zIndex - b.zIndex)
+    .map((el) => {
+      const copy: TemplateElement = { ...el };
+      if (rootIds.includes(el.id)) {
+        delete copy.parentId;
+      }
+      return copy;
+    });
+
+  return {
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    copyId: crypto.randomUUID(),
+    elements: copied,
+  };
+};
+
+/**
+ * Plain-text rendering of copied elements for pasting outside the editor
+ */
+export const getClipboardText = (payload: ClipboardPayload): string =>
+  payload.elements
+    .map((element) => {
+      switch (element.type) {
+        case 'text':
+          return element.content;
+        case 'table':
+          return formatDelimited(element);
+        default:
+          return null;
+      }
+    })
+    .filter((text): text is string => Boolean(text))
+    .join('\n\n');
+
+/**
+ * Read a TB365 payload back from clipboard text; anything else yields null
+ */
+export const parseClipboardPayload = (data: string): ClipboardPayload | null => {
+  try {
+    const payload = JSON.parse(data);
+    if (
+      payload?.format !== CLIPBOARD_FORMAT ||
+      typeof payload.version !== 'number' ||
+      payload.version > CLIPBOARD_VERSION ||
+      !Array.isArray(payload.elements)
+    ) {
+      return null;
+    }
+
+    const elements = payload.elements.filter(
+      (el: Partial<TemplateElement>) =>
+        typeof el?.id === 'string' && typeof el.type === 'string' && el.position && el.size
+    );
+    return elements.length > 0 ? { ...payload, elements } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Fill a copy/cut event's clipboard with the payload
+ */
+export const writeClipboardData = (clipboardData: DataTransfer, payload: ClipboardPayload) => {
+  const json = JSON.stringify(payload);
+  clipboardData.setData(CLIPBOARD_MIME_TYPE, json);
+  clipboardData.setData('text/plain', getClipboardText(payload) || json);
+};
+
+/**
+ * TB365 payload from a paste event, if the clipboard holds one
+ */
+export const readClipboardData = (clipboardData: DataTransfer): ClipboardPayload | null =>
+  parseClipboardPayload(clipboardData.getData(CLIPBOARD_MIME_TYPE)) ??
+  parseClipboardPayload(clipboardData.getData('text/plain'));
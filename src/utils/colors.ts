@@ -0,0 +1,29 @@
+// Colors are stored as hex, with an alpha byte (#rrggbbaa) when they are not fully opaque.
+// Browsers, Konva and the HTML export all understand both forms.
+
+export interface ColorValue {
+  hex: string; // #rrggbb, as color inputs take it
+  alpha: number; // 0-1
+}
+
+/**
+ * Split a stored color into its opaque hex and alpha. 'transparent' is white at zero alpha;
+ * anything unreadable is opaque black.
+ */
+export const parseColor = (color: string): ColorValue => {
+  if (color === 'transparent') return { hex: '#ffffff', alpha: 0 };
+  const match = /^#([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(color);
+  if (!match) return { hex: '#000000', alpha: 1 };
+  return {
+    hex: `#${match[1].toLowerCase()}`,
+    alpha: match[2] ? parseInt(match[2], 16) / 255 : 1,
+  };
+};
+
+/**
+ * Join an opaque hex and an alpha into a stored color; opaque colors keep the short form
+ */
+export const formatColor = (hex: string, alpha: number): string => {
+  const byte = Math.round(Math.min(1, Math.max(0, alpha)) * 255);
+  return byte === 255 ? hex : `${hex}${byte.toString(16).padStart(2, '0')}`;
+};
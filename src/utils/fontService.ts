@@ -0,0 +1,140 @@
+import { isDevelopment, CONFIG } from '../config/environment';
+import type { FontAsset } from '../types';
+import { describeFontFile, getFontFormat } from './fonts';
+
+export interface UploadFontResult {
+  success: boolean;
+  fontUrl: string;
+  filename: string;
+  error?: string;
+}
+
+class FontService {
+  // Font files are usually well below this; larger ones bloat every exported document
+  private readonly MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+
+  /**
+   * Check a font file before adding it to the library
+   */
+  validateFontFile(file: File): string | null {
+    if (!getFontFormat(file.name)) {
+      return 'Please upload a WOFF2 or TTF font file.';
+    }
+    if (file.size > this.MAX_FILE_SIZE) {
+      const sizeMB = (this.MAX_FILE_SIZE / (1024 * 1024)).toFixed(1);
+      return `Font file is too large. Maximum size is ${sizeMB}MB.`;
+    }
+    return null;
+  }
+
+  private async makeAuthenticatedRequest(url: string, options: RequestInit = {}): Promise<Response> {
+    const token = localStorage.getItem('tb365_token');
+
+    const headers = {
+      ...options.headers,
+      ...(token && { 'Authorization': `Bearer ${token}` })
+    };
+
+    return fetch(url, {
+      ...options,
+      headers
+    });
+  }
+
+  /**
+   * Create a library entry for a font file, with its family, weight and style guessed from
+   * the file name
+   * Dev: Base64 data URL, so the font travels inside the project file
+   * Stage/Prod: blob URL until the project is saved to the cloud
+   */
+  async createFontAsset(file: File): Promise<FontAsset> {
+    const error = this.validateFontFile(file);
+    const format = getFontFormat(file.name);
+    if (error || !format) {
+      throw new Error(error ?? 'Unsupported font file.');
+    }
+
+    const src = isDevelopment() ? await this.convertToDataUrl(file) : URL.createObjectURL(file);
+    return { id: crypto.randomUUID(), ...describeFontFile(file.name), src, format, filename: file.name };
+  }
+
+  /**
+   * Upload a font file to the project's font folder, next to its images
+   * Dev: Convert to Base64 data URL instead
+   */
+  async uploadFontToProject(file: File, projectName: string): Promise<UploadFontResult> {
+    if (isDevelopment()) {
+      return {
+        success: true,
+        fontUrl: await this.convertToDataUrl(file),
+        filename: file.name
+      };
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append('font', file);
+
+      const response = await this.makeAuthenticatedRequest(
+        `${CONFIG.API_ENDPOINT}/api/projects/${projectName}/fonts/upload`,
+        {
+          method: 'POST',
+          body: formData
+        }
+      );
+
+      const result = await response.json();
+
+      if (result.success) {
+        return {
+          success: true,
+          fontUrl: result.fontUrl,
+          filename: result.filename
+        };
+      } else {
+        throw new Error(result.error || 'Upload failed');
+      }
+    } catch (error) {
+      console.error('Font upload failed:', error);
+      throw new Error(`Failed to upload font: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  /**
+   * Fonts with blob URLs as data URLs, for sending the project to the converter. Blob URLs
+   * only exist in this browser tab.
+   */
+  async embedBlobFonts(fonts: FontAsset[]): Promise<FontAsset[]> {
+    return Promise.all(
+      fonts.map(async (font) => {
+        if (!this.isBlobUrl(font.src)) return font;
+        const blob = await (await fetch(font.src)).blob();
+        return { ...font, src: await this.convertToDataUrl(blob) };
+      })
+    );
+  }
+
+  /**
+   * Convert blob URL back to File for uploading
+   */
+  async blobToFile(blobUrl: string, filename: string): Promise<File> {
+    const response = await fetch(blobUrl);
+    const blob = await response.blob();
+    return new File([blob], filename, { type: blob.type });
+  }
+
+  isBlobUrl(url: string): boolean {
+    return url.startsWith('blob:');
+  }
+
+  private async convertToDataUrl(file: Blob): Promise<string> {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result as string);
+      reader.onerror = () => reject(new Error('Failed to read font file'));
+      reader.readAsDataURL(file);
+    });
+  }
+}
+
+export const fontService = new FontService();
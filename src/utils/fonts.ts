@@ -0,0 +1,103 @@
+import type { FontAsset, FontFormat, FontWeight } from '../types';
+import { getFontWeightValue } from './typography';
+
+// Font families offered without uploading anything; they are not embedded in exports
+export const SYSTEM_FONTS = ['Arial', 'Helvetica', 'Times New Roman', 'Georgia', 'Verdana'];
+
+const FONT_FORMATS: Record<string, FontFormat> = {
+  woff2: 'woff2',
+  ttf: 'truetype',
+};
+
+export const FONT_FILE_ACCEPT = '.woff2,.ttf';
+
+export const getFontFormat = (filename: string): FontFormat | null =>
+  FONT_FORMATS[filename.split('.').pop()?.toLowerCase() ?? ''] ?? null;
+
+// Weight names foundries put at the end of file names, e.g. BrandSans-SemiBoldItalic.woff2
+const WEIGHT_NAMES: Record<string, FontWeight> = {
+  thin: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 'normal',
+  book: 'normal',
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 'bold',
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900,
+};
+
+/**
+ * Guess a font file's family, weight and style from its name. The guess only prefills the
+ * font library form; the user can correct it.
+ */
+export const describeFontFile = (filename: string): Pick<FontAsset, 'family' | 'weight' | 'style'> => {
+  const name = filename.replace(/\.[^.]+$/, '');
+  const separator = name.lastIndexOf('-');
+  let suffix = separator > 0 ? name.slice(separator + 1).toLowerCase() : '';
+
+  const style = suffix.endsWith('italic') ? 'italic' : 'normal';
+  if (style === 'italic') suffix = suffix.slice(0, -'italic'.length);
+  const weight = Object.hasOwn(WEIGHT_NAMES, suffix) ? WEIGHT_NAMES[suffix] : undefined;
+
+  // Only strip the suffix when it really named a weight or style
+  const recognized = weight !== undefined || (style === 'italic' && suffix === '');
+  const family = (recognized ? name.slice(0, separator) : name)
+    .replace(/[_-]+/g, ' ')
+    .trim();
+
+  return { family: family || name, weight: weight ?? 'normal', style };
+};
+
+/**
+ * Family names in the library, each once, for font pickers
+ */
+export const getFontFamilies = (fonts: FontAsset[]): string[] =>
+  [...new Set(fonts.map((font) => font.family))].sort((a, b) => a.localeCompare(b));
+
+// Faces added to the document, by font id, with the settings they were created from
+const documentFaces = new Map<string, { key: string; face: FontFace }>();
+
+const getFaceKey = (font: FontAsset) => `${font.family}|${font.weight}|${font.style}|${font.src}`;
+
+/**
+ * Make the library's fonts available to the canvas, the text editor and the page
+ * thumbnails. Faces of removed or edited fonts are taken out of the document again.
+ * Resolves once every face has loaded or failed.
+ */
+export const loadFontFaces = async (fonts: FontAsset[]): Promise<void> => {
+  const wanted = new Map(fonts.map((font) => [font.id, font]));
+  documentFaces.forEach(({ key, face }, id) => {
+    const font = wanted.get(id);
+    if (!font || getFaceKey(font) !== key) {
+      document.fonts.delete(face);
+      documentFaces.delete(id);
+    }
+  });
+
+  await Promise.all(
+    // A family being renamed can be blank for a moment
+    fonts.filter((font) => font.family.trim()).map(async (font) => {
+      let entry = documentFaces.get(font.id);
+      if (!entry) {
+        const face = new FontFace(font.family, `url(${JSON.stringify(font.src)})`, {
+          weight: String(getFontWeightValue(font.weight)),
+          style: font.style,
+        });
+        entry = { key: getFaceKey(font), face };
+        documentFaces.set(font.id, entry);
+        document.fonts.add(face);
+      }
+      try {
+        await entry.face.load();
+      } catch (error) {
+        console.error(`Failed to load font ${font.family} (${font.filename}):`, error);
+      }
+    })
+  );
+};
@@ -0,0 +1,85 @@
+import type { TemplateElement, GroupElement, Position, Size } from '../types';
+
+// Groups use a flat model: every element stays in `elements` with absolute canvas
+// coordinates, a group lists its direct children in `childIds` and each child points
+// back through `parentId`.
+
+export const isGroup = (element: TemplateElement | undefined): element is GroupElement =>
+  element?.type === 'group';
+
+/**
+ * Ids of every element nested under the given group (children, grandchildren, ...)
+ */
+export const getDescendantIds = (elements: TemplateElement[], groupId: string): string[] => {
+  const group = elements.find((el) => el.id === groupId);
+  if (!isGroup(group)) return [];
+
+  return group.childIds.flatMap((childId) => [childId, ...getDescendantIds(elements, childId)]);
+};
+
+/**
+ * Chain of ancestors from the element's direct parent up to the top-level group
+ */
+export const getAncestors = (elements: TemplateElement[], elementId: string): GroupElement[] => {
+  const ancestors: GroupElement[] = [];
+  let current = elements.find((el) => el.id === elementId);
+
+  while (current?.parentId) {
+    const parent = elements.find((el) => el.id === current?.parentId);
+    if (!isGroup(parent) || ancestors.includes(parent)) break;
+    ancestors.push(parent);
+    current = parent;
+  }
+
+  return ancestors;
+};
+
+/**
+ * Element a click on `elementId` should select. Outside an entered group this is the
+ * top-level group containing the element; inside it is the entered group's direct child.
+ */
+export const getSelectionTarget = (
+  elements: TemplateElement[],
+  elementId: string,
+  enteredGroupId: string | null
+): string => {
+  const chain = [elementId, ...getAncestors(elements, elementId).map((group) => group.id)];
+  const enteredIndex = enteredGroupId ? chain.indexOf(enteredGroupId) : -1;
+
+  if (enteredIndex > 0) {
+    return chain[enteredIndex - 1];
+  }
+  return chain[chain.length - 1];
+};
+
+/**
+ * Expand a list of ids with the descendants of any groups in it (no duplicates)
+ */
+export const expandWithDescendants = (elements: TemplateElement[], elementIds: string[]): string[] =>
+  Array.from(new Set(elementIds.flatMap((id) => [id, ...getDescendantIds(elements, id)])));
+
+// A locked or hidden group locks or hides everything inside it
+export const isElementLocked = (elements: TemplateElement[], elementId: string): boolean => {
+  const element = elements.find((el) => el.id === elementId);
+  return Boolean(element?.locked) || getAncestors(elements, elementId).some((group) => group.locked);
+};
+
+export const isElementVisible = (elements: TemplateElement[], elementId: string): boolean => {
+  const element = elements.find((el) => el.id === elementId);
+  return Boolean(element?.visible) && getAncestors(elements, elementId).every((group) => group.visible);
+};
+
+/**
+ * Bounding box around a set of elements
+ */
+export const getBounds = (elements: TemplateElement[]): { position: Position; size: Size } => {
+  const minX = Math.min(...elements.map((el) => el.position.x));
+  const minY = Math.min(...elements.map((el) => el.position.y));
+  const maxX = Math.max(...elements.map((el) => el.position.x + el.size.width));
+  const maxY = Math.max(...elements.map((el) => el.position.y + el.size.height));
+
+  return {
+    position: { x: minX, y: minY },
+    size: { width: maxX - minX, height: maxY - minY },
+  };
+};
@@ -0,0 +1,125 @@
+import type { ImageCrop, ImageElement, ImageFilters, Size } from '../types';
+
+// Crops, focal points, masks and filters of image elements, shared by the canvas, the page
+// thumbnails and the HTML export. The API's generators write the same CSS
+// (integration-api/utils/image-style.js).
+
+export const DEFAULT_IMAGE_FILTERS: ImageFilters = { grayscale: 0, brightness: 1, contrast: 1, blur: 0 };
+
+export const DEFAULT_MASK_RADIUS = 16;
+
+export interface ImageRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+const FILTER_KEYS = Object.keys(DEFAULT_IMAGE_FILTERS) as (keyof ImageFilters)[];
+
+export const hasImageFilters = (filters: ImageFilters | undefined): filters is ImageFilters =>
+  filters !== undefined && FILTER_KEYS.some((key) => filters[key] !== DEFAULT_IMAGE_FILTERS[key]);
+
+/**
+ * Where the picture is drawn inside the element box, in px: the crop when there is one,
+ * otherwise the fit, with contained and covering pictures placed by the focal point the way
+ * CSS object-position places them. Without the picture's natural size it fills the box.
+ */
+export const getImageRect = (element: ImageElement, size: Size, natural: Size | null): ImageRect => {
+  if (element.crop) {
+    const { crop } = element;
+    return { x: crop.x * size.width, y: crop.y * size.height, width: crop.width * size.width, height: crop.height * size.height };
+  }
+  if (!natural || !natural.width || !natural.height || element.fit === 'fill' || element.fit === 'stretch') {
+    return { x: 0, y: 0, width: size.width, height: size.height };
+  }
+
+  const scales = [size.width / natural.width, size.height / natural.height];
+  const scale = element.fit === 'cover' ? Math.max(...scales) : Math.min(...scales);
+  const width = natural.width * scale;
+  const height = natural.height * scale;
+  const focalPoint = element.focalPoint ?? { x: 0.5, y: 0.5 };
+  return {
+    x: (size.width - width) * focalPoint.x,
+    y: (size.height - height) * focalPoint.y,
+    width,
+    height,
+  };
+};
+
+const roundFraction = (value: number) => Math.round(value * 10000) / 10000;
+
+/**
+ * The crop keeping the picture where it is drawn now in a box of the given size
+ */
+export const getCropFromRect = (rect: ImageRect, size: Size): ImageCrop => ({
+  x: roundFraction(rect.x / size.width),
+  y: roundFraction(rect.y / size.height),
+  width: roundFraction(rect.width / size.width),
+  height: roundFraction(rect.height / size.height),
+});
+
+/**
+ * Corner radius of the rounded mask, scaled down to fit the box like CSS does
+ */
+export const getMaskRadius = (element: ImageElement, size: Size): number =>
+  Math.max(0, Math.min(element.maskRadius ?? DEFAULT_MASK_RADIUS, size.width / 2, size.height / 2));
+
+/**
+ * CSS filter value for image filters, or null when they leave the picture unchanged
+ */
+export const getFilterCss = (filters: ImageFilters | undefined): string | null => {
+  if (!hasImageFilters(filters)) return null;
+  const functions: string[] = [];
+  if (filters.grayscale !== 0) functions.push(`grayscale(${filters.grayscale})`);
+  if (filters.brightness !== 1) functions.push(`brightness(${filters.brightness})`);
+  if (filters.contrast !== 1) functions.push(`contrast(${filters.contrast})`);
+  if (filters.blur !== 0) functions.push(`blur(${filters.blur}px)`);
+  return functions.join(' ');
+};
+
+/**
+ * CSS declarations masking the element box to rounded corners or a circle
+ */
+export const getMaskCss = (element: ImageElement): string[] => {
+  switch (element.mask) {
+    case 'rounded':
+      return [`clip-path: inset(0 round ${element.maskRadius ?? DEFAULT_MASK_RADIUS}px)`];
+    case 'circle':
+      return ['clip-path: ellipse(50% 50% at 50% 50%)'];
+    default:
+      return [];
+  }
+};
+
+const toPercent = (fraction: number) => `${Math.round(fraction * 10000) / 100}%`;
+
+/**
+ * CSS declarations for the <img> showing the picture. A cropped picture is positioned inside
+ * its element box, which has to clip it; otherwise the fit and focal point place it.
+ */
+export const getPictureCss = (element: ImageElement): string[] => {
+  const styles: string[] = [];
+
+  if (element.crop) {
+    const { crop } = element;
+    styles.push(
+      'position: absolute',
+      `left: ${toPercent(crop.x)}`,
+      `top: ${toPercent(crop.y)}`,
+      `width: ${toPercent(crop.width)}`,
+      `height: ${toPercent(crop.height)}`,
+      'max-width: none'
+    );
+  } else {
+    styles.push(`object-fit: ${element.fit === 'stretch' ? 'fill' : element.fit}`);
+    if (element.focalPoint) {
+      styles.push(`object-position: ${toPercent(element.focalPoint.x)} ${toPercent(element.focalPoint.y)}`);
+    }
+  }
+
+  const filter = getFilterCss(element.filters);
+  if (filter) styles.push(`filter: ${filter}`);
+
+  return styles;
+};
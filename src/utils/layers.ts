@@ -0,0 +1,69 @@
+import type { TemplateElement } from '../types';
+import { expandWithDescendants } from './groups';
+
+// The layers panel shows the stacking order as a tree: top-level elements and group
+// children, frontmost first. A group sits where its frontmost content is drawn.
+
+export type LayerPlacement = 'above' | 'below';
+
+/**
+ * Highest zIndex among the element and everything inside it
+ */
+export const getStackIndex = (elements: TemplateElement[], elementId: string): number =>
+  Math.max(
+    ...expandWithDescendants(elements, [elementId]).map(
+      (id) => elements.find((el) => el.id === id)?.zIndex ?? -Infinity
+    )
+  );
+
+/**
+ * Direct children of a group (or the top-level elements), frontmost first
+ */
+export const getLayerChildren = (elements: TemplateElement[], parentId?: string): TemplateElement[] =>
+  elements
+    .filter((el) => el.parentId === parentId)
+    .map((el) => ({ el, stackIndex: getStackIndex(elements, el.id) }))
+    .sort((a, b) => b.stackIndex - a.stackIndex)
+    .map(({ el }) => el);
+
+/**
+ * Element ids in drawing order after moving one layer (with its contents) directly above
+ * or below another
+ */
+export const getReorderedStack = (
+  elements: TemplateElement[],
+  elementId: string,
+  targetId: string,
+  placement: LayerPlacement
+): string[] => {
+  const byZIndex = [...elements].sort((a, b) => a.zIndex - b.zIndex).map((el) => el.id);
+  const moving = new Set(expandWithDescendants(elements, [elementId]));
+  const target = new Set(expandWithDescendants(elements, [targetId]));
+
+  const rest = byZIndex.filter((id) => !moving.has(id));
+  const targetIndexes = rest.flatMap((id, index) => (target.has(id) ? [index] : []));
+  const insertAt = placement === 'above' ? Math.max(...targetIndexes) + 1 : Math.min(...targetIndexes);
+
+  return [...rest.slice(0, insertAt), ...byZIndex.filter((id) => moving.has(id)), ...rest.slice(insertAt)];
+};
+
+// Names double as template field and CSS class names, so they are kept identifier-safe
+export const isValidElementName = (name: string): boolean => /^[a-zA-Z][a-zA-Z0-9._-]*$/.test(name);
+
+export const toElementName = (name: string): string =>
+  name
+    .replace(/[^a-zA-Z0-9._-]/g, '-') // Replace invalid chars with dash
+    .replace(/^[^a-zA-Z]/, 'element-') // Ensure starts with letter
+    .toLowerCase();
+
+/**
+ * The name, with a numeric suffix if another element on the page already uses it
+ */
+export const getUniqueElementName = (elements: TemplateElement[], name: string, elementId: string): string => {
+  const taken = new Set(elements.filter((el) => el.id !== elementId).map((el) => el.name));
+  let unique = name;
+  for (let index = 2; taken.has(unique); index++) {
+    unique = `${name}-${index}`;
+  }
+  return unique;
+};
@@ -0,0 +1,144 @@
+import type { Page, PageMargins, PageOrientation, Size, TemplateElement, Unit } from '../types';
+import { isGroup } from './groups';
+import type { SnapLines } from './alignment';
+import { fromUnit } from './units';
+
+// The editor works on one page at a time: the active page's elements and size live in
+// the store's `elements`/`canvasSize`, and its entry in `pages` is brought up to date
+// when switching pages or saving.
+
+export interface PagePreset {
+  id: string;
+  name: string;
+  category: 'Print' | 'Social' | 'Screen';
+  size: Size; // Exact size in px, so print sizes match the paper
+  unit: Unit; // Unit the size is defined in, suggested when the preset is picked
+}
+
+const definePreset = (
+  id: string,
+  name: string,
+  category: PagePreset['category'],
+  width: number,
+  height: number,
+  unit: Unit
+): PagePreset => ({
+  id,
+  name,
+  category,
+  size: { width: fromUnit(width, unit), height: fromUnit(height, unit) },
+  unit,
+});
+
+// Print presets are portrait; the backend maps their ids onto PDF paper formats
+export const PAGE_PRESETS: PagePreset[] = [
+  definePreset('a3', 'A3', 'Print', 297, 420, 'mm'),
+  definePreset('a4', 'A4', 'Print', 210, 297, 'mm'),
+  definePreset('a5', 'A5', 'Print', 148, 210, 'mm'),
+  definePreset('letter', 'Letter', 'Print', 8.5, 11, 'in'),
+  definePreset('legal', 'Legal', 'Print', 8.5, 14, 'in'),
+  definePreset('postcard', 'Postcard', 'Print', 4, 6, 'in'),
+  definePreset('instagram-post', 'Instagram Post', 'Social', 1080, 1080, 'px'),
+  definePreset('instagram-story', 'Instagram Story', 'Social', 1080, 1920, 'px'),
+  definePreset('facebook-post', 'Facebook Post', 'Social', 1200, 630, 'px'),
+  definePreset('x-post', 'X Post', 'Social', 1600, 900, 'px'),
+  definePreset('iphone-14', 'iPhone 14', 'Screen', 393, 852, 'px'),
+  definePreset('ipad', 'iPad', 'Screen', 820, 1180, 'px'),
+  definePreset('desktop-hd', 'Desktop HD', 'Screen', 1920, 1080, 'px'),
+];
+
+export const getPagePreset = (presetId: string | undefined): PagePreset | undefined =>
+  PAGE_PRESETS.find((p) => p.id === presetId);
+
+/**
+ * A preset's size turned to the requested orientation; square presets stay as they are
+ */
+export const getPresetSize = (pagePreset: PagePreset, orientation: PageOrientation): Size => {
+  const { width, height } = pagePreset.size;
+  return getPageOrientation(pagePreset.size) === orientation || width === height
+    ? { width, height }
+    : { width: height, height: width };
+};
+
+export const DEFAULT_PAGE_PRESET = 'a4';
+
+export const DEFAULT_PAGE_SIZE: Size = getPagePreset(DEFAULT_PAGE_PRESET)!.size; // About 794 x 1123 at 96 DPI
+
+export const NO_MARGINS: PageMargins = { top: 0, right: 0, bottom: 0, left: 0 };
+
+export const getPageOrientation = (size: Size): PageOrientation =>
+  size.width > size.height ? 'landscape' : 'portrait';
+
+export const createPage = (
+  name: string,
+  size: Size = DEFAULT_PAGE_SIZE,
+  elements: TemplateElement[] = [],
+  presetId?: string
+): Page => ({
+  id: crypto.randomUUID(),
+  name,
+  size,
+  orientation: getPageOrientation(size),
+  elements,
+  ...(presetId && { preset: presetId }),
+});
+
+/**
+ * Pages with the active page's entry replaced by the live elements and canvas size
+ */
+export const syncActivePage = (
+  pages: Page[],
+  activePageId: string,
+  elements: TemplateElement[],
+  canvasSize: Size
+): Page[] =>
+  pages.map((page) =>
+    page.id === activePageId
+      ? { ...page, elements, size: canvasSize, orientation: getPageOrientation(canvasSize) }
+      : page
+  );
+
+/**
+ * Copy a page's elements under fresh ids, keeping group links intact
+ */
+export const cloneElements = (elements: TemplateElement[]): TemplateElement[] => {
+  const idMap = new Map(elements.map((el) => [el.id, crypto.randomUUID()]));
+  const copyId = (id: string) => idMap.get(id) ?? id;
+
+  return elements.map((element) => {
+    const copy: TemplateElement = { ...element, id: copyId(element.id) };
+    if (element.parentId) {
+      copy.parentId = copyId(element.parentId);
+    }
+    if (isGroup(copy)) {
+      copy.childIds = copy.childIds.map(copyId);
+    }
+    return copy;
+  });
+};
+
+/**
+ * First unused "Page N" name
+ */
+export const getNextPageName = (pages: Page[]): string => {
+  let index = pages.length + 1;
+  while (pages.some((page) => page.name === `Page ${index}`)) index++;
+  return `Page ${index}`;
+};
+
+/**
+ * Lines the page offers for snapping: its edges, margins, bleed and ruler guides.
+ * `size` is passed separately because the active page's entry may lag behind the canvas.
+ */
+export const getPageSnapLines = (page: Page | undefined, size: Size): SnapLines => {
+  const margins = page?.margins ?? NO_MARGINS;
+  const bleed = page?.bleed ?? 0;
+  const guides = page?.guides ?? [];
+  const guidePositions = (orientation: 'vertical' | 'horizontal') =>
+    guides.filter((guide) => guide.orientation === orientation).map((guide) => guide.position);
+
+  return {
+    vertical: [0, size.width, margins.left, size.width - margins.right, -bleed, size.width + bleed, ...guidePositions('vertical')],
+    horizontal: [0, size.height, margins.top, size.height - margins.bottom, -bleed, size.height + bleed, ...guidePositions('horizontal')],
+  };
+};
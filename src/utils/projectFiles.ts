@@ -1,4 +1,4 @@
-import type { CanvasState, StorageMode } from '../types';
+import type { CanvasState, StorageMode, TemplateElement } from '../types';
 import { CONFIG, isDevelopment } from '../config/environment';
 // import { s3Client } from './s3Client';
 import {
@@ -8,6 +8,8 @@ import {
   deleteProjectFromAPI
 } from './apiClient';
 import { imageService } from './imageService';
+import { fontService } from './fontService';
+import { useCanvasStore } from '../stores/canvasStore';
 
 // Helper to get current user ID from auth context
 // In a real app, this would import useAuth hook
@@ -84,8 +86,12 @@ export async function processImageUploads(
     return canvasState;
   }
 
+  // Images on every page; older files without pages only have the active page's elements
+  const pages = canvasState.pages?.length ? canvasState.pages : null;
+  const allElements = pages ? pages.flatMap(page => page.elements) : canvasState.elements;
+
   // Find all image elements with blob URLs
-  const imageElements = canvasState.elements.filter(
+  const imageElements = allElements.filter(
     element => element.type === 'image' &&
     element.src &&
     imageService.isBlobUrl(element.src)
@@ -98,9 +104,38 @@ export async function processImageUploads(
 
   console.log(`📷 Uploading ${imageElements.length} blob images to S3 for project: ${projectName}`);
 
-  // Process each blob image and upload to S3
-  const updatedElements = await Promise.all(
-    canvasState.elements.map(async (element) => {
+  if (!pages) {
+    return {
+      ...canvasState,
+      elements: await uploadBlobImages(projectName, canvasState.elements)
+    };
+  }
+
+  const updatedPages = await Promise.all(
+    pages.map(async (page) => ({
+      ...page,
+      elements: await uploadBlobImages(projectName, page.elements)
+    }))
+  );
+  const activePage = updatedPages.find(page => page.id === canvasState.activePageId);
+
+  // Return updated canvas state with S3 URLs
+  return {
+    ...canvasState,
+    pages: updatedPages,
+    elements: activePage ? activePage.elements : canvasState.elements
+  };
+}
+
+/**
+ * Upload the blob images among a list of elements and point them at their S3 URLs
+ */
+async function uploadBlobImages(
+  projectName: string,
+  elements: TemplateElement[]
+): Promise<TemplateElement[]> {
+  return Promise.all(
+    elements.map(async (element) => {
       if (element.type === 'image' && element.src && imageService.isBlobUrl(element.src)) {
         try {
           // Convert blob URL back to File for upload
@@ -129,12 +164,38 @@ export async function processImageUploads(
       return element; // Non-image or already S3 URL
     })
   );
+}
 
-  // Return updated canvas state with S3 URLs
-  return {
-    ...canvasState,
-    elements: updatedElements
-  };
+/**
+ * Upload library fonts that are still blob URLs to the project's font folder
+ * Dev: Skip processing (fonts are already Base64)
+ */
+export async function processFontUploads(
+  projectName: string,
+  canvasState: CanvasState
+): Promise<CanvasState> {
+  if (isDevelopment() || !canvasState.fonts?.some(font => fontService.isBlobUrl(font.src))) {
+    return canvasState;
+  }
+
+  const fonts = await Promise.all(
+    canvasState.fonts.map(async (font) => {
+      if (!fontService.isBlobUrl(font.src)) return font;
+      try {
+        const file = await fontService.blobToFile(font.src, font.filename);
+        const result = await fontService.uploadFontToProject(file, projectName);
+        console.log(`✅ Uploaded font: ${font.family} → ${result.filename}`);
+        // Point the library at the S3 copy too, so the next save doesn't upload it again
+        useCanvasStore.getState().updateFont(font.id, { src: result.fontUrl });
+        return { ...font, src: result.fontUrl };
+      } catch (error) {
+        console.error(`❌ Error uploading font ${font.family}:`, error);
+        return font; // Keep blob URL as fallback
+      }
+    })
+  );
+
+  return { ...canvasState, fonts };
 }
 
 // Removed unused processImageUploadsForDev function
@@ -172,8 +233,11 @@ export async function saveProjectFile(
   try {
     console.log(`☁️ Saving to cloud via API: project=${projectName}, env=${CONFIG.ENVIRONMENT}`);
 
-    // Step 1: Upload any blob images to S3 and update canvas state
-    const processedCanvasState = await processImageUploads(projectName, canvasState);
+    // Step 1: Upload any blob images and fonts to S3 and update canvas state
+    const processedCanvasState = await processFontUploads(
+      projectName,
+      await processImageUploads(projectName, canvasState)
+    );
 
     // Step 2: Save project with updated S3 URLs
     const result = await saveProjectToAPI(projectName, processedCanvasState);
@@ -0,0 +1,75 @@
+import type { Arrowhead, Size, StrokeStyle } from '../types';
+
+// Geometry shared by the canvas, the page thumbnails and the HTML export, so line, arrow and
+// ellipse elements look the same everywhere. Coordinates are local to the element's box.
+
+export const STROKE_STYLES: StrokeStyle[] = ['solid', 'dashed', 'dotted'];
+
+export const ARROWHEADS: Arrowhead[] = ['none', 'triangle', 'open'];
+
+/**
+ * Dash pattern for a stroke style, scaled with the stroke width (empty for solid strokes).
+ * Dots are zero-length dashes drawn with round caps.
+ */
+export const getDashArray = (style: StrokeStyle, strokeWidth: number): number[] => {
+  const width = Math.max(1, strokeWidth);
+  switch (style) {
+    case 'dashed':
+      return [width * 4, width * 3];
+    case 'dotted':
+      return [0, width * 2];
+    default:
+      return [];
+  }
+};
+
+export const getLineCap = (style: StrokeStyle): 'round' | 'butt' => (style === 'dotted' ? 'round' : 'butt');
+
+/**
+ * Length and half-width of an arrowhead, growing with the stroke width
+ */
+export const getArrowheadSize = (strokeWidth: number) => ({
+  length: strokeWidth * 3 + 6,
+  halfWidth: strokeWidth * 1.5 + 4,
+});
+
+export interface LineGeometry {
+  shaft: [number, number, number, number]; // x1, y1, x2, y2
+  heads: Array<{ points: number[]; closed: boolean }>; // Polylines, closed ones are filled
+}
+
+/**
+ * Shaft and arrowheads of a line or arrow running across the middle of its box.
+ * The shaft stops at the base of a triangle head so wide strokes do not poke through its tip.
+ */
+export const getLineGeometry = (
+  size: Size,
+  strokeWidth: number,
+  startArrowhead: Arrowhead = 'none',
+  endArrowhead: Arrowhead = 'none'
+): LineGeometry => {
+  const y = size.height / 2;
+  const { length, halfWidth } = getArrowheadSize(strokeWidth);
+  // Leave the shaft at least a little visible on very short arrows
+  const headLength = Math.min(length, size.width / 3);
+  const heads: LineGeometry['heads'] = [];
+  let x1 = 0;
+  let x2 = size.width;
+
+  const addHead = (head: Arrowhead, tipX: number, direction: 1 | -1) => {
+    if (head === 'none') return;
+    const baseX = tipX - direction * headLength;
+    heads.push({
+      points: [baseX, y - halfWidth, tipX, y, baseX, y + halfWidth],
+      closed: head === 'triangle',
+    });
+    if (head === 'triangle') {
+      if (direction > 0) x2 = baseX;
+      else x1 = baseX;
+    }
+  };
+  addHead(startArrowhead, 0, -1);
+  addHead(endArrowhead, size.width, 1);
+
+  return { shaft: [x1, y, x2, y], heads };
+};
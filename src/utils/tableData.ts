@@ -0,0 +1,121 @@
+import type { TableCell, TableElement } from '../types';
+import { appendColumn, appendRow, getCellOwners, isCoveredCell, type TableCellRef } from './tableLayout';
+
+// Tab- and comma-separated data going into and out of tables: spreadsheet pastes, CSV files
+// and copying a table for other applications. Quoting follows RFC 4180, which is also what
+// Excel and Google Sheets put on the clipboard for cells with tabs, line breaks or quotes.
+
+export type TableData = string[][];
+
+// Size of the cells of tables made from imported data
+export const IMPORTED_CELL_WIDTH = 120;
+export const IMPORTED_CELL_HEIGHT = 30;
+
+/**
+ * Tabs when the text has any, as spreadsheets copy them; otherwise semicolons when the first
+ * line has more of them than commas, as CSV files from some locales use them
+ */
+export const detectDelimiter = (text: string): string => {
+  if (text.includes('\t')) return '\t';
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = (char: string) => firstLine.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+};
+
+/**
+ * Rows of values from delimited text. Quoted values may hold delimiters, line breaks and
+ * doubled quotes; a final line break does not start another row, and short rows are padded
+ * so every row has the same number of values.
+ */
+export const parseDelimited = (text: string, delimiter = detectDelimiter(text)): TableData => {
+  const rows: TableData = [];
+  let row: string[] = [];
+  let value = '';
+  let quoted = false;
+  const source = text.replace(/\r\n?/g, '\n');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n') {
+      rows.push([...row, value]);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length > 0) rows.push([...row, value]);
+
+  const columns = Math.max(0, ...rows.map((values) => values.length));
+  return rows.map((values) => [...values, ...Array(columns - values.length).fill('')]);
+};
+
+const quoteValue = (value: string, delimiter: string) =>
+  value.includes(delimiter) || value.includes('\n') || value.includes('"')
+    ? `"${value.replace(/"/g, '""')}"`
+    : value;
+
+/**
+ * A table's content as delimited text; cells hidden under merged cells are left empty
+ */
+export const formatDelimited = (element: TableElement, delimiter = '\t'): string => {
+  const owners = getCellOwners(element);
+  return element.cells
+    .slice(0, element.rows)
+    .map((row, rowIndex) =>
+      row
+        .slice(0, element.columns)
+        .map((cell, colIndex) => (isCoveredCell(owners, rowIndex, colIndex) ? '' : quoteValue(cell.content, delimiter)))
+        .join(delimiter)
+    )
+    .join('\n');
+};
+
+/**
+ * Write data into a table from a cell on, adding rows and columns at the end when it does not
+ * fit; the table grows by them rather than squeezing the rows and columns it had. Values landing under merged cells are kept but stay hidden, as with typed content.
+ */
+export const pasteTableData = (element: TableElement, data: TableData, at: TableCellRef): Partial<TableElement> => {
+  let table = element;
+  const rows = at.row + data.length;
+  const columns = at.col + Math.max(0, ...data.map((values) => values.length));
+  while (table.rows < rows) table = { ...table, ...appendRow(table) };
+  while (table.columns < columns) table = { ...table, ...appendColumn(table) };
+
+  const cells = table.cells.map((row, rowIndex) =>
+    row.map((cell, colIndex) => {
+      const value = data[rowIndex - at.row]?.[colIndex - at.col];
+      return value === undefined ? cell : { ...cell, content: value };
+    })
+  );
+
+  return {
+    cells,
+    rows: table.rows,
+    columns: table.columns,
+    columnWidths: table.columnWidths,
+    rowHeights: table.rowHeights,
+    repeat: table.repeat,
+    size: table.size,
+  };
+};
+
+/**
+ * Cells of a new table holding the data, with its first row as the header row
+ */
+export const createTableCells = (data: TableData): TableCell[][] =>
+  data.map((values, rowIndex) => values.map((content) => ({ content, isHeader: rowIndex === 0 })));
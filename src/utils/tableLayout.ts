@@ -0,0 +1,443 @@
+import type { TableCell, TableCellStyle, TableElement } from '../types';
+import { clampTemplateRow } from './tableRepeat';
+
+// Column widths, row heights, merged cells and row/column commands of tables, shared by the
+// canvas, the cell editor and the properties panel. The API lays tables out the same way
+// (integration-api/utils/table-layout.js).
+
+export interface TableCellRef {
+  row: number;
+  col: number;
+}
+
+export interface CellRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export const CELL_TEXT_ALIGNS: Array<NonNullable<TableCellStyle['textAlign']>> = ['left', 'center', 'right'];
+
+const MIN_TRACK_SIZE = 10;
+
+/**
+ * Sizes of the columns or rows filling a total: stored sizes scaled to it, so the table keeps
+ * its proportions when resized, or equal sizes when none are stored
+ */
+const distribute = (sizes: number[] | undefined, count: number, total: number): number[] => {
+  const sum = sizes && sizes.length === count ? sizes.reduce((a, b) => a + b, 0) : 0;
+  if (!sizes || sum <= 0) return Array(count).fill(total / count);
+  return sizes.map((size) => (size / sum) * total);
+};
+
+export const getColumnWidths = (element: TableElement): number[] =>
+  distribute(element.columnWidths, element.columns, element.size.width);
+
+export const getRowHeights = (element: TableElement): number[] =>
+  distribute(element.rowHeights, element.rows, element.size.height);
+
+/**
+ * Start of each track and the end of the last one
+ */
+export const getOffsets = (sizes: number[]): number[] =>
+  sizes.reduce<number[]>((offsets, size) => [...offsets, offsets[offsets.length - 1] + size], [0]);
+
+/**
+ * Whether a position is hidden under a merged cell
+ */
+export const isCoveredCell = (owners: TableCellRef[][], row: number, col: number): boolean =>
+  owners[row][col].row !== row || owners[row][col].col !== col;
+
+/**
+ * The cell whose area covers each position of the grid. A merged cell covers the cells to its
+ * right and below it, which stay in `cells` but are not shown; spans are cut at the table's
+ * edges and where they would run into another merged cell.
+ */
+export const getCellOwners = (element: TableElement): TableCellRef[][] => {
+  const { rows, columns, cells } = element;
+  const owners: TableCellRef[][] = Array.from({ length: rows }, (_, row) =>
+    Array.from({ length: columns }, (_, col) => ({ row, col }))
+  );
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const cell = cells[row]?.[col];
+      if (!cell || isCoveredCell(owners, row, col)) continue;
+      const rowEnd = Math.min(rows, row + (cell.rowSpan ?? 1));
+      const colEnd = Math.min(columns, col + (cell.colSpan ?? 1));
+      for (let r = row; r < rowEnd; r++) {
+        for (let c = col; c < colEnd; c++) {
+          if (!isCoveredCell(owners, r, c)) owners[r][c] = { row, col };
+        }
+      }
+    }
+  }
+  return owners;
+};
+
+/**
+ * Rows and columns a cell spans, as it is shown
+ */
+export const getCellSpan = (owners: TableCellRef[][], row: number, col: number) => {
+  let rowSpan = 1;
+  let colSpan = 1;
+  while (row + rowSpan < owners.length && owners[row + rowSpan][col].row === row && owners[row + rowSpan][col].col === col) rowSpan++;
+  while (col + colSpan < owners[row].length && owners[row][col + colSpan].row === row && owners[row][col + colSpan].col === col) colSpan++;
+  return { rowSpan, colSpan };
+};
+
+/**
+ * Area of a cell inside the table, merged cells included
+ */
+export const getCellRect = (element: TableElement, row: number, col: number, owners = getCellOwners(element)): CellRect => {
+  const xs = getOffsets(getColumnWidths(element));
+  const ys = getOffsets(getRowHeights(element));
+  const { rowSpan, colSpan } = getCellSpan(owners, row, col);
+  return { x: xs[col], y: ys[row], width: xs[col + colSpan] - xs[col], height: ys[row + rowSpan] - ys[row] };
+};
+
+/**
+ * The cell shown at a position: the merged cell covering it, or the cell itself
+ */
+export const getOwnerCell = (element: TableElement, ref: TableCellRef): TableCellRef => {
+  const row = Math.min(ref.row, element.rows - 1);
+  const col = Math.min(ref.col, element.columns - 1);
+  return getCellOwners(element)[row][col];
+};
+
+export type CellMove = 'next' | 'previous' | 'up' | 'down' | 'left' | 'right';
+
+/**
+ * The cell a key moves to from a shown cell, stepping over the positions merged cells cover.
+ * Tab ('next') and Shift+Tab ('previous') run on into the next or previous row; all moves
+ * return null at the table's edge.
+ */
+export const getAdjacentCell = (element: TableElement, ref: TableCellRef, move: CellMove): TableCellRef | null => {
+  const owners = getCellOwners(element);
+  const { row, col } = getOwnerCell(element, ref);
+  const { rowSpan, colSpan } = getCellSpan(owners, row, col);
+
+  switch (move) {
+    case 'up':
+      return row > 0 ? owners[row - 1][col] : null;
+    case 'down':
+      return row + rowSpan < element.rows ? owners[row + rowSpan][col] : null;
+    case 'left':
+      return col > 0 ? owners[row][col - 1] : null;
+    case 'right':
+      return col + colSpan < element.columns ? owners[row][col + colSpan] : null;
+    default: {
+      const shown = owners.flatMap((cells, r) => cells.filter((_, c) => !isCoveredCell(owners, r, c)));
+      const index = shown.findIndex((owner) => owner.row === row && owner.col === col);
+      return shown[move === 'next' ? index + 1 : index - 1] ?? null;
+    }
+  }
+};
+
+// Rows and columns of a cell range, inclusive
+export interface CellRange {
+  top: number;
+  left: number;
+  bottom: number;
+  right: number;
+}
+
+/**
+ * Rows and columns between two cells, grown until no merged cell sticks out of them
+ */
+export const getCellRange = (element: TableElement, from: TableCellRef, to: TableCellRef): CellRange => {
+  const owners = getCellOwners(element);
+  const clamp = (ref: TableCellRef) => ({
+    row: Math.min(ref.row, element.rows - 1),
+    col: Math.min(ref.col, element.columns - 1),
+  });
+  const [a, b] = [clamp(from), clamp(to)];
+  const range = {
+    top: Math.min(a.row, b.row),
+    left: Math.min(a.col, b.col),
+    bottom: Math.max(a.row, b.row),
+    right: Math.max(a.col, b.col),
+  };
+
+  let grown = true;
+  while (grown) {
+    grown = false;
+    for (let row = range.top; row <= range.bottom; row++) {
+      for (let col = range.left; col <= range.right; col++) {
+        const owner = owners[row][col];
+        const { rowSpan, colSpan } = getCellSpan(owners, owner.row, owner.col);
+        const next = {
+          top: Math.min(range.top, owner.row),
+          left: Math.min(range.left, owner.col),
+          bottom: Math.max(range.bottom, owner.row + rowSpan - 1),
+          right: Math.max(range.right, owner.col + colSpan - 1),
+        };
+        if (next.top !== range.top || next.left !== range.left || next.bottom !== range.bottom || next.right !== range.right) {
+          Object.assign(range, next);
+          grown = true;
+        }
+      }
+    }
+  }
+  return range;
+};
+
+/**
+ * Range of a cell selection: from the selected cell to the range's other corner, or the
+ * selected cell alone
+ */
+export const getSelectedRange = (element: TableElement, selection: TableCellRef & { end?: TableCellRef }): CellRange =>
+  getCellRange(element, selection, selection.end ?? selection);
+
+/**
+ * The shown cells inside a range
+ */
+export const getRangeCells = (element: TableElement, range: CellRange): TableCellRef[] => {
+  const owners = getCellOwners(element);
+  const cells: TableCellRef[] = [];
+  for (let row = range.top; row <= range.bottom; row++) {
+    for (let col = range.left; col <= range.right; col++) {
+      if (!isCoveredCell(owners, row, col)) cells.push({ row, col });
+    }
+  }
+  return cells;
+};
+
+/**
+ * Area of a range inside the table
+ */
+export const getRangeRect = (element: TableElement, range: CellRange): CellRect => {
+  const xs = getOffsets(getColumnWidths(element));
+  const ys = getOffsets(getRowHeights(element));
+  return {
+    x: xs[range.left],
+    y: ys[range.top],
+    width: xs[range.right + 1] - xs[range.left],
+    height: ys[range.bottom + 1] - ys[range.top],
+  };
+};
+
+/**
+ * A cell's look with its overrides applied over the table's
+ */
+export const resolveCellStyle = (element: TableElement, cell: TableCell): Required<TableCellStyle> => {
+  const style = cell.style ?? {};
+  return {
+    textAlign: style.textAlign ?? 'left',
+    verticalAlign: style.verticalAlign ?? 'middle',
+    background: style.background ?? (cell.isHeader ? element.headerBackground : element.cellBackground),
+    textColor: style.textColor ?? element.textColor,
+    fontFamily: style.fontFamily ?? element.fontFamily,
+    fontSize: style.fontSize ?? element.fontSize,
+    fontWeight: style.fontWeight ?? (cell.isHeader ? 'bold' : 'normal'),
+    fontStyle: style.fontStyle ?? 'normal',
+    borderColor: style.borderColor ?? element.borderColor,
+    borderWidth: style.borderWidth ?? element.borderWidth,
+  };
+};
+
+/**
+ * Whether a merged cell reaches into or out of a repeating table's template row, which the API
+ * rejects since the row is copied per item
+ */
+export const spansTemplateRow = (element: TableElement): boolean => {
+  const { repeat } = element;
+  if (!repeat || repeat.templateRow >= element.rows) return false;
+  const owners = getCellOwners(element);
+  return owners.some((row, rowIndex) => row.some((_, colIndex) => {
+    if (isCoveredCell(owners, rowIndex, colIndex)) return false;
+    const { rowSpan } = getCellSpan(owners, rowIndex, colIndex);
+    return rowSpan > 1 && rowIndex <= repeat.templateRow && rowIndex + rowSpan > repeat.templateRow;
+  }));
+};
+
+const withSpans = (cell: TableCell, rowSpan: number, colSpan: number): TableCell => {
+  const next: TableCell = { ...cell, rowSpan, colSpan };
+  if (rowSpan <= 1) delete next.rowSpan;
+  if (colSpan <= 1) delete next.colSpan;
+  return next;
+};
+
+/**
+ * Merge a cell with the cells to its right and below it. The spans shrink to stay inside the
+ * table and clear of other merged cells; cells merged into it lose their own spans.
+ */
+export const setCellSpan = (
+  element: TableElement,
+  ref: TableCellRef,
+  rowSpan: number,
+  colSpan: number
+): Pick<TableElement, 'cells'> => {
+  const { row, col } = ref;
+  const cells = element.cells.map((cells) => [...cells]);
+  // Other merged cells, without this one and those it would take in
+  const others = getCellOwners({ ...element, cells: cells.map((cells, r) => cells.map((cell, c) =>
+    (r === row && c === col) ? withSpans(cell, 1, 1) : cell)) });
+  const clear = (rows: number, cols: number) => {
+    for (let r = row; r < row + rows; r++) {
+      for (let c = col; c < col + cols; c++) {
+        const owner = others[r][c];
+        if (owner.row < row || owner.col < col) return false;
+      }
+    }
+    return true;
+  };
+
+  let rows = Math.max(1, Math.min(rowSpan, element.rows - row));
+  let cols = Math.max(1, Math.min(colSpan, element.columns - col));
+  while (!clear(rows, cols)) {
+    if (rows >= cols && rows > 1) rows--;
+    else cols--;
+  }
+
+  for (let r = row; r < row + rows; r++) {
+    for (let c = col; c < col + cols; c++) {
+      cells[r][c] = withSpans(cells[r][c], 1, 1);
+    }
+  }
+  cells[row][col] = withSpans(cells[row][col], rows, cols);
+  return { cells };
+};
+
+const createCell = (isHeader: boolean): TableCell => ({ content: '', isHeader });
+
+const insertAt = <T>(items: T[] | undefined, index: number, item: T) =>
+  items && [...items.slice(0, index), item, ...items.slice(index)];
+
+const removeAt = <T>(items: T[] | undefined, index: number) =>
+  items && items.filter((_, i) => i !== index);
+
+/**
+ * Insert an empty row before `index`. Merged cells spanning the gap grow into the new row, and
+ * it takes the height of the row it was inserted next to.
+ */
+export const insertRow = (element: TableElement, index: number): Partial<TableElement> => {
+  const owners = getCellOwners(element);
+  const cells = element.cells.map((cells, row) => cells.map((cell, col) => {
+    const { rowSpan } = getCellSpan(owners, row, col);
+    return !isCoveredCell(owners, row, col) && row < index && row + rowSpan > index ? withSpans(cell, rowSpan + 1, cell.colSpan ?? 1) : cell;
+  }));
+  const neighbour = cells[Math.min(index, element.rows - 1)];
+  cells.splice(index, 0, neighbour.map((cell) => createCell(cell.isHeader)));
+
+  const heights = element.rowHeights && element.rowHeights.length === element.rows ? element.rowHeights : undefined;
+  const repeat = element.repeat && index <= element.repeat.templateRow
+    ? { ...element.repeat, templateRow: element.repeat.templateRow + 1 }
+    : element.repeat;
+  return {
+    cells,
+    rows: element.rows + 1,
+    rowHeights: insertAt(heights, index, heights?.[Math.min(index, element.rows - 1)] ?? 0),
+    repeat,
+  };
+};
+
+/**
+ * Delete a row. Merged cells spanning it shrink; one starting in it moves down to the next row.
+ */
+export const deleteRow = (element: TableElement, index: number): Partial<TableElement> | null => {
+  if (element.rows <= 1) return null;
+  const owners = getCellOwners(element);
+  const cells = element.cells.map((cells, row) => cells.map((cell, col) => {
+    if (isCoveredCell(owners, row, col)) return cell;
+    const { rowSpan } = getCellSpan(owners, row, col);
+    if (row < index && row + rowSpan > index) return withSpans(cell, rowSpan - 1, cell.colSpan ?? 1);
+    return cell;
+  }));
+  cells[index].forEach((cell, col) => {
+    if (isCoveredCell(owners, index, col)) return;
+    const { rowSpan } = getCellSpan(owners, index, col);
+    if (rowSpan > 1) cells[index + 1][col] = withSpans(cell, rowSpan - 1, cell.colSpan ?? 1);
+  });
+  cells.splice(index, 1);
+
+  const heights = element.rowHeights && element.rowHeights.length === element.rows ? element.rowHeights : undefined;
+  const rows = element.rows - 1;
+  const repeat = element.repeat && index < element.repeat.templateRow
+    ? { ...element.repeat, templateRow: element.repeat.templateRow - 1 }
+    : element.repeat;
+  return { cells, rows, rowHeights: removeAt(heights, index), repeat: clampTemplateRow(repeat, rows) };
+};
+
+/**
+ * Insert an empty column before `index`, like insertRow
+ */
+export const insertColumn = (element: TableElement, index: number): Partial<TableElement> => {
+  const owners = getCellOwners(element);
+  const cells = element.cells.map((cells, row) => {
+    const next = cells.map((cell, col) => {
+      const { colSpan } = getCellSpan(owners, row, col);
+      return !isCoveredCell(owners, row, col) && col < index && col + colSpan > index ? withSpans(cell, cell.rowSpan ?? 1, colSpan + 1) : cell;
+    });
+    next.splice(index, 0, createCell(cells[Math.min(index, element.columns - 1)].isHeader));
+    return next;
+  });
+
+  const widths = element.columnWidths && element.columnWidths.length === element.columns ? element.columnWidths : undefined;
+  return {
+    cells,
+    columns: element.columns + 1,
+    columnWidths: insertAt(widths, index, widths?.[Math.min(index, element.columns - 1)] ?? 0),
+  };
+};
+
+/**
+ * Delete a column, like deleteRow
+ */
+export const deleteColumn = (element: TableElement, index: number): Partial<TableElement> | null => {
+  if (element.columns <= 1) return null;
+  const owners = getCellOwners(element);
+  const cells = element.cells.map((cells, row) => {
+    const next = cells.map((cell, col) => {
+      if (isCoveredCell(owners, row, col)) return cell;
+      const { colSpan } = getCellSpan(owners, row, col);
+      if (col < index && col + colSpan > index) return withSpans(cell, cell.rowSpan ?? 1, colSpan - 1);
+      return cell;
+    });
+    if (!isCoveredCell(owners, row, index)) {
+      const { colSpan } = getCellSpan(owners, row, index);
+      if (colSpan > 1) next[index + 1] = withSpans(cells[index], cells[index].rowSpan ?? 1, colSpan - 1);
+    }
+    next.splice(index, 1);
+    return next;
+  });
+
+  const widths = element.columnWidths && element.columnWidths.length === element.columns ? element.columnWidths : undefined;
+  return { cells, columns: element.columns - 1, columnWidths: removeAt(widths, index) };
+};
+
+/**
+ * Add a row at the end, growing the table by the height of its last row so the rows above
+ * keep their size
+ */
+export const appendRow = (element: TableElement): Partial<TableElement> => {
+  const heights = getRowHeights(element);
+  return {
+    ...insertRow(element, element.rows),
+    size: { ...element.size, height: element.size.height + heights[heights.length - 1] },
+  };
+};
+
+/**
+ * Add a column at the end, like appendRow
+ */
+export const appendColumn = (element: TableElement): Partial<TableElement> => {
+  const widths = getColumnWidths(element);
+  return {
+    ...insertColumn(element, element.columns),
+    size: { ...element.size, width: element.size.width + widths[widths.length - 1] },
+  };
+};
+
+/**
+ * Move the border after column or row `index` by `delta` px, trading size with the next one.
+ * Returns the sizes to store, in px of the table's current size.
+ */
+export const resizeTrack = (sizes: number[], index: number, delta: number): number[] => {
+  const limited = Math.max(MIN_TRACK_SIZE - sizes[index], Math.min(delta, sizes[index + 1] - MIN_TRACK_SIZE));
+  return sizes.map((size, i) => {
+    const next = i === index ? size + limited : i === index + 1 ? size - limited : size;
+    return Math.round(next * 100) / 100;
+  });
+};
@@ -0,0 +1,27 @@
+import type { TableElement, TableRepeat } from '../types';
+
+// Tables whose template row repeats once per item of an array variable. The API marks the
+// template row when it generates the HTML and expands it when the data is bound
+// (integration-api/utils/table-repeat.js).
+
+// Array variables are named like other variables; dot paths reach nested arrays
+export const REPEAT_SOURCE = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+
+export const DEFAULT_STRIPE_BACKGROUND = '#f5f5f5';
+
+/**
+ * Repeat settings for a table that starts repeating: the row below the header row, bound to
+ * a placeholder array name
+ */
+export const createTableRepeat = (element: TableElement): TableRepeat => ({
+  source: 'items',
+  templateRow: Math.min(1, element.rows - 1),
+});
+
+export const isValidRepeatSource = (source: string): boolean => REPEAT_SOURCE.test(source);
+
+/**
+ * Keep the template row inside the table after rows are removed
+ */
+export const clampTemplateRow = (repeat: TableRepeat | undefined, rows: number): TableRepeat | undefined =>
+  repeat && repeat.templateRow >= rows ? { ...repeat, templateRow: rows - 1 } : repeat;
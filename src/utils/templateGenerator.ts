@@ -1,4 +1,40 @@
-import type { TemplateElement, TemplateData } from '../types';
+import type { TemplateElement, TemplateData, Position, TextElement, TextRun, ImageElement } from '../types';
+import { getCssTransform } from './transform';
+import { getDashArray, getLineCap, getLineGeometry } from './shapes';
+import { getFontSizeRange } from './textFit';
+import { DEFAULT_LINE_HEIGHT, getTextDecoration } from './typography';
+import { getBoxEffectsCss } from './boxEffects';
+import { getMaskCss, getPictureCss } from './imageStyle';
+import { SAFE_LINK_URL, escapeLinkAttribute, isSafeLink } from './textRuns';
+
+// Shrinks text marked for shrink-to-fit until it fits its box, once the document has loaded
+// (and its variables are filled in). Sized runs scale along with the element.
+const TEXT_FIT_SCRIPT = `(function () {
+  function fit(element) {
+    var base = parseFloat(element.dataset.fontSize);
+    var min = parseFloat(element.dataset.minFontSize) / base;
+    var max = parseFloat(element.dataset.maxFontSize) / base;
+    var nodes = [element].concat(Array.prototype.slice.call(element.querySelectorAll('[style*="font-size"]')));
+    var sizes = nodes.map(function (node) { return parseFloat(getComputedStyle(node).fontSize); });
+    var scale = function (factor) {
+      nodes.forEach(function (node, index) { node.style.fontSize = (sizes[index] * factor) + 'px'; });
+    };
+    var fits = function () {
+      return element.scrollHeight <= element.clientHeight + 0.5 && element.scrollWidth <= element.clientWidth + 0.5;
+    };
+    scale(max);
+    if (fits()) return;
+    var low = min;
+    var high = max;
+    for (var step = 0; step < 12; step++) {
+      var middle = (low + high) / 2;
+      scale(middle);
+      if (fits()) low = middle; else high = middle;
+    }
+    scale(low);
+  }
+  Array.prototype.forEach.call(document.querySelectorAll('[data-text-fit="shrink"]'), fit);
+})();`;
 
 interface NunjucksGeneratorOptions {
   includeLayout?: boolean;
@@ -21,7 +57,8 @@ export class TemplateGenerator {
   generateTemplate(templateData: TemplateData): string {
     const { elements, canvasSize, name } = templateData;
     
-    const sortedElements = elements.sort((a, b) => a.zIndex - b.zIndex);
+    // Grouped elements are emitted inside their group's wrapper
+    const sortedElements = this.getChildren(elements);
     
     let html = '';
     let css = '';
@@ -41,7 +78,7 @@ export class TemplateGenerator {
     // Generate elements
     for (const element of sortedElements) {
       if (element.visible) {
-        const { elementHtml, elementCss } = this.generateElement(element);
+        const { elementHtml, elementCss } = this.generateElement(element, elements);
         html += `  ${elementHtml}\n`;
         if (elementCss) {
           css += elementCss + '\n';
@@ -50,6 +87,7 @@ export class TemplateGenerator {
     }
 
     html += '</div>\n';
+    html += this.generateTextFitScript(elements);
 
     if (this.options.includeLayout) {
       if (this.options.cssMode === 'external' && css) {
@@ -62,26 +100,43 @@ export class TemplateGenerator {
     return html.trim();
   }
 
-  private generateElement(element: TemplateElement): { elementHtml: string; elementCss: string } {
-    const baseStyle = this.generateBaseStyle(element);
+  // Direct children of a group (or top-level elements when no parent is given), in stacking order
+  private getChildren(elements: TemplateElement[], parentId?: string): TemplateElement[] {
+    return elements
+      .filter((element) => element.parentId === parentId)
+      .sort((a, b) => a.zIndex - b.zIndex);
+  }
+
+  private generateElement(
+    element: TemplateElement,
+    elements: TemplateElement[],
+    origin: Position = { x: 0, y: 0 }
+  ): { elementHtml: string; elementCss: string } {
+    const baseStyle = this.generateBaseStyle(element, origin);
     let elementHtml = '';
     let elementCss = '';
 
     const elementId = `element-${element.id.slice(0, 8)}`;
 
     switch (element.type) {
-      case 'text':
+      case 'text': {
         const textStyle = this.generateTextStyle(element);
         const fullTextStyle = `${baseStyle} ${textStyle}`.trim();
         
+        const textHtml = this.wrapOverflowContent(element, element.runs
+          ? this.generateRunsHtml(element.runs, (text) => this.escapeHtml(text))
+          : this.escapeHtml(element.content));
+        const fitAttributes = this.generateTextFitAttributes(element);
+
         elementHtml = this.options.cssMode === 'inline' 
-          ? `<div style="${fullTextStyle}">${this.escapeHtml(element.content)}</div>`
-          : `<div class="${elementId}">${this.escapeHtml(element.content)}</div>`;
+          ? `<div style="${fullTextStyle}"${fitAttributes}>${textHtml}</div>`
+          : `<div class="${elementId}"${fitAttributes}>${textHtml}</div>`;
         
         if (this.options.cssMode === 'classes') {
           elementCss = `.${elementId} { ${fullTextStyle} }`;
         }
         break;
+      }
 
       case 'rectangle':
         const rectStyle = this.generateRectangleStyle(element);
@@ -96,35 +151,80 @@ export class TemplateGenerator {
         }
         break;
 
-      case 'image':
-        const imgStyle = this.generateImageStyle(element);
-        const fullImgStyle = `${baseStyle} ${imgStyle}`.trim();
+      case 'line':
+      case 'arrow':
+      case 'ellipse': {
+        const shapeSvg = this.generateShapeSvg(element);
+
+        elementHtml = this.options.cssMode === 'inline'
+          ? `<div style="${baseStyle}">${shapeSvg}</div>`
+          : `<div class="${elementId}">${shapeSvg}</div>`;
+
+        if (this.options.cssMode === 'classes') {
+          elementCss = `.${elementId} { ${baseStyle} }`;
+        }
+        break;
+      }
+
+      case 'image': {
+        const imgStyles = this.generateImageStyles(element);
+        const fullImgStyle = `${baseStyle} ${imgStyles.box}`.trim();
         
         const imgSrc = element.src || 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjE1MCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZGRkIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPk5vIEltYWdlPC90ZXh0Pjwvc3ZnPg==';
         
-        elementHtml = this.options.cssMode === 'inline'
-          ? `<img src="${imgSrc}" alt="${element.name}" style="${fullImgStyle}" />`
-          : `<img src="${imgSrc}" alt="${element.name}" class="${elementId}" />`;
+        if (imgStyles.picture) {
+          elementHtml = this.options.cssMode === 'inline'
+            ? `<div style="${fullImgStyle}"><img src="${imgSrc}" alt="${element.name}" style="${imgStyles.picture}" /></div>`
+            : `<div class="${elementId}"><img src="${imgSrc}" alt="${element.name}" /></div>`;
+        } else {
+          elementHtml = this.options.cssMode === 'inline'
+            ? `<img src="${imgSrc}" alt="${element.name}" style="${fullImgStyle}" />`
+            : `<img src="${imgSrc}" alt="${element.name}" class="${elementId}" />`;
+        }
         
         if (this.options.cssMode === 'classes') {
           elementCss = `.${elementId} { ${fullImgStyle} }`;
+          if (imgStyles.picture) elementCss += `\n.${elementId} > img { ${imgStyles.picture} }`;
+        }
+        break;
+      }
+
+      case 'group': {
+        // Children keep absolute canvas positions, so offset them by the group's origin
+        const children = this.getChildren(elements, element.id)
+          .filter((child) => child.visible)
+          .map((child) => this.generateElement(child, elements, element.position));
+        const childHtml = children.map((child) => child.elementHtml).join('');
+
+        elementHtml = this.options.cssMode === 'inline'
+          ? `<div style="${baseStyle}">${childHtml}</div>`
+          : `<div class="${elementId}">${childHtml}</div>`;
+
+        if (this.options.cssMode === 'classes') {
+          elementCss = [`.${elementId} { ${baseStyle} }`, ...children.map((child) => child.elementCss)].join('\n');
         }
         break;
+      }
     }
 
     return { elementHtml, elementCss };
   }
 
-  private generateBaseStyle(element: TemplateElement): string {
+  private generateBaseStyle(element: TemplateElement, origin: Position = { x: 0, y: 0 }): string {
     const styles = [
       'position: absolute',
-      `left: ${element.position.x}px`,
-      `top: ${element.position.y}px`,
+      `left: ${element.position.x - origin.x}px`,
+      `top: ${element.position.y - origin.y}px`,
       `width: ${element.size.width}px`,
       `height: ${element.size.height}px`,
       `z-index: ${element.zIndex}`,
     ];
 
+    const transform = getCssTransform(element);
+    if (transform) {
+      styles.push(`transform: ${transform}`);
+    }
+
     if (!element.visible) {
       styles.push('display: none');
     }
@@ -141,11 +241,36 @@ export class TemplateGenerator {
       `font-weight: ${element.fontWeight}`,
       `color: ${element.color}`,
       `text-align: ${element.textAlign}`,
+      `line-height: ${element.lineHeight ?? DEFAULT_LINE_HEIGHT}`,
       'display: flex',
-      'align-items: center',
       'box-sizing: border-box',
     ];
 
+    // Vertical alignment; text that overflows a middle or bottom aligned box starts at the top
+    const alignItems = { top: 'flex-start', middle: 'center', bottom: 'flex-end' }[element.verticalAlign ?? 'top'];
+    styles.push(`align-items: ${alignItems}`);
+    if (alignItems !== 'flex-start') {
+      styles.push(`align-items: safe ${alignItems}`);
+    }
+
+    if (element.letterSpacing) {
+      styles.push(`letter-spacing: ${element.letterSpacing}px`);
+    }
+
+    const decoration = getTextDecoration(element.underline, element.strikethrough);
+    if (decoration) {
+      styles.push(`text-decoration: ${decoration}`);
+    }
+
+    if (element.textTransform && element.textTransform !== 'none') {
+      styles.push(`text-transform: ${element.textTransform}`);
+    }
+
+    if (element.textShadow) {
+      const { offsetX, offsetY, blur, color } = element.textShadow;
+      styles.push(`text-shadow: ${offsetX}px ${offsetY}px ${blur}px ${color}`);
+    }
+
     if (element.fontStyle === 'italic') {
       styles.push('font-style: italic');
     }
@@ -158,9 +283,37 @@ export class TemplateGenerator {
       styles.push(`background-color: ${element.backgroundColor}`);
     }
 
+    // Filled-in values stay inside the box unless it may grow
+    if (element.overflow === 'grow') {
+      styles.push('height: auto', `min-height: ${element.size.height}px`);
+    } else {
+      styles.push('overflow: hidden');
+    }
+
+    styles.push(...getBoxEffectsCss(element));
+
     return styles.join('; ');
   }
 
+  // Ellipsis clamps the text to the lines that fit the box
+  private wrapOverflowContent(element: TextElement, html: string): string {
+    if (element.overflow !== 'ellipsis') return html;
+    const lineHeight = element.fontSize * (element.lineHeight ?? DEFAULT_LINE_HEIGHT);
+    const lines = Math.max(1, Math.floor((element.size.height - element.padding * 2) / lineHeight));
+    return `<span style="display: -webkit-box; -webkit-box-orient: vertical; -webkit-line-clamp: ${lines}; overflow: hidden;">${html}</span>`;
+  }
+
+  private generateTextFitAttributes(element: TextElement): string {
+    if (element.overflow !== 'shrink') return '';
+    const { min, max } = getFontSizeRange(element);
+    return ` data-text-fit="shrink" data-font-size="${element.fontSize}" data-min-font-size="${min}" data-max-font-size="${max}"`;
+  }
+
+  private generateTextFitScript(elements: TemplateElement[]): string {
+    const needed = elements.some((element) => element.type === 'text' && element.visible && element.overflow === 'shrink');
+    return needed ? `<script>${TEXT_FIT_SCRIPT}</script>\n` : '';
+  }
+
   private generateRectangleStyle(element: TemplateElement): string {
     if (element.type !== 'rectangle') return '';
 
@@ -177,37 +330,100 @@ export class TemplateGenerator {
       styles.push(`border-radius: ${element.cornerRadius}px`);
     }
 
+    styles.push(...getBoxEffectsCss(element));
+
     return styles.join('; ');
   }
 
-  private generateImageStyle(element: TemplateElement): string {
-    if (element.type !== 'image') return '';
+  // Lines, arrows and ellipses are drawn as SVG filling the element box, so dashes and
+  // arrowheads match the canvas. Strokes may extend past the box like they do on the canvas.
+  private generateShapeSvg(element: TemplateElement): string {
+    if (element.type !== 'line' && element.type !== 'arrow' && element.type !== 'ellipse') return '';
+
+    const { width, height } = element.size;
+    const dash = getDashArray(element.strokeStyle, element.strokeWidth);
+    const strokeAttributes = [
+      `stroke="${element.stroke}"`,
+      `stroke-width="${element.strokeWidth}"`,
+      `stroke-linecap="${getLineCap(element.strokeStyle)}"`,
+      ...(dash.length > 0 ? [`stroke-dasharray="${dash.join(' ')}"`] : []),
+    ].join(' ');
+
+    let shapes: string;
+    if (element.type === 'ellipse') {
+      shapes = `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${width / 2}" ry="${height / 2}" fill="${element.fill}" ${strokeAttributes} />`;
+    } else {
+      const { shaft, heads } = element.type === 'arrow'
+        ? getLineGeometry(element.size, element.strokeWidth, element.startArrowhead, element.endArrowhead)
+        : getLineGeometry(element.size, element.strokeWidth);
+      const [x1, y1, x2, y2] = shaft;
+      shapes = `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${strokeAttributes} />`;
+      heads.forEach((head) => {
+        shapes += head.closed
+          ? `<polygon points="${head.points.join(' ')}" fill="${element.stroke}" stroke="${element.stroke}" stroke-width="${element.strokeWidth}" />`
+          : `<polyline points="${head.points.join(' ')}" fill="none" stroke="${element.stroke}" stroke-width="${element.strokeWidth}" />`;
+      });
+    }
 
-    const styles = [
-      'display: block',
-      'box-sizing: border-box',
-    ];
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block; overflow: visible;">${shapes}</svg>`;
+  }
 
-    if (element.opacity < 1) {
-      styles.push(`opacity: ${element.opacity}`);
-    }
+  // Inline formatting runs only carry what differs from the element, so each span sets just
+  // those properties and inherits the rest from the text element's own style. Links with other
+  // protocols, such as javascript:, are left out.
+  private generateRunsHtml(
+    runs: TextRun[],
+    formatText: (text: string) => string,
+    formatLink: (link: string) => string = (link) => link
+  ): string {
+    return runs.map((run) => {
+      const link = isSafeLink(run.link) ? run.link.trim() : null;
+      const styles: string[] = [];
+      if (link && !run.color) styles.push('color: inherit');
+      if (run.bold !== undefined) styles.push(`font-weight: ${run.bold ? 'bold' : 'normal'}`);
+      if (run.italic !== undefined) styles.push(`font-style: ${run.italic ? 'italic' : 'normal'}`);
+      if (run.underline !== undefined) styles.push(`text-decoration: ${run.underline ? 'underline' : 'none'}`);
+      if (run.color) styles.push(`color: ${run.color}`);
+      if (run.fontSize) styles.push(`font-size: ${run.fontSize}px`);
+
+      const text = formatText(run.text).replace(/\n/g, '<br>');
+      const style = styles.length > 0 ? ` style="${styles.join('; ')}"` : '';
+      if (link) {
+        return `<a href="${formatLink(escapeLinkAttribute(link))}"${style}>${text}</a>`;
+      }
+      return style ? `<span${style}>${text}</span>` : text;
+    }).join('');
+  }
 
-    switch (element.fit) {
-      case 'contain':
-        styles.push('object-fit: contain');
-        break;
-      case 'cover':
-        styles.push('object-fit: cover');
-        break;
-      case 'fill':
-        styles.push('object-fit: fill');
-        break;
-      case 'stretch':
-        styles.push('object-fit: fill');
-        break;
+  // Nunjucks fills in and escapes a link's variables when it renders; a URL that starts with a
+  // variable keeps the value only when it goes to a web page, an email address or a phone number
+  private formatNunjucksLink(link: string, variables: Record<string, unknown>): string {
+    return this.replaceVariables(link, variables).replace(
+      /^\{\{\s*([\w.]+)\s*\}\}/,
+      (_match, name: string) => `{{ ${name} if r/${SAFE_LINK_URL.source}/i.test(${name}) else '' }}`
+    );
+  }
+
+  // A cropped picture is positioned inside its element box, so it gets a clipping wrapper
+  // holding the box styles; otherwise the <img> is the box
+  private generateImageStyles(element: ImageElement): { box: string; picture: string | null } {
+    if (element.crop) {
+      return {
+        box: ['box-sizing: border-box', 'overflow: hidden', ...getBoxEffectsCss(element), ...getMaskCss(element)].join('; '),
+        picture: ['display: block', ...getPictureCss(element)].join('; '),
+      };
     }
 
-    return styles.join('; ');
+    return {
+      box: [
+        'display: block',
+        'box-sizing: border-box',
+        ...getPictureCss(element),
+        ...getBoxEffectsCss(element),
+        ...getMaskCss(element),
+      ].join('; '),
+      picture: null,
+    };
   }
 
   private generateDocumentStart(): string {
@@ -256,36 +472,64 @@ ${css}
 
     html += `<div class="template-container" style="width: ${canvasSize.width}px; height: ${canvasSize.height}px; position: relative; margin: 0 auto;">\n`;
 
-    const sortedElements = elements.sort((a, b) => a.zIndex - b.zIndex);
+    const sortedElements = this.getChildren(elements);
 
     for (const element of sortedElements) {
       if (element.visible) {
-        html += `  ${this.generateNunjucksElement(element, variables)}\n`;
+        html += `  ${this.generateNunjucksElement(element, elements, variables)}\n`;
       }
     }
 
     html += '</div>\n';
+    html += this.generateTextFitScript(elements);
 
     return html.trim();
   }
 
-  private generateNunjucksElement(element: TemplateElement, variables: Record<string, any>): string {
-    const baseStyle = this.generateBaseStyle(element);
+  private generateNunjucksElement(
+    element: TemplateElement,
+    elements: TemplateElement[],
+    variables: Record<string, any>,
+    origin: Position = { x: 0, y: 0 }
+  ): string {
+    const baseStyle = this.generateBaseStyle(element, origin);
 
     switch (element.type) {
       case 'text':
         const textStyle = this.generateTextStyle(element);
-        const content = this.replaceVariables(element.content, variables);
-        return `<div style="${baseStyle} ${textStyle}">${content}</div>`;
+        const content = this.wrapOverflowContent(element, element.runs
+          ? this.generateRunsHtml(
+            element.runs,
+            (text) => this.replaceVariables(text, variables),
+            (link) => this.formatNunjucksLink(link, variables)
+          )
+          : this.replaceVariables(element.content, variables));
+        return `<div style="${baseStyle} ${textStyle}"${this.generateTextFitAttributes(element)}>${content}</div>`;
 
       case 'rectangle':
         const rectStyle = this.generateRectangleStyle(element);
         return `<div style="${baseStyle} ${rectStyle}"></div>`;
 
-      case 'image':
-        const imgStyle = this.generateImageStyle(element);
+      case 'line':
+      case 'arrow':
+      case 'ellipse':
+        return `<div style="${baseStyle}">${this.generateShapeSvg(element)}</div>`;
+
+      case 'image': {
+        const imgStyles = this.generateImageStyles(element);
         const imgSrc = this.replaceVariables(element.src || '', variables);
-        return `<img src="${imgSrc}" alt="${element.name}" style="${baseStyle} ${imgStyle}" />`;
+        return imgStyles.picture
+          ? `<div style="${baseStyle} ${imgStyles.box}"><img src="${imgSrc}" alt="${element.name}" style="${imgStyles.picture}" /></div>`
+          : `<img src="${imgSrc}" alt="${element.name}" style="${baseStyle} ${imgStyles.box}" />`;
+      }
+
+      case 'group': {
+        const childHtml = this.getChildren(elements, element.id)
+          .filter((child) => child.visible)
+          .map((child) => this.generateNunjucksElement(child, elements, variables, element.position))
+          .join('');
+        return `<div style="${baseStyle}">${childHtml}</div>`;
+      }
 
       default:
         return '';
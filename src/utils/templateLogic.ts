@@ -0,0 +1,196 @@
+import type { TemplateElement } from '../types';
+import { getAncestors } from './groups';
+
+// Conditions of the template language, as elements' "visible when" settings use them: variables
+// alone or compared with ==, !=, <, <=, > and >=, combined with &&, || and !. The API decides
+// them the same way when data is bound (integration-api/utils/template-logic.js).
+
+export type PreviewData = Record<string, unknown>;
+
+type ConditionNode =
+  | { type: 'literal'; value: unknown }
+  | { type: 'variable'; name: string }
+  | { type: 'not'; operand: ConditionNode }
+  | { type: 'logical'; operator: '&&' | '||'; left: ConditionNode; right: ConditionNode }
+  | { type: 'compare'; operator: string; left: ConditionNode; right: ConditionNode };
+
+type Token = { type: 'literal'; value: unknown } | { type: 'operator' | 'variable'; value: string };
+
+const TOKEN = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)(?![\w.])|(==|!=|>=|<=|&&|\|\||[<>!()])|([A-Za-z_@][\w.@-]*))/y;
+const KEYWORDS: Record<string, unknown> = { true: true, false: false, null: null };
+
+const tokenize = (expression: string): Token[] => {
+  const tokens: Token[] = [];
+  const source = expression.trim();
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) throw new Error(`Unexpected "${source.slice(start).trim()}"`);
+    const [, string, number, operator, name] = match;
+    if (string) tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (number) tokens.push({ type: 'literal', value: Number(number) });
+    else if (operator) tokens.push({ type: 'operator', value: operator });
+    else if (name in KEYWORDS) tokens.push({ type: 'literal', value: KEYWORDS[name] });
+    else tokens.push({ type: 'variable', value: name });
+  }
+  return tokens;
+};
+
+/**
+ * Parse a condition; throws with a readable message when it is empty or malformed
+ */
+export const parseCondition = (expression: string): ConditionNode => {
+  const tokens = tokenize(expression);
+  let position = 0;
+  const isOperator = (...operators: string[]) => {
+    const token = tokens[position];
+    return token?.type === 'operator' && operators.includes(token.value);
+  };
+
+  const parseOperand = (): ConditionNode => {
+    const token = tokens[position++];
+    if (!token) throw new Error('Condition ends too early');
+    if (token.type === 'literal') return { type: 'literal', value: token.value };
+    if (token.type === 'variable') return { type: 'variable', name: token.value };
+    if (token.value === '(') {
+      const node = parseOr();
+      if (!isOperator(')')) throw new Error('Missing ")"');
+      position++;
+      return node;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+  const parseComparison = (): ConditionNode => {
+    const left = parseOperand();
+    if (!isOperator('==', '!=', '<', '<=', '>', '>=')) return left;
+    const operator = String(tokens[position++].value);
+    return { type: 'compare', operator, left, right: parseOperand() };
+  };
+  const parseNot = (): ConditionNode => {
+    if (!isOperator('!')) return parseComparison();
+    position++;
+    return { type: 'not', operand: parseNot() };
+  };
+  const parseAnd = (): ConditionNode => {
+    let node = parseNot();
+    while (isOperator('&&')) {
+      position++;
+      node = { type: 'logical', operator: '&&', left: node, right: parseNot() };
+    }
+    return node;
+  };
+  function parseOr(): ConditionNode {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      position++;
+      node = { type: 'logical', operator: '||', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  if (tokens.length === 0) throw new Error('Condition is empty');
+  const root = parseOr();
+  if (position < tokens.length) throw new Error(`Unexpected "${String(tokens[position].value)}"`);
+  return root;
+};
+
+/**
+ * Problem with a "visible when" condition, or null when it is usable
+ */
+export const getConditionError = (expression: string): string | null => {
+  if (/[{}]/.test(expression)) return 'Conditions cannot contain braces';
+  try {
+    parseCondition(expression);
+    return null;
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  }
+};
+
+/**
+ * Whether a value counts as set: not missing, false, zero, an empty string or an empty array
+ */
+const isTruthy = (value: unknown): boolean => {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '' && value !== 0 && !Number.isNaN(value);
+};
+
+const toNumber = (value: unknown): number | null => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+};
+
+// As numbers when both read as numbers, otherwise as text; missing values only equal null
+const compareValues = (left: unknown, right: unknown, operator: string): boolean => {
+  const a = left ?? null;
+  const b = right ?? null;
+  if (a === null || b === null) {
+    if (operator === '==') return a === b;
+    if (operator === '!=') return a !== b;
+    return false;
+  }
+
+  const [numberA, numberB] = [toNumber(a), toNumber(b)];
+  const order = numberA !== null && numberB !== null ? numberA - numberB : String(a).localeCompare(String(b));
+  switch (operator) {
+    case '==': return order === 0;
+    case '!=': return order !== 0;
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    default: return order >= 0;
+  }
+};
+
+/**
+ * Value of a variable: a dot path into the data, or a key that contains dots
+ */
+const lookupValue = (data: PreviewData, name: string): unknown => {
+  const value = name.split('.').reduce<unknown>(
+    (current, key) => (current !== null && typeof current === 'object' ? (current as PreviewData)[key] : undefined),
+    data
+  );
+  return value === undefined ? data[name] : value;
+};
+
+const evaluateNode = (node: ConditionNode, data: PreviewData): unknown => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'variable':
+      return lookupValue(data, node.name);
+    case 'not':
+      return !isTruthy(evaluateNode(node.operand, data));
+    case 'logical': {
+      const left = isTruthy(evaluateNode(node.left, data));
+      if (node.operator === '&&') return left && isTruthy(evaluateNode(node.right, data));
+      return left || isTruthy(evaluateNode(node.right, data));
+    }
+    default:
+      return compareValues(evaluateNode(node.left, data), evaluateNode(node.right, data), node.operator);
+  }
+};
+
+/**
+ * Evaluate a condition against data; a malformed condition counts as false, as in the API
+ */
+export const evaluateCondition = (expression: string, data: PreviewData): boolean => {
+  try {
+    return isTruthy(evaluateNode(parseCondition(expression), data));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Whether an element stays with the preview data: its "visible when" condition and those of the
+ * groups around it hold
+ */
+export const isShownForData = (elements: TemplateElement[], elementId: string, data: PreviewData): boolean => {
+  const element = elements.find((el) => el.id === elementId);
+  return [element, ...getAncestors(elements, elementId)].every(
+    (el) => !el?.visibleWhen?.trim() || evaluateCondition(el.visibleWhen, data)
+  );
+};
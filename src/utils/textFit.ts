@@ -0,0 +1,73 @@
+import type { Size, TextElement, TextOverflow } from '../types';
+import { layoutText, measureTextWidth, type MeasureText } from './textRuns';
+
+// Overflow policies decide how text that does not fit its box is drawn. The canvas applies
+// them to what is typed; the HTML export applies them again once variables are filled in.
+
+export const TEXT_OVERFLOWS: TextOverflow[] = ['wrap', 'shrink', 'grow', 'ellipsis'];
+
+export const DEFAULT_MIN_FONT_SIZE = 6;
+
+/**
+ * Font sizes shrink-to-fit may choose from. The range never goes above its maximum, which
+ * defaults to the element's own font size.
+ */
+export const getFontSizeRange = (element: Pick<TextElement, 'fontSize' | 'minFontSize' | 'maxFontSize'>) => {
+  const max = element.maxFontSize ?? element.fontSize;
+  return { min: Math.min(element.minFontSize ?? DEFAULT_MIN_FONT_SIZE, max), max };
+};
+
+/**
+ * The element drawn at a different font size, with sized runs scaled along
+ */
+export const scaleTextElement = (element: TextElement, fontSize: number): TextElement => {
+  if (fontSize === element.fontSize) return element;
+  const scale = fontSize / element.fontSize;
+  return {
+    ...element,
+    fontSize,
+    runs: element.runs?.map((run) => (run.fontSize ? { ...run, fontSize: run.fontSize * scale } : run)),
+  };
+};
+
+export interface FittedText {
+  element: TextElement; // The element as drawn, at the font size shrinking settled on
+  size: Size; // The box as drawn, taller than the element's when it grows
+}
+
+/**
+ * Apply a text element's overflow policy. Shrink picks the largest font size in range at
+ * which every line fits without breaking words, grow extends the box downwards to the text.
+ * Wrap and ellipsis are handled when the text is laid out.
+ */
+export const fitText = (element: TextElement, measure: MeasureText = measureTextWidth): FittedText => {
+  switch (element.overflow) {
+    case 'shrink': {
+      const { min, max } = getFontSizeRange(element);
+      const fits = (fontSize: number) => {
+        const layout = layoutText(scaleTextElement(element, fontSize), measure);
+        return !layout.broken && layout.height <= element.size.height;
+      };
+
+      let fontSize = max;
+      if (!fits(max)) {
+        // Binary search down to a tenth of a pixel; below the minimum the text is clipped
+        let low = min;
+        let high = max;
+        while (high - low > 0.1) {
+          const middle = (low + high) / 2;
+          if (fits(middle)) low = middle;
+          else high = middle;
+        }
+        fontSize = Math.floor(low * 10) / 10;
+      }
+      return { element: scaleTextElement(element, fontSize), size: element.size };
+    }
+    case 'grow': {
+      const { height } = layoutText(element, measure);
+      return { element, size: { width: element.size.width, height: Math.max(element.size.height, Math.ceil(height)) } };
+    }
+    default:
+      return { element, size: element.size };
+  }
+};
@@ -0,0 +1,454 @@
+import type { TextElement, TextRun, TextRunStyle } from '../types';
+import { DEFAULT_LINE_HEIGHT, applyTextTransform, getFontWeightValue } from './typography';
+
+// Rich text is stored as a list of runs whose texts add up to the element's `content`.
+// Offsets below are character offsets into that content. Run formatting only records what
+// differs from the element, so element-wide changes still reach the unformatted text.
+
+type TextDefaults = Pick<TextElement, 'fontWeight' | 'fontStyle' | 'color' | 'fontSize' | 'underline' | 'strikethrough'>;
+
+export interface ResolvedRunStyle {
+  bold: boolean;
+  fontWeight: number; // Bold runs are 700, others keep the element's weight
+  italic: boolean;
+  underline: boolean;
+  strikethrough: boolean; // Set for the whole element only
+  color: string;
+  fontSize: number;
+  link?: string;
+}
+
+const STYLE_KEYS = ['bold', 'italic', 'underline', 'color', 'fontSize', 'link'] as const;
+
+// Variables are styled as a whole, so a template field never ends up split across runs
+const VARIABLE_PATTERN = /\{\{[^}]*\}\}/g;
+
+const getRunStyle = (run: TextRunStyle): TextRunStyle => {
+  const style: Record<string, unknown> = {};
+  STYLE_KEYS.forEach((key) => {
+    if (run[key] !== undefined) style[key] = run[key];
+  });
+  return style as TextRunStyle;
+};
+
+const isSameStyle = (a: TextRunStyle, b: TextRunStyle) => STYLE_KEYS.every((key) => a[key] === b[key]);
+
+/**
+ * The element's runs, or its content as a single unformatted run
+ */
+export const getTextRuns = (element: Pick<TextElement, 'content' | 'runs'>): TextRun[] =>
+  element.runs && element.runs.length > 0 ? element.runs : [{ text: element.content }];
+
+export const getRunsText = (runs: TextRun[]): string => runs.map((run) => run.text).join('');
+
+// Links go to web pages, email addresses or phone numbers, or come from a variable, as the
+// converters accept them (integration-api/utils/text-runs.js). A variable's value is checked
+// for the same schemes once it is filled in.
+export const SAFE_LINK_URL = /^(?:https?:|mailto:|tel:)/i;
+const SAFE_LINK = /^(?:https?:|mailto:|tel:|\{\{)/i;
+
+export const isSafeLink = (link: string | undefined): link is string =>
+  typeof link === 'string' && SAFE_LINK.test(link.trim());
+
+/**
+ * Escape a link for an href attribute, leaving its {{variables}} for the data
+ */
+export const escapeLinkAttribute = (link: string): string =>
+  link
+    .split(/(\{\{[^}]*\}\})/)
+    .map((part, index) =>
+      index % 2 === 1
+        ? part
+        : part.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    )
+    .join('');
+
+/**
+ * Formatting a run is drawn with once the element's style fills in what the run leaves unset.
+ * Links are underlined unless the run says otherwise.
+ */
+export const resolveRunStyle = (run: TextRunStyle, element: TextDefaults): ResolvedRunStyle => {
+  const fontWeight = run.bold === undefined ? getFontWeightValue(element.fontWeight) : run.bold ? 700 : 400;
+  return {
+    bold: fontWeight >= 600,
+    fontWeight,
+    italic: run.italic ?? element.fontStyle === 'italic',
+    underline: run.underline ?? (Boolean(element.underline) || Boolean(run.link)),
+    strikethrough: Boolean(element.strikethrough),
+    color: run.color ?? element.color,
+    fontSize: run.fontSize ?? element.fontSize,
+    link: run.link,
+  };
+};
+
+/**
+ * Drop empty runs and formatting that matches the element, then merge neighbours that are
+ * formatted alike. Returns undefined when no formatting is left.
+ */
+export const normalizeRuns = (runs: TextRun[], element: TextDefaults): TextRun[] | undefined => {
+  const defaults = resolveRunStyle({}, element);
+  const merged: TextRun[] = [];
+
+  runs.forEach((run) => {
+    if (!run.text) return;
+    const style = getRunStyle(run);
+    if (!style.link) delete style.link;
+    if (style.bold === defaults.bold) delete style.bold;
+    if (style.italic === defaults.italic) delete style.italic;
+    if (style.underline === (defaults.underline || Boolean(style.link))) delete style.underline;
+    if (style.color?.toLowerCase() === defaults.color.toLowerCase()) delete style.color;
+    if (style.fontSize === defaults.fontSize) delete style.fontSize;
+
+    const previous = merged[merged.length - 1];
+    if (previous && isSameStyle(getRunStyle(previous), style)) {
+      previous.text += run.text;
+    } else {
+      merged.push({ text: run.text, ...style });
+    }
+  });
+
+  return merged.some((run) => Object.keys(getRunStyle(run)).length > 0) ? merged : undefined;
+};
+
+/**
+ * The element fields to update for new runs: normalized runs plus the matching content
+ */
+export const toTextUpdate = (runs: TextRun[], element: TextDefaults): Pick<TextElement, 'runs' | 'content'> => ({
+  runs: normalizeRuns(runs, element),
+  content: getRunsText(runs),
+});
+
+/**
+ * The part of the runs between two offsets
+ */
+export const sliceRuns = (runs: TextRun[], from: number, to: number): TextRun[] => {
+  const result: TextRun[] = [];
+  let offset = 0;
+  runs.forEach((run) => {
+    const start = Math.max(from, offset);
+    const end = Math.min(to, offset + run.text.length);
+    if (end > start) {
+      result.push({ ...run, text: run.text.slice(start - offset, end - offset) });
+    }
+    offset += run.text.length;
+  });
+  return result;
+};
+
+// Run containing the character at an offset (the last run past the end)
+const getRunAt = (runs: TextRun[], index: number): TextRun | undefined => {
+  let offset = 0;
+  for (const run of runs) {
+    offset += run.text.length;
+    if (index < offset) return run;
+  }
+  return runs[runs.length - 1];
+};
+
+/**
+ * Widen a range so it covers every variable it touches
+ */
+export const expandToVariables = (text: string, start: number, end: number) => {
+  let from = start;
+  let to = end;
+  for (const match of text.matchAll(VARIABLE_PATTERN)) {
+    const matchStart = match.index;
+    const matchEnd = matchStart + match[0].length;
+    if (matchStart < to && matchEnd > from) {
+      from = Math.min(from, matchStart);
+      to = Math.max(to, matchEnd);
+    }
+  }
+  return { start: from, end: to };
+};
+
+/**
+ * Set formatting on a range. Keys given as undefined go back to the element's style.
+ */
+export const applyRunStyle = (runs: TextRun[], start: number, end: number, style: TextRunStyle): TextRun[] => {
+  const range = expandToVariables(getRunsText(runs), start, end);
+  if (range.start >= range.end) return runs;
+
+  const total = getRunsText(runs).length;
+  const styled = sliceRuns(runs, range.start, range.end).map((run) => {
+    const next: Record<string, unknown> = { ...run };
+    Object.entries(style).forEach(([key, value]) => {
+      if (value === undefined) delete next[key];
+      else next[key] = value;
+    });
+    return next as unknown as TextRun;
+  });
+  return [...sliceRuns(runs, 0, range.start), ...styled, ...sliceRuns(runs, range.end, total)];
+};
+
+/**
+ * Replace a range with plain text, which takes the formatting of the character before it
+ */
+export const replaceRunsText = (runs: TextRun[], start: number, end: number, text: string): TextRun[] => {
+  const total = getRunsText(runs).length;
+  const source = getRunAt(runs, Math.max(0, start - 1));
+  return [
+    ...sliceRuns(runs, 0, start),
+    { ...(source ? getRunStyle(source) : {}), text },
+    ...sliceRuns(runs, end, total),
+  ];
+};
+
+/**
+ * Change the text of the runs to new content, keeping the formatting of the unchanged start and end
+ */
+export const setRunsText = (runs: TextRun[], text: string): TextRun[] => {
+  const current = getRunsText(runs);
+  let prefix = 0;
+  while (prefix < current.length && prefix < text.length && current[prefix] === text[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < current.length - prefix &&
+    suffix < text.length - prefix &&
+    current[current.length - 1 - suffix] === text[text.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  return replaceRunsText(runs, prefix, current.length - suffix, text.slice(prefix, text.length - suffix));
+};
+
+/**
+ * Formatting shared by a whole range, for toolbar states. Toggles are on only when the whole
+ * range has them; other values are undefined when they differ. A collapsed range reports the
+ * formatting typing would continue with.
+ */
+export const getRangeStyle = (runs: TextRun[], element: TextDefaults, start: number, end: number) => {
+  const selected = start < end ? sliceRuns(runs, start, end) : [getRunAt(runs, Math.max(0, start - 1)) ?? { text: '' }];
+  const styles = selected.map((run) => resolveRunStyle(run, element));
+  const common = <K extends 'color' | 'fontSize' | 'link'>(key: K) =>
+    styles.every((style) => style[key] === styles[0][key]) ? styles[0][key] : undefined;
+
+  return {
+    bold: styles.every((style) => style.bold),
+    italic: styles.every((style) => style.italic),
+    underline: styles.every((style) => style.underline),
+    color: common('color'),
+    fontSize: common('fontSize'),
+    link: common('link'),
+  };
+};
+
+/**
+ * CSS font shorthand for a run, as used by canvas measuring and drawing
+ */
+export const getFontString = (style: ResolvedRunStyle, fontFamily: string): string =>
+  `${style.italic ? 'italic ' : ''}${style.fontWeight} ${style.fontSize}px ${fontFamily}`;
+
+export type MeasureText = (text: string, style: ResolvedRunStyle, fontFamily: string) => number;
+
+let measureContext: CanvasRenderingContext2D | null = null;
+
+export const measureTextWidth: MeasureText = (text, style, fontFamily) => {
+  measureContext ??= document.createElement('canvas').getContext('2d');
+  if (!measureContext) return text.length * style.fontSize * 0.6;
+  measureContext.font = getFontString(style, fontFamily);
+  return measureContext.measureText(text).width;
+};
+
+export interface TextFragment {
+  text: string;
+  x: number; // Relative to the element box
+  y: number; // Top of the fragment's own font size, placed so baselines on a line match
+  width: number;
+  style: ResolvedRunStyle;
+}
+
+// Roughly where the baseline sits within a line of text, as a share of the font size
+const BASELINE_RATIO = 0.8;
+
+interface LayoutLine {
+  pieces: TextFragment[];
+  height: number; // Largest font size on the line
+  soft: boolean; // Started by wrapping rather than a line break
+}
+
+type MeasurePiece = (text: string, style: ResolvedRunStyle) => number;
+
+const isWhitespace = (text: string) => /^\s+$/.test(text);
+
+const ELLIPSIS = '…';
+
+// End a line with an ellipsis, taking off characters until it fits
+const addEllipsis = (line: LayoutLine, maxWidth: number, element: TextElement, measure: MeasurePiece) => {
+  const pieces = line.pieces;
+  const last = pieces[pieces.length - 1];
+  const style = last?.style ?? resolveRunStyle({}, element);
+  const ellipsisWidth = measure(ELLIPSIS, style);
+  const lineWidth = () => pieces.reduce((width, piece) => width + piece.width, 0);
+
+  while (pieces.length > 0 && isWhitespace(pieces[pieces.length - 1].text)) pieces.pop();
+  while (pieces.length > 0 && lineWidth() + ellipsisWidth > maxWidth) {
+    const piece = pieces[pieces.length - 1];
+    const chars = Array.from(piece.text).slice(0, -1);
+    if (chars.length === 0 || isWhitespace(chars.join(''))) {
+      pieces.pop();
+    } else {
+      piece.text = chars.join('');
+      piece.width = measure(piece.text, piece.style);
+    }
+  }
+  const x = pieces.length > 0 ? pieces[pieces.length - 1].x + pieces[pieces.length - 1].width : 0;
+  pieces.push({ text: ELLIPSIS, x, y: 0, width: ellipsisWidth, style: pieces[pieces.length - 1]?.style ?? style });
+};
+
+export interface TextLayout {
+  fragments: TextFragment[];
+  height: number; // Height all of the text needs, padding included
+  broken: boolean; // Some word was too long for a line and had to be broken
+}
+
+/**
+ * Lay out rich text inside the element box: words wrap at the box width (less padding),
+ * over-long words break between characters and each line is its largest font size times the
+ * line height, with the text centered in it like the canvas draws plain text. Fragments
+ * sharing a line and formatting are merged; justified lines leave their spaces out.
+ * With the ellipsis overflow, lines that do not fit the box are dropped and the last one
+ * shown ends in an ellipsis.
+ */
+export const layoutText = (element: TextElement, measure: MeasureText = measureTextWidth): TextLayout => {
+  const maxWidth = Math.max(0, element.size.width - element.padding * 2);
+  const lineHeight = element.lineHeight ?? DEFAULT_LINE_HEIGHT;
+  const letterSpacing = element.letterSpacing ?? 0;
+  const measurePiece: MeasurePiece = (text, style) =>
+    measure(text, style, element.fontFamily) + letterSpacing * Array.from(text).length;
+  const lines: LayoutLine[] = [];
+  let line: LayoutLine = { pieces: [], height: 0, soft: false };
+  let broken = false;
+
+  const lineWidth = () => line.pieces.reduce((width, piece) => width + piece.width, 0);
+
+  // Start a new line. Wrapping before a word also moves down the rest of that word when it
+  // started in an earlier run.
+  const wrap = (reason: 'newline' | 'word' | 'break') => {
+    let carried: TextFragment[] = [];
+    if (reason === 'word') {
+      const lastSpace = line.pieces.map((piece) => isWhitespace(piece.text)).lastIndexOf(true);
+      if (lastSpace >= 0) {
+        carried = line.pieces.slice(lastSpace + 1);
+        line.pieces = line.pieces.slice(0, lastSpace + 1);
+      }
+    }
+    lines.push(line);
+    line = { pieces: [], height: 0, soft: reason !== 'newline' };
+    carried.forEach((piece) => place(piece.text, piece.style, piece.width));
+  };
+
+  const place = (text: string, style: ResolvedRunStyle, width: number) => {
+    line.pieces.push({ text, x: lineWidth(), y: 0, width, style });
+    line.height = Math.max(line.height, style.fontSize);
+  };
+
+  let afterLetter = false;
+  getTextRuns(element).forEach((run) => {
+    const style = resolveRunStyle(run, element);
+    const text = applyTextTransform(run.text, element.textTransform, afterLetter);
+    afterLetter = /[\p{L}\p{N}'’}]$/u.test(run.text);
+    text.split(/(\n|[^\S\n]+)/).forEach((token) => {
+      if (!token) return;
+      if (token === '\n') {
+        line.height = Math.max(line.height, style.fontSize);
+        wrap('newline');
+        return;
+      }
+      const width = measurePiece(token, style);
+      if (isWhitespace(token)) {
+        place(token, style, width);
+        return;
+      }
+      if (width > maxWidth) {
+        // Too long for any line: break it wherever it runs out of room
+        broken = true;
+        Array.from(token).forEach((char) => {
+          const charWidth = measurePiece(char, style);
+          if (line.pieces.length > 0 && lineWidth() + charWidth > maxWidth) wrap('break');
+          place(char, style, charWidth);
+        });
+        return;
+      }
+      if (line.pieces.length > 0 && lineWidth() + width > maxWidth) wrap('word');
+      place(token, style, width);
+    });
+  });
+  lines.push(line);
+
+  const lineHeights = lines.map((current) => (current.height || element.fontSize) * lineHeight);
+  const height = lineHeights.reduce((sum, lineHeight) => sum + lineHeight, element.padding * 2);
+
+  let shown = lines;
+  if (element.overflow === 'ellipsis') {
+    // Keep the lines that fit whole, but always at least the first one
+    const room = element.size.height - element.padding * 2;
+    let count = 1;
+    let used = lineHeights[0];
+    while (count < lines.length && used + lineHeights[count] <= room) {
+      used += lineHeights[count];
+      count += 1;
+    }
+    if (count < lines.length) {
+      shown = lines.slice(0, count);
+      addEllipsis(shown[count - 1], maxWidth, element, measurePiece);
+    }
+  }
+
+  const fragments: TextFragment[] = [];
+  let top = element.padding;
+  shown.forEach((current, index) => {
+    const height = lineHeights[index];
+    const fontSize = current.height || element.fontSize;
+    // Trailing spaces and the spaces a wrap lands on are not drawn and do not count for alignment
+    const pieces = [...current.pieces];
+    while (pieces.length > 0 && isWhitespace(pieces[pieces.length - 1].text)) pieces.pop();
+    while (current.soft && pieces.length > 0 && isWhitespace(pieces[0].text)) pieces.shift();
+
+    const width = pieces.reduce((sum, piece) => sum + piece.width, 0);
+    const shift = element.textAlign === 'center'
+      ? (maxWidth - width) / 2
+      : element.textAlign === 'right' ? maxWidth - width : 0;
+    // Justified lines share out the spare width between their spaces, except the last line
+    // of a paragraph
+    const gaps = pieces.filter((piece) => isWhitespace(piece.text)).length;
+    const justify = element.textAlign === 'justify' && gaps > 0 && lines[index + 1]?.soft
+      ? Math.max(0, maxWidth - width) / gaps
+      : 0;
+
+    let cursor = element.padding + shift;
+    pieces.forEach((piece) => {
+      const x = cursor;
+      cursor += piece.width;
+      if (justify > 0 && isWhitespace(piece.text)) {
+        cursor += justify;
+        return;
+      }
+      const y = top + (height - fontSize) / 2 + (fontSize - piece.style.fontSize) * BASELINE_RATIO;
+      const previous = fragments[fragments.length - 1];
+      if (previous && previous.y === y && JSON.stringify(previous.style) === JSON.stringify(piece.style) && Math.abs(previous.x + previous.width - x) < 0.01) {
+        previous.text += piece.text;
+        previous.width += piece.width;
+      } else {
+        fragments.push({ ...piece, x, y });
+      }
+    });
+    top += height;
+  });
+
+  // Vertical alignment moves text that fits; text that overflows starts at the top
+  const spare = element.size.height - element.padding - top;
+  if (spare > 0 && element.verticalAlign && element.verticalAlign !== 'top') {
+    const offset = element.verticalAlign === 'middle' ? spare / 2 : spare;
+    fragments.forEach((fragment) => {
+      fragment.y += offset;
+    });
+  }
+
+  return { fragments, height, broken };
+};
+
+export const layoutTextRuns = (element: TextElement, measure: MeasureText = measureTextWidth): TextFragment[] =>
+  layoutText(element, measure).fragments;
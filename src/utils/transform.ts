@@ -0,0 +1,46 @@
+import type { TemplateElement, Position } from '../types';
+
+// The rotation handle snaps to multiples of ROTATION_SNAP_STEP degrees when within the tolerance
+export const ROTATION_SNAP_STEP = 15;
+export const ROTATION_SNAP_TOLERANCE = 5;
+export const ROTATION_SNAPS = Array.from({ length: 360 / ROTATION_SNAP_STEP }, (_, index) => index * ROTATION_SNAP_STEP);
+
+/**
+ * Bring an angle into the 0-360 range, rounded to hundredths of a degree
+ */
+export const normalizeRotation = (degrees: number): number =>
+  Math.round((((degrees % 360) + 360) % 360) * 100) / 100;
+
+export const getCenter = (element: Pick<TemplateElement, 'position' | 'size'>): Position => ({
+  x: element.position.x + element.size.width / 2,
+  y: element.position.y + element.size.height / 2,
+});
+
+/**
+ * Rotate a point clockwise around a center (canvas y axis points down)
+ */
+export const rotatePoint = (point: Position, center: Position, degrees: number): Position => {
+  const radians = (degrees * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return {
+    x: center.x + dx * cos - dy * sin,
+    y: center.y + dx * sin + dy * cos,
+  };
+};
+
+/**
+ * CSS transform matching the canvas rendering (applied around the element's center), or '' when untransformed
+ */
+export const getCssTransform = (element: Pick<TemplateElement, 'rotation' | 'flipX' | 'flipY'>): string => {
+  const transforms: string[] = [];
+  if (element.rotation) {
+    transforms.push(`rotate(${element.rotation}deg)`);
+  }
+  if (element.flipX || element.flipY) {
+    transforms.push(`scale(${element.flipX ? -1 : 1}, ${element.flipY ? -1 : 1})`);
+  }
+  return transforms.join(' ');
+};
@@ -0,0 +1,68 @@
+import type { FontWeight, TextAlign, TextTransform, VerticalAlign } from '../types';
+
+// Typography defaults and helpers shared by the canvas, the page thumbnails and the HTML export
+
+export const DEFAULT_LINE_HEIGHT = 1.2;
+
+export const FONT_WEIGHTS: Array<{ value: FontWeight; label: string }> = [
+  { value: 100, label: 'Thin (100)' },
+  { value: 200, label: 'Extra Light (200)' },
+  { value: 300, label: 'Light (300)' },
+  { value: 'normal', label: 'Normal (400)' },
+  { value: 500, label: 'Medium (500)' },
+  { value: 600, label: 'Semi Bold (600)' },
+  { value: 'bold', label: 'Bold (700)' },
+  { value: 800, label: 'Extra Bold (800)' },
+  { value: 900, label: 'Black (900)' },
+];
+
+export const TEXT_ALIGNS: TextAlign[] = ['left', 'center', 'right', 'justify'];
+
+export const VERTICAL_ALIGNS: VerticalAlign[] = ['top', 'middle', 'bottom'];
+
+export const TEXT_TRANSFORMS: TextTransform[] = ['none', 'uppercase', 'lowercase', 'capitalize'];
+
+export const getFontWeightValue = (weight: FontWeight): number =>
+  weight === 'normal' ? 400 : weight === 'bold' ? 700 : weight;
+
+/**
+ * Parse a weight from a select value, keeping the named weights named
+ */
+export const parseFontWeight = (value: string): FontWeight =>
+  value === 'normal' || value === 'bold' ? value : (Number(value) as FontWeight);
+
+/**
+ * Text decoration for the underline and strikethrough toggles, empty when neither is on
+ */
+export const getTextDecoration = (underline?: boolean, strikethrough?: boolean): string =>
+  [underline && 'underline', strikethrough && 'line-through'].filter(Boolean).join(' ');
+
+// Variables keep their name as typed so the canvas still shows which field they are
+const VARIABLE_SPLIT = /(\{\{[^}]*\}\})/;
+
+/**
+ * Apply a text transform the way CSS does, leaving {{variables}} alone. `afterLetter` tells
+ * capitalize whether the text continues a word from a previous run.
+ */
+export const applyTextTransform = (text: string, transform: TextTransform = 'none', afterLetter = false): string => {
+  if (transform === 'none') return text;
+  let inWord = afterLetter;
+  return text
+    .split(VARIABLE_SPLIT)
+    .map((part, index) => {
+      if (index % 2 === 1) {
+        inWord = true;
+        return part;
+      }
+      if (transform === 'uppercase') return part.toUpperCase();
+      if (transform === 'lowercase') return part.toLowerCase();
+      return Array.from(part)
+        .map((char) => {
+          const result = inWord ? char : char.toUpperCase();
+          inWord = /[\p{L}\p{N}'’]/u.test(char);
+          return result;
+        })
+        .join('');
+    })
+    .join('');
+};
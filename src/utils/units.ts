@@ -0,0 +1,37 @@
+import type { Unit } from '../types';
+
+// Lengths are stored in CSS pixels (96 per inch) and only converted for display, so a
+// document keeps its exact layout whichever unit it is edited in.
+
+export const UNITS: Record<Unit, { label: string; px: number; step: number; precision: number }> = {
+  px: { label: 'Pixels (px)', px: 1, step: 1, precision: 2 },
+  mm: { label: 'Millimeters (mm)', px: 96 / 25.4, step: 1, precision: 2 },
+  in: { label: 'Inches (in)', px: 96, step: 0.125, precision: 3 },
+  pt: { label: 'Points (pt)', px: 96 / 72, step: 1, precision: 2 },
+};
+
+export const DEFAULT_UNIT: Unit = 'px';
+
+export const isUnit = (value: unknown): value is Unit =>
+  typeof value === 'string' && value in UNITS;
+
+const round = (value: number, precision: number) => {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * A pixel length in the given unit, rounded for display
+ */
+export const toUnit = (px: number, unit: Unit): number => round(px / UNITS[unit].px, UNITS[unit].precision);
+
+/**
+ * A length typed in the given unit back in pixels
+ */
+export const fromUnit = (value: number, unit: Unit): number => round(value * UNITS[unit].px, 4);
+
+/**
+ * "210 × 297 mm" style label for a size
+ */
+export const formatSize = (width: number, height: number, unit: Unit): string =>
+  `${toUnit(width, unit)} × ${toUnit(height, unit)} ${unit}`;
@@ -0,0 +1,34 @@
+import type { Box } from './alignment';
+
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 8;
+
+// Levels the zoom in/out shortcuts step through
+const ZOOM_LEVELS = [0.1, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4, 6, 8];
+
+// Room left around the page or selection when zooming to fit it
+const FIT_PADDING = 40;
+
+export const clampZoom = (zoom: number): number => Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+
+/**
+ * The next zoom level above (direction 1) or below (direction -1) the current zoom
+ */
+export const getNextZoomLevel = (zoom: number, direction: 1 | -1): number => {
+  // Tolerance so a zoom sitting on a level moves on to the next one
+  const next = direction > 0
+    ? ZOOM_LEVELS.find((level) => level > zoom + 0.001)
+    : [...ZOOM_LEVELS].reverse().find((level) => level < zoom - 0.001);
+  return next ?? (direction > 0 ? MAX_ZOOM : MIN_ZOOM);
+};
+
+/**
+ * Zoom at which the box fills the viewport, leaving some padding
+ */
+export const getFitZoom = (box: Pick<Box, 'width' | 'height'>, viewport: { width: number; height: number }): number =>
+  clampZoom(
+    Math.min(
+      (viewport.width - FIT_PADDING) / Math.max(1, box.width),
+      (viewport.height - FIT_PADDING) / Math.max(1, box.height)
+    )
+  );